@@ -1,6 +1,9 @@
 -- ===========================================
 -- ANT-CAPSULIZER DATABASE SCHEMA (MySQL 8.x)
 -- UPDATED: +node_category (for intelligent recrawl scheduling)
+-- UPDATED: +page_states (conditional re-fetch / unchanged-page short-circuit)
+-- UPDATED: +page_states.pipeline_version (re-run inference after pipeline upgrades)
+--   existing installs: ALTER TABLE page_states ADD COLUMN pipeline_version VARCHAR(255) NULL AFTER fingerprint;
 -- ===========================================
 
 DROP TRIGGER IF EXISTS trg_update_last_harvested;
@@ -29,6 +32,26 @@ CREATE TABLE IF NOT EXISTS capsules (
   FOREIGN KEY (node_id) REFERENCES nodes(id) ON DELETE CASCADE
 );
 
+-- Per-URL recrawl state: HTTP validators + normalized-HTML hash + the pipeline that produced the capsule
+CREATE TABLE IF NOT EXISTS page_states (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  node_id BIGINT NOT NULL,
+  url TEXT NOT NULL,
+  url_hash CHAR(64) NOT NULL,
+  etag VARCHAR(255) NULL,
+  last_modified VARCHAR(64) NULL,
+  content_hash VARCHAR(80) NULL,
+  fingerprint VARCHAR(80) NULL,
+  pipeline_version VARCHAR(255) NULL,
+  outlinks JSON NULL,
+  fetched_at DATETIME NULL,
+  checked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_page_state (node_id, url_hash),
+  FOREIGN KEY (node_id) REFERENCES nodes(id) ON DELETE CASCADE
+);
+
 -- Drop/recreate indexes safely
 DROP INDEX idx_capsules_fp ON capsules;
 DROP INDEX idx_nodes_domain ON nodes;
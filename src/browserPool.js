@@ -0,0 +1,195 @@
+// src/browserPool.js
+// Shared Chromium pool: browsers are reused across jobs, each job gets a fresh context.
+//
+// Usage:
+//   const lease = await acquireContext({ userAgent: UA });
+//   try { const page = await lease.context.newPage(); ... } finally { await lease.release(); }
+//
+// Lifecycle:
+// - up to BROWSER_POOL_SIZE browsers; new contexts go to the least busy one
+// - a browser is retired after BROWSER_MAX_PAGES pages (closed once its contexts drain)
+// - a crashed/disconnected browser is dropped and replaced on next demand
+
+const { chromium } = require("playwright");
+
+const BROWSER_POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE || 2, 10);
+const BROWSER_MAX_PAGES = parseInt(process.env.BROWSER_MAX_PAGES || 200, 10);
+const BROWSER_POOL_LOG_INTERVAL_MS = parseInt(process.env.BROWSER_POOL_LOG_INTERVAL_MS || 60000, 10);
+
+// { id, browser, pages, active, retiring, launchedAt }
+const entries = [];
+let launching = null;
+let nextId = 1;
+
+const counters = {
+  launches: 0,
+  recycled: 0,
+  crashes: 0,
+  contexts: 0,
+  pages: 0,
+};
+
+// ------------------------------
+// Health
+// ------------------------------
+function poolHealth() {
+  return {
+    browsers: entries.length,
+    retiring: entries.filter((e) => e.retiring).length,
+    activeContexts: entries.reduce((n, e) => n + e.active, 0),
+    ...counters,
+  };
+}
+
+function logHealth(reason) {
+  const h = poolHealth();
+  console.log(
+    `🧪 Browser pool (${reason}): ${h.browsers} browser(s), ${h.activeContexts} active context(s), ` +
+      `${h.pages} pages, ${h.launches} launched, ${h.recycled} recycled, ${h.crashes} crashed`
+  );
+}
+
+let healthTimer = null;
+function ensureHealthTimer() {
+  if (healthTimer || !BROWSER_POOL_LOG_INTERVAL_MS) return;
+  healthTimer = setInterval(() => {
+    if (entries.length) logHealth("periodic");
+  }, BROWSER_POOL_LOG_INTERVAL_MS);
+  healthTimer.unref();
+}
+
+// ------------------------------
+// Browser lifecycle
+// ------------------------------
+function removeEntry(entry) {
+  const i = entries.indexOf(entry);
+  if (i !== -1) entries.splice(i, 1);
+}
+
+async function closeEntry(entry, reason) {
+  removeEntry(entry);
+  entry.closing = true;
+  try {
+    await entry.browser.close();
+  } catch (e) {
+    console.warn(`⚠️ Failed to close browser #${entry.id}: ${e.message}`);
+  }
+  logHealth(`${reason} #${entry.id}`);
+}
+
+function retire(entry) {
+  if (entry.retiring) return;
+  entry.retiring = true;
+  counters.recycled += 1;
+  if (entry.active === 0) closeEntry(entry, "recycled");
+}
+
+async function launch() {
+  const browser = await chromium.launch({ headless: true });
+  const entry = { id: nextId++, browser, pages: 0, active: 0, retiring: false, launchedAt: Date.now() };
+
+  browser.on("disconnected", () => {
+    if (entry.closing) return;
+    counters.crashes += 1;
+    removeEntry(entry);
+    logHealth(`crash #${entry.id}`);
+  });
+
+  entries.push(entry);
+  counters.launches += 1;
+  ensureHealthTimer();
+  return entry;
+}
+
+async function pickEntry() {
+  for (;;) {
+    const live = entries.filter((e) => !e.retiring && e.browser.isConnected());
+    const idle = live.find((e) => e.active === 0);
+    if (idle) return idle;
+
+    if (live.length < BROWSER_POOL_SIZE) {
+      if (!launching) launching = launch().finally(() => (launching = null));
+      return launching;
+    }
+
+    if (live.length) return live.reduce((a, b) => (b.active < a.active ? b : a));
+
+    // Every browser is retiring and the pool is full; wait for the in-flight launch
+    if (launching) await launching;
+    else launching = launch().finally(() => (launching = null));
+  }
+}
+
+// ------------------------------
+// Public API
+// ------------------------------
+
+/**
+ * Get an isolated browser context from the pool.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.userAgent]
+ * @returns {Promise<{
+ *   context: import("playwright").BrowserContext,
+ *   browserId: number,
+ *   isAlive: () => boolean,
+ *   release: () => Promise<void>,
+ * }>}
+ */
+async function acquireContext({ userAgent } = {}) {
+  const entry = await pickEntry();
+  entry.active += 1;
+
+  let context;
+  try {
+    context = await entry.browser.newContext({ userAgent });
+  } catch (e) {
+    entry.active -= 1;
+    // A browser that can't open contexts is no use to anyone
+    retire(entry);
+    throw e;
+  }
+
+  counters.contexts += 1;
+  let closed = false;
+  context.on("close", () => {
+    closed = true;
+  });
+  context.on("page", () => {
+    entry.pages += 1;
+    counters.pages += 1;
+    if (entry.pages >= BROWSER_MAX_PAGES) retire(entry);
+  });
+
+  let released = false;
+  return {
+    context,
+    browserId: entry.id,
+    // False once the browser crashed/disconnected or the context closed; release and acquire again
+    isAlive: () => !closed && entry.browser.isConnected(),
+    release: async () => {
+      if (released) return;
+      released = true;
+      await context.close().catch(() => {});
+      entry.active -= 1;
+      if (entry.retiring && entry.active === 0 && entries.includes(entry)) {
+        await closeEntry(entry, "recycled");
+      }
+    },
+  };
+}
+
+/**
+ * Close every browser (worker shutdown).
+ */
+async function closePool() {
+  if (healthTimer) clearInterval(healthTimer);
+  healthTimer = null;
+  await Promise.all([...entries].map((e) => closeEntry(e, "shutdown")));
+}
+
+module.exports = {
+  acquireContext,
+  closePool,
+  poolHealth,
+};
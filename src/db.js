@@ -4,6 +4,7 @@
 // Safe for repeated ANT-Capsulizer runs
 // ------------------------------------------
 const mysql = require("mysql2/promise");
+const crypto = require("crypto");
 
 const pool = mysql.createPool({
   host: process.env.DB_HOST,
@@ -14,6 +15,15 @@ const pool = mysql.createPool({
   connectionLimit: 10,
 });
 
+// Convert ISO timestamp to MySQL DATETIME (no Z, no ms)
+function toMysqlDatetime(iso) {
+  return iso.replace("T", " ").replace("Z", "").split(".")[0];
+}
+
+function urlHash(url) {
+  return crypto.createHash("sha256").update(url, "utf8").digest("hex");
+}
+
 // -----------------------------------------------------
 // Upsert or fetch existing node (owner_slug + domain)
 // -----------------------------------------------------
@@ -53,11 +63,7 @@ async function insertCapsule(
   harvested_at,
   status = "ok"
 ) {
-  // Convert ISO timestamp to MySQL DATETIME (no Z, no ms)
-  const formatted = harvested_at
-    .replace("T", " ")
-    .replace("Z", "")
-    .split(".")[0];
+  const formatted = toMysqlDatetime(harvested_at);
 
   await pool.query(
     `
@@ -73,6 +79,87 @@ async function insertCapsule(
   );
 }
 
+// -----------------------------------------------------
+// Per-URL recrawl state (validators + content hash)
+// -----------------------------------------------------
+async function getPageState(node_id, url) {
+  const [rows] = await pool.query(
+    `
+    SELECT etag, last_modified, content_hash, fingerprint, pipeline_version, outlinks, fetched_at, checked_at
+    FROM page_states
+    WHERE node_id = ? AND url_hash = ?
+    LIMIT 1
+    `,
+    [node_id, urlHash(url)]
+  );
+  const row = rows[0];
+  if (!row) return null;
+
+  // mysql2 returns JSON columns parsed; tolerate TEXT-backed installs
+  if (typeof row.outlinks === "string") {
+    try {
+      row.outlinks = JSON.parse(row.outlinks);
+    } catch {
+      row.outlinks = null;
+    }
+  }
+  return row;
+}
+
+// Record a processed page (new content)
+async function upsertPageState(
+  node_id,
+  url,
+  { etag = null, lastModified = null, contentHash, fingerprint, pipelineVersion = null, outlinks = null, fetchedAt }
+) {
+  const formatted = toMysqlDatetime(fetchedAt);
+
+  await pool.query(
+    `
+    INSERT INTO page_states
+      (node_id, url, url_hash, etag, last_modified, content_hash, fingerprint, pipeline_version, outlinks,
+       fetched_at, checked_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      etag = VALUES(etag),
+      last_modified = VALUES(last_modified),
+      content_hash = VALUES(content_hash),
+      fingerprint = VALUES(fingerprint),
+      pipeline_version = VALUES(pipeline_version),
+      outlinks = VALUES(outlinks),
+      fetched_at = VALUES(fetched_at),
+      checked_at = VALUES(checked_at)
+    `,
+    [
+      node_id,
+      url,
+      urlHash(url),
+      etag,
+      lastModified,
+      contentHash,
+      fingerprint,
+      pipelineVersion,
+      outlinks ? JSON.stringify(outlinks) : null,
+      formatted,
+      formatted,
+    ]
+  );
+}
+
+// Record a recheck that found the page unchanged (validators may rotate)
+async function touchPageState(node_id, url, { etag = null, lastModified = null, checkedAt }) {
+  await pool.query(
+    `
+    UPDATE page_states
+    SET etag = COALESCE(?, etag),
+        last_modified = COALESCE(?, last_modified),
+        checked_at = ?
+    WHERE node_id = ? AND url_hash = ?
+    `,
+    [etag, lastModified, toMysqlDatetime(checkedAt), node_id, urlHash(url)]
+  );
+}
+
 // -----------------------------------------------------
 // Optional helper: run arbitrary read query
 // -----------------------------------------------------
@@ -88,5 +175,8 @@ module.exports = {
   pool,
   upsertNode,
   insertCapsule,
+  getPageState,
+  upsertPageState,
+  touchPageState,
   query,
 };
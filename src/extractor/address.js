@@ -0,0 +1,221 @@
+// src/extractor/address.js
+// Postal-address parsing into schema.org PostalAddress parts, for the common national formats.
+//
+// Usage:
+//   const { parseAddress } = require("./extractor/address");
+//   parseAddress("Friedrichstraße 123\n10117 Berlin\nDeutschland")
+//   // -> { value: { "@type": "PostalAddress", streetAddress: "Friedrichstraße 123", postalCode: "10117",
+//   //              addressLocality: "Berlin", addressCountry: "DE" }, format: "postcode-city" }
+//   parseAddress("10 Downing St, London SW1A 2AA")                    // format "gb"
+//   parseAddress("1 George St, Sydney NSW 2000", { country: "AU" })  // format "au"
+//
+// The input is split into segments (lines / commas); each format recognises the segment holding
+// the postal code (plus locality/region), and the street is the nearest earlier segment with a
+// house number. Ambiguous formats ("12345 City" is DE, FR, ES, IT, FI...) take their country from a
+// country name in the text, a "D-"/"CH-" postcode prefix, or the page's country signal, in that order;
+// with none of those the parts are still returned, without addressCountry.
+
+const US_STATES = new Set(
+  (
+    "AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY " +
+    "NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY PR GU VI"
+  ).split(" ")
+);
+const CA_PROVINCES = "AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT";
+const AU_STATES = "NSW|VIC|QLD|SA|WA|TAS|NT|ACT";
+
+// Country names (English + local) -> ISO 3166-1 alpha-2
+const COUNTRY_NAMES = {
+  "united states": "US", "united states of america": "US", usa: "US", "u.s.a.": "US", us: "US",
+  canada: "CA",
+  "united kingdom": "GB", uk: "GB", "great britain": "GB", england: "GB", scotland: "GB", wales: "GB",
+  "northern ireland": "GB",
+  ireland: "IE", éire: "IE",
+  germany: "DE", deutschland: "DE",
+  austria: "AT", österreich: "AT",
+  switzerland: "CH", schweiz: "CH", suisse: "CH", svizzera: "CH",
+  france: "FR",
+  belgium: "BE", belgië: "BE", belgique: "BE",
+  netherlands: "NL", "the netherlands": "NL", nederland: "NL", holland: "NL",
+  luxembourg: "LU",
+  spain: "ES", españa: "ES",
+  portugal: "PT",
+  italy: "IT", italia: "IT",
+  denmark: "DK", danmark: "DK",
+  norway: "NO", norge: "NO",
+  sweden: "SE", sverige: "SE",
+  finland: "FI", suomi: "FI",
+  poland: "PL", polska: "PL",
+  australia: "AU",
+  "new zealand": "NZ",
+  singapore: "SG",
+  india: "IN",
+  japan: "JP", 日本: "JP",
+};
+
+// Postcode prefixes used in European addresses ("D-10117 Berlin", "CH-8001 Zürich")
+const POSTCODE_PREFIXES = { D: "DE", A: "AT", CH: "CH", F: "FR", B: "BE", L: "LU", I: "IT", E: "ES", NL: "NL", DK: "DK" };
+
+const LOCALITY = "(\\p{L}[\\p{L}\\p{M}\\s.'()/-]{1,40}?)";
+
+// Each format matches one segment; `countries` are the countries that write addresses this way
+const FORMATS = [
+  {
+    id: "us",
+    countries: ["US"],
+    re: new RegExp(`^(?:${LOCALITY},?\\s+)?([A-Z]{2})\\s+(\\d{5}(?:-\\d{4})?)$`, "u"),
+    parts: (m) => (US_STATES.has(m[2]) ? { addressLocality: m[1], addressRegion: m[2], postalCode: m[3] } : null),
+  },
+  {
+    id: "ca",
+    countries: ["CA"],
+    re: new RegExp(`^(?:${LOCALITY},?\\s+)?(${CA_PROVINCES})\\s+([A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d)$`, "u"),
+    parts: (m) => ({ addressLocality: m[1], addressRegion: m[2], postalCode: m[3] }),
+  },
+  {
+    id: "au",
+    countries: ["AU"],
+    re: new RegExp(`^(?:${LOCALITY},?\\s+)?(${AU_STATES})\\s+(\\d{4})$`, "u"),
+    parts: (m) => ({ addressLocality: m[1], addressRegion: m[2], postalCode: m[3] }),
+  },
+  {
+    id: "gb",
+    countries: ["GB"],
+    re: new RegExp(`^(?:${LOCALITY},?\\s+)?([A-Z]{1,2}\\d[A-Z\\d]?\\s?\\d[ABD-HJLNP-UW-Z]{2})$`, "u"),
+    parts: (m) => ({ addressLocality: m[1], postalCode: m[2] }),
+  },
+  {
+    id: "nl",
+    countries: ["NL"],
+    re: new RegExp(`^(?:NL-)?(\\d{4}\\s?[A-Z]{2})\\s+${LOCALITY}$`, "u"),
+    parts: (m) => ({ postalCode: m[1], addressLocality: m[2] }),
+  },
+  {
+    id: "se",
+    countries: ["SE"],
+    re: new RegExp(`^(?:SE-)?(\\d{3}\\s\\d{2})\\s+${LOCALITY}$`, "u"),
+    parts: (m) => ({ postalCode: m[1], addressLocality: m[2] }),
+  },
+  {
+    id: "pl",
+    countries: ["PL"],
+    re: new RegExp(`^(\\d{2}-\\d{3})\\s+${LOCALITY}$`, "u"),
+    parts: (m) => ({ postalCode: m[1], addressLocality: m[2] }),
+  },
+  {
+    id: "pt",
+    countries: ["PT"],
+    re: new RegExp(`^(\\d{4}-\\d{3})\\s+${LOCALITY}$`, "u"),
+    parts: (m) => ({ postalCode: m[1], addressLocality: m[2] }),
+  },
+  {
+    id: "jp",
+    countries: ["JP"],
+    re: /^〒\s?(\d{3}-?\d{4})\s*(.*)$/u,
+    // Japanese addresses run large-to-small after the postcode; keep the remainder as the street
+    parts: (m) => ({ postalCode: m[1], streetAddress: m[2] || undefined }),
+  },
+  {
+    id: "postcode-city",
+    countries: ["DE", "FR", "ES", "IT", "FI", "AT", "CH", "BE", "DK", "NO", "LU"],
+    re: new RegExp(`^(?:([A-Z]{1,2})-)?(\\d{4,5})\\s+${LOCALITY}$`, "u"),
+    parts: (m) => ({ postalCode: m[2], addressLocality: m[3], prefix: m[1] }),
+    // Five digits: DE/FR/ES/IT/FI; four digits: AT/CH/BE/DK/NO/LU
+    fits: (country, p) => (p.postalCode.length === 5) === ["DE", "FR", "ES", "IT", "FI"].includes(country),
+  },
+  {
+    id: "city-postcode",
+    countries: ["SG", "IN", "NZ"],
+    re: new RegExp(`^${LOCALITY}\\s*-?\\s*(\\d{4}|\\d{6})$`, "u"),
+    parts: (m) => ({ addressLocality: m[1], postalCode: m[2] }),
+    fits: (country, p) => (p.postalCode.length === 4) === (country === "NZ"),
+  },
+];
+
+const trim = (s) => (s == null ? s : String(s).replace(/\s+/g, " ").trim());
+
+function countryFromName(segment) {
+  return COUNTRY_NAMES[trim(segment).toLowerCase().replace(/\.$/, "")] || null;
+}
+
+function looksLikeStreet(segment) {
+  // "221B Baker Street", "Friedrichstraße 123", "Via Roma 1/A", "Unit 4, 12 High St"
+  return /\p{L}{2,}/u.test(segment) && /(^|\s)\d{1,5}[a-z]?(\s|\/|$|-\d)/iu.test(segment) && segment.length <= 80;
+}
+
+function pickCountry(format, parts, hints) {
+  const candidates = format.countries;
+  const fits = (c) => candidates.includes(c) && (!format.fits || format.fits(c, parts));
+  // City-states name themselves ("Singapore 048616")
+  const locality = parts.addressLocality && countryFromName(parts.addressLocality);
+  for (const c of [hints.named, locality, POSTCODE_PREFIXES[parts.prefix], hints.page]) {
+    if (c && fits(c)) return c;
+  }
+  const fitting = candidates.filter(fits);
+  return fitting.length === 1 ? fitting[0] : null;
+}
+
+/**
+ * Parse an address block into PostalAddress parts.
+ *
+ * @param {string|string[]} input text of an <address>/footer block, or its lines
+ * @param {object} [opts]
+ * @param {string} [opts.country] the page's country signal (ISO 3166-1 alpha-2), used to disambiguate
+ * @param {boolean} [opts.requireStreet] only accept a match with a street line (for footers/body text,
+ *   where "© 2024 Acme" would otherwise read as postcode + city)
+ * @returns {{ value: object, format: string }|null}
+ */
+function parseAddress(input, opts = {}) {
+  const segments = []
+    .concat(input || [])
+    .flatMap((l) => String(l).split(/\n|,|\s[|·•]\s/))
+    .map(trim)
+    .filter(Boolean);
+  if (!segments.length) return null;
+
+  const named = segments.map(countryFromName).find(Boolean) || null;
+  const hints = { named, page: opts.country ? String(opts.country).toUpperCase() : null };
+
+  // Formats that can serve the hinted country go first; the rest still get a chance
+  const hinted = hints.named || hints.page;
+  const formats = hinted
+    ? [...FORMATS.filter((f) => f.countries.includes(hinted)), ...FORMATS.filter((f) => !f.countries.includes(hinted))]
+    : FORMATS;
+
+  for (const format of formats) {
+    for (let i = 0; i < segments.length; i++) {
+      const m = segments[i].match(format.re);
+      if (!m) continue;
+      const parts = format.parts(m);
+      if (!parts) continue;
+
+      // An ambiguous postcode without any country signal still parses, just without addressCountry
+      const country = pickCountry(format, parts, hints);
+
+      // Locality may sit in its own segment before the postcode ("London", "SW1A 2AA")
+      let j = i - 1;
+      if (!parts.addressLocality && j >= 0 && !looksLikeStreet(segments[j]) && !countryFromName(segments[j])) {
+        parts.addressLocality = segments[j];
+        j -= 1;
+      }
+      if (!parts.streetAddress) {
+        const k = [j, j - 1].find((n) => n >= 0 && looksLikeStreet(segments[n]));
+        if (k != null) parts.streetAddress = segments[k];
+      }
+      if (!parts.streetAddress && (opts.requireStreet || !parts.addressLocality)) continue;
+
+      const value = { "@type": "PostalAddress" };
+      for (const key of ["streetAddress", "addressLocality", "addressRegion", "postalCode"]) {
+        if (parts[key]) value[key] = trim(parts[key]);
+      }
+      if (country) value.addressCountry = country;
+      return { value, format: format.id };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseAddress,
+  countryFromName,
+};
@@ -1,22 +1,13 @@
 // src/extractor/business.js
-const cheerio = require('cheerio');
-const { trimAny } = require('../normalize');
+const {
+  parseHTML, guessName, guessDescription, guessLogo, guessPhone, guessAddress, socialLinks,
+} = require('./html-utils');
+const { detectCountry } = require('./locale');
 
 function extractBusinessCapsule(html, url, owner_slug) {
-  const $ = cheerio.load(html);
-  const name = $('meta[property="og:site_name"]').attr('content') ||
-               $('h1').first().text().trim() ||
-               $('title').text().trim();
-  const description = $('meta[name="description"]').attr('content') || '';
-  const logo = $('img[alt*="logo" i]').attr('src') ||
-               $('link[rel="icon"]').attr('href') || null;
-  const telephone = $('a[href^="tel:"]').attr('href')?.replace(/^tel:/,'') || null;
-  const address = $('address').first().text().trim() || null;
-  const social = [];
-  $('a[href]').each((i,a)=>{
-    const h = $(a).attr('href');
-    if(/facebook|instagram|x\.com|twitter|linkedin/i.test(h)) social.push(h);
-  });
+  const $ = parseHTML(html);
+  const value = (ev) => (ev ? ev.value : null);
+  const { country } = detectCountry($, url);
 
   return {
     "@context": "https://agentnet.ai/context",
@@ -24,12 +15,12 @@ function extractBusinessCapsule(html, url, owner_slug) {
     "@id": `agentnet://resolver/${owner_slug}#${Date.now()}`,
     "agentnet:sourceUrl": url,
     "agentnet:owner": owner_slug,
-    "name": trimAny(name),
-    "description": trimAny(description),
-    "logo": logo,
-    "telephone": telephone,
-    "address": address,
-    "sameAs": social,
+    "name": value(guessName($, url)),
+    "description": value(guessDescription($)) || '',
+    "logo": value(guessLogo($, url)),
+    "telephone": value(guessPhone($, { country })),
+    "address": value(guessAddress($, { country })),
+    "sameAs": value(socialLinks($, url)) || [],
     "agentnet:harvestedAt": new Date().toISOString()
   };
 }
@@ -0,0 +1,202 @@
+// src/extractor/dates.js
+// Calendar dates, times and durations as written on pages, into ISO 8601.
+//
+// Usage:
+//   const { findDates, parseDate, parseDuration } = require("./extractor/dates");
+//   findDates("Sat, March 14, 2026 · 7:30 PM – 11 PM")
+//   // -> [{ start: "2026-03-14T19:30", end: "2026-03-14T23:00", raw: "March 14, 2026 · 7:30 PM – 11 PM" }]
+//   findDates("14.–16. Mai 2026")                 // -> [{ start: "2026-05-14", end: "2026-05-16", raw }]
+//   parseDate("2026-03-14T19:30:00+01:00")        // -> "2026-03-14T19:30:00+01:00" (ISO input is kept)
+//   parseDuration("1 hr 20 mins")                 // -> "PT1H20M"
+//
+// Month names are read in English, German, French, Spanish, Italian and Dutch. Numeric dates only
+// in ISO (2026-03-14) or day-first dotted form (14.03.2026): "03/04/2026" means different days in
+// different locales. A date without a year is skipped, since listings mix past and future dates.
+
+// month word -> 1-12; abbreviations may carry a trailing "."
+const MONTH_WORDS = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+  july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+  november: 11, nov: 11, december: 12, dec: 12,
+  // de
+  januar: 1, februar: 2, märz: 3, maerz: 3, mai: 5, juni: 6, juli: 7, oktober: 10, okt: 10, dezember: 12, dez: 12,
+  // fr
+  janvier: 1, février: 2, fevrier: 2, mars: 3, avril: 4, juin: 6, juillet: 7, août: 8, aout: 8,
+  septembre: 9, octobre: 10, novembre: 11, décembre: 12, decembre: 12,
+  // es
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, septiembre: 9,
+  octubre: 10, noviembre: 11, diciembre: 12,
+  // it
+  gennaio: 1, febbraio: 2, aprile: 4, maggio: 5, giugno: 6, luglio: 7, settembre: 9, ottobre: 10, dicembre: 12,
+  // nl
+  januari: 1, februari: 2, maart: 3, mei: 5, augustus: 8,
+};
+
+const MONTH = `(${Object.keys(MONTH_WORDS)
+  .sort((a, b) => b.length - a.length)
+  .join("|")})\\.?`;
+const ORD = "(?:st|nd|rd|th|er|\\.)?";
+const DASH = "\\s*(?:[-–—]|to|bis|au|al)\\s*";
+
+// Each pattern: regex + reader returning { y, m, d, endM?, endD? }
+const DATE_PATTERNS = [
+  // March 14, 2026 / Mar 14–16, 2026 / March 30 - April 2, 2026
+  [
+    new RegExp(`\\b${MONTH}\\s+(\\d{1,2})${ORD}(?:${DASH}(?:${MONTH}\\s+)?(\\d{1,2})${ORD})?,?\\s+(\\d{4})\\b`, "giu"),
+    (m) => ({ y: m[5], m: m[1], d: m[2], endM: m[3] || m[1], endD: m[4] }),
+  ],
+  // 14 March 2026 / 14.–16. Mai 2026 / 14 de marzo de 2026
+  [
+    new RegExp(
+      `\\b(\\d{1,2})${ORD}(?:${DASH}(\\d{1,2})${ORD})?\\s+(?:de\\s+)?${MONTH}(?:\\s+de)?,?\\s+(\\d{4})\\b`,
+      "giu"
+    ),
+    (m) => ({ y: m[4], m: m[3], d: m[1], endM: m[3], endD: m[2] }),
+  ],
+  // 2026-03-14 (a time part is read by the time pattern below)
+  [/\b(\d{4})-(\d{2})-(\d{2})(?=\b|T)/g, (m) => ({ y: m[1], m: m[2], d: m[3] })],
+  // 14.03.2026
+  [/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g, (m) => ({ y: m[3], m: m[2], d: m[1] })],
+];
+
+// 7pm, 7:30 PM, 19:30, 19h30, 19.30 Uhr; optionally "– 11 PM"
+const TIME = "(\\d{1,2})(?:[:.h](\\d{2}))?\\s*([ap]\\.?\\s?m\\.?|uhr|h\\b)?";
+const TIME_RE = new RegExp(
+  `^(?:T|[\\s,·|@–—-]+(?:at\\s+|um\\s+|à\\s+|from\\s+|doors\\s+)?)${TIME}(?:${DASH}${TIME})?`,
+  "i"
+);
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function monthNumber(token) {
+  if (/^\d+$/.test(String(token))) return Number(token);
+  return MONTH_WORDS[String(token).toLowerCase().replace(/\.$/, "")] || null;
+}
+
+function isoDate(y, m, d) {
+  const year = Number(y);
+  const month = monthNumber(m);
+  const day = Number(d);
+  if (!month || !day) return null;
+  const dt = new Date(Date.UTC(year, month - 1, day));
+  if (dt.getUTCMonth() !== month - 1 || dt.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// "7", "30", "pm" -> minutes past midnight, or null. A bare hour needs a marker or minutes.
+function clock(h, min, marker) {
+  let hour = Number(h);
+  const minutes = min ? Number(min) : 0;
+  const mk = (marker || "").toLowerCase().replace(/[.\s]/g, "");
+  if (!mk && min == null) return null;
+  if (mk === "am" || mk === "pm") {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (mk === "pm" ? 12 : 0);
+  }
+  if (hour > 23 || minutes > 59) return null;
+  return hour * 60 + minutes;
+}
+
+const fmtClock = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+// Times right after a date: "· 7:30 PM – 11 PM" -> { start, end, length }
+function readTimes(after) {
+  const m = after.match(TIME_RE);
+  if (!m) return null;
+  const [, h1, m1, ap1, h2, m2, ap2] = m;
+  // "7 - 11 PM": the first time shares the second's marker
+  const start = clock(h1, m1, ap1 || (h2 && ap2 && /[ap]/i.test(ap2) ? ap2 : null));
+  if (start == null) return null;
+  const end = h2 ? clock(h2, m2, ap2) : null;
+  return { start: fmtClock(start), end: end == null ? null : fmtClock(end), length: m[0].length };
+}
+
+/**
+ * Every date (or date range) in free text, in order of appearance.
+ *
+ * @param {string} text
+ * @returns {Array<{ start: string, end: string|null, raw: string, index: number }>} ISO dates,
+ *   with "THH:MM" when a time follows the date
+ */
+function findDates(text) {
+  const t = String(text || "");
+  const hits = [];
+  for (const [re, read] of DATE_PATTERNS) {
+    for (const m of t.matchAll(re)) {
+      const p = read(m);
+      const start = isoDate(p.y, p.m, p.d);
+      if (!start) continue;
+      const end = p.endD ? isoDate(p.y, p.endM, p.endD) : null;
+      hits.push({ start, end: end && end > start ? end : null, index: m.index, length: m[0].length });
+    }
+  }
+
+  // Earliest, then longest match wins; overlapping matches are dropped
+  hits.sort((a, b) => a.index - b.index || b.length - a.length);
+  const out = [];
+  let cursor = 0;
+  for (const hit of hits) {
+    if (hit.index < cursor) continue;
+    let { start, end, length } = hit;
+    const times = readTimes(t.slice(hit.index + length, hit.index + length + 40));
+    if (times) {
+      const day = start;
+      start = `${day}T${times.start}`;
+      if (times.end) end = `${end || day}T${times.end}`;
+      length += times.length;
+    }
+    out.push({ start, end: end || null, raw: t.slice(hit.index, hit.index + length).trim(), index: hit.index });
+    cursor = hit.index + length;
+  }
+  return out;
+}
+
+/**
+ * One date from an attribute or label value: ISO input is returned unchanged, anything else is
+ * read with findDates. Null when no dated day is found.
+ */
+function parseDate(value) {
+  const s = String(value ?? "").trim();
+  if (/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(s)) {
+    return isoDate(s.slice(0, 4), s.slice(5, 7), s.slice(8, 10)) ? s.replace(" ", "T") : null;
+  }
+  return findDates(s)[0]?.start || null;
+}
+
+const DURATION_UNITS = [
+  [/^(d|days?|tage?n?|jours?|d[ií]as?|giorni|dagen)$/i, "D"],
+  [/^(h|hrs?|hours?|std|stunden?|heures?|horas?|ore|uur)$/i, "H"],
+  [/^(m|mins?|minutes?|minuten?|minutos?|minuti)$/i, "M"],
+];
+
+/**
+ * "1 hr 20 mins", "45 minutes", "1.5 hours" -> ISO 8601 duration ("PT1H20M"); ISO input is kept.
+ */
+function parseDuration(value) {
+  const s = String(value ?? "").trim();
+  if (/^P(?=.*\d)(\d+D)?(T(\d+H)?(\d+M)?(\d+S)?)?$/i.test(s)) return s.toUpperCase();
+
+  let minutes = 0;
+  let found = false;
+  for (const m of s.matchAll(/(\d+(?:[.,]\d+)?)\s*([a-zäéí]+)\.?/giu)) {
+    const unit = DURATION_UNITS.find(([re]) => re.test(m[2]));
+    if (!unit) continue;
+    const n = Number(m[1].replace(",", "."));
+    minutes += n * { D: 1440, H: 60, M: 1 }[unit[1]];
+    found = true;
+  }
+  if (!found || minutes <= 0) return null;
+
+  minutes = Math.round(minutes);
+  const d = Math.floor(minutes / 1440);
+  const h = Math.floor((minutes % 1440) / 60);
+  const min = minutes % 60;
+  const time = `${h ? `${h}H` : ""}${min ? `${min}M` : ""}`;
+  return `P${d ? `${d}D` : ""}${time ? `T${time}` : ""}`;
+}
+
+module.exports = {
+  findDates,
+  parseDate,
+  parseDuration,
+};
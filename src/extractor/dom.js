@@ -0,0 +1,178 @@
+// src/extractor/dom.js
+// DOM-evidence stage: registered cheerio extractors that run on every page.
+//
+// Usage:
+//   const { runDomExtractors, registerDomExtractor } = require("./extractor/dom");
+//   const dom = runDomExtractors(html, url, { capturedAt });
+//   dom.fields["agentnet:telephone"] // -> { value, confidence, appliesTo, provenance: { evidenceType: "dom", ... } }
+//
+// An extractor is { name, field, confidence, appliesTo?, extract($, url, ctx) -> { value, selector, method, details? } | null },
+// where ctx.country is the page's country signal (extractor/locale.js) and ctx.capturedAt the capture time.
+// `confidence` is a number or a function of the evidence; `details` is copied into the provenance.
+// `appliesTo` (list of type names) limits which capsule types the field is merged into;
+// without it the field applies to every page. Extractor failures are recorded, never thrown.
+
+const {
+  parseHTML,
+  guessLogo,
+  guessPhone,
+  guessEmail,
+  guessAddress,
+  guessHours,
+  socialLinks,
+} = require("./html-utils");
+const { detectCountry } = require("./locale");
+const { parseOpeningHours } = require("./hours");
+
+// Contact details in headers/footers describe the site owner, not e.g. a product
+const BUSINESS_TYPES = ["Organization", "LocalBusiness", "Store", "Restaurant", "Place"];
+
+const extractors = [];
+
+/**
+ * Add an extractor to the stage. A later registration for the same field replaces the earlier one.
+ */
+function registerDomExtractor(def) {
+  if (!def || typeof def.extract !== "function" || !def.field) {
+    throw new Error("registerDomExtractor: { field, extract } are required");
+  }
+  const i = extractors.findIndex((e) => e.field === def.field);
+  const entry = { confidence: 0.6, appliesTo: null, name: def.field, ...def };
+  if (i === -1) extractors.push(entry);
+  else extractors[i] = entry;
+}
+
+function listDomExtractors() {
+  return extractors.map(({ name, field, confidence, appliesTo }) => ({ name, field, confidence, appliesTo }));
+}
+
+/**
+ * Run every registered extractor against a page.
+ *
+ * @param {string} html
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.capturedAt] ISO timestamp; default now
+ * @returns {{
+ *   fields: Record<string, { value: any, confidence: number, appliesTo: string[]|null, provenance: object }>,
+ *   errors: Array<{ extractor: string, message: string }>,
+ *   country: { country: string|null, signals: object[] },
+ * }}
+ */
+function runDomExtractors(html, url, opts = {}) {
+  const capturedAt = opts.capturedAt || new Date().toISOString();
+  const $ = parseHTML(html);
+  const fields = {};
+  const errors = [];
+  const country = detectCountry($, url);
+  const ctx = { country: country.country, capturedAt };
+
+  for (const ex of extractors) {
+    try {
+      const ev = ex.extract($, url, ctx);
+      if (!ev || ev.value == null || (Array.isArray(ev.value) && !ev.value.length)) continue;
+
+      const confidence = typeof ex.confidence === "function" ? ex.confidence(ev) : ex.confidence;
+      fields[ex.field] = {
+        value: ev.value,
+        confidence,
+        appliesTo: ex.appliesTo,
+        provenance: {
+          sourceUrl: url,
+          capturedAt,
+          evidenceType: "dom",
+          extractor: ex.name,
+          method: ev.method || ex.name,
+          selector: ev.selector || null,
+          ...(ev.details ? { details: ev.details } : {}),
+        },
+      };
+    } catch (e) {
+      errors.push({ extractor: ex.name, message: e.message });
+    }
+  }
+
+  return { fields, errors, country };
+}
+
+// ------------------------------
+// Built-in extractors
+// ------------------------------
+// Structured hits (tel:/mailto: links, <address>) score above body-text regex matches.
+const byMethod = (scores, fallback) => (ev) => scores[ev.method] ?? fallback;
+
+registerDomExtractor({
+  name: "logo",
+  field: "agentnet:logo",
+  extract: ($, url) => guessLogo($, url),
+  confidence: byMethod({ "img-alt-logo": 0.75, "img-logo-class": 0.7 }, 0.5),
+});
+
+registerDomExtractor({
+  name: "social-links",
+  field: "agentnet:sameAs",
+  extract: ($, url) => socialLinks($, url),
+  confidence: 0.8,
+});
+
+// Without a page-level country signal, the address's country reads national-format numbers
+const pageCountry = ($, ctx) => ctx.country || guessAddress($)?.value?.addressCountry || null;
+
+registerDomExtractor({
+  name: "telephone",
+  field: "agentnet:telephone",
+  extract: ($, url, ctx) => {
+    const ev = guessPhone($, { country: pageCountry($, ctx) });
+    return ev && { ...ev, details: { raw: ev.raw, country: ev.country } };
+  },
+  confidence: byMethod({ "tel-link": 0.85 }, 0.75),
+  appliesTo: BUSINESS_TYPES,
+});
+
+registerDomExtractor({
+  name: "email",
+  field: "agentnet:email",
+  extract: ($) => guessEmail($),
+  confidence: byMethod({ "mailto-link": 0.9 }, 0.8),
+  appliesTo: BUSINESS_TYPES,
+});
+
+registerDomExtractor({
+  name: "address",
+  field: "agentnet:address",
+  extract: ($, url, ctx) => {
+    const ev = guessAddress($, ctx);
+    return ev && (ev.format ? { ...ev, details: { format: ev.format } } : ev);
+  },
+  confidence: byMethod({ "address-element": 0.6 }, 0.75),
+  appliesTo: BUSINESS_TYPES,
+});
+
+// Candidate lines are parsed into OpeningHoursSpecification; confidence tracks how many parsed
+registerDomExtractor({
+  name: "opening-hours",
+  field: "agentnet:openingHoursSpecification",
+  extract: ($, url, ctx) => {
+    const ev = guessHours($);
+    if (!ev) return null;
+    // Year-less holidays are placed relative to the capture, so a replay parses them the same way
+    const parsed = parseOpeningHours(ev.value, { referenceDate: ctx.capturedAt });
+    if (!parsed.specs.length) return null;
+    return {
+      value: parsed.specs,
+      selector: ev.selector,
+      method: ev.method,
+      confidence: parsed.confidence,
+      details: { lines: ev.value, holidays: parsed.holidays, unparsed: parsed.unparsed },
+    };
+  },
+  confidence: (ev) => Math.min(ev.confidence, ev.method === "hours-lines" ? 0.7 : 0.85),
+  appliesTo: BUSINESS_TYPES,
+});
+
+module.exports = {
+  registerDomExtractor,
+  listDomExtractors,
+  runDomExtractors,
+  BUSINESS_TYPES,
+};
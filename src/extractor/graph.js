@@ -0,0 +1,340 @@
+// src/extractor/graph.js
+// Normalize asserted blocks (JSON-LD, microdata, RDFa) into one consistent schema.org entity graph.
+//
+// Usage:
+//   const { normalizeBlocks } = require("./extractor/graph");
+//   const { blocks, stats } = normalizeBlocks([...jsonld.blocks, ...microdata.blocks]);
+//
+// Steps:
+// 1. expand every key/@type against the block's @context (bundled offline schema.org
+//    context, inline @vocab / prefixes / term aliases; remote non-schema.org contexts are not fetched)
+// 2. compact schema.org IRIs to bare terms ("schema:Product", "http://schema.org/Product" -> "Product")
+// 3. unwrap @graph containers and resolve @id against the page URL
+// 4. merge entities that share an @id (across scripts and syntaxes)
+// 5. inline {"@id": ...} references to known entities (Offer -> Product, author -> Person)
+// 6. drop exact duplicates of entities without an @id
+//
+// The bundled context (schemas/schemaorg.context.json) is a deliberate subset of the official
+// schema.org context: "@vocab" maps every bare term to schema.org, plus the schema/sdo/xsd/rdf/rdfs
+// prefixes and the id/type aliases. That covers compaction to bare terms, which is all this module
+// does; the official context's datatype coercions are not needed for it. Anything outside the subset
+// (CURIEs with an unknown prefix, non-schema.org IRIs, terms from remote contexts that are never
+// fetched) is kept as written and listed in stats.unresolvedTerms / stats.unfetchedContexts.
+
+const path = require("path");
+
+const SCHEMA_ORG = "https://schema.org/";
+const SCHEMA_ORG_RE = /^https?:\/\/(?:www\.)?schema\.org\/?/i;
+
+const BUNDLED_CONTEXT = require(path.join(__dirname, "../../schemas/schemaorg.context.json"))["@context"];
+
+// How deep inlined references may nest (guards against huge or cyclic graphs)
+const MAX_INLINE_DEPTH = 6;
+// Cap on the unresolved terms listed in stats
+const MAX_NOTED_TERMS = 50;
+
+function isObject(x) {
+  return x && typeof x === "object" && !Array.isArray(x);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ------------------------------
+// Context handling
+// ------------------------------
+function emptyContext() {
+  return { vocab: null, prefixes: {}, terms: {} };
+}
+
+// Blocks without any @context are read as schema.org (what every consumer assumes anyway)
+function defaultContext() {
+  return applyContextObject(emptyContext(), BUNDLED_CONTEXT);
+}
+
+function applyContextObject(ctx, def) {
+  const out = { vocab: ctx.vocab, prefixes: { ...ctx.prefixes }, terms: { ...ctx.terms } };
+  for (const [key, value] of Object.entries(def)) {
+    if (key === "@vocab") {
+      out.vocab = value || null;
+      continue;
+    }
+    if (key.startsWith("@")) continue;
+
+    const target = typeof value === "string" ? value : isObject(value) ? value["@id"] : null;
+    if (!target) continue;
+    if (/[/#:]$/.test(target) && !target.startsWith("@")) out.prefixes[key] = target;
+    else out.terms[key] = target;
+  }
+  return out;
+}
+
+/**
+ * Fold a block's @context into the active context. Remote contexts other than schema.org are
+ * recorded in notes.contexts (when given) and otherwise ignored.
+ */
+function resolveContext(raw, parent = defaultContext(), notes = null) {
+  if (raw == null) return parent;
+  if (Array.isArray(raw)) return raw.reduce((ctx, item) => resolveContext(item, ctx, notes), parent);
+  if (typeof raw === "string") {
+    // Only schema.org is available offline; other remote contexts leave terms as written
+    if (SCHEMA_ORG_RE.test(raw)) return applyContextObject(parent, BUNDLED_CONTEXT);
+    notes?.contexts.add(raw);
+    return parent;
+  }
+  if (isObject(raw)) return applyContextObject(parent, raw);
+  return parent;
+}
+
+/**
+ * Expand a term/CURIE/IRI and compact it back to a bare schema.org term when possible.
+ */
+function compactIri(term, ctx) {
+  if (typeof term !== "string" || term.startsWith("@")) return term;
+
+  let iri = term;
+  if (ctx.terms[term]) {
+    iri = ctx.terms[term];
+    if (iri.startsWith("@")) return iri;
+  }
+
+  const curie = iri.match(/^([A-Za-z_][\w.-]*):(?!\/\/)(.*)$/);
+  if (curie && ctx.prefixes[curie[1]]) iri = ctx.prefixes[curie[1]] + curie[2];
+  else if (!/^[a-z][\w+.-]*:/i.test(iri) && ctx.vocab && !SCHEMA_ORG_RE.test(ctx.vocab)) {
+    iri = ctx.vocab + iri;
+  }
+
+  return SCHEMA_ORG_RE.test(iri) ? iri.replace(SCHEMA_ORG_RE, "") : iri;
+}
+
+function absoluteId(id, baseUrl) {
+  if (typeof id !== "string" || id.startsWith("_:")) return id;
+  try {
+    return new URL(id, baseUrl).href;
+  } catch {
+    return id;
+  }
+}
+
+// schema.org enumeration IRIs -> canonical https form ("http://schema.org/InStock" -> "https://schema.org/InStock")
+function normalizeValue(value) {
+  if (typeof value === "string" && SCHEMA_ORG_RE.test(value) && value.replace(SCHEMA_ORG_RE, "")) {
+    return SCHEMA_ORG + value.replace(SCHEMA_ORG_RE, "");
+  }
+  return value;
+}
+
+// A compacted key/type that still has a scheme or prefix did not resolve to schema.org
+const isUnresolved = (term) => typeof term === "string" && !term.startsWith("@") && term.includes(":");
+
+/**
+ * Rewrite one node (recursively) into compact schema.org form.
+ * notes: { terms: Set, contexts: Set } collecting what fell outside the bundled context.
+ */
+function compactNode(node, ctx, baseUrl, notes) {
+  if (Array.isArray(node)) return node.map((n) => compactNode(n, ctx, baseUrl, notes));
+  if (!isObject(node)) return normalizeValue(node);
+
+  const local = node["@context"] ? resolveContext(node["@context"], ctx, notes) : ctx;
+  const out = {};
+
+  for (const [rawKey, value] of Object.entries(node)) {
+    if (rawKey === "@context") continue;
+    const key = compactIri(rawKey, local);
+    if (isUnresolved(key)) notes.terms.add(key);
+
+    if (key === "@type") {
+      const types = (Array.isArray(value) ? value : [value]).filter((t) => typeof t === "string");
+      const compacted = [...new Set(types.map((t) => compactIri(t, local)))];
+      compacted.filter(isUnresolved).forEach((t) => notes.terms.add(t));
+      if (compacted.length) out["@type"] = compacted.length === 1 ? compacted[0] : compacted;
+    } else if (key === "@id") {
+      out["@id"] = absoluteId(value, baseUrl);
+    } else if (key === "@graph") {
+      out["@graph"] = compactNode(Array.isArray(value) ? value : [value], local, baseUrl, notes);
+    } else {
+      const v = compactNode(value, local, baseUrl, notes);
+      out[key] = key in out ? [].concat(out[key], v) : v;
+    }
+  }
+  return out;
+}
+
+// ------------------------------
+// Entity graph
+// ------------------------------
+function isReference(node) {
+  return isObject(node) && typeof node["@id"] === "string" && Object.keys(node).length === 1;
+}
+
+function mergeEntity(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (!(key in target)) {
+      target[key] = value;
+    } else if (key === "@type") {
+      const types = [...new Set([].concat(target["@type"], value))];
+      target["@type"] = types.length === 1 ? types[0] : types;
+    } else if (isReference(target[key]) && !isReference(value)) {
+      // A full description beats a bare reference to the same thing
+      target[key] = value;
+    }
+    // Otherwise first seen wins
+  }
+  return target;
+}
+
+/**
+ * Register every identified node (at any depth) in the entity map.
+ */
+function registerEntities(node, entities) {
+  if (Array.isArray(node)) {
+    node.forEach((n) => registerEntities(n, entities));
+    return;
+  }
+  if (!isObject(node)) return;
+
+  if (typeof node["@id"] === "string" && !isReference(node)) {
+    const existing = entities.get(node["@id"]);
+    if (existing) mergeEntity(existing, node);
+    else entities.set(node["@id"], { ...node });
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== "@id" && key !== "@type") registerEntities(value, entities);
+  }
+}
+
+function inlineReferences(node, entities, stack = new Set(), depth = 0) {
+  if (Array.isArray(node)) return node.map((n) => inlineReferences(n, entities, stack, depth));
+  if (!isObject(node)) return node;
+
+  const id = node["@id"];
+  let current = node;
+  if (isReference(node) && entities.has(id) && !stack.has(id) && depth < MAX_INLINE_DEPTH) {
+    current = entities.get(id);
+  }
+
+  const nextStack = new Set(stack);
+  if (typeof id === "string") nextStack.add(id);
+
+  const out = {};
+  for (const [key, value] of Object.entries(current)) {
+    out[key] =
+      key === "@id" || key === "@type" ? value : inlineReferences(value, entities, nextStack, depth + 1);
+  }
+  return out;
+}
+
+function provenanceRef(p) {
+  if (!p) return null;
+  const keys = ["evidenceType", "snippetHash", "scriptIndex", "itemIndex", "resourceIndex"];
+  return Object.fromEntries(keys.filter((k) => p[k] !== undefined).map((k) => [k, p[k]]));
+}
+
+/**
+ * Normalize extractor blocks into a deduplicated, reference-resolved list.
+ *
+ * @param {Array<{ json: any, provenance: object }>} blocks
+ * @returns {{
+ *   blocks: Array<{ json: object, provenance: object }>,
+ *   stats: {
+ *     input: number, nodes: number, output: number, deduped: number, inlinedReferences: number,
+ *     unresolvedTerms: string[], unfetchedContexts: string[],
+ *   },
+ * }}
+ */
+function normalizeBlocks(blocks) {
+  const input = Array.isArray(blocks) ? blocks : [];
+  const notes = { terms: new Set(), contexts: new Set() };
+
+  // 1-3: compact and unwrap @graph / arrays into top-level nodes
+  const nodes = [];
+  for (const block of input) {
+    const baseUrl = block?.provenance?.sourceUrl;
+    const compacted = compactNode(block?.json, defaultContext(), baseUrl, notes);
+
+    const queue = Array.isArray(compacted) ? [...compacted] : [compacted];
+    while (queue.length) {
+      const n = queue.shift();
+      if (Array.isArray(n)) {
+        queue.push(...n);
+        continue;
+      }
+      if (!isObject(n)) continue;
+
+      if (Array.isArray(n["@graph"])) {
+        queue.push(...n["@graph"]);
+        const { "@graph": _graph, ...rest } = n;
+        // Keep a wrapper only if it describes something itself
+        if (Object.keys(rest).some((k) => k !== "@id")) nodes.push({ json: rest, provenance: block.provenance });
+        continue;
+      }
+      nodes.push({ json: n, provenance: block.provenance });
+    }
+  }
+
+  // 4: entity map over every identified node
+  const entities = new Map();
+  nodes.forEach((n) => registerEntities(n.json, entities));
+
+  // 5-6: emit one node per @id (first position wins) and one per distinct anonymous node
+  let inlinedReferences = 0;
+  const seen = new Map();
+  const out = [];
+  for (const { json, provenance } of nodes) {
+    if (isReference(json) && !entities.has(json["@id"])) continue;
+
+    const id = typeof json["@id"] === "string" ? json["@id"] : null;
+    const key = id ? `id:${id}` : `anon:${stableStringify(json)}`;
+
+    if (seen.has(key)) {
+      const kept = seen.get(key);
+      const ref = provenanceRef(provenance);
+      if (ref && ref.snippetHash !== kept.provenance?.snippetHash) {
+        kept.provenance = { ...kept.provenance, mergedFrom: [...(kept.provenance?.mergedFrom || []), ref] };
+      }
+      continue;
+    }
+
+    const source = id ? entities.get(id) || json : json;
+    const resolved = inlineReferences(source, entities);
+    inlinedReferences += countInlined(source, resolved);
+
+    const entry = { json: { "@context": "https://schema.org", ...resolved }, provenance: provenance || null };
+    seen.set(key, entry);
+    out.push(entry);
+  }
+
+  return {
+    blocks: out,
+    stats: {
+      input: input.length,
+      nodes: nodes.length,
+      output: out.length,
+      deduped: nodes.length - out.length,
+      inlinedReferences,
+      unresolvedTerms: [...notes.terms].sort().slice(0, MAX_NOTED_TERMS),
+      unfetchedContexts: [...notes.contexts].sort(),
+    },
+  };
+}
+
+function countInlined(before, after) {
+  if (Array.isArray(before)) return before.reduce((n, b, i) => n + countInlined(b, after?.[i]), 0);
+  if (!isObject(before)) return 0;
+  if (isReference(before)) return isReference(after) ? 0 : 1;
+  return Object.keys(before).reduce((n, k) => n + countInlined(before[k], after?.[k]), 0);
+}
+
+module.exports = {
+  normalizeBlocks,
+  compactIri,
+  resolveContext,
+};
@@ -0,0 +1,399 @@
+// src/extractor/hours.js
+// Parse human-written opening hours into schema.org OpeningHoursSpecification entries.
+//
+// Usage:
+//   const { parseOpeningHours } = require("./extractor/hours");
+//   const res = parseOpeningHours(["Mon-Fri 9am-5pm", "Sat 10:00–14:00", "Sun: Closed", "Dec 25: Closed"]);
+//   res.specs        // [{ "@type": "OpeningHoursSpecification", dayOfWeek: ["Monday", ...], opens: "09:00", closes: "17:00" }, ...]
+//   res.openingHours // ["Mo-Fr 09:00-17:00", "Sa 10:00-14:00"] (closed days are left out)
+//   res.confidence   // share of candidate lines that parsed, scaled to 0.5-0.9
+//
+// Handles day ranges/lists ("Mon-Fri", "Monday to Friday", "Tue, Thu & Sat", "Mo-Fr",
+// "weekdays", "daily"), 12/24-hour times ("9am", "9:30 PM", "17h00", "noon"), "closed",
+// "open 24 hours", split shifts ("11am-2pm, 5pm-10pm", or a times-only continuation line),
+// and dated holidays ("Dec 25: Closed", "12/24 10am-2pm", "Christmas Day closed").
+// Day names, "closed" and time separators are also recognized in German, French and Spanish
+// ("Mo.-Fr. 9-18 Uhr", "So geschlossen", "Lundi au vendredi 9h-18h", "Domingo: cerrado");
+// holiday names and month names are English only.
+// Closed days/holidays use opens = closes = "00:00" in the specs, per schema.org convention; the
+// openingHours strings omit them, since "Su 00:00-00:00" would read as open at midnight.
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const DAY_CODES = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+
+// Day names per language, Monday first. "mar" (Tuesday in French/Spanish) is left out: it
+// reads as March in "Mar 9-18".
+const DAY_NAMES = {
+  en: [["monday", "mon"], ["tuesday", "tues", "tue"], ["wednesday", "wed"], ["thursday", "thurs", "thur", "thu"],
+    ["friday", "fri"], ["saturday", "sat"], ["sunday", "sun"]],
+  de: [["montag"], ["dienstag"], ["mittwoch"], ["donnerstag"], ["freitag"], ["samstag", "sonnabend"], ["sonntag"]],
+  fr: [["lundi", "lun"], ["mardi"], ["mercredi", "mer"], ["jeudi", "jeu"], ["vendredi", "ven"], ["samedi", "sam"],
+    ["dimanche", "dim"]],
+  es: [["lunes"], ["martes"], ["miércoles", "miercoles", "mié", "mie"], ["jueves", "jue"], ["viernes", "vie"],
+    ["sábado", "sabado", "sáb", "sab"], ["domingo", "dom"]],
+};
+// Two-letter codes (schema.org notation plus German "Di", "Mi", "Do", "So"); case-sensitive
+const CODE_TOKENS = ["Mo", ["Tu", "Di"], ["We", "Mi"], ["Th", "Do"], "Fr", "Sa", ["Su", "So"]];
+
+// token -> day index (0 = Monday); longest alternatives first in the regex
+const DAY_TOKENS = {};
+for (const days of Object.values(DAY_NAMES)) days.forEach((names, i) => names.forEach((n) => (DAY_TOKENS[n] = i)));
+CODE_TOKENS.forEach((codes, i) => [].concat(codes).forEach((c) => (DAY_TOKENS[c.toLowerCase()] = i)));
+const DAY_GROUPS = {
+  weekdays: [0, 1, 2, 3, 4],
+  weekends: [5, 6],
+  weekend: [5, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  "every day": [0, 1, 2, 3, 4, 5, 6],
+  "7 days a week": [0, 1, 2, 3, 4, 5, 6],
+  "7 days": [0, 1, 2, 3, 4, 5, 6],
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Fixed-date holidays (month, day); moveable feasts need an explicit date on the page
+const NAMED_HOLIDAYS = [
+  [/new year'?s eve/i, 12, 31],
+  [/new year'?s( day)?/i, 1, 1],
+  [/christmas eve/i, 12, 24],
+  [/christmas( day)?|xmas/i, 12, 25],
+  [/boxing day/i, 12, 26],
+  [/independence day|july 4(th)?|4th of july/i, 7, 4],
+  [/canada day/i, 7, 1],
+];
+
+const CLOSED_WORDS = ["closed", "geschlossen", "ruhetag", "fermé", "fermée", "ferme", "cerrado"];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Two-letter codes ("We", "Su") are English words too; they only count in schema.org notation below
+const DAY_WORD = Object.keys(DAY_TOKENS)
+  .filter((t) => t.length > 2)
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRe)
+  .join("|");
+const GROUP_WORD = Object.keys(DAY_GROUPS)
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRe)
+  .join("|");
+// Whole words only (plural allowed: "Sundays"), so "sun" doesn't match "sunny" nor "vie" "view"
+const DAY_ITEM = `(?<!\\p{L})(?:${GROUP_WORD}|(?:${DAY_WORD})s?\\.?)(?!\\p{L})`;
+const DAY_SEP = "(?:\\s*(?:-|–|—|&|,|/)\\s*|\\s+(?:to|thru|through|and|bis|und|au|à|a|et|y)\\s+)";
+const DAY_EXPR_RE = new RegExp(`${DAY_ITEM}(?:${DAY_SEP}${DAY_ITEM})*`, "giu");
+// schema.org openingHours notation: "Mo-Fr 09:00-17:00", "Sa,Su 10:00-14:00", German "Mo.-Fr. 9-18 Uhr",
+// "So geschlossen" (case-sensitive; a time or "closed" must follow)
+const DAY_CODE = `(?:${CODE_TOKENS.flat().join("|")})`;
+const CLOSED_CODE_WORD = CLOSED_WORDS.map((w) => `[${w[0]}${w[0].toUpperCase()}]${w.slice(1)}`).join("|");
+const CODE_EXPR_RE = new RegExp(
+  `\\b${DAY_CODE}\\.?(?:\\s*[-–,]\\s*${DAY_CODE}\\.?)*(?=[\\s:]*(?:\\d|(?:${CLOSED_CODE_WORD})(?![a-z])))`,
+  "g"
+);
+const MONTH_DAY_RE = new RegExp(`\\b((?:${MONTHS.join("|")})[a-z]*)\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, "i");
+
+// "9", "9:30", "9.30", "17h00", "9h" (French)
+const TIME = "(?:(\\d{1,2})(?:[:.h](\\d{2})|h)?\\s*(a\\.?m\\.?|p\\.?m\\.?)?|(noon|midnight))";
+const RANGE_RE = new RegExp(`${TIME}(?:\\s*(?:-|–|—|to|until|till)\\s*|\\s+(?:bis|à|a)\\s+)${TIME}`, "gi");
+
+const CLOSED_RE = new RegExp(`(?<!\\p{L})(?:${CLOSED_WORDS.join("|")})(?!\\p{L})`, "iu");
+const ALL_DAY_RE = /\b(open\s+)?24\s*(hours|hrs|h)\b|\b24\/7\b|\ball day\b/i;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// ------------------------------
+// Times
+// ------------------------------
+function meridiem(ap) {
+  if (!ap) return null;
+  return ap.toLowerCase().startsWith("p") ? "pm" : "am";
+}
+
+function toMinutes(h, m, ap) {
+  let hour = Number(h);
+  if (ap === "pm" && hour < 12) hour += 12;
+  if (ap === "am" && hour === 12) hour = 0;
+  return hour * 60 + Number(m || 0);
+}
+
+function wordMinutes(word) {
+  return word.toLowerCase() === "noon" ? 12 * 60 : 24 * 60;
+}
+
+function fmt(minutes) {
+  // Midnight close is written 23:59 so the interval stays within the day
+  if (minutes >= 24 * 60) return "23:59";
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * One "9am-5pm" match -> { opens, closes } or null when out of range.
+ */
+function parseRange(m) {
+  const [, h1, m1, ap1raw, w1, h2, m2, ap2raw, w2] = m;
+  if ((h1 && Number(h1) > 24) || (h2 && Number(h2) > 24)) return null;
+  if ((m1 && Number(m1) > 59) || (m2 && Number(m2) > 59)) return null;
+
+  let ap1 = meridiem(ap1raw);
+  let ap2 = meridiem(ap2raw);
+
+  // "11-2pm": the opening time borrows the closing meridiem unless that puts it after closing
+  if (!w1 && !w2 && !ap1 && ap2) {
+    ap1 = toMinutes(h1, m1, ap2) < toMinutes(h2, m2, ap2) ? ap2 : ap2 === "pm" ? "am" : "pm";
+  }
+  if (!w1 && !w2 && ap1 && !ap2) {
+    ap2 = toMinutes(h2, m2, ap1) > toMinutes(h1, m1, ap1) ? ap1 : ap1 === "am" ? "pm" : "am";
+  }
+
+  const opens = w1 ? wordMinutes(w1) % (24 * 60) : toMinutes(h1, m1, ap1);
+  let closes = w2 ? wordMinutes(w2) : toMinutes(h2, m2, ap2);
+
+  // "9-5" with no meridiem at all: a close before the open is an afternoon time
+  if (!ap1 && !ap2 && !w2 && closes <= opens && Number(h2) < 12) closes += 12 * 60;
+  // Past-midnight closes ("6pm-2am") are kept as written
+  if (closes === 0 && !w2) closes = 24 * 60;
+
+  if (opens > 24 * 60 || closes > 24 * 60) return null;
+  return { opens: fmt(opens), closes: fmt(closes) };
+}
+
+function parseShifts(text) {
+  const shifts = [];
+  for (const m of text.matchAll(RANGE_RE)) {
+    const r = parseRange(m);
+    if (r) shifts.push(r);
+  }
+  return shifts;
+}
+
+// ------------------------------
+// Days
+// ------------------------------
+function dayIndex(token) {
+  const t = token.toLowerCase().replace(/\.$/, "");
+  // "Sundays", but "tues" and "jueves" are names in their own right
+  return DAY_TOKENS[t] ?? DAY_TOKENS[t.replace(/s$/, "")];
+}
+
+/**
+ * "Mon-Wed, Fri & Sun" -> [0, 1, 2, 4, 6]
+ */
+function parseDayExpr(expr) {
+  const days = new Set();
+  const parts = expr.split(/\s*(?:,|&|\/)\s*|\s+(?:and|und|et|y)\s+/i).filter(Boolean);
+
+  for (const part of parts) {
+    const group = DAY_GROUPS[part.toLowerCase().trim()];
+    if (group) {
+      group.forEach((d) => days.add(d));
+      continue;
+    }
+    const range = part.split(/\s*(?:-|–|—)\s*|\s+(?:to|thru|through|bis|au|à|a)\s+/i).filter(Boolean);
+    const from = dayIndex(range[0] || "");
+    const to = range.length > 1 ? dayIndex(range[range.length - 1]) : from;
+    if (from == null || to == null) continue;
+    // Wraps around the week ("Fri-Mon")
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+// ------------------------------
+// Holidays
+// ------------------------------
+function nextOccurrence(month, day, referenceDate) {
+  const ref = new Date(referenceDate);
+  let year = ref.getUTCFullYear();
+  const candidate = (y) => Date.UTC(y, month - 1, day);
+  if (candidate(year) < Date.UTC(year, ref.getUTCMonth(), ref.getUTCDate())) year += 1;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function findHolidayDate(line, referenceDate) {
+  const iso = line.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return { date: iso[0], label: iso[0] };
+
+  const monthName = line.match(MONTH_DAY_RE);
+  // "Martes 9-14" / "Mardi 9h-18h" are weekdays, not March 9
+  if (monthName && dayIndex(monthName[1]) == null) {
+    const month = MONTHS.indexOf(monthName[1].slice(0, 3).toLowerCase()) + 1;
+    const day = Number(monthName[2]);
+    if (day >= 1 && day <= 31) return { date: nextOccurrence(month, day, referenceDate), label: monthName[0] };
+  }
+
+  // US-style 12/25 (or 12/25/2026)
+  const numeric = line.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (numeric && Number(numeric[1]) <= 12 && Number(numeric[2]) <= 31) {
+    const [, mo, d, y] = numeric;
+    const date = y
+      ? `${y.length === 2 ? `20${y}` : y}-${pad(mo)}-${pad(d)}`
+      : nextOccurrence(Number(mo), Number(d), referenceDate);
+    return { date, label: numeric[0] };
+  }
+
+  for (const [re, month, day] of NAMED_HOLIDAYS) {
+    const m = line.match(re);
+    if (m) return { date: nextOccurrence(month, day, referenceDate), label: m[0] };
+  }
+  return null;
+}
+
+// ------------------------------
+// Output helpers
+// ------------------------------
+function spec(days, { opens, closes }, extra = {}) {
+  return {
+    "@type": "OpeningHoursSpecification",
+    ...(days ? { dayOfWeek: days.map((d) => DAYS[d]) } : {}),
+    opens,
+    closes,
+    ...extra,
+  };
+}
+
+const isClosed = (s) => s.opens === "00:00" && s.closes === "00:00";
+
+function dayCodes(dayNames) {
+  const idx = dayNames.map((d) => DAYS.indexOf(d)).sort((a, b) => a - b);
+  const runs = [];
+  for (const d of idx) {
+    const last = runs[runs.length - 1];
+    if (last && d === last[1] + 1) last[1] = d;
+    else runs.push([d, d]);
+  }
+  return runs
+    .map(([a, b]) => {
+      if (a === b) return DAY_CODES[a];
+      return `${DAY_CODES[a]}${b === a + 1 ? "," : "-"}${DAY_CODES[b]}`;
+    })
+    .join(",");
+}
+
+/**
+ * schema.org openingHours strings ("Mo-Fr 09:00-17:00") for the weekly specs; closed days are omitted.
+ */
+function toOpeningHoursStrings(specs) {
+  return specs
+    .filter((s) => Array.isArray(s.dayOfWeek) && !s.validFrom && !isClosed(s))
+    .map((s) => `${dayCodes(s.dayOfWeek)} ${s.opens}-${s.closes}`);
+}
+
+// ------------------------------
+// Public API
+// ------------------------------
+
+/**
+ * Does a line name a day the parser understands ("Mon-Fri", "Sonntag", "Mo.-Fr. 9-18", "daily")?
+ * Used to pick candidate lines out of page text.
+ */
+function mentionsDay(line) {
+  const text = String(line || "");
+  return text.search(DAY_EXPR_RE) !== -1 || text.search(CODE_EXPR_RE) !== -1;
+}
+
+/**
+ * Does a line say "closed" in any supported language?
+ */
+function mentionsClosed(line) {
+  return CLOSED_RE.test(String(line || ""));
+}
+
+/**
+ * Parse candidate hour lines.
+ *
+ * @param {string[]|string} input lines (a string is split on newlines / semicolons)
+ * @param {object} [opts]
+ * @param {string} [opts.referenceDate] ISO date used to place year-less holiday dates: pass the capture date,
+ *   so a deterministic replay places them the same way; default now
+ * @returns {{
+ *   specs: object[],
+ *   openingHours: string[],
+ *   holidays: Array<{ label: string, date: string, closed: boolean }>,
+ *   unparsed: string[],
+ *   confidence: number,
+ * }}
+ */
+function parseOpeningHours(input, opts = {}) {
+  const referenceDate = opts.referenceDate || new Date().toISOString();
+  const lines = (Array.isArray(input) ? input : String(input || "").split(/\n|;/))
+    .map((l) => String(l || "").replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const specs = [];
+  const holidays = [];
+  const unparsed = [];
+  let lastDays = null;
+  let parsedLines = 0;
+
+  for (const line of lines) {
+    let parsed = false;
+
+    // Dated/named holidays first: "Dec 25" would otherwise never match a weekday
+    const holiday = findHolidayDate(line, referenceDate);
+    if (holiday) {
+      const shifts = parseShifts(line);
+      const closed = CLOSED_RE.test(line) || !shifts.length;
+      const ranges = closed ? [{ opens: "00:00", closes: "00:00" }] : shifts;
+      ranges.forEach((r) => specs.push(spec(null, r, { validFrom: holiday.date, validThrough: holiday.date })));
+      holidays.push({ label: holiday.label, date: holiday.date, closed });
+      parsedLines += 1;
+      continue;
+    }
+
+    // Split "Mon-Fri 9-5, Sat 10-2" into one segment per day expression
+    let dayMatches = [...line.matchAll(DAY_EXPR_RE)];
+    if (!dayMatches.length) dayMatches = [...line.matchAll(CODE_EXPR_RE)];
+    // Text before the first day expression belongs to it ("Open 24 hours daily", "Closed Sundays")
+    const segments = dayMatches.map((m, i) => ({
+      days: parseDayExpr(m[0]),
+      rest:
+        (i === 0 ? `${line.slice(0, m.index)} ` : "") +
+        line.slice(m.index + m[0].length, dayMatches[i + 1] ? dayMatches[i + 1].index : line.length),
+    }));
+
+    for (const seg of segments) {
+      if (!seg.days.length) continue;
+      const shifts = parseShifts(seg.rest);
+
+      if (shifts.length) {
+        shifts.forEach((r) => specs.push(spec(seg.days, r)));
+      } else if (ALL_DAY_RE.test(seg.rest)) {
+        specs.push(spec(seg.days, { opens: "00:00", closes: "23:59" }));
+      } else if (CLOSED_RE.test(seg.rest)) {
+        specs.push(spec(seg.days, { opens: "00:00", closes: "00:00" }));
+      } else {
+        continue;
+      }
+      lastDays = seg.days;
+      parsed = true;
+    }
+
+    // Times-only continuation of the previous day line (second shift)
+    if (!segments.length && lastDays) {
+      const shifts = parseShifts(line);
+      shifts.forEach((r) => specs.push(spec(lastDays, r)));
+      parsed = shifts.length > 0;
+    }
+
+    if (parsed) parsedLines += 1;
+    else unparsed.push(line);
+  }
+
+  const confidence = lines.length && parsedLines ? Number((0.5 + 0.4 * (parsedLines / lines.length)).toFixed(2)) : 0;
+
+  return {
+    specs,
+    openingHours: toOpeningHoursStrings(specs),
+    holidays,
+    unparsed,
+    confidence,
+  };
+}
+
+module.exports = {
+  parseOpeningHours,
+  mentionsDay,
+  mentionsClosed,
+  toOpeningHoursStrings,
+};
@@ -1,61 +1,184 @@
 // src/extractor/html-utils.js
-import cheerio from 'cheerio';
-import { absolute, trimAny } from '../normalize.js';
+// Cheerio DOM helpers. The guess* helpers return evidence ({ value, selector, method })
+// so callers can record where a value came from, or null when nothing was found.
+const cheerio = require('cheerio');
+const { absolute, trimAny } = require('../normalize');
+const { normalizePhone, findPhones } = require('./phone');
+const { parseAddress } = require('./address');
+const { mentionsDay, mentionsClosed } = require('./hours');
 
-export function parseHTML(html) { return cheerio.load(html); }
+const SOCIAL_RE = /facebook\.com|instagram\.com|x\.com|twitter\.com|linkedin\.com|youtube\.com|tiktok\.com/i;
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const ADDRESS_CONTAINERS = ['address', '[itemprop="address"]', '[class*="address" i]', 'footer', '[class*="contact" i]'];
+// Outside dedicated address markup a match must include a street line
+const LOOSE_ADDRESS_SELECTORS = new Set(['footer', '[class*="contact" i]']);
+// A line that names a day (weekday, "daily", a holiday or a date) and carries a time or "closed"
+const HOURS_LINE_RE = new RegExp([
+  '\\b(mon|tue|wed|thu|fri|sat|sun|weekdays?|weekends?|daily|every ?day)',
+  '\\b(holiday|christmas|xmas|new year|thanksgiving|independence day)',
+  '\\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2}\\b',
+].join('|'), 'i');
+const HOURS_VALUE_RE = /\d{1,2}(?::\d{2}|\s?[ap]\.?m\b|h\d{2}|h\b|\s?uhr\b)|\d{1,2}\s*[-–]\s*\d{1,2}\s?(?:h|uhr)\b|\bnoon\b|\bmidnight\b|24\s*(?:hours|hrs|\/\s*7)/i;
+const HOURS_CONTAINERS = [
+  '[itemprop="openingHours"]',
+  '[class*="hours" i]',
+  '[id*="hours" i]',
+  '[class*="opening" i]',
+  '[id*="opening" i]',
+];
+const BLOCK_TAGS = 'p, div, li, tr, dt, dd, h1, h2, h3, h4, h5, h6, section, table';
 
-export function meta($, name) {
+function parseHTML(html) { return cheerio.load(html || ''); }
+
+function evidence(value, selector, method) {
+  return value ? { value, selector, method } : null;
+}
+
+function meta($, name) {
   return $('meta[name="'+name+'"]').attr('content')
       || $('meta[property="'+name+'"]').attr('content');
 }
 
-export function guessName($, baseUrl) {
-  return meta($,'og:site_name')
-      || $('header h1').first().text().trim()
-      || $('title').text().trim()
-      || new URL(baseUrl).hostname.replace(/^www\./,'');
+// Visible body text (scripts/styles dropped)
+function bodyText($) {
+  const body = $('body').clone();
+  body.find('script, style, noscript, template').remove();
+  return trimAny(body.text());
+}
+
+// Text of an element split on <br> and block boundaries, whitespace-collapsed
+function textLines($, el) {
+  const node = $(el).clone();
+  node.find('script, style, noscript, template').remove();
+  node.find('br').replaceWith('\n');
+  node.find(BLOCK_TAGS).each((_, b) => { $(b).append('\n'); });
+  node.find('td, th, dd').each((_, c) => { $(c).prepend(' '); });
+  return node.text().split('\n').map(trimAny).filter(Boolean);
+}
+
+function guessName($, baseUrl) {
+  if (meta($,'og:site_name')) return evidence(trimAny(meta($,'og:site_name')), 'meta[property="og:site_name"]', 'og-site-name');
+  const h1 = trimAny($('header h1').first().text());
+  if (h1) return evidence(h1, 'header h1', 'header-h1');
+  const title = trimAny($('title').text());
+  if (title) return evidence(title, 'title', 'title');
+  return evidence(new URL(baseUrl).hostname.replace(/^www\./,''), null, 'hostname');
+}
+
+function guessDescription($) {
+  if (meta($,'description')) return evidence(trimAny(meta($,'description')), 'meta[name="description"]', 'meta-description');
+  return evidence(trimAny(meta($,'og:description')), 'meta[property="og:description"]', 'og-description');
 }
 
-export function guessDescription($) {
-  return meta($,'description') || meta($,'og:description') || '';
+function guessLogo($, baseUrl) {
+  const candidates = [
+    ['img[alt*="logo" i]', 'src', 'img-alt-logo'],
+    ['[class*="logo" i] img, img[class*="logo" i], img[src*="logo" i]', 'src', 'img-logo-class'],
+    ['link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]', 'href', 'link-icon'],
+  ];
+  for (const [selector, attr, method] of candidates) {
+    const src = $(selector).first().attr(attr);
+    if (src && absolute(src, baseUrl)) return evidence(absolute(src, baseUrl), selector, method);
+  }
+  const og = meta($,'og:image');
+  return og ? evidence(absolute(og, baseUrl), 'meta[property="og:image"]', 'og-image') : null;
 }
 
-export function guessLogo($, baseUrl) {
-  let logo = $('img[alt*="logo" i]').attr('src')
-         || $('link[rel="icon"]').attr('href')
-         || meta($,'og:image');
-  if (logo) logo = absolute(logo, baseUrl);
-  return logo || null;
+// Phones come back in E.164; opts.country (see ./locale) reads numbers written without a calling code
+function guessPhone($, opts = {}) {
+  for (const a of $('a[href^="tel:"]').toArray()) {
+    const raw = trimAny(decodeURIComponent($(a).attr('href').replace(/^tel:/i, '')));
+    const phone = normalizePhone(raw, opts);
+    if (phone) return { ...evidence(phone.e164, 'a[href^="tel:"]', 'tel-link'), raw, country: phone.country };
+  }
+  const [phone] = findPhones(bodyText($), opts);
+  return phone ? { ...evidence(phone.e164, 'body', 'phone-text'), raw: phone.raw, country: phone.country } : null;
 }
 
-export function guessPhone($) {
-  const tel = $('a[href^="tel:"]').attr('href');
-  if (tel) return tel.replace(/^tel:/,'');
-  const text = $('body').text();
-  const m = text.match(/(\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/);
-  return m ? m[0] : null;
+function guessEmail($) {
+  const mailto = $('a[href^="mailto:"]').first().attr('href');
+  if (mailto) {
+    const addr = decodeURIComponent(mailto.replace(/^mailto:/i,'').split('?')[0]).toLowerCase();
+    if (EMAIL_RE.test(addr)) return evidence(addr, 'a[href^="mailto:"]', 'mailto-link');
+  }
+  const m = bodyText($).match(EMAIL_RE);
+  return m ? evidence(m[0].toLowerCase(), 'body', 'email-regex') : null;
 }
 
-export function guessAddress($) {
-  // Try <address>, footer, schema-ish spans
-  const a = $('address').first().text() || $('footer').text();
-  const clean = trimAny(a);
-  return clean && clean.length > 10 ? clean : null; // simple presence check
+// International postal formats (./address); opts.country disambiguates postcodes like "8001"
+function guessAddress($, opts = {}) {
+  for (const selector of ADDRESS_CONTAINERS) {
+    for (const el of $(selector).toArray().slice(0, 5)) {
+      const lines = textLines($, el);
+      const parsed = parseAddress(lines, { ...opts, requireStreet: LOOSE_ADDRESS_SELECTORS.has(selector) });
+      if (parsed) return { ...evidence(parsed.value, selector, 'address-parse'), format: parsed.format };
+      const text = lines.join(', ');
+      if (selector === 'address' && text.length > 10) return evidence(text, selector, 'address-element');
+    }
+  }
+  const parsed = parseAddress(textLines($, 'body'), { ...opts, requireStreet: true });
+  return parsed ? { ...evidence(parsed.value, 'body', 'address-parse'), format: parsed.format } : null;
 }
 
-export function guessHours($) {
-  const t = $('body').text();
-  const m = t.match(/(Mon|Tue|Wed|Thu|Fri|Sat|Sun)[^\n]{0,40}\d{1,2}:\d{2}\s?[-–]\s?\d{1,2}:\d{2}/i);
-  return m ? [m[0].replace(/\s+/g,' ').trim()] : null;
+// Candidate hours lines ("Mon-Fri 9am-5pm", "Sun: Closed"), for parseOpeningHours in ./hours.
+// Prefer an hours container or a section headed "Hours"; fall back to matching body lines.
+function guessHours($) {
+  // Day names and "closed" in the languages ./hours parses (German "So geschlossen", ...)
+  const isDayLine = (l) => HOURS_LINE_RE.test(l) || mentionsDay(l);
+  const hasValue = (l) => HOURS_VALUE_RE.test(l) || mentionsClosed(l);
+  const isHoursLine = (l) => l.length <= 120 && hasValue(l) && (isDayLine(l) || /^\W*\d/.test(l));
+  const pick = (lines) => {
+    const out = [];
+    for (const l of lines) {
+      // Keep times-only continuation lines ("5pm-10pm") only right after a day line
+      if (isDayLine(l) ? isHoursLine(l) : out.length && isHoursLine(l)) out.push(l);
+    }
+    return Array.from(new Set(out));
+  };
+
+  const itemprop = $('meta[itemprop="openingHours"], [itemprop="openingHours"][content]')
+    .map((_, el) => trimAny($(el).attr('content'))).get().filter(Boolean);
+  if (itemprop.length) return evidence(itemprop, '[itemprop="openingHours"][content]', 'itemprop-hours');
+
+  for (const selector of HOURS_CONTAINERS) {
+    for (const el of $(selector).toArray()) {
+      const lines = pick(textLines($, el));
+      if (lines.length) return evidence(lines, selector, 'hours-container');
+    }
+  }
+
+  for (const el of $('h1, h2, h3, h4, h5, h6, strong, dt').toArray()) {
+    if (!/\bhours\b|öffnungszeiten|horaires|horarios?\b/i.test($(el).text())) continue;
+    const section = $(el).nextUntil('h1, h2, h3, h4, h5, h6').toArray();
+    const lines = pick(section.flatMap((n) => textLines($, n)));
+    if (lines.length) return evidence(lines, `${el.tagName}:contains("Hours") ~ *`, 'hours-heading');
+  }
+
+  const lines = pick(textLines($, 'body'));
+  return lines.length ? evidence(lines, 'body', 'hours-lines') : null;
 }
 
-export function socialLinks($, baseUrl) {
+function socialLinks($, baseUrl) {
   const links = [];
   $('a[href]').each((_,a)=>{
     const href = $(a).attr('href');
-    if (/facebook\.com|instagram\.com|x\.com|twitter\.com|linkedin\.com|youtube\.com/i.test(href||'')) {
-      links.push(absolute(href, baseUrl));
-    }
+    if (SOCIAL_RE.test(href||'')) links.push(absolute(href, baseUrl));
   });
-  return Array.from(new Set(links)).filter(Boolean);
+  const unique = Array.from(new Set(links)).filter(Boolean);
+  return unique.length ? evidence(unique, 'a[href]', 'social-links') : null;
 }
+
+module.exports = {
+  parseHTML,
+  meta,
+  bodyText,
+  textLines,
+  guessName,
+  guessDescription,
+  guessLogo,
+  guessPhone,
+  guessEmail,
+  guessAddress,
+  guessHours,
+  socialLinks,
+};
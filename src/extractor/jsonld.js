@@ -48,18 +48,124 @@ function flattenJsonLd(parsed) {
 }
 
 /**
- * Attempt to parse JSON-LD safely.
- * Some sites include multiple top-level JSON objects separated by whitespace/newlines,
- * which is invalid JSON. We keep this conservative: parse once; on failure return null.
+ * Strict JSON.parse without throwing.
  */
 function safeJsonParse(raw) {
   try {
-    return JSON.parse(raw);
+    return { ok: true, value: JSON.parse(raw) };
   } catch {
-    return null;
+    return { ok: false, value: null };
   }
 }
 
+/**
+ * Walk the text outside/inside JSON string literals.
+ * onChar(ch, i, inString) returns the replacement for ch (or ch itself).
+ */
+function mapJsonChars(raw, onChar) {
+  let out = "";
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    out += onChar(ch, i, inString);
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    }
+  }
+  return out;
+}
+
+const CONTROL_ESCAPES = { "\n": "\\n", "\r": "\\r", "\t": "\\t", "\b": "\\b", "\f": "\\f" };
+
+function escapeControlChars(raw) {
+  return mapJsonChars(raw, (ch, _i, inString) => {
+    if (!inString || ch >= " ") return ch;
+    return CONTROL_ESCAPES[ch] || `\\u${ch.charCodeAt(0).toString(16).padStart(4, "0")}`;
+  });
+}
+
+function removeTrailingCommas(raw) {
+  return mapJsonChars(raw, (ch, i, inString) => {
+    if (inString || ch !== ",") return ch;
+    const next = raw.slice(i + 1).match(/^\s*(.)/);
+    return next && (next[1] === "}" || next[1] === "]") ? "" : ch;
+  });
+}
+
+/**
+ * Split "{...}{...}" / "{...}\n[...]" into top-level JSON texts (string-aware).
+ */
+function splitConcatenated(raw) {
+  const parts = [];
+  let depth = 0;
+  let start = -1;
+  mapJsonChars(raw, (ch, i, inString) => {
+    if (inString) return ch;
+    if (ch === "{" || ch === "[") {
+      if (depth === 0) start = i;
+      depth += 1;
+    } else if ((ch === "}" || ch === "]") && depth > 0) {
+      depth -= 1;
+      if (depth === 0) parts.push(raw.slice(start, i + 1));
+    }
+    return ch;
+  });
+  return parts;
+}
+
+// Applied cumulatively, in order; parsing is retried after each one that changes the text.
+const REPAIRS = [
+  ["html-comments", (raw) => raw.replace(/^\s*<!--/, "").replace(/-->\s*$/, "").replace(/<!--[\s\S]*?-->/g, "")],
+  [
+    "cdata",
+    (raw) =>
+      raw
+        .replace(/^\s*(?:\/\/|\/\*)?\s*<!\[CDATA\[(?:\s*\*\/)?/, "")
+        .replace(/(?:\/\/|\/\*)?\s*\]\]>(?:\s*\*\/)?\s*$/, ""),
+  ],
+  ["control-chars", escapeControlChars],
+  ["trailing-commas", removeTrailingCommas],
+];
+
+/**
+ * Parse JSON-LD, recovering common publisher mistakes:
+ * HTML comment / CDATA wrappers, unescaped control characters in strings,
+ * trailing commas, and several top-level values concatenated in one script.
+ *
+ * @returns {{ value: any, repairs: string[] } | null} null when unrecoverable
+ */
+function parseJsonLdLenient(raw) {
+  let text = raw;
+  const repairs = [];
+
+  let res = safeJsonParse(text);
+  if (res.ok) return { value: res.value, repairs };
+
+  for (const [name, fix] of REPAIRS) {
+    const next = fix(text);
+    if (next === text) continue;
+    text = next;
+    repairs.push(name);
+    res = safeJsonParse(text);
+    if (res.ok) return { value: res.value, repairs };
+  }
+
+  const parts = splitConcatenated(text);
+  if (parts.length > 1) {
+    const values = parts.map((p) => safeJsonParse(p));
+    if (values.every((v) => v.ok)) {
+      return { value: values.map((v) => v.value), repairs: [...repairs, "concatenated"] };
+    }
+  }
+
+  return null;
+}
+
 /**
  * Extract JSON-LD blocks from HTML
  *
@@ -73,6 +179,7 @@ function safeJsonParse(raw) {
  *   blocks: Array<{ json: any, provenance: object }>,
  *   rawCount: number,
  *   parseErrors: Array<{ index: number, message: string }>,
+ *   repaired: Array<{ index: number, repairs: string[] }>,
  * }}
  */
 function extractJsonLd(html, url, opts = {}) {
@@ -81,6 +188,7 @@ function extractJsonLd(html, url, opts = {}) {
 
   const $ = cheerio.load(html || "");
   const parseErrors = [];
+  const repaired = [];
   const blocks = [];
 
   const scripts = $("script[type='application/ld+json']").toArray();
@@ -90,15 +198,18 @@ function extractJsonLd(html, url, opts = {}) {
     const raw = ($(el).html() || "").trim();
     if (!raw) return;
 
-    const parsed = safeJsonParse(raw);
-    if (!parsed) {
+    const recovered = parseJsonLdLenient(raw);
+    if (!recovered) {
       parseErrors.push({
         index: i,
-        message: "Invalid JSON (JSON.parse failed)",
+        message: "Invalid JSON (unrecoverable after lenient repairs)",
       });
       return;
     }
 
+    const parsed = recovered.value;
+    if (recovered.repairs.length) repaired.push({ index: i, repairs: recovered.repairs });
+
     const normalized = flattenGraph ? flattenJsonLd(parsed) : [parsed];
     const snippetHash = sha256Hex(raw);
 
@@ -112,6 +223,7 @@ function extractJsonLd(html, url, opts = {}) {
           scriptIndex: i,
           selector: "script[type='application/ld+json']",
           snippetHash: `sha256:${snippetHash}`,
+          ...(recovered.repairs.length ? { repairs: recovered.repairs } : {}),
         },
       });
     }
@@ -122,7 +234,8 @@ function extractJsonLd(html, url, opts = {}) {
     blocks,
     rawCount,
     parseErrors,
+    repaired,
   };
 }
 
-module.exports = { extractJsonLd };
+module.exports = { extractJsonLd, parseJsonLdLenient };
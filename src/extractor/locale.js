@@ -0,0 +1,216 @@
+// src/extractor/locale.js
+// Page locale signals: the page's language, and which country it is about.
+//
+// Usage:
+//   const { detectLocale, detectCountry } = require("./extractor/locale");
+//   detectCountry($, "https://www.example.co.uk/contact")
+//   // -> { country: "GB", signals: [{ source: "tld", value: "co.uk", country: "GB" }, ...] }
+//   detectLocale($, url, { text })
+//   // -> { locale: "de-AT", language: "de", country: "AT", confidence: 0.9, signals: { language: [...], country: [...] } }
+//
+// Signals are voted by weight: og:locale, <html lang> and the page's own hreflang entry name the
+// audience explicitly, Content-Language and a ccTLD are strong hints, generic TLDs (.com) say
+// nothing. The visible text's stopwords/script vote on the language too, so an English template
+// default (<html lang="en">) around German copy is outvoted.
+
+const SIGNAL_WEIGHTS = {
+  "og:locale": 3,
+  "html-lang": 3,
+  hreflang: 3,
+  "content-language": 2,
+  tld: 2,
+  // Scaled by the text detector's confidence: a clear reading (>= 0.75) outvotes one markup tag
+  text: 4,
+};
+
+// ccTLDs that are not their ISO 3166 code, or are commonly used generically
+const TLD_COUNTRIES = { uk: "GB", gb: "GB" };
+const GENERIC_CCTLDS = new Set(["io", "ai", "co", "me", "tv", "fm", "ly", "app", "dev", "gg", "to", "so", "sh"]);
+
+// Frequent function words per language; short, common and mostly unique to the language
+const STOPWORDS = {
+  en: "the and of to in is for with on that this you are from your our at be by",
+  de: "der die das und ist nicht mit für auf den dem ein eine sie wir zu von auch ihre unsere",
+  fr: "le la les et des est pour une dans que sur pas vous nous avec au du ce qui votre nos",
+  es: "el la los las y de que en para con una por es del su al nuestro sus como más",
+  it: "il la di che e per una con non sono del della gli nel le alla dei nostro più",
+  nl: "de het een en van is op te met voor niet zijn ook je u wij onze bij uit",
+  pt: "o a os as e de que em para com uma um não do da no na seu mais nosso",
+  sv: "och att det som är en på för med av till inte har den om vi våra ett",
+  da: "og at det som er en på for med af til ikke har den om vi vores et jeg",
+  no: "og at det som er en på for med av til ikke har den om vi våre et jeg",
+  pl: "i w na z że do nie się jest to o jak dla od po przez są tak",
+  fi: "ja on ei että se oli kun mutta ovat tai myös sekä jos vain meidän",
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(" "))])
+);
+
+// Scripts that identify a language on their own, with the share of letters they need.
+// Japanese mixes kana into mostly-Han text, so any real kana share means ja rather than zh.
+const SCRIPTS = [
+  ["ja", /[\u3040-\u30ff]/g, 0.1],
+  ["ko", /[\uac00-\ud7af]/g, 0.3],
+  ["zh", /[\u4e00-\u9fff]/g, 0.3],
+  ["ru", /[\u0400-\u04ff]/g, 0.3],
+  ["el", /[\u0370-\u03ff]/g, 0.3],
+  ["ar", /[\u0600-\u06ff]/g, 0.3],
+  ["he", /[\u0590-\u05ff]/g, 0.3],
+  ["th", /[\u0e00-\u0e7f]/g, 0.3],
+];
+
+// "en-GB", "en_gb", "de-AT", "zh-Hant-TW" -> { language, region }
+function parseTag(tag) {
+  const m = String(tag || "")
+    .trim()
+    .match(/^([a-z]{2,3})(?:[-_][a-z]{4})?(?:[-_]([a-z]{2}))?\b/i);
+  if (!m) return { language: null, region: null };
+  return { language: m[1].toLowerCase(), region: m[2] ? m[2].toUpperCase() : null };
+}
+
+// Extract the region from "en-GB", "en_gb", "de-AT"; bare languages ("de") carry no country
+function regionOf(tag) {
+  return parseTag(tag).region;
+}
+
+function tldCountry(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const tld = host.split(".").pop();
+  if (!/^[a-z]{2}$/.test(tld) || GENERIC_CCTLDS.has(tld)) return null;
+  return { value: host.split(".").slice(-2).join("."), country: TLD_COUNTRIES[tld] || tld.toUpperCase() };
+}
+
+// The hreflang entry pointing back at this page says which locale the page itself is
+function selfHreflang($, url) {
+  const key = (u) => {
+    try {
+      const x = new URL(u, url);
+      return `${x.host}${x.pathname.replace(/\/$/, "")}${x.search}`;
+    } catch {
+      return null;
+    }
+  };
+  const self = key(url);
+  const link = $('link[rel="alternate"][hreflang]')
+    .toArray()
+    .find((el) => $(el).attr("hreflang") !== "x-default" && key($(el).attr("href")) === self);
+  return link ? $(link).attr("hreflang") : null;
+}
+
+function vote(signals, key) {
+  const votes = {};
+  for (const s of signals) votes[s[key]] = (votes[s[key]] || 0) + SIGNAL_WEIGHTS[s.source] * (s.weight ?? 1);
+  const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((n, [, v]) => n + v, 0);
+  return ranked.length ? { value: ranked[0][0], share: ranked[0][1] / total } : { value: null, share: 0 };
+}
+
+/**
+ * Best-guess language of a text sample from scripts and stopwords.
+ *
+ * @param {string} text
+ * @returns {{ language: string, confidence: number }|null}
+ */
+function detectTextLanguage(text) {
+  const sample = String(text || "").slice(0, 20000);
+  if (!sample.trim()) return null;
+
+  const letters = (sample.match(/\p{L}/gu) || []).length || 1;
+  for (const [language, re, min] of SCRIPTS) {
+    const share = (sample.match(re) || []).length / letters;
+    if (share > min) return { language, confidence: Number(Math.min(0.95, 0.5 + share / 2).toFixed(2)) };
+  }
+
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 20) return null;
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([language, set]) => [language, words.filter((w) => set.has(w)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[language, best], [, second]] = scores;
+  // Needs stopword density and a clear margin (da/no share most of their function words)
+  if (best / words.length < 0.05 || best < second * 1.2) return null;
+  return { language, confidence: Number(Math.min(0.9, 0.4 + (best - second) / best).toFixed(2)) };
+}
+
+/**
+ * Best-guess country (ISO 3166-1 alpha-2) for a parsed page, or null when nothing points anywhere.
+ *
+ * @param {import("cheerio").CheerioAPI} $
+ * @param {string} url
+ * @returns {{ country: string|null, signals: Array<{ source: string, value: string, country: string }> }}
+ */
+function detectCountry($, url) {
+  const signals = [];
+
+  const ogLocale = $('meta[property="og:locale"]').attr("content");
+  if (regionOf(ogLocale)) signals.push({ source: "og:locale", value: ogLocale, country: regionOf(ogLocale) });
+
+  const lang = $("html").attr("lang");
+  if (regionOf(lang)) signals.push({ source: "html-lang", value: lang, country: regionOf(lang) });
+
+  const hreflang = selfHreflang($, url);
+  if (regionOf(hreflang)) signals.push({ source: "hreflang", value: hreflang, country: regionOf(hreflang) });
+
+  const tld = tldCountry(url);
+  if (tld) signals.push({ source: "tld", ...tld });
+
+  return { country: vote(signals, "country").value, signals };
+}
+
+/**
+ * Page language and locale. `text` is the visible text (optional; without it only markup votes).
+ *
+ * @param {import("cheerio").CheerioAPI} $
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.text]
+ * @returns {{
+ *   locale: string|null,
+ *   language: string|null,
+ *   country: string|null,
+ *   confidence: number,
+ *   signals: { language: object[], country: object[] },
+ * }}
+ */
+function detectLocale($, url, opts = {}) {
+  const signals = [];
+  const tagSignal = (source, value) => {
+    const { language } = parseTag(value);
+    if (language) signals.push({ source, value, language });
+  };
+
+  tagSignal("html-lang", $("html").attr("lang"));
+  tagSignal("og:locale", $('meta[property="og:locale"]').attr("content"));
+  tagSignal("hreflang", selfHreflang($, url));
+  // Content-Language may list several ("de, en"); the first is the primary
+  tagSignal("content-language", ($('meta[http-equiv="content-language" i]').attr("content") || "").split(",")[0]);
+
+  const fromText = detectTextLanguage(opts.text);
+  if (fromText) {
+    signals.push({ source: "text", value: fromText.language, language: fromText.language, weight: fromText.confidence });
+  }
+
+  const language = vote(signals, "language");
+  const country = detectCountry($, url);
+
+  return {
+    locale: language.value ? [language.value, country.country].filter(Boolean).join("-") : null,
+    language: language.value,
+    country: country.country,
+    confidence: Number(language.share.toFixed(2)),
+    signals: { language: signals, country: country.signals },
+  };
+}
+
+module.exports = {
+  detectLocale,
+  detectCountry,
+  detectTextLanguage,
+  parseTag,
+  regionOf,
+};
@@ -0,0 +1,144 @@
+// src/extractor/meta.js
+// Map OpenGraph, Twitter Card, product:* and article:* meta tags to agentnet fields with provenance.
+//
+// Usage:
+//   const { extractMetaTags } = require("./extractor/meta");
+//   const res = extractMetaTags(html, url, { capturedAt: new Date().toISOString() });
+//   res.fields["agentnet:name"] // -> { value, provenance: { evidenceType: "meta-tag", tag, selector, ... } }
+//
+// For each agentnet field the first tag in MAPPINGS order that is present wins
+// (og:* before twitter:* before plain HTML meta).
+
+const cheerio = require("cheerio");
+const { parseTag } = require("./locale");
+
+// field -> ordered candidate tags. `list` collects every occurrence instead of the first;
+// `locale` turns og:locale's "en_US" into a BCP 47 tag ("en-US").
+const MAPPINGS = [
+  { field: "agentnet:name", tags: ["og:title", "twitter:title"] },
+  { field: "agentnet:description", tags: ["og:description", "twitter:description", "description"] },
+  { field: "agentnet:image", tags: ["og:image:secure_url", "og:image", "og:image:url", "twitter:image"], url: true },
+  { field: "agentnet:url", tags: ["og:url"], url: true },
+  { field: "agentnet:siteName", tags: ["og:site_name", "application-name"] },
+  { field: "agentnet:inLanguage", tags: ["og:locale"], locale: true },
+
+  { field: "agentnet:price", tags: ["product:price:amount", "og:price:amount"], price: true },
+  { field: "agentnet:priceCurrency", tags: ["product:price:currency", "og:price:currency"], upper: true },
+  { field: "agentnet:availability", tags: ["product:availability", "og:availability"] },
+  { field: "agentnet:itemCondition", tags: ["product:condition"] },
+  { field: "agentnet:brand", tags: ["product:brand", "og:brand"] },
+  { field: "agentnet:sku", tags: ["product:retailer_item_id", "product:sku"] },
+
+  { field: "agentnet:datePublished", tags: ["article:published_time", "og:published_time"] },
+  { field: "agentnet:dateModified", tags: ["article:modified_time", "og:updated_time"] },
+  { field: "agentnet:author", tags: ["article:author", "author", "twitter:creator"] },
+  { field: "agentnet:articleSection", tags: ["article:section"] },
+  { field: "agentnet:keywords", tags: ["article:tag"], list: true },
+];
+
+// og:type -> agentnet @type
+const OG_TYPES = [
+  [/^(product|og:product|product\.item|product\.group)$/i, "agentnet:Product"],
+  [/^(article|blog|news)/i, "agentnet:Article"],
+  // Facebook's business/restaurant/place objects are storefronts: LocalBusiness, so the
+  // local-business type module and the hours/address extractors run on them
+  [/^(business\.business|restaurant\.restaurant|place)$/i, "agentnet:LocalBusiness"],
+];
+
+function absolute(u, base) {
+  try {
+    return new URL(u, base).href;
+  } catch {
+    return u;
+  }
+}
+
+function cleanText(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * All meta tags keyed by lowercased property/name, in document order.
+ */
+function collectMetaTags($) {
+  const tags = new Map();
+  $("meta[content]").each((_, el) => {
+    const $el = $(el);
+    const key = ($el.attr("property") || $el.attr("name") || "").trim().toLowerCase();
+    const content = cleanText($el.attr("content"));
+    if (!key || !content) return;
+    if (!tags.has(key)) tags.set(key, []);
+    tags.get(key).push({ content, attr: $el.attr("property") ? "property" : "name" });
+  });
+  return tags;
+}
+
+function convert(mapping, raw, baseUrl) {
+  if (mapping.url) return absolute(raw, baseUrl);
+  if (mapping.upper) return raw.toUpperCase();
+  if (mapping.locale) {
+    const { language, region } = parseTag(raw);
+    return language ? [language, region].filter(Boolean).join("-") : null;
+  }
+  if (mapping.price) {
+    const n = Number(raw.replace(/[^\d.,-]/g, "").replace(/,(?=\d{3}\b)/g, "").replace(",", "."));
+    return Number.isFinite(n) && n > 0 ? n.toFixed(2) : null;
+  }
+  return raw;
+}
+
+/**
+ * Extract meta-tag evidence from HTML
+ *
+ * @param {string} html
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.capturedAt] ISO timestamp; default now
+ * @returns {{
+ *   found: boolean,
+ *   type: { value: string, provenance: object } | null,
+ *   fields: Record<string, { value: any, provenance: object }>,
+ * }}
+ */
+function extractMetaTags(html, url, opts = {}) {
+  const capturedAt = opts.capturedAt || new Date().toISOString();
+  const $ = cheerio.load(html || "");
+  const tags = collectMetaTags($);
+
+  const provenanceFor = (tag, attr) => ({
+    sourceUrl: url,
+    capturedAt,
+    evidenceType: "meta-tag",
+    tag,
+    selector: `meta[${attr}="${tag}"]`,
+  });
+
+  const fields = {};
+  for (const mapping of MAPPINGS) {
+    const tag = mapping.tags.find((t) => tags.has(t));
+    if (!tag) continue;
+
+    const entries = tags.get(tag);
+    const value = mapping.list
+      ? [...new Set(entries.map((e) => convert(mapping, e.content, url)).filter(Boolean))]
+      : convert(mapping, entries[0].content, url);
+    if (value == null || (Array.isArray(value) && !value.length)) continue;
+
+    fields[mapping.field] = { value, provenance: provenanceFor(tag, entries[0].attr) };
+  }
+
+  let type = null;
+  const ogType = tags.get("og:type")?.[0];
+  if (ogType) {
+    const hit = OG_TYPES.find(([re]) => re.test(ogType.content));
+    if (hit) type = { value: hit[1], provenance: provenanceFor("og:type", ogType.attr) };
+  }
+
+  return {
+    found: Boolean(type) || Object.keys(fields).length > 0,
+    type,
+    fields,
+  };
+}
+
+module.exports = { extractMetaTags };
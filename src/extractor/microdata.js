@@ -0,0 +1,196 @@
+// src/extractor/microdata.js
+// Extract HTML Microdata items (itemscope/itemprop) as JSON-LD-shaped blocks with provenance.
+//
+// Usage:
+//   const { extractMicrodata } = require("./extractor/microdata");
+//   const res = extractMicrodata(html, url, { capturedAt: new Date().toISOString() });
+//   if (res.found) { ... }   // res.blocks: [{ json, provenance }] (same shape as extractJsonLd)
+
+const cheerio = require("cheerio");
+const crypto = require("crypto");
+
+const SCHEMA_ORG_RE = /^https?:\/\/(?:www\.)?schema\.org\//i;
+
+/**
+ * Hash helper (sha256 hex)
+ */
+function sha256Hex(input) {
+  return crypto.createHash("sha256").update(input || "", "utf8").digest("hex");
+}
+
+function absolute(u, base) {
+  try {
+    return new URL(u, base).href;
+  } catch {
+    return u;
+  }
+}
+
+function cleanText(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * itemtype="https://schema.org/Product" -> "Product"; other vocabularies keep the full IRI.
+ */
+function compactTypes(itemtype) {
+  const types = (itemtype || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((t) => (SCHEMA_ORG_RE.test(t) ? t.replace(SCHEMA_ORG_RE, "") : t));
+  if (!types.length) return null;
+  return types.length === 1 ? types[0] : types;
+}
+
+function addValue(obj, key, value) {
+  if (value === "" || value == null) return;
+  if (!(key in obj)) obj[key] = value;
+  else if (Array.isArray(obj[key])) obj[key].push(value);
+  else obj[key] = [obj[key], value];
+}
+
+/**
+ * Property value per the HTML microdata spec (by element type).
+ */
+function propertyValue($, el, baseUrl, seen) {
+  const $el = $(el);
+  if ($el.is("[itemscope]")) return readItem($, el, baseUrl, seen);
+
+  const tag = (el.tagName || "").toLowerCase();
+  if ($el.attr("content") != null) return cleanText($el.attr("content"));
+
+  switch (tag) {
+    case "meta":
+      return cleanText($el.attr("content"));
+    case "audio":
+    case "embed":
+    case "iframe":
+    case "img":
+    case "source":
+    case "track":
+    case "video":
+      return $el.attr("src") ? absolute($el.attr("src"), baseUrl) : null;
+    case "a":
+    case "area":
+    case "link":
+      return $el.attr("href") ? absolute($el.attr("href"), baseUrl) : null;
+    case "object":
+      return $el.attr("data") ? absolute($el.attr("data"), baseUrl) : null;
+    case "data":
+    case "meter":
+      return cleanText($el.attr("value"));
+    case "time":
+      return cleanText($el.attr("datetime") || $el.text());
+    default:
+      return cleanText($el.text());
+  }
+}
+
+/**
+ * Collect the property elements of an item: descendants (and itemref targets)
+ * without crossing into nested items.
+ */
+function collectPropertyElements($, itemEl) {
+  const props = [];
+  const queue = [...(itemEl.children || [])];
+
+  const refs = ($(itemEl).attr("itemref") || "").split(/\s+/).filter(Boolean);
+  for (const id of refs) {
+    const target = $(`[id="${id.replace(/"/g, '\\"')}"]`).get(0);
+    if (target) queue.push(target);
+  }
+
+  const visited = new Set();
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || node.type !== "tag" || visited.has(node)) continue;
+    visited.add(node);
+
+    if (node.attribs && node.attribs.itemprop != null) props.push(node);
+    if (node.attribs && node.attribs.itemscope != null) continue; // nested item owns its subtree
+    queue.push(...(node.children || []));
+  }
+  return props;
+}
+
+function readItem($, itemEl, baseUrl, seen = new Set()) {
+  // itemref cycles
+  if (seen.has(itemEl)) return null;
+  seen.add(itemEl);
+
+  const $item = $(itemEl);
+  const obj = {};
+  const type = compactTypes($item.attr("itemtype"));
+  if (type) obj["@type"] = type;
+  if ($item.attr("itemid")) obj["@id"] = absolute($item.attr("itemid"), baseUrl);
+
+  for (const propEl of collectPropertyElements($, itemEl)) {
+    const names = ($(propEl).attr("itemprop") || "").split(/\s+/).filter(Boolean);
+    const value = propertyValue($, propEl, baseUrl, seen);
+    for (const name of names) {
+      addValue(obj, SCHEMA_ORG_RE.test(name) ? name.replace(SCHEMA_ORG_RE, "") : name, value);
+    }
+  }
+
+  seen.delete(itemEl);
+  return obj;
+}
+
+/**
+ * Extract top-level microdata items from HTML
+ *
+ * @param {string} html
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.capturedAt] ISO timestamp; default now
+ * @returns {{
+ *   found: boolean,
+ *   blocks: Array<{ json: any, provenance: object }>,
+ *   rawCount: number,
+ *   parseErrors: Array<{ index: number, message: string }>,
+ * }}
+ */
+function extractMicrodata(html, url, opts = {}) {
+  const capturedAt = opts.capturedAt || new Date().toISOString();
+
+  const $ = cheerio.load(html || "");
+  const blocks = [];
+  const parseErrors = [];
+
+  // Top-level items are itemscopes that are not themselves a property of another item
+  const items = $("[itemscope]:not([itemprop])").toArray();
+
+  items.forEach((el, i) => {
+    try {
+      const item = readItem($, el, url);
+      // Compacted schema.org types need the context to stay meaningful
+      const types = item && item["@type"] ? [].concat(item["@type"]) : [];
+      const json = types.some((t) => !/^https?:/i.test(t)) ? { "@context": "https://schema.org", ...item } : item;
+      // An itemscope with no properties carries nothing worth asserting
+      if (!json || Object.keys(json).every((k) => k.startsWith("@"))) return;
+
+      blocks.push({
+        json,
+        provenance: {
+          sourceUrl: url,
+          capturedAt,
+          evidenceType: "microdata",
+          itemIndex: i,
+          selector: "[itemscope]:not([itemprop])",
+          snippetHash: `sha256:${sha256Hex($.html(el))}`,
+        },
+      });
+    } catch (e) {
+      parseErrors.push({ index: i, message: e.message });
+    }
+  });
+
+  return {
+    found: blocks.length > 0,
+    blocks,
+    rawCount: items.length,
+    parseErrors,
+  };
+}
+
+module.exports = { extractMicrodata };
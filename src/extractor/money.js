@@ -0,0 +1,242 @@
+// src/extractor/money.js
+// Locale-aware money parsing with ISO 4217 output.
+//
+// Usage:
+//   const { parseMoney, findPrice } = require("./extractor/money");
+//   parseMoney("1.299,00 €")                          // -> { price: "1299.00", priceCurrency: "EUR", raw: "1.299,00 €" }
+//   parseMoney("CHF 45.–")                            // -> { price: "45.00", priceCurrency: "CHF", ... }
+//   parseMoney("kr 1 299:-", { country: "SE" })       // -> { price: "1299.00", priceCurrency: "SEK", ... }
+//   parseMoney("$24.99", { locale: "en-CA" })         // -> { price: "24.99", priceCurrency: "CAD", ... }
+//   findPrice("Now only ₹1,29,999 incl. GST")         // -> { price: "129999.00", priceCurrency: "INR", ... }
+//   findPrices("Was $24.99, now $19.99")               // -> [{ price: "24.99", ... }, { price: "19.99", ... }]
+//
+// Decimal marks are read from the amount itself: the last separator followed by one or two digits
+// is the decimal mark, and "." / "," / space / apostrophe elsewhere group thousands (or lakhs).
+// The locale decides what shared symbols mean ($, kr, ¥, R) and is the tie-breaker for a lone
+// three-digit group in three-decimal currencies. `findPrice` / `findPrices` only accept amounts
+// next to a currency symbol or code; `parseMoney` also takes a bare amount (for known price elements).
+
+const { parseTag } = require("./locale");
+
+const ISO_CODES = (
+  "USD EUR GBP JPY CNY CAD AUD NZD CHF SEK NOK DKK ISK PLN CZK HUF RON BGN TRY RUB UAH INR PKR KRW SGD " +
+  "HKD TWD THB MYR IDR PHP VND ILS AED SAR QAR KWD BHD OMR JOD ZAR EGP NGN KES BRL MXN ARS CLP COP PEN"
+).split(" ");
+
+// Currencies quoted with three decimals ("KWD 1.250")
+const THREE_DECIMALS = new Set(["KWD", "BHD", "OMR", "JOD"]);
+
+// Symbol -> ISO code, or a resolver by country/language for symbols several currencies share
+const SYMBOLS = {
+  "US$": "USD",
+  C$: "CAD",
+  CA$: "CAD",
+  A$: "AUD",
+  AU$: "AUD",
+  NZ$: "NZD",
+  HK$: "HKD",
+  S$: "SGD",
+  SG$: "SGD",
+  R$: "BRL",
+  MX$: "MXN",
+  NT$: "TWD",
+  $: {
+    country: { CA: "CAD", AU: "AUD", NZ: "NZD", SG: "SGD", HK: "HKD", MX: "MXN", TW: "TWD", AR: "ARS", CL: "CLP", CO: "COP" },
+    default: "USD",
+  },
+  "€": "EUR",
+  "£": "GBP",
+  "¥": { country: { CN: "CNY" }, language: { zh: "CNY" }, default: "JPY" },
+  "￥": { country: { CN: "CNY" }, language: { zh: "CNY" }, default: "JPY" },
+  "円": "JPY",
+  "元": "CNY",
+  RMB: "CNY",
+  "₹": "INR",
+  "Rs.": "INR",
+  Rs: "INR",
+  "₩": "KRW",
+  "₽": "RUB",
+  "₴": "UAH",
+  "₺": "TRY",
+  "₪": "ILS",
+  "฿": "THB",
+  "₫": "VND",
+  "₱": "PHP",
+  RM: "MYR",
+  Rp: "IDR",
+  "zł": "PLN",
+  "Kč": "CZK",
+  Ft: "HUF",
+  lei: "RON",
+  "лв": "BGN",
+  "Fr.": "CHF",
+  "SFr.": "CHF",
+  kr: {
+    country: { SE: "SEK", NO: "NOK", DK: "DKK", IS: "ISK" },
+    language: { sv: "SEK", no: "NOK", nb: "NOK", nn: "NOK", da: "DKK", is: "ISK" },
+    default: null,
+  },
+  "kr.": { country: { DK: "DKK", IS: "ISK" }, language: { da: "DKK", is: "ISK" }, default: "DKK" },
+  // "R 199" is only rand on South African pages
+  R: { country: { ZA: "ZAR" }, default: null },
+};
+
+// Roughly USD 5 in each currency; below this a headline price is likely a fee or a fragment
+const TINY_PRICE_THRESHOLDS = {
+  USD: 5, EUR: 5, GBP: 4, CHF: 5, CAD: 7, AUD: 7, NZD: 8, SGD: 7, HKD: 40, TWD: 150,
+  JPY: 700, CNY: 35, KRW: 7000, INR: 400, PKR: 1400, SEK: 50, NOK: 50, DKK: 35, ISK: 700,
+  PLN: 20, CZK: 100, HUF: 1800, RON: 23, BGN: 9, TRY: 150, RUB: 450, UAH: 200, ILS: 18,
+  AED: 18, SAR: 19, QAR: 18, THB: 170, MYR: 22, IDR: 80000, PHP: 280, VND: 125000,
+  ZAR: 90, EGP: 240, NGN: 7500, KES: 650, BRL: 25, MXN: 90, ARS: 4500, CLP: 4700, COP: 20000, PEN: 19,
+};
+const DEFAULT_TINY_PRICE = 5;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Letter symbols ("kr", "Rs", "R") must stand alone; "R" would otherwise match inside words
+const symbolRe = (s) => (/^\p{L}/u.test(s) ? `(?<!\\p{L})${escapeRe(s)}(?!\\p{L})` : escapeRe(s));
+const SYM = `(${[...Object.keys(SYMBOLS), ...ISO_CODES]
+  .sort((a, b) => b.length - a.length)
+  .map(symbolRe)
+  .join("|")})`;
+// Groups of 2-3 digits (lakhs: 1,29,999), optional 1-3 decimals, or a "45.–" / "45,-" / "45:-" ending
+const AMOUNT = "(\\d{1,3}(?:[.,'’\\s]\\d{2,3})+(?:[.,]\\d{1,3})?|\\d+(?:[.,]\\d{1,3})?)((?:[.,:]\\s?[-–—])?)(?![\\d])";
+// Prefix ("$19.99", "USD 19.99") and suffix ("19,99 €") forms
+const MONEY_RES = [
+  [new RegExp(`${SYM}\\s?${AMOUNT}`, "gu"), 1, 2, 3],
+  [new RegExp(`${AMOUNT}\\s?${SYM}`, "gu"), 3, 1, 2],
+];
+const BARE_RE = new RegExp(AMOUNT, "u");
+
+// { locale?, country?, language? } -> { country, language }
+function localeContext(opts = {}) {
+  const tag = parseTag(opts.locale);
+  return {
+    country: (opts.country || tag.region || "").toUpperCase() || null,
+    language: (opts.language || tag.language || "").toLowerCase() || null,
+  };
+}
+
+/**
+ * ISO 4217 code for a currency symbol or code in the given locale, or null when ambiguous.
+ */
+function resolveCurrency(symbol, opts = {}) {
+  if (!symbol) return null;
+  const s = String(symbol).trim();
+  if (ISO_CODES.includes(s.toUpperCase()) && !(s in SYMBOLS)) return s.toUpperCase();
+  const entry = SYMBOLS[s] ?? SYMBOLS[s.toLowerCase()];
+  if (!entry) return null;
+  if (typeof entry === "string") return entry;
+  const { country, language } = localeContext(opts);
+  return entry.country?.[country] || entry.language?.[language] || entry.default;
+}
+
+/**
+ * Parse a number as written in prices ("1.299,00", "1,299.00", "1 299", "1'299.50", "1,29,999")
+ * into a JS number, or null.
+ */
+function parseAmount(raw, opts = {}) {
+  const s = String(raw ?? "")
+    .trim()
+    .replace(/[.,:]\s?[-–—]$/, "");
+  if (!/^\d[\d.,'’\s]*$/.test(s)) return null;
+
+  const dec = s.match(/[.,](\d{1,3})$/);
+  let decimals = null;
+  if (dec && dec[1].length <= 2) {
+    decimals = dec[1];
+  } else if (dec && THREE_DECIMALS.has(opts.currency)) {
+    // A lone three-digit group is a decimal part only in three-decimal currencies
+    const mark = dec[0][0];
+    if (s.indexOf(mark) === s.length - 4) decimals = dec[1];
+  }
+  const whole = (decimals != null ? s.slice(0, -(decimals.length + 1)) : s).replace(/[.,'’\s]/g, "");
+  const n = Number(`${whole || "0"}.${decimals || "0"}`);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toResult(amount, priceCurrency, raw) {
+  if (amount == null || amount < 0) return null;
+  return { price: amount.toFixed(2), priceCurrency: priceCurrency || null, raw };
+}
+
+/**
+ * Parse "$1,299.00" / "USD 19.99" / "19,99 €" / "CHF 45.–" into { price, priceCurrency, raw }.
+ * A bare amount parses too (priceCurrency null), unless opts.requireCurrency.
+ *
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.locale] BCP 47 tag ("de-CH"); or pass country/language directly
+ * @param {string} [opts.country]
+ * @param {string} [opts.language]
+ * @param {boolean} [opts.requireCurrency]
+ * @returns {{ price: string, priceCurrency: string|null, raw: string }|null}
+ */
+function parseMoney(text, opts = {}) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+
+  // Earliest currency-marked amount wins, whichever side the symbol is on
+  const marked = currencyAmounts(t, opts);
+  if (marked.length) return marked[0];
+  if (opts.requireCurrency) return null;
+
+  const bare = t.match(BARE_RE);
+  return bare ? toResult(parseAmount(bare[0]), null, bare[0]) : null;
+}
+
+// Currency-marked amounts in text order; an entry is null when its amount doesn't parse
+function currencyAmounts(t, opts) {
+  const out = [];
+  const matches = MONEY_RES.flatMap(([re, symGroup, amountGroup, tailGroup]) =>
+    [...t.matchAll(re)].map((m) => ({
+      m,
+      sym: m[symGroup],
+      amount: m[amountGroup],
+      tail: m[tailGroup] || "",
+      prefix: symGroup === 1,
+    }))
+  ).sort((a, b) => a.m.index - b.m.index);
+
+  for (const { m, sym, amount, tail, prefix } of matches) {
+    const priceCurrency = resolveCurrency(sym, opts);
+    // "R 15" on a non-South-African page, "kr" without a Nordic locale: not a usable currency
+    if (!priceCurrency) continue;
+    // "$10 200 items": space grouping after a prefix symbol only for letter symbols ("kr 1 299");
+    // the snippet then ends where the amount does, so it shows exactly what was parsed
+    const cut = prefix && / /.test(amount) && !/^\p{L}/u.test(sym);
+    const value = cut ? amount.split(" ")[0] : amount + tail;
+    const raw = cut ? m[0].slice(0, m[0].length - amount.length - tail.length + value.length) : m[0];
+    out.push(toResult(parseAmount(value, { currency: priceCurrency }), priceCurrency, raw));
+  }
+  return out;
+}
+
+/**
+ * First currency-marked amount in free text.
+ */
+function findPrice(text, opts = {}) {
+  return parseMoney(text, { ...opts, requireCurrency: true });
+}
+
+/**
+ * Every currency-marked amount in free text, in order.
+ */
+function findPrices(text, opts = {}) {
+  return currencyAmounts(String(text || "").replace(/\s+/g, " ").trim(), opts).filter(Boolean);
+}
+
+/**
+ * Smallest plausible headline price in a currency (about USD 5).
+ */
+function tinyPriceThreshold(currency) {
+  return TINY_PRICE_THRESHOLDS[String(currency || "").toUpperCase()] ?? DEFAULT_TINY_PRICE;
+}
+
+module.exports = {
+  parseMoney,
+  parseAmount,
+  findPrice,
+  findPrices,
+  resolveCurrency,
+  tinyPriceThreshold,
+  ISO_CODES,
+};
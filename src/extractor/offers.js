@@ -0,0 +1,350 @@
+// src/extractor/offers.js
+// Offer / variant / availability model for product pages.
+//
+// Usage:
+//   const { extractOffers } = require("./extractor/offers");
+//   const res = extractOffers({ html, asserted: [productJson, ...] });
+//   res.offers          // [{ sku, name, price, priceCurrency, listPrice, onSale, availability, size, color, ... }]
+//   res.aggregate       // { lowPrice, highPrice, priceCurrency, offerCount } | null
+//   res.availability    // "InStock" if any offer is purchasable, else the common status
+//
+// Sources, first non-empty wins:
+//   "jsonld"  - Product/ProductGroup offers, AggregateOffer, hasVariant (from the normalized asserted graph)
+//   "shopify" - embedded product JSON (script[type=application/json] with a variants array)
+//   "dom"     - visible price / compare-at price and the variant <select>
+//
+// Prices are strings with two decimals, like agentnet:price elsewhere; visible prices are read
+// with extractor/money.js in the page locale, so "1.299,00 €" and "kr 1 299:-" come out right.
+
+const cheerio = require("cheerio");
+const { parseMoney, parseAmount, findPrice } = require("./money");
+
+const AVAILABILITY = {
+  instock: "InStock",
+  outofstock: "OutOfStock",
+  soldout: "SoldOut",
+  preorder: "PreOrder",
+  backorder: "BackOrder",
+  discontinued: "Discontinued",
+  limitedavailability: "LimitedAvailability",
+  instoreonly: "InStoreOnly",
+  onlineonly: "OnlineOnly",
+};
+const PURCHASABLE = new Set(["InStock", "LimitedAvailability", "OnlineOnly", "InStoreOnly", "PreOrder", "BackOrder"]);
+
+const SIZE_RE = /^(size|taille|größe|talla|shoe size)$/i;
+const COLOR_RE = /^(colou?r|farbe|couleur|shade)$/i;
+
+function asArray(x) {
+  if (x == null) return [];
+  return Array.isArray(x) ? x : [x];
+}
+
+function typesOf(node) {
+  return asArray(node && node["@type"]).map(String);
+}
+
+function first(x) {
+  return Array.isArray(x) ? x[0] : x;
+}
+
+function toPrice(v) {
+  if (v == null || v === "") return null;
+  // Asserted prices are sometimes written the local way ("1.299,00")
+  const n = typeof v === "number" ? v : parseAmount(String(v).replace(/[^\d.,'’\s-]/g, "").trim());
+  return n != null && Number.isFinite(n) && n >= 0 ? n.toFixed(2) : null;
+}
+
+function normalizeAvailability(v) {
+  if (v == null) return null;
+  if (typeof v === "boolean") return v ? "InStock" : "OutOfStock";
+  const key = String(first(v))
+    .replace(/^https?:\/\/(?:www\.)?schema\.org\//i, "")
+    .replace(/[^a-z]/gi, "")
+    .toLowerCase();
+  return AVAILABILITY[key] || null;
+}
+
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v != null && v !== ""));
+}
+
+// ------------------------------
+// JSON-LD
+// ------------------------------
+function listPriceOf(offer) {
+  for (const spec of asArray(offer.priceSpecification)) {
+    const type = String(spec.priceType || "").replace(/^https?:\/\/(?:www\.)?schema\.org\//i, "");
+    if (/ListPrice|StrikethroughPrice|MSRP/i.test(type)) return toPrice(spec.price);
+  }
+  return null;
+}
+
+function offerFromJsonLd(offer, product, variant = null) {
+  const item = variant || product || {};
+  const spec = first(asArray(offer.priceSpecification)) || {};
+  const price = toPrice(offer.price ?? spec.price);
+  const listPrice = listPriceOf(offer);
+  return compact({
+    sku: first(offer.sku) || first(item.sku) || null,
+    name: first(variant?.name) || null,
+    price,
+    priceCurrency: first(offer.priceCurrency) || spec.priceCurrency || null,
+    listPrice: listPrice && listPrice !== price ? listPrice : null,
+    onSale: listPrice && price ? Number(price) < Number(listPrice) : null,
+    availability: normalizeAvailability(offer.availability),
+    priceValidUntil: first(offer.priceValidUntil) || null,
+    itemCondition: offer.itemCondition ? String(first(offer.itemCondition)).replace(/^.*\//, "") : null,
+    size: first(item.size?.name ?? item.size) || null,
+    color: first(item.color) || null,
+    url: first(offer.url) || null,
+    source: "jsonld",
+  });
+}
+
+function fromJsonLd(asserted) {
+  const offers = [];
+  let aggregate = null;
+
+  const products = asArray(asserted).filter((n) =>
+    typesOf(n).some((t) => /^(Product|ProductGroup|ProductModel|IndividualProduct|Vehicle|Car)$/.test(t))
+  );
+
+  for (const product of products) {
+    for (const o of asArray(product.offers)) {
+      if (!o || typeof o !== "object") continue;
+      if (typesOf(o).includes("AggregateOffer")) {
+        aggregate = compact({
+          lowPrice: toPrice(o.lowPrice),
+          highPrice: toPrice(o.highPrice),
+          priceCurrency: first(o.priceCurrency) || null,
+          offerCount: Number.isFinite(Number(o.offerCount)) ? Number(o.offerCount) : null,
+          source: "jsonld",
+        });
+        asArray(o.offers).forEach((inner) => inner && offers.push(offerFromJsonLd(inner, product)));
+      } else {
+        offers.push(offerFromJsonLd(o, product));
+      }
+    }
+
+    for (const variant of asArray(product.hasVariant)) {
+      if (!variant || typeof variant !== "object") continue;
+      for (const o of asArray(variant.offers)) {
+        if (o && typeof o === "object") offers.push(offerFromJsonLd(o, product, variant));
+      }
+    }
+  }
+
+  return { offers: offers.filter((o) => o.price || o.availability), aggregate };
+}
+
+// ------------------------------
+// Shopify embedded product JSON
+// ------------------------------
+function shopifyCurrency($, html) {
+  const m = html.match(/Shopify\.currency\s*=\s*\{[^}]*"active"\s*:\s*"([A-Z]{3})"/);
+  if (m) return m[1];
+  return $('meta[property="og:price:currency"], meta[property="product:price:currency"]').attr("content") || null;
+}
+
+// Liquid's `| json` emits integer cents; the .json endpoint emits decimal strings
+function shopifyPrice(v) {
+  if (v == null || v === "") return null;
+  if (typeof v === "number" && Number.isInteger(v)) return toPrice(v / 100);
+  return toPrice(v);
+}
+
+function findShopifyProduct($) {
+  const candidates = $('script[type="application/json"], script[type="application/ld+json"][data-product-json]')
+    .toArray()
+    .map((el) => {
+      try {
+        return JSON.parse($(el).html() || "");
+      } catch {
+        return null;
+      }
+    });
+
+  for (const c of candidates) {
+    const product = c?.product || c;
+    if (product && Array.isArray(product.variants) && product.variants.some((v) => "price" in v)) return product;
+  }
+  return null;
+}
+
+function fromShopify($, html) {
+  const product = findShopifyProduct($);
+  if (!product) return { offers: [], aggregate: null };
+
+  const currency = shopifyCurrency($, html);
+  const optionNames = asArray(product.options).map((o) => (typeof o === "string" ? o : o?.name || ""));
+
+  const offers = product.variants.map((v) => {
+    const price = shopifyPrice(v.price);
+    const listPrice = shopifyPrice(v.compare_at_price);
+    const options = {};
+    ["option1", "option2", "option3"].forEach((key, i) => {
+      if (v[key] != null && v[key] !== "Default Title") options[optionNames[i] || key] = String(v[key]);
+    });
+    const named = (re) => Object.entries(options).find(([name]) => re.test(name))?.[1] || null;
+
+    return compact({
+      sku: v.sku || null,
+      name: v.title && v.title !== "Default Title" ? v.title : null,
+      price,
+      priceCurrency: currency,
+      listPrice: listPrice && Number(listPrice) > Number(price) ? listPrice : null,
+      onSale: listPrice && price ? Number(price) < Number(listPrice) : null,
+      availability: typeof v.available === "boolean" ? (v.available ? "InStock" : "OutOfStock") : null,
+      size: named(SIZE_RE),
+      color: named(COLOR_RE),
+      options: Object.keys(options).length ? options : null,
+      variantId: v.id != null ? String(v.id) : null,
+      source: "shopify",
+    });
+  });
+
+  return { offers, aggregate: null };
+}
+
+// ------------------------------
+// Visible DOM
+// ------------------------------
+function fromDom($, locale) {
+  const scope = $("main").first().length ? $("main").first() : $("body");
+
+  const saleEl = scope.find('[class*="sale" i][class*="price" i], .price ins, [class*="price" i] ins').first();
+  const listEl = scope
+    .find('[class*="compare" i], [class*="was" i][class*="price" i], .price del, .price s, [class*="price" i] del')
+    .first();
+  const priceEl = saleEl.length ? saleEl : scope.find('[class*="price" i]').not("del, s").first();
+
+  const current = priceEl.length ? parseMoney(priceEl.text(), locale) : null;
+  if (!current) return { offers: [], aggregate: null };
+
+  const list = listEl.length ? parseMoney(listEl.text(), locale) : null;
+  // Variant labels ("10 / Black - Sold out") must not decide the page-level status
+  const text = scope.clone().find("select, script, style, noscript").remove().end().text().toLowerCase();
+  const cartDisabled = scope.find('button[name="add"][disabled], [type="submit"][disabled]').length > 0;
+  const availability =
+    /sold out|out of stock|unavailable/.test(text) || cartDisabled
+      ? "OutOfStock"
+      : /in stock|add to cart|add to bag/.test(text)
+        ? "InStock"
+        : null;
+
+  const base = compact({
+    price: current.price,
+    priceCurrency: current.priceCurrency,
+    listPrice: list && Number(list.price) > Number(current.price) ? list.price : null,
+    onSale: list ? Number(current.price) < Number(list.price) : null,
+    availability,
+    source: "dom",
+  });
+
+  // Variant <select> (Shopify's select[name=id], generic option pickers)
+  const variantOptions = $('select[name="id"] option, select[name*="variant" i] option').toArray();
+  if (!variantOptions.length) return { offers: [base], aggregate: null };
+
+  const offers = variantOptions
+    .map((el) => {
+      const $o = $(el);
+      const label = $o.text().replace(/\s+/g, " ").trim();
+      if (!label || !$o.attr("value")) return null;
+      const soldOut = $o.is("[disabled]") || /sold out|unavailable|out of stock/i.test(label);
+      const money = findPrice(label, locale);
+      let name = label.replace(/\s*[-–]\s*(sold out|unavailable|out of stock).*$/i, "");
+      if (money && name.endsWith(money.raw)) name = name.slice(0, -money.raw.length).replace(/\s*[-–]\s*$/, "");
+      return compact({
+        ...base,
+        name,
+        price: money?.price || base.price,
+        availability: soldOut ? "OutOfStock" : base.availability === "OutOfStock" ? null : base.availability,
+        variantId: $o.attr("value"),
+      });
+    })
+    .filter(Boolean);
+
+  return { offers, aggregate: null };
+}
+
+// ------------------------------
+// Public API
+// ------------------------------
+function summarize(offers, aggregate) {
+  const priced = offers.filter((o) => o.price);
+  const prices = priced.map((o) => Number(o.price));
+  const currencies = [...new Set(priced.map((o) => o.priceCurrency).filter(Boolean))];
+
+  let agg = aggregate;
+  if (!agg && prices.length && (new Set(prices).size > 1 || offers.length > 1)) {
+    agg = compact({
+      lowPrice: Math.min(...prices).toFixed(2),
+      highPrice: Math.max(...prices).toFixed(2),
+      priceCurrency: currencies.length === 1 ? currencies[0] : null,
+      offerCount: offers.length,
+      source: offers[0].source,
+    });
+  }
+
+  const statuses = offers.map((o) => o.availability).filter(Boolean);
+  const availability = statuses.some((s) => PURCHASABLE.has(s))
+    ? statuses.includes("InStock")
+      ? "InStock"
+      : statuses.find((s) => PURCHASABLE.has(s))
+    : statuses[0] || null;
+
+  // Headline offer: cheapest purchasable one, else cheapest overall
+  const byPrice = [...priced].sort((a, b) => Number(a.price) - Number(b.price));
+  const primary = byPrice.find((o) => PURCHASABLE.has(o.availability)) || byPrice[0] || null;
+
+  return { aggregate: agg || null, availability, primary };
+}
+
+/**
+ * Build the offer model for a page.
+ *
+ * @param {object} args
+ * @param {string} args.html
+ * @param {Array<object>|object} [args.asserted] normalized asserted entities
+ * @param {boolean} [args.allowDom=true] set false to skip visible-DOM prices (weak commerce signals)
+ * @param {{ locale?: string, country?: string, language?: string }} [args.locale] page locale for visible prices
+ * @returns {{
+ *   source: "jsonld"|"shopify"|"dom"|null,
+ *   offers: Array<object>,
+ *   aggregate: object|null,
+ *   availability: string|null,
+ *   primary: object|null,
+ * }}
+ */
+function extractOffers({ html = "", asserted = [], allowDom = true, locale = {} } = {}) {
+  const $ = cheerio.load(html || "");
+
+  const attempts = [
+    () => fromJsonLd(asserted),
+    () => fromShopify($, html || ""),
+    () => (allowDom ? fromDom($, locale) : { offers: [], aggregate: null }),
+  ];
+
+  for (const attempt of attempts) {
+    const { offers, aggregate } = attempt();
+    if (!offers.length && !aggregate) continue;
+
+    // Fill a missing currency from siblings (common in variant lists)
+    const currency = offers.find((o) => o.priceCurrency)?.priceCurrency || aggregate?.priceCurrency;
+    const filled = offers.map((o) => (o.price && !o.priceCurrency && currency ? { ...o, priceCurrency: currency } : o));
+
+    return {
+      source: filled[0]?.source || aggregate?.source || null,
+      offers: filled,
+      ...summarize(filled, aggregate),
+    };
+  }
+
+  return { source: null, offers: [], aggregate: null, availability: null, primary: null };
+}
+
+module.exports = {
+  extractOffers,
+  normalizeAvailability,
+};
@@ -0,0 +1,193 @@
+// src/extractor/phone.js
+// Phone-number normalization to E.164, with look-alike rejection.
+//
+// Usage:
+//   const { normalizePhone, findPhones } = require("./extractor/phone");
+//   normalizePhone("030 1234567", { country: "DE" })  // -> { e164: "+49301234567", country: "DE", national: "301234567" }
+//   normalizePhone("+44 20 7946 0958")                 // -> { e164: "+442079460958", country: "GB", ... }
+//   findPhones("Tel: (02) 9374 4000 · Order #20231104", { country: "AU" })
+//   // -> [{ e164: "+61293744000", raw: "(02) 9374 4000", index: 5, ... }]
+//
+// A number without "+"/"00" is read in the page's country (see locale.js); without a country,
+// only international-format numbers normalize. Validation is by national significant number
+// length per country, not a full numbering plan, so the goal is rejecting obvious junk:
+// order/invoice/SKU numbers, dates, times, prices and digit runs with no phone context.
+
+// ISO country -> calling code, national trunk prefix, national significant number lengths
+const COUNTRIES = {
+  US: { cc: "1", trunk: "1", len: [10, 10] },
+  CA: { cc: "1", trunk: "1", len: [10, 10] },
+  GB: { cc: "44", trunk: "0", len: [9, 10] },
+  IE: { cc: "353", trunk: "0", len: [7, 9] },
+  DE: { cc: "49", trunk: "0", len: [6, 13] },
+  AT: { cc: "43", trunk: "0", len: [4, 13] },
+  CH: { cc: "41", trunk: "0", len: [9, 9] },
+  FR: { cc: "33", trunk: "0", len: [9, 9] },
+  BE: { cc: "32", trunk: "0", len: [8, 9] },
+  NL: { cc: "31", trunk: "0", len: [9, 9] },
+  LU: { cc: "352", trunk: "", len: [4, 11] },
+  ES: { cc: "34", trunk: "", len: [9, 9] },
+  PT: { cc: "351", trunk: "", len: [9, 9] },
+  IT: { cc: "39", trunk: "", len: [6, 11] },
+  DK: { cc: "45", trunk: "", len: [8, 8] },
+  NO: { cc: "47", trunk: "", len: [8, 8] },
+  SE: { cc: "46", trunk: "0", len: [7, 9] },
+  FI: { cc: "358", trunk: "0", len: [5, 12] },
+  PL: { cc: "48", trunk: "", len: [9, 9] },
+  CZ: { cc: "420", trunk: "", len: [9, 9] },
+  GR: { cc: "30", trunk: "", len: [10, 10] },
+  AU: { cc: "61", trunk: "0", len: [9, 9] },
+  NZ: { cc: "64", trunk: "0", len: [8, 10] },
+  SG: { cc: "65", trunk: "", len: [8, 8] },
+  HK: { cc: "852", trunk: "", len: [8, 8] },
+  JP: { cc: "81", trunk: "0", len: [9, 10] },
+  KR: { cc: "82", trunk: "0", len: [8, 10] },
+  CN: { cc: "86", trunk: "0", len: [10, 11] },
+  IN: { cc: "91", trunk: "0", len: [10, 10] },
+  MY: { cc: "60", trunk: "0", len: [8, 10] },
+  PH: { cc: "63", trunk: "0", len: [9, 10] },
+  ID: { cc: "62", trunk: "0", len: [8, 12] },
+  TH: { cc: "66", trunk: "0", len: [8, 9] },
+  AE: { cc: "971", trunk: "0", len: [8, 9] },
+  ZA: { cc: "27", trunk: "0", len: [9, 9] },
+  MX: { cc: "52", trunk: "", len: [10, 10] },
+  BR: { cc: "55", trunk: "0", len: [10, 11] },
+};
+
+// Calling code -> first country that uses it ("1" -> US; CA shares the plan)
+const BY_CALLING_CODE = {};
+for (const [country, { cc }] of Object.entries(COUNTRIES)) BY_CALLING_CODE[cc] ||= country;
+
+// Digits with the usual separators; at least 6 digits overall. A "." only separates digits
+// ("030.123.4567"), so a sentence ending "... 555-0132. 12 Main St" does not run on.
+const CANDIDATE_RE = /(?:\+|\b00)?\(?\d(?:[\d\s()\/-]|\.(?=\d)){4,22}\d(?![\d.,]?\d)/g;
+const EXTENSION_RE = /\s*(?:ext\.?|extension|x|#)\s*\d{1,6}\s*$/i;
+const PHONE_CONTEXT_RE =
+  /\b(?:tel|telephone|phone|ph|call|fax|mobile|mob|cell|hotline|whatsapp|telefon|téléphone|tél|teléfono|telefono|tlf)\b|電話|[☎📞]/iu;
+const NOT_PHONE_CONTEXT_RE = new RegExp(
+  "\\b(?:order|invoice|ref(?:erence)?|sku|item|article|model|part|serial|tracking|isbn|ean|upc|gtin|" +
+    "vat|tax|abn|acn|reg(?:istration)?|company|iban|account|qty)\\b\\D{0,12}$|[#№]\\s*$",
+  "i"
+);
+
+// Shapes that look like phone numbers but are not
+function isLookalike(raw) {
+  const s = raw.trim();
+  const digits = s.replace(/\D/g, "");
+  if (/^(\d)\1+$/.test(digits)) return true; // 0000000, 1111111111
+  if ("0123456789".includes(digits) || "9876543210".includes(digits)) return true;
+  // Dates: 2024-01-31, 31.01.2024, 01/31/2024, 31/01/24
+  if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/.test(s) || /^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(s)) return true;
+  // Times / time ranges: 09:00-17:00 (":" is not in the candidate class, but "9.00 - 17.00" is)
+  if (/^\d{1,2}[.:]\d{2}\s*[-–]\s*\d{1,2}[.:]\d{2}$/.test(s)) return true;
+  // Prices / decimals: 1.299,00  1,299.00
+  if (/^\d{1,3}(?:[.,\s]\d{3})*[.,]\d{2}$/.test(s)) return true;
+  // Year ranges: 1998-2024
+  if (/^(?:19|20)\d{2}\s*[-–]\s*(?:19|20)\d{2}$/.test(s)) return true;
+  return false;
+}
+
+function validNanp(nsn) {
+  // Area code and exchange both start 2-9, and N11 codes are service numbers
+  return /^[2-9]\d{2}[2-9]\d{6}$/.test(nsn) && !/^\d11/.test(nsn) && !/^\d{3}\d11/.test(nsn);
+}
+
+function validNsn(country, nsn) {
+  const info = COUNTRIES[country];
+  if (!info) return nsn.length >= 4 && nsn.length <= 14;
+  if (info.cc === "1") return validNanp(nsn);
+  // Italian landlines keep their leading zero after the calling code; elsewhere it's a trunk prefix
+  if (nsn.startsWith("0") && country !== "IT") return false;
+  return nsn.length >= info.len[0] && nsn.length <= info.len[1];
+}
+
+function fromInternational(digits) {
+  for (const len of [1, 2, 3]) {
+    const cc = digits.slice(0, len);
+    const country = BY_CALLING_CODE[cc];
+    if (!country) continue;
+    let nsn = digits.slice(len);
+    // "+44 (0)20 ..." keeps a trunk zero that must be dropped
+    if (COUNTRIES[country].trunk === "0" && nsn.startsWith("0")) nsn = nsn.slice(1);
+    return validNsn(country, nsn) ? { country, nsn, cc } : null;
+  }
+  // Calling code we don't model: accept a plausible E.164 length
+  return digits.length >= 8 && digits.length <= 15 ? { country: null, nsn: digits, cc: "" } : null;
+}
+
+function fromNational(digits, country) {
+  const info = COUNTRIES[country];
+  if (!info) return null;
+  let nsn = digits;
+  // A "1" trunk (NANP) is only a prefix when the number is one digit too long
+  if (info.trunk && nsn.startsWith(info.trunk) && (info.trunk === "0" || nsn.length > info.len[1])) {
+    nsn = nsn.slice(info.trunk.length);
+  }
+  return validNsn(country, nsn) ? { country, nsn, cc: info.cc } : null;
+}
+
+/**
+ * Normalize one phone string to E.164.
+ *
+ * @param {string} raw e.g. "+49 (0)30 123 4567", "(415) 555-0132", "tel:+61293744000"
+ * @param {object} [opts]
+ * @param {string} [opts.country] ISO 3166-1 alpha-2 used for numbers without a calling code
+ * @returns {{ e164: string, country: string|null, national: string }|null}
+ */
+function normalizePhone(raw, opts = {}) {
+  const s = String(raw || "")
+    .replace(/^tel:/i, "")
+    .replace(EXTENSION_RE, "")
+    .trim();
+  if (!s || /[a-z]/i.test(s.replace(/^\+/, "")) || isLookalike(s)) return null;
+
+  const digits = s.replace(/\D/g, "");
+  if (digits.length < 6 || digits.length > 17) return null;
+
+  let parsed = null;
+  if (s.startsWith("+")) parsed = fromInternational(digits);
+  else if (/^00[1-9]/.test(digits)) parsed = fromInternational(digits.slice(2));
+  else if (opts.country) parsed = fromNational(digits, String(opts.country).toUpperCase());
+  // No country signal: a well-formed 10-digit NANP number is still the safest bet
+  else if (/^\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}$/.test(s) && validNanp(digits)) {
+    parsed = { country: "US", nsn: digits, cc: "1" };
+  }
+
+  if (!parsed) return null;
+  return { e164: `+${parsed.cc}${parsed.nsn}`, country: parsed.country, national: parsed.nsn };
+}
+
+/**
+ * Find phone numbers in free text. Bare digit runs (no "+", no separators) only count
+ * next to a phone word ("Tel", "Call", ...); candidates preceded by "Order #", "SKU", "Ref" etc. never do.
+ *
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.country]
+ * @returns {Array<{ e164: string, country: string|null, national: string, raw: string, index: number }>}
+ */
+function findPhones(text, opts = {}) {
+  const out = [];
+  const seen = new Set();
+  for (const m of String(text || "").matchAll(CANDIDATE_RE)) {
+    const raw = m[0].trim();
+    const before = text.slice(Math.max(0, m.index - 24), m.index);
+    if (NOT_PHONE_CONTEXT_RE.test(before)) continue;
+
+    const formatted = raw.startsWith("+") || /[\s().-]/.test(raw);
+    if (!formatted && !PHONE_CONTEXT_RE.test(before)) continue;
+
+    const phone = normalizePhone(raw, opts);
+    if (!phone || seen.has(phone.e164)) continue;
+    seen.add(phone.e164);
+    out.push({ ...phone, raw, index: m.index });
+  }
+  return out;
+}
+
+module.exports = {
+  normalizePhone,
+  findPhones,
+  isLookalike,
+  COUNTRIES,
+};
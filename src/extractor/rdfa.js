@@ -0,0 +1,227 @@
+// src/extractor/rdfa.js
+// Extract RDFa (Lite) resources (vocab/typeof/property) as JSON-LD-shaped blocks with provenance.
+//
+// Usage:
+//   const { extractRdfa } = require("./extractor/rdfa");
+//   const res = extractRdfa(html, url, { capturedAt: new Date().toISOString() });
+//   if (res.found) { ... }   // res.blocks: [{ json, provenance }] (same shape as extractJsonLd)
+//
+// Supported: vocab, prefix (plus the common default prefixes), typeof, property,
+// resource/about/href/src as @id or values, content, datetime. Full RDFa 1.1
+// chaining (rel/rev, incomplete triples) is out of scope.
+
+const cheerio = require("cheerio");
+const crypto = require("crypto");
+
+const SCHEMA_ORG_RE = /^https?:\/\/(?:www\.)?schema\.org\//i;
+
+// RDFa 1.1 initial context (subset that shows up on real sites)
+const DEFAULT_PREFIXES = {
+  schema: "https://schema.org/",
+  og: "http://ogp.me/ns#",
+  dc: "http://purl.org/dc/terms/",
+  dcterms: "http://purl.org/dc/terms/",
+  foaf: "http://xmlns.com/foaf/0.1/",
+  gr: "http://purl.org/goodrelations/v1#",
+  v: "http://rdf.data-vocabulary.org/#",
+};
+
+/**
+ * Hash helper (sha256 hex)
+ */
+function sha256Hex(input) {
+  return crypto.createHash("sha256").update(input || "", "utf8").digest("hex");
+}
+
+function absolute(u, base) {
+  try {
+    return new URL(u, base).href;
+  } catch {
+    return u;
+  }
+}
+
+function cleanText(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+function addValue(obj, key, value) {
+  if (value === "" || value == null) return;
+  if (!(key in obj)) obj[key] = value;
+  else if (Array.isArray(obj[key])) obj[key].push(value);
+  else obj[key] = [obj[key], value];
+}
+
+/**
+ * prefix="schema: https://schema.org/ og: http://ogp.me/ns#"
+ */
+function parsePrefixAttr(attr) {
+  const out = {};
+  const re = /([A-Za-z_][\w.-]*):\s+(\S+)/g;
+  let m;
+  while ((m = re.exec(attr || ""))) out[m[1].toLowerCase()] = m[2];
+  return out;
+}
+
+/**
+ * Resolution context for an element: nearest vocab + all in-scope prefixes.
+ */
+function contextFor($, el) {
+  const chain = [el, ...$(el).parents().toArray()];
+  let vocab = null;
+  const prefixes = { ...DEFAULT_PREFIXES };
+  // Outermost first so inner declarations win
+  for (const node of chain.reverse()) {
+    const attrs = node.attribs || {};
+    if (attrs.vocab != null) vocab = attrs.vocab || null;
+    if (attrs.prefix) Object.assign(prefixes, parsePrefixAttr(attrs.prefix));
+  }
+  return { vocab, prefixes };
+}
+
+/**
+ * Compact a term/CURIE/IRI to a schema.org-style key.
+ * "name" (vocab schema.org) -> "name"; "schema:name" -> "name"; other vocabularies keep the IRI or CURIE.
+ */
+function compactTerm(term, ctx) {
+  if (/^https?:/i.test(term)) return SCHEMA_ORG_RE.test(term) ? term.replace(SCHEMA_ORG_RE, "") : term;
+
+  const curie = term.match(/^([A-Za-z_][\w.-]*):(.+)$/);
+  if (curie) {
+    const ns = ctx.prefixes[curie[1].toLowerCase()];
+    if (ns && SCHEMA_ORG_RE.test(ns)) return curie[2];
+    return term;
+  }
+
+  if (!ctx.vocab || SCHEMA_ORG_RE.test(ctx.vocab)) return term;
+  return `${ctx.vocab}${term}`;
+}
+
+function terms(attr) {
+  return (attr || "").split(/\s+/).filter(Boolean);
+}
+
+function isSchemaOrgContext(ctx, types) {
+  if (ctx.vocab && SCHEMA_ORG_RE.test(ctx.vocab)) return true;
+  return types.some((t) => !/^https?:|:/.test(t));
+}
+
+/**
+ * Literal/IRI value of a property element.
+ */
+function propertyValue($, el, baseUrl) {
+  const $el = $(el);
+  const tag = (el.tagName || "").toLowerCase();
+
+  if ($el.attr("content") != null) return cleanText($el.attr("content"));
+  if ($el.attr("resource")) return absolute($el.attr("resource"), baseUrl);
+  if ($el.attr("href") && ["a", "area", "link"].includes(tag)) return absolute($el.attr("href"), baseUrl);
+  if ($el.attr("src") && ["img", "audio", "video", "source", "embed", "iframe"].includes(tag)) {
+    return absolute($el.attr("src"), baseUrl);
+  }
+  if ($el.attr("datetime") != null) return cleanText($el.attr("datetime"));
+  return cleanText($el.text());
+}
+
+/**
+ * Property elements belonging to a resource: descendants, not crossing nested typeof.
+ */
+function collectPropertyElements(resourceEl) {
+  const props = [];
+  const queue = [...(resourceEl.children || [])];
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node || node.type !== "tag") continue;
+    const attrs = node.attribs || {};
+
+    if (attrs.property != null) props.push(node);
+    if (attrs.typeof != null) continue; // nested resource owns its subtree
+    queue.push(...(node.children || []));
+  }
+  return props;
+}
+
+function readResource($, el, baseUrl, nested = false) {
+  const $el = $(el);
+  const ctx = contextFor($, el);
+  const obj = {};
+
+  const types = terms($el.attr("typeof"));
+  const compactTypes = types.map((t) => compactTerm(t, ctx));
+  if (compactTypes.length) {
+    if (!nested && isSchemaOrgContext(ctx, types)) obj["@context"] = "https://schema.org";
+    obj["@type"] = compactTypes.length === 1 ? compactTypes[0] : compactTypes;
+  }
+
+  const id = $el.attr("resource") || $el.attr("about");
+  if (id) obj["@id"] = absolute(id, baseUrl);
+
+  for (const propEl of collectPropertyElements(el)) {
+    const propCtx = contextFor($, propEl);
+    const value =
+      propEl.attribs.typeof != null ? readResource($, propEl, baseUrl, true) : propertyValue($, propEl, baseUrl);
+    for (const name of terms(propEl.attribs.property)) {
+      addValue(obj, compactTerm(name, propCtx), value);
+    }
+  }
+
+  return obj;
+}
+
+/**
+ * Extract top-level RDFa resources from HTML
+ *
+ * @param {string} html
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.capturedAt] ISO timestamp; default now
+ * @returns {{
+ *   found: boolean,
+ *   blocks: Array<{ json: any, provenance: object }>,
+ *   rawCount: number,
+ *   parseErrors: Array<{ index: number, message: string }>,
+ * }}
+ */
+function extractRdfa(html, url, opts = {}) {
+  const capturedAt = opts.capturedAt || new Date().toISOString();
+
+  const $ = cheerio.load(html || "");
+  const blocks = [];
+  const parseErrors = [];
+
+  // Top-level resources: typeof elements that are not the value of a parent's property
+  const resources = $("[typeof]")
+    .toArray()
+    .filter((el) => !(el.attribs.property != null && $(el).parents("[typeof]").length));
+
+  resources.forEach((el, i) => {
+    try {
+      const json = readResource($, el, url);
+      // A bare typeof with no properties carries nothing worth asserting
+      if (Object.keys(json).every((k) => k.startsWith("@"))) return;
+
+      blocks.push({
+        json,
+        provenance: {
+          sourceUrl: url,
+          capturedAt,
+          evidenceType: "rdfa",
+          resourceIndex: i,
+          selector: "[typeof]",
+          snippetHash: `sha256:${sha256Hex($.html(el))}`,
+        },
+      });
+    } catch (e) {
+      parseErrors.push({ index: i, message: e.message });
+    }
+  });
+
+  return {
+    found: blocks.length > 0,
+    blocks,
+    rawCount: resources.length,
+    parseErrors,
+  };
+}
+
+module.exports = { extractRdfa };
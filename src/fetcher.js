@@ -0,0 +1,326 @@
+// src/fetcher.js
+// Page fetch strategies: plain HTTP (+cheerio) with automatic Playwright fallback.
+//
+// Strategies:
+// - "http":    HTTP GET only; never launches a browser
+// - "browser": always render with Playwright (previous behavior)
+// - "auto":    HTTP GET first; escalate to the browser when the page looks JS-rendered (or on a
+//              403, which is often a bot wall the browser gets through)
+//
+// Error statuses (4xx/5xx) fail the fetch in every strategy, from HTTP or from the browser, so
+// error pages are never capsulized.
+//
+// Usage:
+//   const { fetchPage } = require("./fetcher");
+//   const res = await fetchPage(url, { strategy: "auto", userAgent: UA, getContext, collectLinks: true });
+//   // -> { html, text, links, finalUrl, status, fetch: { requested, used, escalated, reason, ... } }
+//
+// Conditional requests: pass `conditional: { etag, lastModified }` and a 304 comes back as
+// { notModified: true, html: null, ... } without rendering anything.
+
+const cheerio = require("cheerio");
+const { applyResourcePolicy } = require("./resourcePolicy");
+const { waitForReady } = require("./readiness");
+
+const FETCH_STRATEGIES = ["auto", "http", "browser"];
+
+const HTTP_FETCH_TIMEOUT_MS = parseInt(process.env.HTTP_FETCH_TIMEOUT_MS || 20000, 10);
+const HTTP_MAX_BYTES = parseInt(process.env.HTTP_MAX_BYTES || 5 * 1024 * 1024, 10);
+const HTTP_MIN_TEXT_CHARS = parseInt(process.env.HTTP_MIN_TEXT_CHARS || 200, 10);
+const BROWSER_NAV_TIMEOUT_MS = 30000;
+
+// The only error status worth retrying in a browser (bot walls); others fail the fetch
+const ESCALATE_STATUSES = [403];
+
+function httpError(res) {
+  const err = new Error(`HTTP ${res.status}`);
+  err.status = res.status;
+  err.retryAfter = res.headers?.["retry-after"] ?? null;
+  return err;
+}
+
+/**
+ * Read a response body, giving up as soon as it passes maxBytes (nothing past the limit is buffered).
+ */
+async function readBody(res, maxBytes) {
+  const tooLarge = () => new Error(`Response exceeds ${maxBytes} bytes`);
+  if (Number(res.headers.get("content-length")) > maxBytes) {
+    await res.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+  if (!res.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let size = 0;
+  // Leaving the loop early cancels the stream
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Resolve the strategy for a job: job value > env (FETCH_STRATEGY) > "auto".
+ */
+function resolveStrategy(requested) {
+  const s = String(requested || process.env.FETCH_STRATEGY || "auto").toLowerCase();
+  if (FETCH_STRATEGIES.includes(s)) return s;
+  console.warn(`⚠️ Unknown fetch strategy '${s}', using 'auto'`);
+  return "auto";
+}
+
+// ------------------------------
+// HTTP mode
+// ------------------------------
+async function httpGet(url, { userAgent, conditional }) {
+  if (typeof fetch !== "function") {
+    throw new Error("Global fetch() not available. Use Node 18+ or polyfill fetch.");
+  }
+
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), HTTP_FETCH_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url, {
+      headers: {
+        "User-Agent": userAgent,
+        Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.5",
+        ...(conditional?.etag ? { "If-None-Match": conditional.etag } : {}),
+        ...(conditional?.lastModified ? { "If-Modified-Since": conditional.lastModified } : {}),
+      },
+      redirect: "follow",
+      signal: ac.signal,
+    });
+
+    const contentType = res.headers.get("content-type") || "";
+    const buf = await readBody(res, HTTP_MAX_BYTES);
+
+    return {
+      status: res.status,
+      ok: res.ok,
+      finalUrl: res.url || url,
+      contentType,
+      headers: Object.fromEntries(res.headers.entries()),
+      html: buf.toString("utf8"),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Approximate document.body.innerText for static HTML.
+ */
+function visibleText($) {
+  const body = $("body").clone();
+  body.find("script, style, noscript, template, svg, iframe").remove();
+  body.find("br").replaceWith("\n");
+  body.find("p, div, li, tr, h1, h2, h3, h4, h5, h6, section, article, header, footer").append("\n");
+  return body
+    .text()
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+function metaNofollow(content) {
+  return /(?:^|[\s,])(?:nofollow|none)(?:$|[\s,])/i.test(content || "");
+}
+
+function extractLinks($, baseUrl, { honorNofollow = false } = {}) {
+  const links = [];
+  if (honorNofollow && metaNofollow($('meta[name="robots" i]').attr("content"))) return links;
+
+  $("a[href]").each((_, a) => {
+    const href = $(a).attr("href");
+    if (!href) return;
+    if (honorNofollow && /(?:^|\s)nofollow(?:\s|$)/i.test($(a).attr("rel") || "")) return;
+    try {
+      links.push(new URL(href, baseUrl).href);
+    } catch {
+      // ignore unparsable hrefs
+    }
+  });
+  return links;
+}
+
+/**
+ * Decide whether statically fetched HTML needs a real browser.
+ *
+ * @returns {string|null} escalation reason, or null when the static HTML is usable
+ */
+function needsBrowser($, text) {
+  const title = $("title").first().text().trim();
+  if (!title) return "no-title";
+
+  if (text.length < HTTP_MIN_TEXT_CHARS) return "empty-body";
+
+  const spaRoot = $("#root, #app, #__next, #__nuxt, #svelte, [data-reactroot], [ng-app], [ng-version]").first();
+  if (spaRoot.length && spaRoot.text().trim().length < HTTP_MIN_TEXT_CHARS) return "spa-root";
+
+  const noscript = $("noscript").text().toLowerCase();
+  if (/enable javascript|javascript is (?:required|disabled)/.test(noscript) && text.length < 1000) {
+    return "noscript-warning";
+  }
+
+  return null;
+}
+
+function extractCanonical($, baseUrl) {
+  const href = $('link[rel~="canonical" i]').first().attr("href");
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+// ------------------------------
+// Browser mode
+// ------------------------------
+async function browserGet(url, { getContext, collectLinks, honorNofollow, resourcePolicy, readiness }) {
+  const ctx = await getContext();
+  const page = await ctx.newPage();
+  try {
+    const resources = resourcePolicy ? await applyResourcePolicy(page, resourcePolicy, url) : null;
+
+    const res = await page.goto(url, { waitUntil: "domcontentloaded", timeout: BROWSER_NAV_TIMEOUT_MS });
+    const ready = await waitForReady(page, readiness);
+
+    const html = await page.content();
+    const text = await page.evaluate(() => document.body?.innerText || "");
+    const links = collectLinks
+      ? await page.evaluate((skipNofollow) => {
+          const robots = document.querySelector('meta[name="robots" i]')?.content || "";
+          if (skipNofollow && /(?:^|[\s,])(?:nofollow|none)(?:$|[\s,])/i.test(robots)) return [];
+          return [...document.querySelectorAll("a[href]")]
+            .filter((a) => !(skipNofollow && a.relList.contains("nofollow")))
+            .map((a) => a.href)
+            .filter(Boolean);
+        }, Boolean(honorNofollow))
+      : [];
+    const canonical = await page.evaluate(() => document.querySelector('link[rel~="canonical" i]')?.href || null);
+
+    return {
+      status: res ? res.status() : null,
+      finalUrl: page.url(),
+      headers: res ? await res.allHeaders() : {},
+      html,
+      text,
+      links,
+      canonical,
+      resources,
+      readiness: ready,
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+// ------------------------------
+// Strategy entry point
+// ------------------------------
+
+/**
+ * Fetch a page using the requested strategy.
+ *
+ * @param {string} url
+ * @param {object} opts
+ * @param {string} [opts.strategy] "auto" | "http" | "browser"
+ * @param {string} opts.userAgent
+ * @param {() => Promise<import("playwright").BrowserContext>} opts.getContext lazily provides a browser context
+ * @param {boolean} [opts.collectLinks]
+ * @param {boolean} [opts.honorNofollow] drop rel=nofollow links (all links under meta robots nofollow)
+ * @param {{ etag?: string|null, lastModified?: string|null }|null} [opts.conditional] validators from the last fetch
+ * @param {object|null} [opts.resourcePolicy] request-blocking policy for the browser (see resourcePolicy.js)
+ * @param {object} [opts.readiness] readiness config for the browser (see readiness.js)
+ */
+async function fetchPage(
+  url,
+  {
+    strategy,
+    userAgent,
+    getContext,
+    collectLinks = false,
+    honorNofollow = false,
+    conditional = null,
+    resourcePolicy = null,
+    readiness = undefined,
+  }
+) {
+  const requested = resolveStrategy(strategy);
+  const t0 = Date.now();
+
+  const fetchReport = (used, extra = {}) => ({
+    requested,
+    used,
+    escalated: requested === "auto" && used === "browser",
+    reason: null,
+    durationMs: Date.now() - t0,
+    ...extra,
+  });
+
+  let reason = null;
+
+  if (requested !== "browser") {
+    const res = await httpGet(url, { userAgent, conditional });
+
+    if (res.status === 304) {
+      return {
+        notModified: true,
+        html: null,
+        text: null,
+        links: [],
+        finalUrl: res.finalUrl,
+        status: res.status,
+        headers: res.headers,
+        fetch: fetchReport("http", { httpStatus: 304, conditional: true }),
+      };
+    }
+
+    const isHtml = /html|xml/i.test(res.contentType) || !res.contentType;
+
+    if (!res.ok) {
+      if (requested === "http" || !ESCALATE_STATUSES.includes(res.status)) throw httpError(res);
+      reason = `http-status(${res.status})`;
+    } else {
+      if (!isHtml) throw new Error(`Non-HTML content-type: ${res.contentType}`);
+
+      const $ = cheerio.load(res.html);
+      const text = visibleText($);
+      reason = requested === "auto" ? needsBrowser($, text) : null;
+
+      if (!reason) {
+        return {
+          html: res.html,
+          text,
+          links: collectLinks ? extractLinks($, res.finalUrl, { honorNofollow }) : [],
+          canonical: extractCanonical($, res.finalUrl),
+          finalUrl: res.finalUrl,
+          status: res.status,
+          headers: res.headers,
+          fetch: fetchReport("http", { httpStatus: res.status }),
+        };
+      }
+    }
+  }
+
+  const rendered = await browserGet(url, { getContext, collectLinks, honorNofollow, resourcePolicy, readiness });
+  if (rendered.status >= 400) throw httpError(rendered);
+  return {
+    ...rendered,
+    fetch: fetchReport("browser", { reason, httpStatus: rendered.status }),
+  };
+}
+
+module.exports = {
+  FETCH_STRATEGIES,
+  resolveStrategy,
+  readBody,
+  needsBrowser,
+  visibleText,
+  fetchPage,
+};
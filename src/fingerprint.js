@@ -0,0 +1,84 @@
+// src/fingerprint.js
+// Canonical envelope view for CG_DETERMINISTIC fingerprints: the same page and pipeline version
+// must hash the same on every run.
+//
+// Usage:
+//   const { stableFingerprintView } = require("./fingerprint");
+//   const fingerprint = fp(stableFingerprintView(envelope));
+//
+// Dropped from the view: run identity and capture time, and report fields that measure the run
+// rather than the page (timings, LLM call/cache accounting, third-party requests seen by the resource
+// policy). They stay in the stored envelope.
+
+// agentnet:report section -> fields that vary from run to run
+const VOLATILE_REPORT_FIELDS = {
+  fetchStrategy: ["durationMs"],
+  readiness: ["waitedMs", "timedOut"],
+  llm: ["calls", "attempts", "retries", "promptTokens", "completionTokens", "totalTokens", "durationMs", "cached"],
+  // Ad/analytics requests differ between loads of the same page
+  resourceBlocking: ["allowed", "blocked", "blockedByType", "blockedByReason", "estimatedBytesSaved"],
+};
+
+function stableSortJsonLd(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(stableSortJsonLd)
+      .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .reduce((acc, k) => {
+        acc[k] = stableSortJsonLd(value[k]);
+        return acc;
+      }, {});
+  }
+  return value;
+}
+
+function stableFingerprintView(envelope) {
+  const e = JSON.parse(JSON.stringify(envelope || {}));
+
+  // Volatile envelope fields
+  delete e["agentnet:captureDate"];
+  delete e["agentnet:cgRunId"];
+  delete e["agentnet:cgManifestPath"]; // varies per run
+
+  // Volatile provenance timestamps
+  const prov = e?.["agentnet:asserted"]?.provenance;
+  if (prov && typeof prov === "object") {
+    delete prov.capturedAt;
+  }
+
+  // Volatile report measurements
+  const report = e["agentnet:report"];
+  if (report && typeof report === "object") {
+    for (const [section, fields] of Object.entries(VOLATILE_REPORT_FIELDS)) {
+      if (!report[section] || typeof report[section] !== "object") continue;
+      for (const f of fields) delete report[section][f];
+    }
+  }
+
+  // Canonicalize asserted array/object
+  const asserted = e?.["agentnet:asserted"]?.json;
+  if (Array.isArray(asserted)) {
+    const keyed = asserted.map((obj) => stableSortJsonLd(obj));
+    keyed.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+    e["agentnet:asserted"].json = keyed;
+  } else if (asserted && typeof asserted === "object") {
+    e["agentnet:asserted"].json = stableSortJsonLd(asserted);
+  }
+
+  // Canonicalize content (helps reduce fingerprint jitter)
+  if (e["agentnet:content"] && typeof e["agentnet:content"] === "object") {
+    e["agentnet:content"] = stableSortJsonLd(e["agentnet:content"]);
+  }
+
+  return e;
+}
+
+module.exports = {
+  VOLATILE_REPORT_FIELDS,
+  stableSortJsonLd,
+  stableFingerprintView,
+};
@@ -0,0 +1,255 @@
+// src/frontier.js
+// Persistent, resumable crawl frontier (BFS queue + visited set) stored in Redis per run.
+//
+// Keys (per run):
+//   cg:frontier:<runId>:queue    LIST of JSON { url, depth, attempts? }
+//   cg:frontier:<runId>:deferred ZSET of JSON items put back after a 429/503 (score = not before, ms)
+//   cg:frontier:<runId>:seen     SET of every URL ever enqueued (dedupe)
+//   cg:frontier:<runId>:visited  SET of URLs popped for processing
+//   cg:frontier:<runId>:capsules LIST of JSON agentnet:content (node classifier input)
+//   cg:frontier:<runId>:meta     HASH { runId, jobId, baseUrl, status, current, stats, createdAt, updatedAt }
+//   cg:frontier:job:<jobId>      STRING -> runId (so a retried BullMQ job resumes the same run)
+//   cg:frontier:active           SET of runIds still in progress
+//
+// Usage:
+//   const frontier = await openFrontier({ jobId: job.id, baseUrl, makeRunId });
+//   if (!frontier.resumed) await frontier.push([{ url: baseUrl, depth: 0 }]);
+//   for (;;) { await frontier.checkpoint(stats); const item = await frontier.pop(); if (!item) break; ... }
+//   await frontier.defer(item, retryAfterMs); // rate limited: retry later, not counted as visited
+//   await frontier.finish();
+
+const { connection } = require("./queue");
+
+const FRONTIER_TTL_SECONDS = parseInt(process.env.FRONTIER_TTL_SECONDS || 7 * 24 * 3600, 10);
+const FRONTIER_DONE_TTL_SECONDS = parseInt(process.env.FRONTIER_DONE_TTL_SECONDS || 3600, 10);
+const DEFER_POLL_MS = 1000;
+
+const PREFIX = "cg:frontier:";
+const ACTIVE_KEY = `${PREFIX}active`;
+
+function keysFor(runId) {
+  const base = `${PREFIX}${runId}`;
+  return {
+    queue: `${base}:queue`,
+    deferred: `${base}:deferred`,
+    seen: `${base}:seen`,
+    visited: `${base}:visited`,
+    capsules: `${base}:capsules`,
+    meta: `${base}:meta`,
+  };
+}
+
+function jobKey(jobId) {
+  return `${PREFIX}job:${jobId}`;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function touch(keys, ttlSeconds) {
+  const multi = connection.multi();
+  for (const k of Object.values(keys)) multi.expire(k, ttlSeconds);
+  await multi.exec();
+}
+
+/**
+ * Open (or resume) the frontier for a job.
+ *
+ * @param {object} opts
+ * @param {string|number} opts.jobId BullMQ job id (stable across retries)
+ * @param {string} opts.baseUrl
+ * @param {() => string} opts.makeRunId used only when no run exists for this job yet
+ */
+async function openFrontier({ jobId, baseUrl, makeRunId }) {
+  let runId = jobId != null ? await connection.get(jobKey(jobId)) : null;
+  let keys = runId ? keysFor(runId) : null;
+  let meta = keys ? await connection.hgetall(keys.meta) : {};
+
+  // A finished (or expired) run is not resumed; start fresh
+  const resumed = Boolean(runId && meta && meta.status === "running");
+
+  if (!resumed) {
+    runId = makeRunId();
+    keys = keysFor(runId);
+    const now = new Date().toISOString();
+    meta = { runId, jobId: String(jobId ?? ""), baseUrl, status: "running", createdAt: now, updatedAt: now };
+
+    const multi = connection.multi().hset(keys.meta, meta).sadd(ACTIVE_KEY, runId);
+    if (jobId != null) multi.set(jobKey(jobId), runId, "EX", FRONTIER_TTL_SECONDS);
+    await multi.exec();
+  } else if (meta.current) {
+    // The page in flight when the previous attempt died goes back to the head of the queue
+    const current = JSON.parse(meta.current);
+    await connection
+      .multi()
+      .lpush(keys.queue, meta.current)
+      .srem(keys.visited, current.url)
+      .hdel(keys.meta, "current")
+      .exec();
+  }
+
+  await touch(keys, FRONTIER_TTL_SECONDS);
+
+  const savedStats = meta.stats ? JSON.parse(meta.stats) : null;
+
+  return {
+    runId,
+    resumed,
+    savedStats,
+
+    /**
+     * Enqueue items whose URL has never been enqueued before.
+     * @returns {Promise<number>} how many were added
+     */
+    async push(items) {
+      let added = 0;
+      for (const item of items) {
+        if (await connection.sadd(keys.seen, item.url)) {
+          await connection.rpush(keys.queue, JSON.stringify({ url: item.url, depth: item.depth }));
+          added += 1;
+        }
+      }
+      return added;
+    },
+
+    /**
+     * Pop the next unvisited item and mark it visited + in flight. Deferred items go back on the
+     * queue once due; with only deferred items left, this waits for the earliest one.
+     * @returns {Promise<{ url: string, depth: number, attempts?: number }|null>}
+     */
+    async pop() {
+      for (;;) {
+        const due = await connection.zrangebyscore(keys.deferred, "-inf", Date.now());
+        if (due.length) {
+          await connection.multi().zrem(keys.deferred, ...due).rpush(keys.queue, ...due).exec();
+        }
+
+        const raw = await connection.lpop(keys.queue);
+        if (!raw) {
+          const next = await connection.zrange(keys.deferred, 0, 0, "WITHSCORES");
+          if (!next.length) return null;
+          await sleep(Math.min(Math.max(0, Number(next[1]) - Date.now()), DEFER_POLL_MS));
+          continue;
+        }
+        const item = JSON.parse(raw);
+        if (!(await connection.sadd(keys.visited, item.url))) continue;
+        await connection.hset(keys.meta, { current: raw, updatedAt: new Date().toISOString() });
+        return item;
+      }
+    },
+
+    /**
+     * Put a popped item back for a later attempt (e.g. after a 429 with Retry-After). It no longer
+     * counts as visited, so it doesn't use up the page budget.
+     */
+    async defer(item, delayMs) {
+      await connection
+        .multi()
+        .zadd(keys.deferred, Date.now() + Math.max(0, delayMs), JSON.stringify(item))
+        .srem(keys.visited, item.url)
+        .hdel(keys.meta, "current")
+        .exec();
+    },
+
+    /**
+     * Reserve a URL without enqueueing it (e.g. a canonical already being processed).
+     * @returns {Promise<boolean>} false when the URL was already seen
+     */
+    async markSeen(url) {
+      return Boolean(await connection.sadd(keys.seen, url));
+    },
+
+    async hasVisited(url) {
+      return Boolean(await connection.sismember(keys.visited, url));
+    },
+
+    async size() {
+      return connection.llen(keys.queue);
+    },
+
+    async visitedCount() {
+      return connection.scard(keys.visited);
+    },
+
+    async recordCapsule(content) {
+      await connection.rpush(keys.capsules, JSON.stringify(content || {}));
+    },
+
+    async capsules() {
+      return (await connection.lrange(keys.capsules, 0, -1)).map((raw) => JSON.parse(raw));
+    },
+
+    /**
+     * Clear the in-flight marker and checkpoint the crawl stats.
+     * Called before each pop: a crash mid-page re-processes at most that page.
+     */
+    async checkpoint(stats) {
+      await connection.hset(keys.meta, {
+        stats: JSON.stringify(stats || {}),
+        updatedAt: new Date().toISOString(),
+      });
+      await connection.hdel(keys.meta, "current");
+    },
+
+    /**
+     * Mark the run finished; keys linger briefly for inspection.
+     */
+    async finish(status = "done") {
+      await connection
+        .multi()
+        .hset(keys.meta, { status, updatedAt: new Date().toISOString() })
+        .hdel(keys.meta, "current")
+        .srem(ACTIVE_KEY, runId)
+        .exec();
+      await touch(keys, FRONTIER_DONE_TTL_SECONDS);
+      if (jobId != null) await connection.del(jobKey(jobId));
+    },
+  };
+}
+
+/**
+ * Read-only view of a run's frontier (for the CLI).
+ */
+async function inspectFrontier(runId, { limit = 20 } = {}) {
+  const keys = keysFor(runId);
+  const [meta, queued, deferred, seen, visited, head] = await Promise.all([
+    connection.hgetall(keys.meta),
+    connection.llen(keys.queue),
+    connection.zcard(keys.deferred),
+    connection.scard(keys.seen),
+    connection.scard(keys.visited),
+    limit > 0 ? connection.lrange(keys.queue, 0, limit - 1) : [],
+  ]);
+
+  if (!meta || !Object.keys(meta).length) return null;
+
+  return {
+    runId,
+    jobId: meta.jobId || null,
+    baseUrl: meta.baseUrl || null,
+    status: meta.status || null,
+    createdAt: meta.createdAt || null,
+    updatedAt: meta.updatedAt || null,
+    current: meta.current ? JSON.parse(meta.current) : null,
+    stats: meta.stats ? JSON.parse(meta.stats) : null,
+    queued,
+    deferred,
+    seen,
+    visited,
+    head: head.map((raw) => JSON.parse(raw)),
+  };
+}
+
+async function listActiveRuns() {
+  return (await connection.smembers(ACTIVE_KEY)).sort();
+}
+
+async function runIdForJob(jobId) {
+  return connection.get(jobKey(jobId));
+}
+
+module.exports = {
+  openFrontier,
+  inspectFrontier,
+  listActiveRuns,
+  runIdForJob,
+};
@@ -0,0 +1,265 @@
+// src/hostLimiter.js
+// Cluster-wide per-host rate limiting backed by Redis (its own fail-fast ioredis connection).
+//
+// Per host we keep:
+//   cg:host:<host>:slots    ZSET of active leases (score = lease expiry, ms)
+//   cg:host:<host>:next     earliest time (ms) the next page may start
+//   cg:host:<host>:backoff  current adaptive backoff (ms), set on 429/503, decays on success
+//
+// Usage:
+//   const lease = await acquireHostSlot(url, { minDelayMs: crawlDelayMs });
+//   try { ...fetch... } finally { await lease.release({ status, retryAfter }); }
+//
+// Overrides (HOST_LIMITS, JSON keyed by host; subdomains inherit from parent domains):
+//   HOST_LIMITS='{"example.com":{"delayMs":2000,"maxConcurrent":1}}'
+//
+// If Redis is unavailable we fall back to an in-process delay so crawls keep going. The shared
+// BullMQ connection (queue.js) retries commands forever while Redis is down, so the limiter runs
+// on a separate connection whose commands fail within HOST_LIMITER_TIMEOUT_MS instead.
+
+const crypto = require("crypto");
+const Redis = require("ioredis");
+const { redisOptions } = require("./queue");
+
+const PER_HOST_DELAY = parseInt(process.env.PER_HOST_DELAY_MS || 500, 10);
+const HOST_MAX_CONCURRENCY = parseInt(process.env.HOST_MAX_CONCURRENCY || 1, 10);
+const HOST_LEASE_TTL_MS = parseInt(process.env.HOST_LEASE_TTL_MS || 120000, 10);
+const HOST_ACQUIRE_TIMEOUT_MS = parseInt(process.env.HOST_ACQUIRE_TIMEOUT_MS || 5 * 60 * 1000, 10);
+const HOST_BACKOFF_BASE_MS = parseInt(process.env.HOST_BACKOFF_BASE_MS || 5000, 10);
+const HOST_BACKOFF_MAX_MS = parseInt(process.env.HOST_BACKOFF_MAX_MS || 5 * 60 * 1000, 10);
+const HOST_LIMITER_TIMEOUT_MS = parseInt(process.env.HOST_LIMITER_TIMEOUT_MS || 2000, 10);
+const POLL_MS = 250;
+
+const KEY_PREFIX = "cg:host:";
+const BACKOFF_STATUSES = [429, 503];
+
+// ------------------------------
+// Per-host overrides
+// ------------------------------
+function loadOverrides() {
+  const raw = process.env.HOST_LIMITS;
+  if (!raw || !raw.trim()) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    console.warn(`⚠️ HOST_LIMITS is not valid JSON (ignored): ${e.message}`);
+    return {};
+  }
+}
+
+const overrides = loadOverrides();
+
+/**
+ * Effective limits for a host: exact host > parent domains > defaults.
+ */
+function limitsFor(host) {
+  const h = host.toLowerCase().replace(/^www\./, "");
+  const parts = h.split(".");
+
+  let override = null;
+  for (let i = 0; i < parts.length - 1 && !override; i++) {
+    const candidate = parts.slice(i).join(".");
+    override = overrides[candidate] || overrides[`www.${candidate}`] || null;
+  }
+
+  return {
+    delayMs: Number(override?.delayMs ?? PER_HOST_DELAY),
+    maxConcurrent: Math.max(1, Number(override?.maxConcurrent ?? HOST_MAX_CONCURRENCY)),
+  };
+}
+
+// ------------------------------
+// Lua scripts (atomic acquire/release)
+// ------------------------------
+const NOW_MS = `
+if redis.replicate_commands then redis.replicate_commands() end
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+`;
+
+// KEYS: slots, next, backoff
+// ARGV: leaseId, maxConcurrent, delayMs, leaseTtlMs, pollMs
+// Returns 0 when acquired, otherwise ms to wait before retrying.
+const ACQUIRE_LUA = `${NOW_MS}
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+
+local nextAt = tonumber(redis.call('GET', KEYS[2]) or '0')
+if nextAt > now then return nextAt - now end
+
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[2]) then return tonumber(ARGV[5]) end
+
+local backoff = tonumber(redis.call('GET', KEYS[3]) or '0')
+local delay = math.max(tonumber(ARGV[3]), backoff)
+local ttl = tonumber(ARGV[4])
+
+redis.call('ZADD', KEYS[1], now + ttl, ARGV[1])
+redis.call('PEXPIRE', KEYS[1], ttl * 2)
+redis.call('SET', KEYS[2], now + delay, 'PX', delay + 1000)
+return 0
+`;
+
+// KEYS: slots, next, backoff
+// ARGV: leaseId, status, baseBackoffMs, maxBackoffMs, retryAfterMs
+// Returns the backoff now in effect (ms).
+const RELEASE_LUA = `${NOW_MS}
+redis.call('ZREM', KEYS[1], ARGV[1])
+
+local status = tonumber(ARGV[2]) or 0
+local base = tonumber(ARGV[3])
+local max = tonumber(ARGV[4])
+local retryAfter = tonumber(ARGV[5]) or 0
+local cur = tonumber(redis.call('GET', KEYS[3]) or '0')
+
+if status == 429 or status == 503 then
+  local nb = math.min(math.max(base, cur * 2, retryAfter), max)
+  redis.call('SET', KEYS[3], nb, 'PX', nb * 4)
+  local nextAt = now + nb
+  if nextAt > tonumber(redis.call('GET', KEYS[2]) or '0') then
+    redis.call('SET', KEYS[2], nextAt, 'PX', nb + 1000)
+  end
+  return nb
+end
+
+if status >= 200 and status < 400 and cur > 0 then
+  local half = math.floor(cur / 2)
+  if half < base then
+    redis.call('DEL', KEYS[3])
+    return 0
+  end
+  redis.call('SET', KEYS[3], half, 'PX', half * 4)
+  return half
+end
+
+return cur
+`;
+
+const connection = new Redis({
+  ...redisOptions,
+  lazyConnect: true,
+  maxRetriesPerRequest: 1,
+  commandTimeout: HOST_LIMITER_TIMEOUT_MS,
+});
+// Commands fail over to the local throttle; the emitted errors are logged once per outage
+let redisDown = false;
+connection.on("error", (e) => {
+  if (redisDown) return;
+  redisDown = true;
+  console.warn(`⚠️ Host limiter lost Redis (${e.message}); throttling per process until it is back`);
+});
+connection.on("ready", () => {
+  if (redisDown) console.log("✅ Host limiter reconnected to Redis");
+  redisDown = false;
+});
+
+connection.defineCommand("cgHostAcquire", { numberOfKeys: 3, lua: ACQUIRE_LUA });
+connection.defineCommand("cgHostRelease", { numberOfKeys: 3, lua: RELEASE_LUA });
+
+function keysFor(host) {
+  const base = `${KEY_PREFIX}${host}`;
+  return [`${base}:slots`, `${base}:next`, `${base}:backoff`];
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date.
+ */
+function parseRetryAfter(value) {
+  if (value == null || value === "") return 0;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ------------------------------
+// In-process fallback (Redis down)
+// ------------------------------
+const lastHit = new Map();
+async function localThrottle(host, delayMs) {
+  const last = lastHit.get(host) || 0;
+  const wait = Math.max(0, delayMs - (Date.now() - last));
+  if (wait) await sleep(wait);
+  lastHit.set(host, Date.now());
+}
+
+// ------------------------------
+// Public API
+// ------------------------------
+
+/**
+ * Wait for a per-host slot.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {number|null} [opts.minDelayMs] e.g. robots.txt Crawl-delay; raises the host delay
+ * @returns {Promise<{ host: string, waitedMs: number, release: (res?: { status?: number|null, retryAfter?: string|null }) => Promise<number> }>}
+ */
+async function acquireHostSlot(url, opts = {}) {
+  const host = new URL(url).host;
+  const limits = limitsFor(host);
+  const delayMs = Math.max(limits.delayMs, opts.minDelayMs || 0);
+  const keys = keysFor(host);
+  const leaseId = crypto.randomBytes(8).toString("hex");
+  const t0 = Date.now();
+
+  for (;;) {
+    let wait;
+    try {
+      wait = Number(
+        await connection.cgHostAcquire(...keys, leaseId, limits.maxConcurrent, delayMs, HOST_LEASE_TTL_MS, POLL_MS)
+      );
+    } catch (e) {
+      console.warn(`⚠️ Redis host limiter unavailable, using local throttle for ${host}: ${e.message}`);
+      await localThrottle(host, delayMs);
+      return {
+        host,
+        waitedMs: Date.now() - t0,
+        // No shared backoff without Redis; a rate-limited caller still learns how long to wait
+        release: async ({ status = null, retryAfter = null } = {}) =>
+          BACKOFF_STATUSES.includes(status) ? Math.max(HOST_BACKOFF_BASE_MS, parseRetryAfter(retryAfter)) : 0,
+      };
+    }
+
+    if (wait <= 0) break;
+    if (Date.now() - t0 > HOST_ACQUIRE_TIMEOUT_MS) {
+      throw new Error(`Timed out waiting for host slot on ${host}`);
+    }
+    // Jitter keeps competing workers from polling in lockstep
+    await sleep(Math.min(wait, 5000) + Math.floor(Math.random() * 50));
+  }
+
+  return {
+    host,
+    waitedMs: Date.now() - t0,
+    release: async ({ status = null, retryAfter = null } = {}) => {
+      try {
+        const backoff = Number(
+          await connection.cgHostRelease(
+            ...keys,
+            leaseId,
+            status ?? 0,
+            HOST_BACKOFF_BASE_MS,
+            HOST_BACKOFF_MAX_MS,
+            parseRetryAfter(retryAfter)
+          )
+        );
+        if (BACKOFF_STATUSES.includes(status)) {
+          console.warn(`🐢 ${host} returned ${status}; backing off ${backoff}ms`);
+        }
+        return backoff;
+      } catch (e) {
+        console.warn(`⚠️ Failed to release host slot for ${host}: ${e.message}`);
+        return 0;
+      }
+    },
+  };
+}
+
+module.exports = {
+  acquireHostSlot,
+  limitsFor,
+  parseRetryAfter,
+  BACKOFF_STATUSES,
+};
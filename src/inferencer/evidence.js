@@ -0,0 +1,123 @@
+// ant-capsulizer/src/inferencer/evidence.js
+// Field-level evidence for agentnet:inferred: where on the page each inferred value came from.
+//
+//   agentnet:inferred["agentnet:telephone"].evidence = {
+//     selector: 'a[href^="tel:"]',               // CSS selector the extractor used, when it had one
+//     xpath: "/html/body/footer[1]/a[2]",         // element holding the value (selector hit or text match)
+//     snippet: "(415) 555-0132",                  // text as it appears on the page
+//     start: 1834, end: 1848,                     // offsets of the snippet in the visible text
+//     snapshot: "./snapshots/example.com_contact__1a2b3c4d5e6f7a8b.html",
+//   }
+//
+// Offsets index the whitespace-normalized visible text the inferencer works on (runs of whitespace
+// collapsed to one space, trimmed), so they stay stable across re-renders that only reflow markup.
+// Producers may seed `evidence` with what they already know (selector, the raw matched text);
+// attachEvidence fills in the rest and drops keys it cannot establish.
+
+const MAX_SNIPPET = 200;
+// Values that are classifications, not page text: searching for them would only find coincidences
+const NOT_TEXTUAL = new Set(["@type", "agentnet:inLanguage"]);
+
+function textOf(value) {
+  if (value == null) return [];
+  if (typeof value === "string" || typeof value === "number") return [String(value)];
+  if (Array.isArray(value)) return value.slice(0, 3).flatMap(textOf);
+  if (typeof value === "object") {
+    // The most distinctive parts first: a street line beats a country code
+    const keys = ["streetAddress", "name", "price", "lowPrice", "postalCode", "addressLocality", "opens", "value"];
+    return keys.flatMap((k) => textOf(value[k]));
+  }
+  return [];
+}
+
+const isWordChar = (ch) => /[\p{L}\p{N}]/u.test(ch || "");
+
+// Case-insensitive search for the first candidate that occurs in the text as a whole word/number
+function findSnippet(text, candidates) {
+  const lower = text.toLowerCase();
+  for (const c of candidates) {
+    const needle = String(c || "").replace(/\s+/g, " ").trim().toLowerCase();
+    if (needle.length < 2 || needle.length > MAX_SNIPPET) continue;
+    for (let start = lower.indexOf(needle); start !== -1; start = lower.indexOf(needle, start + 1)) {
+      const end = start + needle.length;
+      const cutsWordBefore = isWordChar(needle[0]) && isWordChar(text[start - 1]);
+      const cutsWordAfter = isWordChar(needle.at(-1)) && isWordChar(text[end]);
+      if (!cutsWordBefore && !cutsWordAfter) return { snippet: text.slice(start, end), start, end };
+    }
+  }
+  return null;
+}
+
+function xpathOf($, el) {
+  const parts = [];
+  for (let node = el; node && node.type === "tag"; node = node.parent) {
+    const siblings = node.parent ? $(node.parent).children(node.tagName).toArray() : [node];
+    parts.unshift(`${node.tagName}[${siblings.indexOf(node) + 1}]`);
+  }
+  // The root <html> needs no index
+  return parts.length ? `/${parts.join("/").replace(/^html\[1\]/, "html")}` : null;
+}
+
+function elementBySelector($, selector) {
+  try {
+    return $(selector).get(0) || null;
+  } catch {
+    return null; // selectors recorded for humans may not be valid for cheerio
+  }
+}
+
+// Innermost element whose own text node contains the snippet
+function elementByText($, snippet) {
+  const needle = snippet.toLowerCase();
+  let hit = null;
+  $("body")
+    .find("*")
+    .not("script, style, noscript, template")
+    .contents()
+    .each((_, node) => {
+      if (node.type !== "text" || hit) return;
+      if (String(node.data || "").replace(/\s+/g, " ").toLowerCase().includes(needle)) hit = node.parent;
+    });
+  return hit;
+}
+
+/**
+ * Complete the evidence of every inferred field in place.
+ *
+ * @param {object} inferred capsule fragment carrying "agentnet:inferred"
+ * @param {object} ctx
+ * @param {import("cheerio").CheerioAPI} ctx.$ parsed page
+ * @param {string} ctx.text whitespace-normalized visible text
+ * @param {string|null} [ctx.snapshot] snapshot file the page was (or will be) written to; named by content
+ *   hash, so it still holds this capture after a recrawl
+ */
+function attachEvidence(inferred, { $, text, snapshot = null }) {
+  const provenance = inferred["agentnet:inferred"] || {};
+
+  for (const [key, prov] of Object.entries(provenance)) {
+    const seed = prov.evidence || {};
+    const evidence = {};
+    if (seed.selector) evidence.selector = seed.selector;
+
+    const candidates = NOT_TEXTUAL.has(key) ? [seed.snippet] : [seed.snippet, ...textOf(inferred[key])];
+    let found = findSnippet(text || "", candidates);
+
+    const el =
+      (seed.selector && elementBySelector($, seed.selector)) || (found && elementByText($, found.snippet)) || null;
+    if (el) evidence.xpath = xpathOf($, el);
+    // Normalized values (E.164 phones, ISO dates) differ from the page: fall back to the element's text
+    if (!found && el && !NOT_TEXTUAL.has(key)) found = findSnippet(text || "", [$(el).text()]);
+    if (found) Object.assign(evidence, found);
+
+    if (snapshot) evidence.snapshot = snapshot;
+
+    if (Object.keys(evidence).length) prov.evidence = evidence;
+    else delete prov.evidence;
+  }
+  return inferred;
+}
+
+module.exports = {
+  attachEvidence,
+  xpathOf,
+};
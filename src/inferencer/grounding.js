@@ -0,0 +1,282 @@
+// src/inferencer/grounding.js
+// Grounding check for LLM enrichment: a field the model returns is kept only if the page backs it.
+//
+// Usage:
+//   const { groundLLMFields } = require("./grounding");
+//   const { accepted, downgraded, rejected } = groundLLMFields(llmCapsule, { text, html, country, locale });
+//   // accepted["agentnet:telephone"] -> { value: "+14155550132", match: "normalized", snippet: "(415) 555-0132" }
+//   // rejected -> [{ field: "agentnet:price", reason: "not-found", value: "19.99" }, ...]
+//
+// Each whitelisted field has a type and a matcher. Matching is normalized per kind: phones compare
+// as E.164 (extractor/phone.js), prices as currency-marked amounts read in the page locale
+// (extractor/money.js), identifiers as whole tokens, addresses by their street /
+// postcode parts, URLs against the page's markup, and free text case-, accent- and
+// punctuation-insensitively against the visible text (then the HTML, for meta/alt/title text).
+// Descriptions are summaries by nature, so one whose words mostly occur on the page is kept at
+// a lower confidence ("partial") instead of being dropped.
+
+const { findPhones, normalizePhone } = require("../extractor/phone");
+const { parseAmount, findPrices, resolveCurrency, ISO_CODES } = require("../extractor/money");
+const { parseAddress } = require("../extractor/address");
+
+// Share of a description's content words that must occur on the page to keep it as "partial"
+const PARTIAL_MIN_OVERLAP = 0.6;
+const MAX_STRING = 2000;
+// Shorter identifiers ("A1", "12") occur on most pages by chance
+const MIN_TOKEN_LENGTH = 3;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Field -> { type, match }; anything else the model returns is rejected as "not-whitelisted"
+const LLM_FIELDS = {
+  "agentnet:name": { type: "string", match: "text" },
+  "agentnet:alternateName": { type: "string", match: "text" },
+  "agentnet:description": { type: "string", match: "summary" },
+  "agentnet:brand": { type: "string", match: "text" },
+  "agentnet:author": { type: "string", match: "text" },
+  "agentnet:sku": { type: "string", match: "token" },
+  "agentnet:telephone": { type: "string", match: "phone" },
+  "agentnet:email": { type: "string", match: "email" },
+  "agentnet:address": { type: ["string", "object"], match: "address" },
+  "agentnet:price": { type: ["string", "number"], match: "price" },
+  "agentnet:priceCurrency": { type: "string", match: "currency" },
+  "agentnet:datePublished": { type: "string", match: "date" },
+  "agentnet:dateModified": { type: "string", match: "date" },
+  "agentnet:logo": { type: "string", match: "url" },
+  "agentnet:image": { type: "string", match: "url" },
+  "agentnet:url": { type: "string", match: "url" },
+  "agentnet:sameAs": { type: "array", match: "url" },
+  "agentnet:servesCuisine": { type: ["string", "array"], match: "text" },
+};
+
+// Lowercase, strip accents and punctuation, collapse whitespace; padded so " word " matches whole words
+function fold(s) {
+  return ` ${String(s ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()} `;
+}
+
+function decodeEntities(html) {
+  return String(html || "")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#0*39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)));
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Page views shared by all matchers, built once per call
+function pageViews({ text = "", html = "", country = null, locale = null }) {
+  const decoded = decodeEntities(html);
+  return {
+    text,
+    html: decoded,
+    foldedText: fold(text),
+    foldedHtml: fold(decoded.replace(/<[^>]+>/g, " ")),
+    foldedMarkup: fold(decoded),
+    country,
+    locale,
+  };
+}
+
+// Exact-ish text hit: visible text first, then text/attributes in the markup
+function findText(page, value) {
+  const needle = fold(value);
+  if (needle.trim().length < 2) return null;
+  if (page.foldedText.includes(needle)) return { match: "text", snippet: String(value).trim() };
+  if (page.foldedHtml.includes(needle) || page.foldedMarkup.includes(needle)) return { match: "html" };
+  return null;
+}
+
+const MATCHERS = {
+  text(page, value) {
+    if (Array.isArray(value)) {
+      const hits = value.map((v) => findText(page, v));
+      return hits.every(Boolean) ? hits[0] : null;
+    }
+    return findText(page, value);
+  },
+
+  summary(page, value) {
+    const hit = findText(page, value);
+    if (hit) return hit;
+    // Content words (4+ letters) of the summary that occur on the page
+    const words = [...new Set(fold(value).trim().split(" ").filter((w) => w.length >= 4))];
+    if (!words.length) return null;
+    const found = words.filter((w) => page.foldedText.includes(` ${w} `) || page.foldedHtml.includes(` ${w} `));
+    const overlap = found.length / words.length;
+    return overlap >= PARTIAL_MIN_OVERLAP ? { match: "partial", overlap: Number(overlap.toFixed(2)) } : null;
+  },
+
+  // Identifiers must appear verbatim (modulo case) as a whole token: "AB-12" is not in "XAB-123"
+  token(page, value) {
+    const v = String(value).trim();
+    if (v.length < MIN_TOKEN_LENGTH) return null;
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(v)}(?![\\p{L}\\p{N}])`, "iu");
+    const m = page.text.match(re);
+    if (m) return { match: "text", snippet: m[0] };
+    return re.test(page.html) ? { match: "html" } : null;
+  },
+
+  phone(page, value) {
+    const wanted = normalizePhone(value, { country: page.country });
+    if (!wanted) return null;
+    const onPage = findPhones(page.text, { country: page.country }).find((p) => p.e164 === wanted.e164);
+    if (onPage) return { match: "normalized", snippet: onPage.raw, value: wanted.e164 };
+    const telLinks = [...page.html.matchAll(/href\s*=\s*["']tel:([^"']+)["']/gi)].map((m) => m[1]);
+    if (telLinks.some((t) => normalizePhone(decodeURIComponent(t), { country: page.country })?.e164 === wanted.e164)) {
+      return { match: "normalized", value: wanted.e164 };
+    }
+    return null;
+  },
+
+  email(page, value) {
+    const v = String(value).trim().toLowerCase();
+    if (!EMAIL_RE.test(v)) return null;
+    const at = page.text.toLowerCase().indexOf(v);
+    if (at !== -1) return { match: "text", snippet: page.text.slice(at, at + v.length), value: v };
+    return page.html.toLowerCase().includes(v) ? { match: "html", value: v } : null;
+  },
+
+  address(page, value) {
+    const parts =
+      typeof value === "object"
+        ? value
+        : parseAddress(String(value), { country: page.country })?.value || { streetAddress: String(value) };
+    // The street line and the postcode are what a hallucinated address gets wrong
+    const keys = ["streetAddress", "postalCode"].filter((k) => typeof parts[k] === "string" && parts[k].trim());
+    if (!keys.length) return null;
+    const hits = keys.map((k) => findText(page, parts[k]));
+    if (!hits.every(Boolean)) return null;
+    return { match: "normalized", snippet: hits.find((h) => h.snippet)?.snippet };
+  },
+
+  // Only amounts next to a currency symbol or code count: a bare "19" (a quantity, a year, a
+  // house number) does not ground a price
+  price(page, value) {
+    const wanted = typeof value === "number" ? value : parseAmount(String(value).replace(/[^\d.,'’\s]/g, "").trim());
+    if (wanted == null || wanted <= 0) return null;
+    const onPage = findPrices(page.text, { locale: page.locale, country: page.country }).find(
+      (p) => Math.abs(Number(p.price) - wanted) < 0.005
+    );
+    return onPage ? { match: "normalized", snippet: onPage.raw, value: wanted.toFixed(2) } : null;
+  },
+
+  currency(page, value) {
+    const code = String(value).trim().toUpperCase();
+    if (!ISO_CODES.includes(code)) return null;
+    if (new RegExp(`\\b${code}\\b`).test(page.text) || new RegExp(`["'>\\s]${code}["'<\\s]`).test(page.html)) {
+      return { match: "text", value: code };
+    }
+    // A symbol on the page that resolves to the code in this locale ("€", "kr" on a Swedish page)
+    const symbols = page.text.match(/[$€£¥￥₹₩₽₴₺₪฿₫₱]|\b(?:kr|zł|Kč|Ft|lei|Rs|RM|Rp|R)\b/gu) || [];
+    const opts = { locale: page.locale, country: page.country };
+    return symbols.some((s) => resolveCurrency(s, opts) === code) ? { match: "normalized", value: code } : null;
+  },
+
+  date(page, value) {
+    const d = new Date(String(value));
+    if (Number.isNaN(d.getTime())) return null;
+    const hit = findText(page, value);
+    if (hit) return hit;
+    // The same day in ISO form anywhere in the markup (<time datetime>, meta tags, JSON)
+    const day = d.toISOString().slice(0, 10);
+    return page.html.includes(day) ? { match: "normalized" } : null;
+  },
+
+  url(page, value) {
+    const urls = [].concat(value).map((u) => String(u).trim());
+    if (!urls.length || urls.some((u) => !/^https?:\/\//i.test(u))) return null;
+    // Absolute, or the path as a relative reference in the markup
+    const inMarkup = (u) => {
+      if (page.html.includes(u)) return true;
+      try {
+        const { pathname, search } = new URL(u);
+        return pathname.length > 1 && page.html.includes(`${pathname}${search}`);
+      } catch {
+        return false;
+      }
+    };
+    return urls.every(inMarkup) ? { match: "html" } : null;
+  },
+};
+
+function checkType(spec, value) {
+  const types = [].concat(spec.type);
+  const t = typeOf(value);
+  if (!types.includes(t)) return false;
+  if (t === "string") return value.trim() !== "" && value.length <= MAX_STRING;
+  if (t === "array") return value.length > 0 && value.every((v) => typeof v === "string" && v.trim());
+  if (t === "object") return Object.values(value).every((v) => typeOf(v) === "string");
+  return t !== "number" || Number.isFinite(value);
+}
+
+/**
+ * Verify LLM-proposed fields against the page.
+ *
+ * Schema.org names ("telephone") are read as their agentnet: keys.
+ *
+ * @param {object} candidate parsed LLM output
+ * @param {object} page
+ * @param {string} page.text whitespace-normalized visible text
+ * @param {string} page.html
+ * @param {string|null} [page.country] ISO 3166-1 alpha-2, for national phone numbers / postcodes
+ * @param {string|null} [page.locale] BCP 47, for currency symbols
+ * @returns {{
+ *   accepted: Object<string, { value: any, match: string, snippet?: string, overlap?: number }>,
+ *   downgraded: Array<{ field: string, reason: string }>,
+ *   rejected: Array<{ field: string, reason: string, value?: any }>,
+ * }}
+ */
+function groundLLMFields(candidate, page) {
+  const views = pageViews(page || {});
+  const accepted = {};
+  const downgraded = [];
+  const rejected = [];
+
+  for (const [rawKey, value] of Object.entries(candidate || {})) {
+    if (rawKey.startsWith("@") || rawKey === "agentnet:inferred") continue;
+    const field = rawKey.startsWith("agentnet:") ? rawKey : `agentnet:${rawKey}`;
+    const spec = LLM_FIELDS[field];
+    const preview = typeof value === "string" ? value.slice(0, 80) : value;
+
+    if (!spec) {
+      rejected.push({ field, reason: "not-whitelisted" });
+      continue;
+    }
+    if (!checkType(spec, value)) {
+      rejected.push({ field, reason: `type-mismatch: expected ${[].concat(spec.type).join("|")}`, value: preview });
+      continue;
+    }
+
+    const hit = MATCHERS[spec.match](views, value);
+    if (!hit) {
+      rejected.push({ field, reason: "not-found", value: preview });
+      continue;
+    }
+
+    accepted[field] = { ...hit, value: hit.value ?? value };
+    if (hit.match === "partial") {
+      downgraded.push({ field, reason: `partial-match: ${Math.round(hit.overlap * 100)}% of words on page` });
+    }
+  }
+
+  return { accepted, downgraded, rejected };
+}
+
+module.exports = {
+  groundLLMFields,
+  LLM_FIELDS,
+};
@@ -1,26 +1,21 @@
 // src/inferencer/heuristics.js --- Heuristic (pattern)-based inference functions()
+const { findPrice } = require("../extractor/money");
+const { resolveRulePack, detectPageType } = require("./rulePacks");
+
 function addProvenance(obj, key, confidence, source, method) {
   obj["agentnet:inferred"] ||= {};
   obj["agentnet:inferred"][key] = { confidence, source, method };
 }
 
-function detectType(text) {
-  const t = text.toLowerCase();
-  if (t.includes("add to cart") || t.includes("price")) return "agentnet:Product";
-  if (t.includes("about us") || t.includes("team")) return "agentnet:Organization";
-  if (t.includes("by ") && t.includes("published")) return "agentnet:Article";
-  return "agentnet:Thing";
-}
-
 function extractPrice(text) {
-  const m = text.match(/([$€£])\s?(\d+(?:[.,]\d{2})?)/);
+  const m = findPrice(text);
   if (!m) return null;
-  return { price: m[2], currency: m[1] };
+  return { price: m.price, currency: m.priceCurrency };
 }
 
-function applyHeuristics({ html, text, extractedCapsule }) {
+function applyHeuristics({ html, text, extractedCapsule, url = "", rulePack = null }) {
   const inferred = {};
-  const type = detectType(text);
+  const { type } = detectPageType(resolveRulePack(rulePack), { text, url });
 
   if (!extractedCapsule["@type"]) {
     inferred["@type"] = type;
@@ -5,27 +5,93 @@
  * ANT-Capsulizer Inference Engine
  * --------------------------------
  * Adds a semantic inference layer to enrich sparse or missing capsule fields.
- * - Heuristics-first; optional LLM enrichment if OPENAI_API_KEY + options.model present
+ * - Heuristics-first; optional LLM enrichment through a pluggable provider (inferencer/llm.js:
+ *   OpenAI-compatible, Ollama, mock) when a model is configured; usage is returned as `llm`
  * - Produces provenance via agentnet:inferred with {confidence, source, method}
  * - Never overwrites explicit source metadata unless configured to do so
  *
+ * TYPE DETECTION:
+ * - The heuristic @type comes from a versioned JSON rule pack (indicator phrases, URL patterns,
+ *   DOM selectors, required signals) chosen per seed via options.rulePack; see inferencer/rulePacks.js.
+ *
+ * TYPE MODULES:
+ * - Event, Recipe, LocalBusiness, JobPosting and FAQPage capsules get their type's fields
+ *   (dates/venue/tickets, ingredients/times, geo/price range, salary/location, Q&A pairs) from the
+ *   modules in inferencer/types/, each field with its own provenance (source "type-module").
+ *
  * HARDENING UPDATE:
  * - extractedCapsule may be null/undefined/non-object; we normalize it.
  * - never read extractedCapsule["@type"] unless it is a valid object.
  *
+ * DOM EVIDENCE:
+ * - Logo, social links, and (for business types) phone/email/address/hours come from the
+ *   registered DOM extractor stage (extractor/dom.js), with per-field provenance. Phones are
+ *   E.164 and addresses PostalAddress parts, read in the page's country (extractor/locale.js).
+ *
+ * OFFERS:
+ * - Product pages get agentnet:offers (per-variant price/SKU/size/color/availability),
+ *   agentnet:aggregateOffer and agentnet:availability from asserted offers, Shopify product
+ *   JSON or the visible DOM; the headline agentnet:price follows the cheapest purchasable offer.
+ *
+ * OPENING HOURS:
+ * - Hours text (DOM) or asserted openingHours strings become agentnet:openingHoursSpecification
+ *   (extractor/hours.js); agentnet:openingHours carries the schema.org "Mo-Fr 09:00-17:00" form.
+ *
+ * LOCALE:
+ * - The page language/locale (extractor/locale.js: <html lang>, hreflang, og:locale, text) is
+ *   stored as agentnet:inLanguage and drives price parsing ("1.299,00 €", "kr 1 299:-", ISO 4217).
+ *
+ * LLM GROUNDING:
+ * - LLM fields are kept only when whitelisted, well-typed and found on the page (inferencer/grounding.js);
+ *   summaries that only partly match are downgraded, and every rejection is reported with its reason.
+ *
+ * FIELD EVIDENCE:
+ * - Every agentnet:inferred entry carries `evidence` (selector/XPath, snippet with offsets into
+ *   the normalized visible text, snapshot file); see inferencer/evidence.js.
+ *
+ * META-TAG EVIDENCE:
+ * - OpenGraph / Twitter / product: / article: tags (extractor/meta.js) are merged at
+ *   META_TAG_CONFIDENCE: they replace text heuristics but never asserted structured data.
+ *
  * PRICE GUARDRAIL UPDATE:
  * - Only infer price when:
  *   (A) asserted JSON-LD says Product, OR
- *   (B) heuristics say Product AND the page has strong commerce intent signals.
+ *   (B) og:type says product, OR
+ *   (C) heuristics say Product AND the page has strong commerce intent signals.
+ * - The same gate applies to LLM price/priceCurrency; blocked ones are reported as "price-guardrail".
  */
 
+const { extractMetaTags } = require("../extractor/meta");
+const { runDomExtractors } = require("../extractor/dom");
+const { extractOffers } = require("../extractor/offers");
+const { findPrice } = require("../extractor/money");
+const { detectLocale } = require("../extractor/locale");
+const { parseHTML } = require("../extractor/html-utils");
+const { attachEvidence } = require("./evidence");
+const { resolveLLMConfig, createProvider, llmUnavailableReason } = require("./llm");
+const { groundLLMFields, LLM_FIELDS } = require("./grounding");
+const { llmCacheKey } = require("./llmCache");
+const { resolveRulePack, detectPageType } = require("./rulePacks");
+const { runTypeModules } = require("./types");
+const { parseOpeningHours, toOpeningHoursStrings } = require("../extractor/hours");
+
 const DEFAULT_CONTEXT = "https://agentnet.ai/context";
 
+// Asserted JSON-LD/microdata/RDFa > meta tags > DOM evidence / text heuristics (0.5-0.9) > LLM (0.35-0.55)
+const META_TAG_CONFIDENCE = 0.9;
+// Bump when the enrichment prompt changes: cached responses (inferencer/llmCache.js) are keyed by it
+const LLM_PROMPT_VERSION = "enrich-v2";
+// LLM fields by how the grounding check found them on the page
+const LLM_CONFIDENCE = { text: 0.55, normalized: 0.55, html: 0.5, partial: 0.35 };
+const PRICE_FIELDS = ["agentnet:price", "agentnet:priceCurrency"];
+// Offer model confidence / evidence type by source (extractor/offers.js)
+const OFFER_CONFIDENCE = { jsonld: 0.95, shopify: 0.9, dom: 0.7 };
+const OFFER_EVIDENCE = { jsonld: "jsonld-offer", shopify: "shopify-product-json", dom: "dom" };
+
 // --------------------------
 // Utility helpers
 // --------------------------
 const clamp = (n, min = 0, max = 1) => Math.max(min, Math.min(max, n));
-const uniq = (arr) => Array.from(new Set(arr.filter(Boolean)));
 const safeTrim = (s) => (typeof s === "string" ? s.trim() : s);
 
 function normText(s) {
@@ -35,18 +101,13 @@ function normText(s) {
     .trim();
 }
 
-function toUSDLikeCurrency(sym) {
-  if (!sym) return undefined;
-  const map = { "$": "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "C$": "CAD", "A$": "AUD" };
-  return map[sym] || undefined;
-}
-
-function addProvenance(target, key, confidence, source, method) {
+function addProvenance(target, key, confidence, source, method, extra = {}) {
   target["agentnet:inferred"] ||= {};
   target["agentnet:inferred"][key] = {
     confidence: Number(clamp(confidence).toFixed(2)),
     source,
     method,
+    ...extra,
   };
 }
 
@@ -62,57 +123,16 @@ function asObject(x) {
   return x && typeof x === "object" && !Array.isArray(x) ? x : {};
 }
 
-// --------------------------
-// Simple page feature detection
-// --------------------------
-function indicatorScore(text, indicators) {
-  const t = text.toLowerCase();
-  let score = 0;
-  for (const ind of indicators) {
-    const re = new RegExp(`\\b${ind.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "g");
-    const matches = t.match(re);
-    if (matches) score += matches.length;
-  }
-  return score;
+function hasValue(v) {
+  if (v == null) return false;
+  if (typeof v === "string") return v.trim() !== "";
+  if (Array.isArray(v)) return v.length > 0;
+  return true;
 }
 
-function detectType({ text, html }) {
-  const productIndicators = [
-    "add to cart",
-    "buy now",
-    "sku",
-    "specifications",
-    "in stock",
-    "price",
-    "was",
-    "sale",
-    "checkout",
-  ];
-  const orgIndicators = [
-    "about us",
-    "our team",
-    "contact us",
-    "headquarters",
-    "mission",
-    "careers",
-    "phone",
-    "address",
-    "hours",
-  ];
-  const articleIndicators = ["by ", "author", "published", "updated", "read more", "minutes read", "newsletter"];
-
-  const prodScore = indicatorScore(text, productIndicators);
-  const orgScore = indicatorScore(text, orgIndicators);
-  const artScore = indicatorScore(text, articleIndicators);
-
-  const max = Math.max(prodScore, orgScore, artScore);
-  let type = "agentnet:Thing";
-  if (max === prodScore && max > 0) type = "agentnet:Product";
-  if (max === orgScore && max > prodScore) type = "agentnet:Organization";
-  if (max === artScore && max > prodScore && max > orgScore) type = "agentnet:Article";
-
-  const confidence = clamp(max / Math.max(6, prodScore + orgScore + artScore || 1));
-  return { type, confidence, scores: { prodScore, orgScore, artScore } };
+// Asserted objects use schema.org keys ("telephone"), inferred ones agentnet keys ("agentnet:telephone")
+function isAsserted(extracted, key) {
+  return hasValue(extracted[key]) || hasValue(extracted[key.replace(/^agentnet:/, "")]);
 }
 
 // --------------------------
@@ -150,32 +170,10 @@ function hasStrongCommerceIntent(text) {
 // --------------------------
 // Field extractors (heuristics)
 // --------------------------
-function extractPrice(text) {
-  /**
-   * Hardened to reduce false positives:
-   * - Requires either a currency symbol OR a currency code.
-   */
-  const priceRe =
-    /(?:USD|EUR|GBP|JPY|CAD|AUD)?\s*([$€£¥]|C\$|A\$)\s?(\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})?)\b|(?:\b(USD|EUR|GBP|JPY|CAD|AUD)\b)\s?(\d{1,3}(?:[.,]\d{3})*(?:[.,]\d{2})?)\b/i;
-
-  const m = text.match(priceRe);
-  if (!m) return null;
-
-  const sym = m[1] || null;
-  const amountRaw1 = m[2] || null;
-  const code = m[3] || null;
-  const amountRaw2 = m[4] || null;
-
-  const amountRaw = amountRaw1 || amountRaw2;
-  if (!amountRaw) return null;
-
-  const amount = Number(amountRaw.replace(/[.,](?=\d{3}\b)/g, "").replace(",", "."));
-  if (!Number.isFinite(amount)) return null;
-
-  const priceCurrency = code || toUSDLikeCurrency(sym);
-  if (!priceCurrency) return null;
-
-  return { price: amount.toFixed(2), priceCurrency };
+function extractPrice(text, locale) {
+  // Only currency-marked amounts; the locale resolves "$", "kr", "¥" and friends (extractor/money.js)
+  const m = findPrice(text, locale);
+  return m ? { price: m.price, priceCurrency: m.priceCurrency, raw: m.raw } : null;
 }
 
 function extractSKU(text) {
@@ -199,22 +197,6 @@ function extractBrand(text, html) {
   return null;
 }
 
-function extractContacts(text) {
-  const emails = uniq(
-    (text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi) || []).map((e) => e.toLowerCase())
-  );
-  const phones = uniq(text.match(/(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}/g) || []);
-  return { emails, phones };
-}
-
-function extractAddress(text) {
-  const addrRe = /\b(\d{1,6}\s+[A-Za-z0-9.\- ]+)\s*,?\s*([A-Za-z.\- ]+),\s*([A-Z]{2})\s*(\d{5}(?:-\d{4})?)\b/;
-  const m = text.match(addrRe);
-  if (!m) return null;
-  const [, street, city, region, postalCode] = m;
-  return { street: safeTrim(street), addressLocality: safeTrim(city), addressRegion: region, postalCode };
-}
-
 function extractPublishDates(text, html) {
   const pubLine = text.match(
     /\b(Published|Posted|Updated)\s*[:\-]?\s*(\w{3,}\s+\d{1,2},\s+\d{4}|\d{4}\-\d{2}\-\d{2})\b/i
@@ -234,14 +216,7 @@ function extractPublishDates(text, html) {
 // --------------------------
 // Optional LLM enrichment
 // --------------------------
-async function callLLMEnrichment({ url, html, text, seedCapsule, model, temperature = 0, maxTokens = 800 }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey || !model) return null;
-
-  if (typeof fetch !== "function") {
-    throw new Error("Global fetch() not available. Use Node 18+ or polyfill fetch.");
-  }
-
+async function callLLMEnrichment(provider, { url, html, text, seedCapsule }) {
   const prompt = [
     "You are transforming a web page into a JSON-LD AgentNet capsule.",
     "Rules:",
@@ -250,6 +225,7 @@ async function callLLMEnrichment({ url, html, text, seedCapsule, model, temperat
     "- Keep @context and @type consistent with AgentNet style.",
     "- Include only fields that you can infer with reasonable confidence.",
     "- Do not invent phone numbers, addresses, or prices unless visible in the text.",
+    `- Allowed fields: ${Object.keys(LLM_FIELDS).join(", ")}. Anything not on the page is discarded.`,
     "",
     `URL: ${url}`,
     "Existing Capsule (may be partial):",
@@ -259,37 +235,28 @@ async function callLLMEnrichment({ url, html, text, seedCapsule, model, temperat
     "Return JSON only.",
   ].join("\n");
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model,
-      temperature,
-      max_tokens: maxTokens,
-      messages: [
-        {
-          role: "system",
-          content: "You convert webpages to AgentNet JSON-LD capsules with conservative, well-structured outputs.",
-        },
-        { role: "user", content: prompt },
-        { role: "user", content: `Visible Text (first 6000 chars):\n${text.slice(0, 6000)}` },
-        { role: "user", content: `HTML (first 6000 chars):\n${html.slice(0, 6000)}` },
-      ],
-      response_format: { type: "json_object" },
-    }),
+  const { content, cached } = await provider.complete({
+    json: true,
+    // Read by the response cache (inferencer/llmCache.js) when the provider is wrapped in one
+    cacheKey: llmCacheKey({ model: provider.model, promptVersion: LLM_PROMPT_VERSION, text, html }),
+    promptVersion: LLM_PROMPT_VERSION,
+    messages: [
+      {
+        role: "system",
+        content: "You convert webpages to AgentNet JSON-LD capsules with conservative, well-structured outputs.",
+      },
+      { role: "user", content: prompt },
+      { role: "user", content: `Visible Text (first 6000 chars):\n${text.slice(0, 6000)}` },
+      { role: "user", content: `HTML (first 6000 chars):\n${html.slice(0, 6000)}` },
+    ],
   });
+  return { capsule: jsonParseSafe(content, null), cached: Boolean(cached) };
+}
 
-  if (!response.ok) {
-    const err = await response.text().catch(() => "");
-    throw new Error(`LLM enrichment failed: ${response.status} ${err}`);
-  }
-
-  const json = await response.json();
-  const raw = json?.choices?.[0]?.message?.content;
-  return jsonParseSafe(raw, null);
+// Accounting for one page when the provider is shared across pages
+function usageSince(before, after) {
+  const keys = ["calls", "attempts", "retries", "promptTokens", "completionTokens", "totalTokens", "durationMs"];
+  return Object.fromEntries(keys.map((k) => [k, after[k] - (before?.[k] || 0)]));
 }
 
 // --------------------------
@@ -329,51 +296,84 @@ function mergeCapsules(original = {}, inferred = {}, { overwriteExplicit = false
 // --------------------------
 // Main inference function
 // --------------------------
-async function inferCapsule({ url, html = "", text = "", extractedCapsule = {}, options = {} }) {
+async function inferCapsule({
+  url,
+  html = "",
+  text = "",
+  extractedCapsule = {},
+  assertedBlocks = null,
+  metaTags = null,
+  domEvidence = null,
+  locale = null,
+  capturedAt = null,
+  options = {},
+}) {
   const extracted = asObject(extractedCapsule);
+  const meta = metaTags || extractMetaTags(html, url);
+  const dom = domEvidence || runDomExtractors(html, url, { capturedAt });
 
   const opts = {
     enableLLM: true,
     overwriteExplicit: false,
     model: undefined,
+    llm: null,
+    llmProvider: null,
+    rulePack: null,
+    snapshot: null,
     ...options,
   };
 
   const t = normText(text);
-  const typeGuess = detectType({ text: t, html });
+  const $ = parseHTML(html);
+  const loc = locale || detectLocale($, url, { text: t });
+  // Page type from the seed's rule pack (inferencer/rulePacks.js, rules/type-packs/*.json)
+  const typeGuess = detectPageType(resolveRulePack(opts.rulePack), { text: t, url, $ });
 
   const inferred = {
     "@context": DEFAULT_CONTEXT,
-    "@type": extracted["@type"] || typeGuess.type || "agentnet:Thing",
+    "@type": extracted["@type"] || meta.type?.value || typeGuess.type || "agentnet:Thing",
   };
 
-  if (!extracted["@type"] && typeGuess.type !== "agentnet:Thing") {
-    addProvenance(inferred, "@type", clamp(0.65 + 0.3 * typeGuess.confidence), "heuristic", "type-detection");
+  if (!extracted["@type"] && meta.type) {
+    addProvenance(inferred, "@type", META_TAG_CONFIDENCE, "meta-tag", meta.type.provenance.tag, {
+      evidenceType: "meta-tag",
+      evidence: { selector: meta.type.provenance.selector },
+    });
+  } else if (!extracted["@type"] && typeGuess.type !== "agentnet:Thing") {
+    addProvenance(inferred, "@type", clamp(0.65 + 0.3 * typeGuess.confidence), "heuristic", "type-detection", {
+      rulePack: `${typeGuess.pack.name}@${typeGuess.pack.version}`,
+      signals: typeGuess.matched,
+    });
   }
 
   // --------------------------
   // PRICE GUARDRAIL:
   // Only infer price if:
   //  A) asserted type looks like a Product, OR
-  //  B) we guessed Product AND page shows strong commerce intent.
+  //  B) og:type says product, OR
+  //  C) we guessed Product AND page shows strong commerce intent.
   // --------------------------
   const assertedType = typeof extracted["@type"] === "string" ? extracted["@type"] : "";
   const assertedLooksProduct = /Product/i.test(assertedType);
+  const metaSaysProduct = meta.type?.value === "agentnet:Product";
   const guessedProduct = inferred["@type"] === "agentnet:Product";
 
-  const allowPriceInference = assertedLooksProduct || (guessedProduct && hasStrongCommerceIntent(t));
+  const allowPriceInference =
+    assertedLooksProduct || metaSaysProduct || (guessedProduct && hasStrongCommerceIntent(t));
 
   // Product-like fields
   if (guessedProduct || /product/i.test(t)) {
     if (allowPriceInference) {
-      const p = extractPrice(t);
+      const p = extractPrice(t, loc);
       if (p?.price) {
         inferred["agentnet:price"] = p.price;
-        addProvenance(inferred, "agentnet:price", 0.8, "heuristic", "price-regex");
+        addProvenance(inferred, "agentnet:price", 0.8, "heuristic", "price-regex", { evidence: { snippet: p.raw } });
       }
       if (p?.priceCurrency) {
         inferred["agentnet:priceCurrency"] = p.priceCurrency;
-        addProvenance(inferred, "agentnet:priceCurrency", 0.7, "heuristic", "currency-map");
+        addProvenance(inferred, "agentnet:priceCurrency", 0.7, "heuristic", "currency-symbol", {
+          evidence: { snippet: p.raw },
+        });
       }
     }
 
@@ -389,24 +389,6 @@ async function inferCapsule({ url, html = "", text = "", extractedCapsule = {},
     }
   }
 
-  // Organization-like fields
-  if (inferred["@type"] === "agentnet:Organization") {
-    const { emails, phones } = extractContacts(t);
-    if (emails.length) {
-      inferred["agentnet:email"] = emails[0];
-      addProvenance(inferred, "agentnet:email", 0.85, "heuristic", "email-regex");
-    }
-    if (phones.length) {
-      inferred["agentnet:telephone"] = phones[0];
-      addProvenance(inferred, "agentnet:telephone", 0.8, "heuristic", "phone-regex");
-    }
-    const addr = extractAddress(t);
-    if (addr) {
-      inferred["agentnet:address"] = addr;
-      addProvenance(inferred, "agentnet:address", 0.7, "heuristic", "address-regex");
-    }
-  }
-
   // Article-like fields
   if (inferred["@type"] === "agentnet:Article") {
     const dates = extractPublishDates(t, html);
@@ -430,58 +412,183 @@ async function inferCapsule({ url, html = "", text = "", extractedCapsule = {},
     const title = (html.match(/<title[^>]*>([^<]+)<\/title>/i) || [])[1];
     if (title) {
       inferred["agentnet:name"] = safeTrim(title.replace(/\s*\|\s*[^|]+$/, ""));
-      addProvenance(inferred, "agentnet:name", 0.6, "heuristic", "title-fallback");
+      addProvenance(inferred, "agentnet:name", 0.6, "heuristic", "title-fallback", { evidence: { selector: "title" } });
     }
   }
-  if (!extracted["agentnet:description"]) {
-    const metaDesc = (html.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']+)["']/i) || [])[1];
-    if (metaDesc) {
-      inferred["agentnet:description"] = safeTrim(metaDesc);
-      addProvenance(inferred, "agentnet:description", 0.65, "heuristic", "meta-description");
-    }
+  // Page language, as a BCP 47 tag ("de-AT")
+  if (loc.locale && !isAsserted(extracted, "agentnet:inLanguage")) {
+    inferred["agentnet:inLanguage"] = loc.locale;
+    addProvenance(inferred, "agentnet:inLanguage", 0.5 + 0.45 * loc.confidence, "locale", "locale-detection", {
+      signals: [...new Set(loc.signals.language.map((sig) => sig.source))],
+    });
   }
 
-  // Optional LLM enrichment phase (conservative)
-  if (opts.enableLLM && opts.model && process.env.OPENAI_API_KEY) {
-    try {
-      const seed = mergeCapsules(extracted, inferred);
-      const llmCapsule = await callLLMEnrichment({
-        url,
-        html,
-        text: t,
-        seedCapsule: seed,
-        model: opts.model,
+  // DOM evidence (registered cheerio extractors), gated by capsule type
+  const typeNames = [].concat(inferred["@type"] || []).map(String);
+  for (const [key, { value, confidence, appliesTo, provenance }] of Object.entries(dom.fields || {})) {
+    if (isAsserted(extracted, key)) continue;
+    if (appliesTo && !appliesTo.some((type) => typeNames.some((name) => name.includes(type)))) continue;
+
+    inferred[key] = value;
+    addProvenance(inferred, key, confidence, "dom", provenance.method, {
+      evidenceType: "dom",
+      evidence: { selector: provenance.selector, snippet: provenance.details?.raw || provenance.details?.lines?.[0] },
+    });
+  }
+
+  // Type-specific fields (inferencer/types/): event dates, recipe ingredients, job salary, FAQ pairs...
+  const lines = text.split("\n").map(normText).filter(Boolean);
+  const typed = runTypeModules(typeNames, { $, text: t, lines, html, url, locale: loc.locale, country: loc.country });
+  for (const [key, { value, confidence, module, method, evidence }] of Object.entries(typed.fields)) {
+    if (isAsserted(extracted, key)) continue;
+
+    inferred[key] = value;
+    addProvenance(inferred, key, confidence, "type-module", method, { typeModule: module, evidence });
+  }
+
+  // Meta-tag evidence: outranks the heuristics above, never the asserted object
+  for (const [key, { value, provenance }] of Object.entries(meta.fields || {})) {
+    if (isAsserted(extracted, key)) continue;
+
+    inferred[key] = value;
+    addProvenance(inferred, key, META_TAG_CONFIDENCE, "meta-tag", provenance.tag, {
+      evidenceType: "meta-tag",
+      evidence: { selector: provenance.selector },
+    });
+  }
+
+  // Opening hours: structure asserted openingHours strings, else mirror DOM specs as strings
+  const SPEC_KEY = "agentnet:openingHoursSpecification";
+  const assertedHours = extracted.openingHours || extracted["agentnet:openingHours"];
+  if (hasValue(assertedHours) && !isAsserted(extracted, SPEC_KEY)) {
+    const parsed = parseOpeningHours([].concat(assertedHours).map(String), { referenceDate: capturedAt });
+    if (parsed.specs.length) {
+      inferred[SPEC_KEY] = parsed.specs;
+      addProvenance(inferred, SPEC_KEY, clamp(parsed.confidence + 0.05), "asserted", "opening-hours-parse", {
+        evidenceType: "asserted",
       });
+    }
+  } else if (inferred[SPEC_KEY] && !isAsserted(extracted, "agentnet:openingHours")) {
+    const strings = toOpeningHoursStrings(inferred[SPEC_KEY]);
+    if (strings.length) {
+      inferred["agentnet:openingHours"] = strings;
+      inferred["agentnet:inferred"]["agentnet:openingHours"] = {
+        ...inferred["agentnet:inferred"][SPEC_KEY],
+        method: "opening-hours-strings",
+      };
+    }
+  }
+
+  // Offers / variants / availability
+  const asserted = Array.isArray(assertedBlocks) ? assertedBlocks : [extracted];
+  const assertedHasProduct = asserted.some((n) =>
+    [].concat(asObject(n)["@type"] || []).some((type) => /Product/i.test(String(type)))
+  );
+  if (assertedHasProduct || metaSaysProduct || guessedProduct) {
+    const offers = extractOffers({ html, asserted, allowDom: allowPriceInference, locale: loc });
+    const confidence = OFFER_CONFIDENCE[offers.source] ?? 0.6;
+    const extra = { evidenceType: OFFER_EVIDENCE[offers.source] || offers.source };
+
+    if (offers.offers.length) {
+      inferred["agentnet:offers"] = offers.offers;
+      addProvenance(inferred, "agentnet:offers", confidence, offers.source, "offer-model", extra);
+    }
+    if (offers.aggregate) {
+      inferred["agentnet:aggregateOffer"] = offers.aggregate;
+      addProvenance(inferred, "agentnet:aggregateOffer", confidence, offers.source, "offer-model", extra);
+    }
+
+    // Headline fields only replace weaker evidence
+    const headline = offers.primary || {};
+    const headlinePrice = headline.price || offers.aggregate?.lowPrice;
+    const headlineCurrency = headline.priceCurrency || offers.aggregate?.priceCurrency;
+    const stronger = (key) =>
+      !isAsserted(extracted, key) && (inferred["agentnet:inferred"]?.[key]?.confidence ?? 0) < confidence;
+
+    for (const [key, value] of [
+      ["agentnet:price", headlinePrice],
+      ["agentnet:priceCurrency", headlineCurrency],
+      ["agentnet:availability", offers.availability],
+    ]) {
+      if (value && stronger(key)) {
+        inferred[key] = value;
+        addProvenance(inferred, key, confidence, offers.source, "offer-model", extra);
+      }
+    }
+  }
 
-      if (llmCapsule && typeof llmCapsule === "object") {
-        const llmAugmented = {};
-        for (const [k, v] of Object.entries(llmCapsule)) {
-          if (k === "@context" || k === "@type" || k === "agentnet:inferred") continue;
-          if (typeof inferred[k] === "undefined" && typeof extracted[k] === "undefined") {
-            llmAugmented[k] = v;
+  // Optional LLM enrichment phase (conservative)
+  let llm = null;
+  if (opts.enableLLM) {
+    // A caller-supplied provider (shared across a crawl) wins over opts.llm / opts.model
+    const config = opts.llmProvider
+      ? { provider: opts.llmProvider.name, model: opts.llmProvider.model }
+      : resolveLLMConfig({ ...asObject(opts.llm), ...(opts.model ? { model: opts.model } : {}) });
+    const unavailable = opts.llmProvider ? null : llmUnavailableReason(config);
+    const provider = opts.llmProvider || (unavailable ? null : createProvider(config));
+    const before = provider ? provider.usage() : null;
+    llm = { provider: config.provider, model: config.model, status: "skipped", reason: unavailable, fields: [] };
+
+    if (provider) {
+      try {
+        const seed = mergeCapsules(extracted, inferred);
+        const { capsule: llmCapsule, cached } = await callLLMEnrichment(provider, {
+          url,
+          html,
+          text: t,
+          seedCapsule: seed,
+        });
+        llm.cached = cached;
+
+        if (llmCapsule && typeof llmCapsule === "object") {
+          // Only fields the page backs survive (inferencer/grounding.js)
+          const grounding = groundLLMFields(llmCapsule, { text: t, html, country: loc.country, locale: loc.locale });
+          for (const [k, hit] of Object.entries(grounding.accepted)) {
+            if (typeof inferred[k] !== "undefined" || isAsserted(extracted, k)) continue;
+            if (PRICE_FIELDS.includes(k) && !allowPriceInference) {
+              grounding.rejected.push({ field: k, reason: "price-guardrail", value: hit.value });
+              continue;
+            }
+            addProvenance(inferred, k, LLM_CONFIDENCE[hit.match], "llm", `${provider.name}-summary`, {
+              grounding: hit.match,
+              ...(hit.snippet ? { evidence: { snippet: hit.snippet } } : {}),
+            });
+            inferred[k] = hit.value;
+            llm.fields.push(k);
           }
+          llm.grounding = {
+            accepted: llm.fields,
+            downgraded: grounding.downgraded.filter((d) => llm.fields.includes(d.field)),
+            rejected: grounding.rejected,
+          };
         }
-        for (const k of Object.keys(llmAugmented)) {
-          addProvenance(inferred, k, 0.55, "llm", "openai-summary");
-          inferred[k] = llmAugmented[k];
-        }
+        llm.status = "ok";
+      } catch (e) {
+        // Non-fatal; continue with heuristics. A replay-only cache miss is not a failure.
+        llm.status = e.cacheMiss ? "skipped" : "failed";
+        llm.reason = e.message;
       }
-    } catch (e) {
-      // Non-fatal; continue with heuristics
+      llm = { ...llm, ...usageSince(before, provider.usage()) };
     }
   }
 
+  // Where on the page each inferred value came from
+  attachEvidence(inferred, { $, text: t, snapshot: opts.snapshot || null });
+
   const capsule = mergeCapsules(extracted, inferred, { overwriteExplicit: opts.overwriteExplicit });
 
   if (!capsule["@context"]) capsule["@context"] = DEFAULT_CONTEXT;
 
-  return { capsule, inferred, typeGuess };
+  const typeModules = { modules: typed.modules, fields: Object.keys(typed.fields), errors: typed.errors };
+
+  return { capsule, inferred, typeGuess, typeModules, llm };
 }
 
 // --------------------------
 // Public API
 // --------------------------
 module.exports = {
+  LLM_PROMPT_VERSION,
   inferCapsule,
   mergeCapsules,
 };
@@ -1,39 +1,328 @@
-// src/inferencer/llm.js (optional enrichment via LLM)
-const fetch = require("node-fetch");
-
-async function enrichWithLLM({ url, html, text, seedCapsule, model }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error("Missing OPENAI_API_KEY");
-
-  const prompt = `
-  Convert this webpage into a JSON-LD AgentNet capsule.
-  Use conservative inference; only fill missing fields.
-  URL: ${url}
-  Seed capsule:
-  ${JSON.stringify(seedCapsule, null, 2)}
-  `;
-
-  const res = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0,
-      max_tokens: 800,
-      messages: [
-        { role: "system", content: "You output pure JSON-LD capsules." },
-        { role: "user", content: prompt },
-      ],
-      response_format: { type: "json_object" },
-    }),
-  });
-
-  const json = await res.json();
-  const raw = json?.choices?.[0]?.message?.content;
-  return JSON.parse(raw);
-}
-
-module.exports = { enrichWithLLM };
+// src/inferencer/llm.js
+// LLM providers for the optional enrichment phase: one interface, several backends.
+//
+// Config (env defaults, per-seed override via job.data.llm):
+//   { provider: "openai", model: "gpt-4o-mini", baseUrl: null, timeoutMs: 30000, maxRetries: 2,
+//     maxTokens: 800, temperature: 0 }
+//
+// Providers:
+// - "openai": any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-style proxies, vLLM,
+//             LM Studio, llama.cpp server). Needs an API key only for api.openai.com.
+// - "ollama": Ollama-style local servers (/api/chat, non-streaming, JSON format)
+// - "mock":   deterministic, offline; answers LLM_MOCK_RESPONSE (JSON) or "{}" with token counts
+//             derived from the prompt length, so fingerprints and reports are reproducible.
+//             LLM_MOCK_FAILURES ("503,429,timeout") scripts one failure per attempt before answering.
+//
+// API keys are bound to hosts, so a per-seed baseUrl never receives a key meant for another server:
+// - OPENAI_API_KEY is sent to api.openai.com only
+// - LLM_API_KEY is sent to the env-configured endpoint only (LLM_BASE_URL, else api.openai.com)
+// - LLM_API_KEYS='{"llm.internal.example":"sk-..."}' (JSON keyed by host) for any other endpoint
+//
+// Usage:
+//   const { resolveLLMConfig, createProvider } = require("./llm");
+//   const provider = createProvider(resolveLLMConfig({ provider: "ollama", model: "llama3.1" }));
+//   const { content, usage, attempts } = await provider.complete({ messages, json: true });
+//   // usage -> { promptTokens, completionTokens, totalTokens }
+//
+// Timeouts, 429s, 5xx and network errors are retried with exponential backoff (Retry-After wins);
+// other 4xx fail at once. Accounting (calls/attempts/tokens/time) accumulates on provider.usage().
+
+const LLM_PROVIDERS = ["openai", "ollama", "mock"];
+
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || "openai").toLowerCase();
+const LLM_MODEL = process.env.LLM_MODEL || null;
+const LLM_BASE_URL = process.env.LLM_BASE_URL || null;
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || 30000, 10);
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || 2, 10);
+const LLM_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS || 1000, 10);
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS || 800, 10);
+const LLM_TEMPERATURE = Number(process.env.LLM_TEMPERATURE || 0);
+
+const DEFAULT_BASE_URLS = {
+  openai: "https://api.openai.com/v1",
+  ollama: "http://127.0.0.1:11434",
+  mock: null,
+};
+const DEFAULT_MODELS = { openai: null, ollama: null, mock: "mock" };
+
+const RETRY_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+const OPENAI_HOST = "api.openai.com";
+
+function hostOf(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function loadApiKeys() {
+  const raw = process.env.LLM_API_KEYS;
+  if (!raw || !raw.trim()) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return {};
+    return Object.fromEntries(Object.entries(parsed).map(([host, key]) => [host.toLowerCase(), String(key)]));
+  } catch (e) {
+    console.warn(`⚠️ LLM_API_KEYS is not valid JSON (ignored): ${e.message}`);
+    return {};
+  }
+}
+
+const apiKeys = loadApiKeys();
+
+function llmError(message, { status = null, retryable = false, retryAfter = null } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rough token estimate (~4 chars per token) for providers that don't report usage
+const estimateTokens = (s) => Math.ceil(String(s || "").length / 4);
+
+/**
+ * Merge env defaults with a per-seed override. The API key is read from the environment only,
+ * so the resolved config is safe to write into manifests.
+ */
+function resolveLLMConfig(override = {}) {
+  const o = override && typeof override === "object" ? override : {};
+  let provider = String(o.provider || LLM_PROVIDER).toLowerCase();
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    console.warn(`⚠️ Unknown LLM provider '${provider}', using 'openai'`);
+    provider = "openai";
+  }
+
+  return {
+    provider,
+    model: o.model || LLM_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: String(o.baseUrl || LLM_BASE_URL || DEFAULT_BASE_URLS[provider] || "").replace(/\/+$/, "") || null,
+    timeoutMs: Number(o.timeoutMs ?? LLM_TIMEOUT_MS),
+    maxRetries: Number(o.maxRetries ?? LLM_MAX_RETRIES),
+    maxTokens: Number(o.maxTokens ?? LLM_MAX_TOKENS),
+    temperature: Number(o.temperature ?? LLM_TEMPERATURE),
+  };
+}
+
+/**
+ * The API key for a config's endpoint, or null. Keys only go to the host they were configured for.
+ */
+function apiKeyFor(config) {
+  const host = hostOf(config.baseUrl);
+  if (!host) return null;
+  if (apiKeys[host]) return apiKeys[host];
+  if (process.env.LLM_API_KEY && host === hostOf(LLM_BASE_URL || DEFAULT_BASE_URLS.openai)) {
+    return process.env.LLM_API_KEY;
+  }
+  if (process.env.OPENAI_API_KEY && host === OPENAI_HOST) return process.env.OPENAI_API_KEY;
+  return null;
+}
+
+/**
+ * Why a config cannot run, or null when it can.
+ *
+ * @param {ReturnType<typeof resolveLLMConfig>} config
+ * @param {{ replayOnly?: boolean }} [opts] replayOnly: the provider only replays a cache (CG_DETERMINISTIC with
+ *   LLM_CACHE on) and never reaches the endpoint, so it needs no API key
+ */
+function llmUnavailableReason(config, { replayOnly = false } = {}) {
+  if (!config.model) return "no model configured (LLM_MODEL)";
+  if (replayOnly) return null;
+  if (config.provider === "openai" && hostOf(config.baseUrl) === OPENAI_HOST && !apiKeyFor(config)) {
+    return "missing LLM_API_KEY / OPENAI_API_KEY";
+  }
+  return null;
+}
+
+async function postJson(url, body, { headers = {}, timeoutMs }) {
+  if (typeof fetch !== "function") {
+    throw new Error("Global fetch() not available. Use Node 18+ or polyfill fetch.");
+  }
+
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: ac.signal,
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      const retryAfter = Number(res.headers.get("retry-after"));
+      throw llmError(`LLM request failed: ${res.status} ${detail.slice(0, 300)}`, {
+        status: res.status,
+        retryable: RETRY_STATUSES.includes(res.status),
+        retryAfter: Number.isFinite(retryAfter) ? retryAfter : null,
+      });
+    }
+    return await res.json();
+  } catch (e) {
+    if (e.name === "AbortError") throw llmError(`LLM request timed out after ${timeoutMs} ms`, { retryable: true });
+    // fetch() reports network failures (ECONNREFUSED, reset, DNS) as TypeError
+    if (e instanceof TypeError) e.retryable = true;
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ------------------------------
+// Backends: (config, request, state) -> { content, usage }; state is per provider instance
+// ------------------------------
+const BACKENDS = {
+  async openai(config, { messages, maxTokens, temperature, json }) {
+    const key = apiKeyFor(config);
+    const data = await postJson(
+      `${config.baseUrl}/chat/completions`,
+      {
+        model: config.model,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      },
+      { headers: key ? { Authorization: `Bearer ${key}` } : {}, timeoutMs: config.timeoutMs }
+    );
+    return {
+      content: data?.choices?.[0]?.message?.content ?? "",
+      usage: {
+        promptTokens: data?.usage?.prompt_tokens ?? null,
+        completionTokens: data?.usage?.completion_tokens ?? null,
+      },
+    };
+  },
+
+  async ollama(config, { messages, maxTokens, temperature, json }) {
+    const data = await postJson(
+      `${config.baseUrl}/api/chat`,
+      {
+        model: config.model,
+        messages,
+        stream: false,
+        ...(json ? { format: "json" } : {}),
+        options: { temperature, num_predict: maxTokens },
+      },
+      { timeoutMs: config.timeoutMs }
+    );
+    return {
+      content: data?.message?.content ?? "",
+      usage: {
+        promptTokens: data?.prompt_eval_count ?? null,
+        completionTokens: data?.eval_count ?? null,
+      },
+    };
+  },
+
+  async mock(config, { messages }, state) {
+    const failures = String(process.env.LLM_MOCK_FAILURES || "")
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+    const failure = failures[state.attempts++];
+    if (failure === "timeout") {
+      await sleep(config.timeoutMs);
+      throw llmError(`LLM request timed out after ${config.timeoutMs} ms`, { retryable: true });
+    }
+    if (failure) {
+      const status = Number(failure);
+      throw llmError(`LLM request failed: ${status} (mock)`, { status, retryable: RETRY_STATUSES.includes(status) });
+    }
+
+    const content = process.env.LLM_MOCK_RESPONSE || "{}";
+    return {
+      content,
+      usage: {
+        promptTokens: messages.reduce((n, m) => n + estimateTokens(m.content), 0),
+        completionTokens: estimateTokens(content),
+      },
+    };
+  },
+};
+
+/**
+ * Build a provider for a resolved config.
+ *
+ * @param {ReturnType<typeof resolveLLMConfig>} config
+ * @returns {{
+ *   name: string,
+ *   model: string,
+ *   complete: (req: { messages: object[], maxTokens?: number, temperature?: number, json?: boolean }) =>
+ *     Promise<{ content: string, usage: object, attempts: number, durationMs: number }>,
+ *   usage: () => object,
+ * }}
+ */
+function createProvider(config) {
+  const backend = BACKENDS[config.provider];
+  if (!backend) throw new Error(`Unknown LLM provider '${config.provider}'`);
+
+  const totals = {
+    provider: config.provider,
+    model: config.model,
+    calls: 0,
+    attempts: 0,
+    retries: 0,
+    failures: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    durationMs: 0,
+  };
+  const state = { attempts: 0 };
+
+  async function complete({ messages, maxTokens = config.maxTokens, temperature = config.temperature, json = true }) {
+    const started = Date.now();
+    totals.calls += 1;
+
+    let attempt = 0;
+    try {
+      for (;;) {
+        attempt += 1;
+        totals.attempts += 1;
+        try {
+          const out = await backend(config, { messages, maxTokens, temperature, json }, state);
+          // Servers that omit usage still get counted, by estimate
+          const promptTokens = out.usage.promptTokens ?? messages.reduce((n, m) => n + estimateTokens(m.content), 0);
+          const completionTokens = out.usage.completionTokens ?? estimateTokens(out.content);
+          const usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+
+          totals.promptTokens += usage.promptTokens;
+          totals.completionTokens += usage.completionTokens;
+          totals.totalTokens += usage.totalTokens;
+          return { content: out.content, usage, attempts: attempt, durationMs: Date.now() - started };
+        } catch (e) {
+          if (!e.retryable || attempt > config.maxRetries) throw e;
+          totals.retries += 1;
+          const backoff = e.retryAfter != null ? e.retryAfter * 1000 : LLM_RETRY_BASE_MS * 2 ** (attempt - 1);
+          await sleep(Math.min(backoff, config.timeoutMs));
+        }
+      }
+    } catch (e) {
+      totals.failures += 1;
+      throw e;
+    } finally {
+      totals.durationMs += Date.now() - started;
+    }
+  }
+
+  return {
+    name: config.provider,
+    model: config.model,
+    complete,
+    usage: () => ({ ...totals }),
+  };
+}
+
+module.exports = {
+  resolveLLMConfig,
+  createProvider,
+  llmUnavailableReason,
+  apiKeyFor,
+  LLM_PROVIDERS,
+};
@@ -0,0 +1,217 @@
+// src/inferencer/llmCache.js
+// Content-addressed cache of LLM responses, so enrichment can be replayed byte-for-byte.
+//
+// Config (env):
+//   LLM_CACHE=off|disk|redis       (default off)
+//   LLM_CACHE_DIR=./llm-cache      disk backend: one <key>.json per response
+//   LLM_CACHE_TTL_SECONDS=0        redis backend expiry (0 = keep)
+//
+// Keys:
+//   sha256(model, prompt version, truncated visible text, truncated + normalized HTML)
+//   stored as cg:llmcache:<key> (redis) or <LLM_CACHE_DIR>/<key>.json (disk)
+//
+// Usage:
+//   const cache = openLLMCache();                               // null when LLM_CACHE=off
+//   const provider = withCache(createProvider(config), cache, { replayOnly: CG_DETERMINISTIC });
+//   await provider.complete({ messages, cacheKey: llmCacheKey({ model, promptVersion, text, html }) });
+//   cache.stats() // -> { backend, hits, misses, writes, errors }
+//
+// replayOnly (deterministic mode) serves hits and never calls the provider: a miss fails the
+// call with a "cache-miss" error, which the inferencer reports as a skipped enrichment.
+
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { normalizeHtml } = require("../normalize");
+
+const LLM_CACHE_BACKENDS = ["off", "disk", "redis"];
+
+const LLM_CACHE = (process.env.LLM_CACHE || "off").toLowerCase();
+const LLM_CACHE_DIR = process.env.LLM_CACHE_DIR || "./llm-cache";
+const LLM_CACHE_TTL_SECONDS = parseInt(process.env.LLM_CACHE_TTL_SECONDS || 0, 10);
+
+// Same truncation the enrichment prompt applies to its inputs
+const LLM_INPUT_CHARS = 6000;
+
+const REDIS_PREFIX = "cg:llmcache:";
+
+/**
+ * Cache key for one enrichment request.
+ */
+function llmCacheKey({ model, promptVersion, text = "", html = "" }) {
+  const h = crypto.createHash("sha256");
+  const parts = [model, promptVersion, text.slice(0, LLM_INPUT_CHARS), normalizeHtml(html.slice(0, LLM_INPUT_CHARS))];
+  for (const part of parts) {
+    h.update(String(part ?? ""));
+    h.update("\u0000");
+  }
+  return h.digest("hex");
+}
+
+// ------------------------------
+// Backends: get/set/delete/list over { key, model, promptVersion, createdAt, content, usage }
+// ------------------------------
+function diskStore(dir) {
+  const file = (key) => path.join(dir, `${key}.json`);
+  return {
+    backend: "disk",
+    location: dir,
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(file(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, entry) {
+      await fs.ensureDir(dir);
+      // Write-then-rename so a concurrent reader never sees half an entry
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry, null, 2), "utf8");
+      await fs.rename(tmp, file(key));
+    },
+    async delete(key) {
+      await fs.remove(file(key));
+    },
+    async *entries() {
+      if (!(await fs.pathExists(dir))) return;
+      for (const name of await fs.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        const entry = await this.get(name.slice(0, -5)).catch(() => null);
+        if (entry) yield entry;
+      }
+    },
+    async close() {},
+  };
+}
+
+function redisStore(ttlSeconds) {
+  // Lazy: disk/off users never open a Redis connection
+  const { connection, queue } = require("../queue");
+  return {
+    backend: "redis",
+    location: REDIS_PREFIX,
+    async get(key) {
+      const raw = await connection.get(`${REDIS_PREFIX}${key}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry) {
+      const args = ttlSeconds > 0 ? ["EX", ttlSeconds] : [];
+      await connection.set(`${REDIS_PREFIX}${key}`, JSON.stringify(entry), ...args);
+    },
+    async delete(key) {
+      await connection.del(`${REDIS_PREFIX}${key}`);
+    },
+    async *entries() {
+      let cursor = "0";
+      do {
+        const [next, keys] = await connection.scan(cursor, "MATCH", `${REDIS_PREFIX}*`, "COUNT", 200);
+        cursor = next;
+        for (const k of keys) {
+          const entry = await this.get(k.slice(REDIS_PREFIX.length)).catch(() => null);
+          if (entry) yield entry;
+        }
+      } while (cursor !== "0");
+    },
+    async close() {
+      await queue.close();
+      await connection.quit();
+    },
+  };
+}
+
+/**
+ * Backend for an override or LLM_CACHE: "off" | "disk" | "redis".
+ */
+function resolveLLMCacheBackend(requested) {
+  const backend = String(requested || LLM_CACHE).toLowerCase();
+  if (LLM_CACHE_BACKENDS.includes(backend)) return backend;
+  console.warn(`⚠️ Unknown LLM cache backend '${backend}', caching disabled`);
+  return "off";
+}
+
+/**
+ * Open the configured cache, or null when caching is off.
+ *
+ * @param {object} [opts]
+ * @param {"off"|"disk"|"redis"} [opts.backend]
+ * @param {string} [opts.dir]
+ * @param {number} [opts.ttlSeconds]
+ */
+function openLLMCache(opts = {}) {
+  const backend = resolveLLMCacheBackend(opts.backend);
+  if (backend === "off") return null;
+
+  const store =
+    backend === "redis" ? redisStore(opts.ttlSeconds ?? LLM_CACHE_TTL_SECONDS) : diskStore(opts.dir || LLM_CACHE_DIR);
+  const counters = { hits: 0, misses: 0, writes: 0, errors: 0 };
+
+  return {
+    ...store,
+    stats: () => ({ backend: store.backend, ...counters }),
+    count(name) {
+      counters[name] += 1;
+    },
+  };
+}
+
+/**
+ * Wrap a provider (inferencer/llm.js) so calls with a cacheKey are served from / written to the cache.
+ * Hits cost no tokens and no provider time; the returned result carries `cached: true`.
+ */
+function withCache(provider, cache, { replayOnly = false } = {}) {
+  if (!cache) return provider;
+
+  async function complete(req) {
+    const { cacheKey, ...rest } = req;
+    if (!cacheKey) return provider.complete(rest);
+
+    let entry = null;
+    try {
+      entry = await cache.get(cacheKey);
+    } catch (e) {
+      cache.count("errors");
+      console.warn(`⚠️ LLM cache read failed: ${e.message}`);
+    }
+    if (entry) {
+      cache.count("hits");
+      return { content: entry.content, usage: entry.usage, attempts: 0, durationMs: 0, cached: true };
+    }
+
+    cache.count("misses");
+    if (replayOnly) {
+      const err = new Error("cache-miss (deterministic mode replays cached enrichments only)");
+      err.cacheMiss = true;
+      throw err;
+    }
+
+    const out = await provider.complete(rest);
+    try {
+      await cache.set(cacheKey, {
+        key: cacheKey,
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: req.promptVersion ?? null,
+        createdAt: new Date().toISOString(),
+        content: out.content,
+        usage: out.usage,
+      });
+      cache.count("writes");
+    } catch (e) {
+      cache.count("errors");
+      console.warn(`⚠️ LLM cache write failed: ${e.message}`);
+    }
+    return { ...out, cached: false };
+  }
+
+  return { ...provider, complete };
+}
+
+module.exports = {
+  openLLMCache,
+  withCache,
+  llmCacheKey,
+  resolveLLMCacheBackend,
+  LLM_CACHE_BACKENDS,
+};
@@ -0,0 +1,215 @@
+// src/inferencer/rulePacks.js
+// Page-type detection driven by declarative, versioned JSON rule packs (rules/type-packs/*.json).
+//
+// Config (env defaults, per-seed override via job.data.rulePack):
+//   RULE_PACK=default              pack name, or "name@1.2.0" to pin a version (default: latest)
+//   RULE_PACK_DIR=./rules/type-packs
+//
+// Pack format (schemas/rule-pack.schema.json):
+//   { name, version, fallbackType, minScore, confidenceFloor,
+//     types: [{ type: "agentnet:Product",
+//               indicators: { "add to cart": 2, ... },      // phrase -> weight, per occurrence in the text
+//               urlPatterns: { "/products?/": 3 },          // regex on path + query -> weight, once
+//               selectors: { "[itemprop=price]": 2 },       // CSS selector present -> weight, once
+//               requires: { selectors: ["form[action*=cart]"], min: 1 } }] }  // gate: type ineligible without
+//
+// Usage:
+//   loadRulePacks();                                   // at startup; invalid packs are skipped with a warning
+//   const pack = resolveRulePack(job.data.rulePack);   // -> compiled pack (falls back to RULE_PACK)
+//   detectPageType(pack, { text, url, $ })
+//   // -> { type, confidence, scores: { "agentnet:Product": 4, ... }, matched: [...], pack: { name, version } }
+//
+// The highest score wins; ties go to the type listed first. Confidence is the winner's share of
+// all scores, with the total floored at confidenceFloor so a single weak hit stays uncertain.
+
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const cheerio = require("cheerio");
+
+const RULE_PACK = process.env.RULE_PACK || "default";
+const RULE_PACK_DIR = path.resolve(process.env.RULE_PACK_DIR || path.join(__dirname, "../../rules/type-packs"));
+const PACK_SCHEMA = require("../../schemas/rule-pack.schema.json");
+
+// name -> compiled packs, newest version first
+const registry = new Map();
+let loaded = false;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function compareVersions(a, b) {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < 3; i++) if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  return 0;
+}
+
+// Precompile regexes and check selectors once, so detection never throws on a bad pack
+function compilePack(pack) {
+  const probe = cheerio.load("<html><body></body></html>");
+  const types = pack.types.map((rule) => {
+    const indicators = Object.entries(rule.indicators || {}).map(([phrase, weight]) => ({
+      phrase,
+      weight,
+      re: new RegExp(`\\b${escapeRe(phrase.toLowerCase())}\\b`, "g"),
+    }));
+    const urlPatterns = Object.entries(rule.urlPatterns || {}).map(([pattern, weight]) => ({
+      pattern,
+      weight,
+      re: new RegExp(pattern, "i"),
+    }));
+    const selectors = Object.entries(rule.selectors || {}).map(([selector, weight]) => ({ selector, weight }));
+    for (const selector of [...selectors.map((s) => s.selector), ...(rule.requires?.selectors || [])]) {
+      probe(selector); // throws on invalid syntax
+    }
+    for (const pattern of rule.requires?.urlPatterns || []) new RegExp(pattern, "i");
+    return { type: rule.type, indicators, urlPatterns, selectors, requires: rule.requires || null };
+  });
+
+  return {
+    name: pack.name,
+    version: pack.version,
+    fallbackType: pack.fallbackType || "agentnet:Thing",
+    minScore: pack.minScore ?? 1,
+    confidenceFloor: pack.confidenceFloor ?? 6,
+    types,
+  };
+}
+
+/**
+ * Load (or reload) every pack in the directory. Returns the loaded "name@version" ids.
+ */
+function loadRulePacks(dir = RULE_PACK_DIR) {
+  const validate = new Ajv({ allErrors: true, strict: false }).compile(PACK_SCHEMA);
+  registry.clear();
+  loaded = true;
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+  } catch (e) {
+    console.warn(`⚠️  Rule pack directory not readable (${dir}): ${e.message}`);
+  }
+
+  for (const file of files.sort()) {
+    try {
+      const pack = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      if (!validate(pack)) {
+        const why = validate.errors.map((e) => `${e.instancePath || "/"} ${e.message}`).join("; ");
+        console.warn(`⚠️  Rule pack ${file} is invalid, skipped: ${why}`);
+        continue;
+      }
+      const compiled = compilePack(pack);
+      const versions = registry.get(compiled.name) || [];
+      if (versions.some((p) => p.version === compiled.version)) {
+        console.warn(`⚠️  Rule pack ${compiled.name}@${compiled.version} is defined twice; ${file} skipped`);
+        continue;
+      }
+      registry.set(compiled.name, [...versions, compiled].sort((a, b) => compareVersions(b.version, a.version)));
+    } catch (e) {
+      console.warn(`⚠️  Rule pack ${file} failed to load, skipped: ${e.message}`);
+    }
+  }
+
+  return [...registry.values()].flat().map((p) => `${p.name}@${p.version}`);
+}
+
+function lookup(spec) {
+  const [name, version] = String(spec || "").trim().split("@");
+  const versions = registry.get(name) || [];
+  return version ? versions.find((p) => p.version === version) || null : versions[0] || null;
+}
+
+/**
+ * Resolve a pack spec ("retail", "retail@2.0.0") for a seed: spec > RULE_PACK. Throws when even
+ * the default pack is missing, since type detection cannot run without one.
+ */
+function resolveRulePack(requested) {
+  if (!loaded) loadRulePacks();
+  if (requested && typeof requested === "object") return requested; // already compiled
+
+  const pack = lookup(requested || RULE_PACK);
+  if (pack) return pack;
+  if (requested) console.warn(`⚠️ Unknown rule pack '${requested}', using '${RULE_PACK}'`);
+
+  const fallback = lookup(RULE_PACK);
+  if (!fallback) throw new Error(`Rule pack '${RULE_PACK}' not found in ${RULE_PACK_DIR}`);
+  return fallback;
+}
+
+function pathOf(url) {
+  try {
+    const u = new URL(url);
+    return `${u.pathname}${u.search}`;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Score every type in the pack against the page and pick the winner.
+ *
+ * @param {ReturnType<typeof resolveRulePack>} pack
+ * @param {object} page
+ * @param {string} page.text visible text
+ * @param {string} [page.url]
+ * @param {import("cheerio").CheerioAPI} [page.$] parsed page (selectors are skipped without it)
+ */
+function detectPageType(pack, { text = "", url = "", $ = null }) {
+  const t = text.toLowerCase();
+  const urlPath = pathOf(url);
+
+  const results = pack.types.map((rule) => {
+    let score = 0;
+    const matched = [];
+    for (const { phrase, weight, re } of rule.indicators) {
+      const n = (t.match(re) || []).length;
+      if (n) {
+        score += n * weight;
+        matched.push(`indicator:${phrase}`);
+      }
+    }
+    for (const { pattern, weight, re } of rule.urlPatterns) {
+      if (re.test(urlPath)) {
+        score += weight;
+        matched.push(`url:${pattern}`);
+      }
+    }
+    for (const { selector, weight } of rule.selectors) {
+      if ($ && $(selector).length) {
+        score += weight;
+        matched.push(`selector:${selector}`);
+      }
+    }
+
+    if (rule.requires) {
+      const req = rule.requires;
+      const hits =
+        (req.indicators || []).filter((p) => new RegExp(`\\b${escapeRe(p.toLowerCase())}\\b`).test(t)).length +
+        (req.urlPatterns || []).filter((p) => new RegExp(p, "i").test(urlPath)).length +
+        (req.selectors || []).filter((s) => $ && $(s).length).length;
+      if (hits < (req.min || 1)) score = 0;
+    }
+    return { type: rule.type, score, matched };
+  });
+
+  const scores = Object.fromEntries(results.map((r) => [r.type, r.score]));
+  const total = results.reduce((n, r) => n + r.score, 0);
+  // Strictly greater: ties keep the type listed first
+  const best = results.reduce((a, b) => (b.score > a.score ? b : a));
+  const won = best.score >= pack.minScore && best.score > 0;
+
+  return {
+    type: won ? best.type : pack.fallbackType,
+    confidence: Math.min(1, best.score / Math.max(pack.confidenceFloor, total || 1)),
+    scores,
+    matched: won ? best.matched : [],
+    pack: { name: pack.name, version: pack.version },
+  };
+}
+
+module.exports = {
+  loadRulePacks,
+  resolveRulePack,
+  detectPageType,
+};
@@ -0,0 +1,170 @@
+// src/inferencer/types/event.js
+// Event pages: start/end dates, the venue as a Place, ticket offers and cancellation status.
+//
+//   agentnet:startDate / agentnet:endDate  ISO 8601 ("2026-03-14T19:30"), from microdata, <time datetime>
+//                                          or the first dated text ("Sat, March 14, 2026 · 7:30 PM")
+//   agentnet:location                      { "@type": "Place", name, address: PostalAddress }
+//   agentnet:offers                        [{ url, price, priceCurrency, availability, source: "dom" }]
+//   agentnet:eventStatus                   "EventCancelled" | "EventPostponed" | "EventRescheduled"
+
+const { absolute } = require("../../normalize");
+const { findPrice } = require("../../extractor/money");
+const { parseAddress } = require("../../extractor/address");
+const { findDates, parseDate } = require("../../extractor/dates");
+const { trimAny, textLines, itemprop, afterLabel } = require("./helpers");
+
+const VENUE_CONTAINERS = ['[class*="venue" i]', '[class*="location" i]'];
+const TICKET_LINK_RE = /\b(tickets?|buy|book now|rsvp|register|billets?|karten|entradas|biglietti)\b/i;
+// Where the ticket price is usually quoted
+const PRICE_CONTEXT_RE = /\b(?:tickets?|admission|entry|entrance|price|cover)\b[^.]{0,60}/gi;
+
+const STATUS = [
+  [/\b(cancelled|canceled|abgesagt|annulé)\b/i, "EventCancelled"],
+  [/\b(postponed|verschoben|reporté)\b/i, "EventPostponed"],
+  [/\b(rescheduled)\b/i, "EventRescheduled"],
+];
+
+function dates($, text) {
+  const start = itemprop($, "startDate");
+  const startValue = start && parseDate(start.value);
+  if (startValue) {
+    const end = itemprop($, "endDate");
+    return {
+      start: { value: startValue, confidence: 0.85, method: "itemprop", selector: start.selector },
+      end: end &&
+        parseDate(end.value) && {
+          value: parseDate(end.value),
+          confidence: 0.85,
+          method: "itemprop",
+          selector: end.selector,
+        },
+    };
+  }
+
+  // Two <time> elements side by side are a start/end pair
+  const times = $("time[datetime]")
+    .toArray()
+    .map((el) => ({ el, value: parseDate($(el).attr("datetime")) }))
+    .filter((t) => t.value);
+  if (times.length) {
+    const [first, second] = times;
+    const paired = second && second.el.parent === first.el.parent && second.value > first.value;
+    return {
+      start: { value: first.value, confidence: 0.8, method: "time-element", selector: "time[datetime]" },
+      end: paired && { value: second.value, confidence: 0.75, method: "time-element", selector: "time[datetime]" },
+    };
+  }
+
+  const [hit] = findDates(text);
+  if (!hit) return {};
+  return {
+    start: { value: hit.start, confidence: 0.65, method: "date-text", snippet: hit.raw },
+    end: hit.end && { value: hit.end, confidence: 0.65, method: "date-text", snippet: hit.raw },
+  };
+}
+
+function venue($, lines, country) {
+  const scoped = $('[itemprop~="location"]').first();
+  if (scoped.length) {
+    const name = itemprop($, "name", scoped)?.value;
+    const addrEl = itemprop($, "address", scoped);
+    const address = addrEl && (parseAddress(textLines($, addrEl.el), { country })?.value || addrEl.value);
+    if (name || address) {
+      return { value: place(name, address), confidence: 0.85, method: "itemprop", selector: '[itemprop~="location"]' };
+    }
+  }
+
+  for (const selector of VENUE_CONTAINERS) {
+    for (const el of $(selector).toArray().slice(0, 5)) {
+      const lines = textLines($, el).filter((l) => l.length <= 120);
+      if (!lines.length || lines.length > 8) continue;
+      const parsed = parseAddress(lines, { country, requireStreet: true });
+      if (!parsed) continue;
+      // The line before the street is the venue's name, unless it is a label
+      const street = lines.findIndex((l) => l.includes(parsed.value.streetAddress));
+      const name = lines.slice(0, Math.max(street, 0)).find((l) => !/^(venue|location|where)\s*:?$/i.test(l));
+      return { value: place(name, parsed.value), confidence: 0.7, method: "venue-container", selector };
+    }
+  }
+
+  const label = afterLabel(lines, ["Venue", "Location", "Where"], 120);
+  if (!label) return null;
+  const parts = label.value.split(/,\s*/);
+  const parsed = parseAddress(parts, { country, requireStreet: true });
+  // "The Fillmore, 1805 Geary Blvd, ..." names the venue first; a bare address has no name
+  const name = parsed && parsed.value.streetAddress.includes(parts[0]) ? null : parsed ? parts[0] : label.value;
+  return { value: place(name, parsed?.value), confidence: 0.6, method: "venue-label", snippet: label.raw };
+}
+
+function place(name, address) {
+  const value = { "@type": "Place" };
+  if (name) value.name = trimAny(name);
+  if (address) value.address = address;
+  return value;
+}
+
+function tickets($, url, text, { locale, country }) {
+  const link = $("a[href]")
+    .toArray()
+    .find(
+      (a) => TICKET_LINK_RE.test(trimAny($(a).text())) && !/^(#|javascript:|mailto:|tel:)/i.test($(a).attr("href"))
+    );
+  const ticketUrl = link ? absolute($(link).attr("href"), url) : null;
+
+  let money = null;
+  const priceEl = itemprop($, "price", $('[itemprop~="offers"]'));
+  if (priceEl) {
+    money = findPrice(`${itemprop($, "priceCurrency")?.value || ""} ${priceEl.value}`, { locale, country });
+  }
+  for (const m of money ? [] : text.matchAll(PRICE_CONTEXT_RE)) {
+    money = findPrice(m[0], { locale, country });
+    if (money) break;
+  }
+  const free = !money && /\b(free admission|free entry|admission is free|free event)\b/i.test(text);
+
+  if (!ticketUrl && !money && !free) return null;
+  const offer = {};
+  if (ticketUrl) offer.url = ticketUrl;
+  if (money) {
+    offer.price = money.price;
+    if (money.priceCurrency) offer.priceCurrency = money.priceCurrency;
+  } else if (free) {
+    offer.price = "0.00";
+  }
+  if (/\bsold[ -]?out\b|\bausverkauft\b|\bcomplet\b/i.test(text)) offer.availability = "SoldOut";
+  offer.source = "dom";
+
+  return {
+    value: [offer],
+    confidence: priceEl ? 0.8 : 0.65,
+    method: priceEl ? "itemprop-offer" : "ticket-link",
+    snippet: money?.raw || (link ? trimAny($(link).text()) : undefined),
+  };
+}
+
+module.exports = {
+  name: "event",
+  appliesTo: ["Event"],
+  infer($, { text, lines = [text], url, locale, country }) {
+    const fields = {};
+    const { start, end } = dates($, text);
+    if (start) fields["agentnet:startDate"] = start;
+    if (start && end) fields["agentnet:endDate"] = end;
+
+    const location = venue($, lines, country);
+    if (location) fields["agentnet:location"] = location;
+
+    const offers = tickets($, url, text, { locale, country });
+    if (offers) fields["agentnet:offers"] = offers;
+
+    // Only in a headline or status badge: the body of a page may mention a past cancellation
+    const banner = $('h1, h2, [class*="status" i], [class*="badge" i], [class*="alert" i]')
+      .map((_, el) => $(el).text())
+      .get()
+      .join(" ");
+    const status = STATUS.find(([re]) => re.test(banner));
+    if (status) fields["agentnet:eventStatus"] = { value: status[1], confidence: 0.7, method: "status-text" };
+
+    return fields;
+  },
+};
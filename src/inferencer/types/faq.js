@@ -0,0 +1,103 @@
+// src/inferencer/types/faq.js
+// FAQ pages: question/answer pairs.
+//
+//   agentnet:mainEntity  [{ "@type": "Question", name, acceptedAnswer: { "@type": "Answer", text } }, ...]
+//
+// Pairs come from Question microdata, <details>/<summary> accordions, <dt>/<dd> lists, or headings
+// phrased as questions followed by their answer text, in that order. Heuristic sources need at least
+// MIN_PAIRS pairs, so a page with one rhetorical "Why us?" heading is not read as an FAQ.
+
+const { HEADINGS, trimAny, itemprop } = require("./helpers");
+
+const MAX_PAIRS = 50;
+const MIN_PAIRS = 2;
+const MAX_ANSWER = 1000;
+
+const isQuestion = (s) => s.length >= 5 && s.length <= 300 && /\?\s*$/.test(s);
+
+function pair(name, answer) {
+  const text = trimAny(answer).slice(0, MAX_ANSWER);
+  if (!name || !text) return null;
+  return { "@type": "Question", name: trimAny(name), acceptedAnswer: { "@type": "Answer", text } };
+}
+
+function fromMicrodata($) {
+  return $('[itemtype*="schema.org/Question"]')
+    .toArray()
+    .map((el) => {
+      const answer = $(el).find('[itemtype*="schema.org/Answer"]').first();
+      const text = itemprop($, "text", answer)?.value || trimAny(answer.text());
+      return pair(itemprop($, "name", el)?.value, text);
+    })
+    .filter(Boolean);
+}
+
+function fromDetails($) {
+  return $("details")
+    .toArray()
+    .map((el) => {
+      const summary = $(el).children("summary").first();
+      const body = $(el).clone();
+      body.children("summary").remove();
+      return pair(trimAny(summary.text()), body.text());
+    })
+    .filter(Boolean);
+}
+
+function fromDefinitionLists($) {
+  return $("dt")
+    .toArray()
+    .map((el) => {
+      const q = trimAny($(el).text());
+      return isQuestion(q) ? pair(q, $(el).nextUntil("dt").filter("dd").text()) : null;
+    })
+    .filter(Boolean);
+}
+
+function fromHeadings($) {
+  return $(`${HEADINGS.replace("h1, ", "")}, [class*="question" i]`)
+    .toArray()
+    .map((el) => {
+      const q = trimAny($(el).text());
+      if (!isQuestion(q)) return null;
+      // Answer: following siblings up to the next heading / question
+      const answer = $(el)
+        .nextUntil(`${HEADINGS}, [class*="question" i]`)
+        .toArray()
+        .map((n) => $(n).text())
+        .join(" ");
+      return pair(q, answer);
+    })
+    .filter(Boolean);
+}
+
+// [reader, minimum pairs, confidence, method, selector]
+const SOURCES = [
+  [fromMicrodata, 1, 0.9, "itemprop", '[itemtype*="schema.org/Question"]'],
+  [fromDetails, MIN_PAIRS, 0.8, "details", "details > summary"],
+  [fromDefinitionLists, MIN_PAIRS, 0.75, "definition-list", "dt"],
+  [fromHeadings, MIN_PAIRS, 0.7, "question-headings", null],
+];
+
+module.exports = {
+  name: "faq",
+  appliesTo: ["FAQPage"],
+  infer($) {
+    for (const [read, min, confidence, method, selector] of SOURCES) {
+      const pairs = read($);
+      // The same question twice (mobile + desktop accordions) counts once
+      const unique = pairs.filter((p, i) => pairs.findIndex((o) => o.name === p.name) === i);
+      if (unique.length < min) continue;
+      return {
+        "agentnet:mainEntity": {
+          value: unique.slice(0, MAX_PAIRS),
+          confidence,
+          method,
+          selector: selector || undefined,
+          snippet: unique[0].name,
+        },
+      };
+    }
+    return {};
+  },
+};
@@ -0,0 +1,108 @@
+// src/inferencer/types/helpers.js
+// Page readers shared by the type modules: microdata properties, "Label: value" text and
+// headed lists ("Ingredients" followed by a <ul>).
+
+const { trimAny } = require("../../normalize");
+const { textLines } = require("../../extractor/html-utils");
+
+const HEADINGS = "h1, h2, h3, h4, h5, h6";
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Value of a microdata element: machine-readable attribute first, then its text
+function propValue($, el) {
+  const node = $(el);
+  return trimAny(node.attr("content") || node.attr("datetime") || node.attr("value") || node.text());
+}
+
+/**
+ * First [itemprop=prop] (inside scope, when given) with a non-empty value.
+ */
+function itemprop($, prop, scope = null) {
+  const selector = `[itemprop~="${prop}"]`;
+  const els = (scope ? $(scope).find(selector) : $(selector)).toArray();
+  for (const el of els) {
+    const value = propValue($, el);
+    if (value) return { value, selector, el };
+  }
+  return null;
+}
+
+/**
+ * Every non-empty [itemprop=prop] value, in document order.
+ */
+function itempropAll($, prop) {
+  const selector = `[itemprop~="${prop}"]`;
+  const values = $(selector)
+    .toArray()
+    .map((el) => propValue($, el))
+    .filter(Boolean);
+  return values.length ? { value: values, selector } : null;
+}
+
+// Case-insensitive label, so the rest of the pattern can stay case-sensitive
+const anyCase = (s) => escapeRe(s).replace(/\p{L}/gu, (c) => `[${c.toLowerCase()}${c.toUpperCase()}]`);
+
+/**
+ * The value after a label in the visible text ("Location: Austin, TX"), up to the end of its line,
+ * the next "Label:" or a sentence end. Pass the page's lines where available: collapsed text has no
+ * block boundaries. `labels` are matched case-insensitively as whole words.
+ */
+function afterLabel(lines, labels, maxLength = 80) {
+  const alt = labels.map(anyCase).join("|");
+  const re = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alt})\\s*:\\s*(.{1,${maxLength}}?)` +
+      `(?=\\s+[A-Z][a-z]+(?:\\s[A-Za-z]+){0,3}\\s*:|\\s[|•·]\\s|\\.\\s+[A-Z]|\\.?\\s*$)`,
+    "u"
+  );
+  for (const line of [].concat(lines || [])) {
+    const m = String(line).match(re);
+    if (m) return { value: trimAny(m[1]), raw: trimAny(m[0]) };
+  }
+  return null;
+}
+
+/**
+ * List items following a heading that matches headingRe (or inside a container matching
+ * containerSelector, tried first). Returns the item texts, a selector for the provenance and
+ * which of the two matched (`from`: "container" | "heading").
+ */
+function headedList($, { headingRe, containerSelector = null, itemSelector = "li" }) {
+  if (containerSelector) {
+    for (const el of $(containerSelector).toArray()) {
+      const items = $(el)
+        .find(itemSelector)
+        .toArray()
+        .map((li) => trimAny($(li).text()))
+        .filter(Boolean);
+      if (items.length) {
+        return { value: [...new Set(items)], selector: `${containerSelector} ${itemSelector}`, from: "container" };
+      }
+    }
+  }
+
+  for (const el of $(`${HEADINGS}, strong, b, p`).toArray()) {
+    const label = trimAny($(el).text());
+    if (label.length > 60 || !headingRe.test(label)) continue;
+    // The heading may be wrapped (<p><strong>Ingredients</strong></p>): walk from the block element
+    const block = /^(strong|b)$/.test(el.tagName) && $(el).parent().is("p") ? $(el).parent() : $(el);
+    const section = block.nextUntil(HEADINGS).toArray();
+    const items = section
+      .flatMap((n) => ($(n).is("li") ? [n] : $(n).find("li").toArray()))
+      .map((li) => trimAny($(li).text()))
+      .filter(Boolean);
+    if (items.length) {
+      return { value: [...new Set(items)], selector: `${el.tagName}:contains("${label}") ~ * li`, from: "heading" };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  HEADINGS,
+  trimAny,
+  textLines,
+  itemprop,
+  itempropAll,
+  afterLabel,
+  headedList,
+};
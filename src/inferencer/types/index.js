@@ -0,0 +1,99 @@
+// src/inferencer/types/index.js
+// Type-specific inference: one module per capsule type, run only on pages of that type.
+//
+// Usage:
+//   const { runTypeModules, registerTypeModule } = require("./inferencer/types");
+//   const out = runTypeModules(["agentnet:Event"], { $, text, lines, html, url, locale, country });
+//   out.fields["agentnet:startDate"] // -> { value: "2026-03-14T19:30", confidence: 0.8, module: "event",
+//                                    //      method: "event-time-element", evidence: { selector: "time[datetime]" } }
+//
+// A module is { name, appliesTo, infer($, ctx) -> { [key]: { value, confidence, method, selector?, snippet? } } },
+// where ctx carries the parsed page ($), the normalized visible text and its lines, the raw html,
+// the URL and the page's locale/country (extractor/locale.js). `appliesTo` lists type names, matched
+// the way the DOM stage matches them ("agentnet:MusicEvent" includes "Event"). Module failures are
+// recorded, never thrown.
+//
+// Built-in modules: event, recipe, local-business, job-posting, faq.
+
+const modules = [];
+
+/**
+ * Add a module. A later registration with the same name replaces the earlier one.
+ */
+function registerTypeModule(def) {
+  if (!def || typeof def.infer !== "function" || !def.name || !Array.isArray(def.appliesTo)) {
+    throw new Error("registerTypeModule: { name, appliesTo, infer } are required");
+  }
+  const i = modules.findIndex((m) => m.name === def.name);
+  if (i === -1) modules.push(def);
+  else modules[i] = def;
+}
+
+function listTypeModules() {
+  return modules.map(({ name, appliesTo }) => ({ name, appliesTo }));
+}
+
+/**
+ * Run every module that applies to one of the capsule's types.
+ *
+ * @param {string[]} typeNames the capsule's @type value(s)
+ * @param {object} ctx
+ * @param {import("cheerio").CheerioAPI} ctx.$ parsed page
+ * @param {string} ctx.text whitespace-normalized visible text
+ * @param {string[]} [ctx.lines] visible text lines (block boundaries kept), for "Label: value" reads
+ * @param {string} [ctx.html]
+ * @param {string} [ctx.url]
+ * @param {string|null} [ctx.locale] BCP 47
+ * @param {string|null} [ctx.country] ISO 3166-1 alpha-2
+ * @returns {{
+ *   fields: Record<string, { value: any, confidence: number, module: string, method: string, evidence: object }>,
+ *   modules: string[],
+ *   errors: Array<{ module: string, message: string }>,
+ * }}
+ */
+function runTypeModules(typeNames, ctx) {
+  const names = [].concat(typeNames || []).map(String);
+  const fields = {};
+  const ran = [];
+  const errors = [];
+
+  for (const mod of modules) {
+    if (!mod.appliesTo.some((t) => names.some((name) => name.includes(t)))) continue;
+    ran.push(mod.name);
+    try {
+      for (const [key, ev] of Object.entries(mod.infer(ctx.$, ctx) || {})) {
+        if (!ev || ev.value == null || (Array.isArray(ev.value) && !ev.value.length)) continue;
+        // The first module to produce a field keeps it
+        if (fields[key]) continue;
+        const evidence = {};
+        if (ev.selector) evidence.selector = ev.selector;
+        if (ev.snippet) evidence.snippet = String(ev.snippet).slice(0, 200);
+        fields[key] = {
+          value: ev.value,
+          confidence: ev.confidence,
+          module: mod.name,
+          method: `${mod.name}-${ev.method}`,
+          evidence,
+        };
+      }
+    } catch (e) {
+      errors.push({ module: mod.name, message: e.message });
+    }
+  }
+
+  return { fields, modules: ran, errors };
+}
+
+[
+  require("./event"),
+  require("./recipe"),
+  require("./localBusiness"),
+  require("./jobPosting"),
+  require("./faq"),
+].forEach(registerTypeModule);
+
+module.exports = {
+  registerTypeModule,
+  listTypeModules,
+  runTypeModules,
+};
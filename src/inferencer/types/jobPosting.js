@@ -0,0 +1,195 @@
+// src/inferencer/types/jobPosting.js
+// Job postings: title, location (or remote), salary, employment type and dates.
+//
+//   agentnet:title            "Senior Backend Engineer"
+//   agentnet:jobLocation      { "@type": "Place", address: PostalAddress }
+//   agentnet:jobLocationType  "TELECOMMUTE" for remote roles
+//   agentnet:baseSalary       { "@type": "MonetaryAmount", currency: "USD",
+//                               value: { "@type": "QuantitativeValue", minValue, maxValue, unitText: "YEAR" } }
+//   agentnet:employmentType   ["FULL_TIME", ...]
+//   agentnet:datePosted / agentnet:validThrough  ISO dates
+
+const { parseAddress, countryFromName } = require("../../extractor/address");
+const { parseAmount, resolveCurrency } = require("../../extractor/money");
+const { parseDate } = require("../../extractor/dates");
+const { trimAny, itemprop, textLines, afterLabel } = require("./helpers");
+
+const EMPLOYMENT_TYPES = [
+  [/\bfull[- ]?time\b|\bvollzeit\b|\btemps plein\b/i, "FULL_TIME"],
+  [/\bpart[- ]?time\b|\bteilzeit\b|\btemps partiel\b/i, "PART_TIME"],
+  [/\bcontract(or)?\b|\bfreelance\b/i, "CONTRACTOR"],
+  [/\btemporary\b|\bseasonal\b|\bbefristet\b/i, "TEMPORARY"],
+  [/\bintern(ship)?\b|\bpraktikum\b|\bstage\b/i, "INTERN"],
+];
+
+const REMOTE_RE = /\b(?:fully|100%)\s+remote\b|\bremote[- ](?:position|role|job|first|only)\b|\bwork from home\b/i;
+
+// "$120k – $150k per year", "€45,000 - 55,000 EUR / Jahr", "USD 30/hour"
+const SALARY_AMOUNT = /([$€£¥₹]|\b[A-Z]{3}\b)?\s?(\d{1,3}(?:[,.'’\s]\d{3})+|\d+(?:[.,]\d{1,2})?)\s?([kK])?(?![\d%])/g;
+const SALARY_UNITS = [
+  [/\b(per\s+hour|an\s+hour|hourly|\/\s?h(?:ou)?r|pro\s+stunde|de l'heure)\b/i, "HOUR"],
+  [/\b(per\s+day|a\s+day|daily|\/\s?day)\b/i, "DAY"],
+  [/\b(per\s+week|a\s+week|weekly|\/\s?w(?:ee)?k)\b/i, "WEEK"],
+  [/\b(per\s+month|a\s+month|monthly|\/\s?mo(?:nth)?|pro\s+monat|par mois)\b/i, "MONTH"],
+  [/\b(per\s+(?:year|annum)|a\s+year|annual(?:ly)?|yearly|\/\s?y(?:ea)?r|p\.a\.|pro\s+jahr|par an)\b/i, "YEAR"],
+];
+
+function title($) {
+  const asserted = itemprop($, "title");
+  if (asserted) return { value: asserted.value, confidence: 0.9, method: "itemprop", selector: asserted.selector };
+  const h1 = trimAny($("h1").first().text());
+  return h1 && h1.length <= 120 ? { value: h1, confidence: 0.75, method: "h1", selector: "h1" } : null;
+}
+
+// "Austin, TX" / "Berlin, Germany" / a full postal address
+function placeFrom(value, country) {
+  const parsed = parseAddress(value.split(/,\s*/), { country });
+  if (parsed) return { "@type": "Place", address: parsed.value };
+
+  const [locality, rest] = value.split(/,\s*/);
+  if (!locality || /\d/.test(locality) || locality.length > 40) return null;
+  const address = { "@type": "PostalAddress", addressLocality: locality };
+  if (rest && /^[A-Z]{2}$/.test(rest)) address.addressRegion = rest;
+  else if (rest && countryFromName(rest)) address.addressCountry = countryFromName(rest);
+  return { "@type": "Place", address };
+}
+
+function location($, lines, country) {
+  const scoped = itemprop($, "jobLocation");
+  if (scoped) {
+    const parsed = parseAddress(textLines($, scoped.el), { country });
+    if (parsed) {
+      return {
+        value: { "@type": "Place", address: parsed.value },
+        confidence: 0.85,
+        method: "itemprop",
+        selector: scoped.selector,
+      };
+    }
+  }
+  const label = afterLabel(lines, ["Location", "Job location", "Based in", "Standort", "Lieu"], 80);
+  if (!label) return null;
+  if (/^remote\b/i.test(label.value)) return { remote: true, snippet: label.raw };
+  const value = placeFrom(label.value.replace(/\s*\(.*?\)\s*/g, " ").trim(), country);
+  return value && { value, confidence: 0.7, method: "location-label", snippet: label.raw };
+}
+
+function salaryUnit(text, min) {
+  const unit = SALARY_UNITS.find(([re]) => re.test(text));
+  if (unit) return unit[1];
+  // Without a stated period, the size of the figure tells hourly from yearly pay
+  if (min >= 10000) return "YEAR";
+  if (min < 200) return "HOUR";
+  return null;
+}
+
+function salaryFrom(segment, { locale, country }, requireCurrency) {
+  const amounts = [];
+  let currency = null;
+  for (const m of segment.matchAll(SALARY_AMOUNT)) {
+    const [, sym, raw, k] = m;
+    const code = sym ? resolveCurrency(sym, { locale, country }) : null;
+    if (sym && !code) continue;
+    currency ||= code;
+    const n = parseAmount(raw);
+    if (n == null || n <= 0) continue;
+    amounts.push(n * (k ? 1000 : 1));
+    if (amounts.length === 2) break;
+  }
+  // A trailing code ("45,000 - 55,000 EUR")
+  currency ||= resolveCurrency((segment.match(/\b[A-Z]{3}\b/) || [])[0], { locale, country });
+  if (!amounts.length || (requireCurrency && !currency)) return null;
+
+  const [min, max] = amounts.length === 2 && amounts[1] > amounts[0] ? amounts : [amounts[0], null];
+  const value = { "@type": "QuantitativeValue" };
+  if (max != null) {
+    value.minValue = min;
+    value.maxValue = max;
+  } else {
+    value.value = min;
+  }
+  const unitText = salaryUnit(segment, min);
+  if (unitText) value.unitText = unitText;
+
+  const out = { "@type": "MonetaryAmount" };
+  if (currency) out.currency = currency;
+  out.value = value;
+  return out;
+}
+
+function salary(text, lines, opts) {
+  const label = afterLabel(
+    lines,
+    ["Salary", "Salary range", "Pay", "Pay range", "Compensation", "Gehalt", "Salaire"],
+    80
+  );
+  const fromLabel = label && salaryFrom(label.value, opts, false);
+  if (fromLabel) return { value: fromLabel, confidence: 0.75, method: "salary-label", snippet: label.raw };
+
+  // Unlabelled: a currency-marked figure or range followed by a pay period
+  const m = text.match(
+    /(?:[$€£¥₹]|\b[A-Z]{3}\s?)\d[\d,.'’]*\s?[kK]?(?:\s*(?:[-–—]|to)\s*(?:[$€£¥₹]|\b[A-Z]{3}\s?)?\d[\d,.'’]*\s?[kK]?)?\s*(?:\/\s?|per\s+|an?\s+)(?:hour|hr|year|yr|annum|month|mo|week|day)\b/i
+  );
+  const fromText = m && salaryFrom(m[0], opts, true);
+  return fromText ? { value: fromText, confidence: 0.6, method: "salary-text", snippet: m[0] } : null;
+}
+
+function employmentType($, text, lines) {
+  const asserted = itemprop($, "employmentType");
+  if (asserted) {
+    const types = EMPLOYMENT_TYPES.filter(([re]) => re.test(asserted.value)).map(([, t]) => t);
+    const value = types.length ? types : [asserted.value.toUpperCase().replace(/[\s-]+/g, "_")];
+    return { value, confidence: 0.85, method: "itemprop", selector: asserted.selector };
+  }
+  const label = afterLabel(lines, ["Employment type", "Job type", "Type", "Contract type", "Anstellungsart"], 60);
+  const labelled = label && EMPLOYMENT_TYPES.filter(([re]) => re.test(label.value)).map(([, t]) => t);
+  if (labelled?.length) return { value: labelled, confidence: 0.75, method: "employment-label", snippet: label.raw };
+
+  // In running text only an unambiguous mention counts ("full-time and part-time roles" does not)
+  const mentioned = EMPLOYMENT_TYPES.filter(([re]) => re.test(text)).map(([, t]) => t);
+  return mentioned.length === 1 ? { value: mentioned, confidence: 0.55, method: "employment-text" } : null;
+}
+
+function dated($, lines, prop, labels) {
+  const asserted = itemprop($, prop);
+  const iso = asserted && parseDate(asserted.value);
+  if (iso) return { value: iso, confidence: 0.85, method: "itemprop", selector: asserted.selector };
+  const label = afterLabel(lines, labels, 40);
+  const value = label && parseDate(label.value);
+  return value ? { value, confidence: 0.7, method: "date-label", snippet: label.raw } : null;
+}
+
+module.exports = {
+  name: "job-posting",
+  appliesTo: ["JobPosting"],
+  infer($, { text, lines = [text], locale, country }) {
+    const fields = {};
+
+    const t = title($);
+    if (t) fields["agentnet:title"] = t;
+
+    const loc = location($, lines, country);
+    if (loc?.value) fields["agentnet:jobLocation"] = loc;
+    if (loc?.remote || REMOTE_RE.test(text)) {
+      fields["agentnet:jobLocationType"] = {
+        value: "TELECOMMUTE",
+        confidence: loc?.remote ? 0.75 : 0.6,
+        method: "remote-text",
+        snippet: loc?.snippet || (text.match(REMOTE_RE) || [])[0],
+      };
+    }
+
+    const pay = salary(text, lines, { locale, country });
+    if (pay) fields["agentnet:baseSalary"] = pay;
+
+    const type = employmentType($, text, lines);
+    if (type) fields["agentnet:employmentType"] = type;
+
+    const posted = dated($, lines, "datePosted", ["Posted", "Posted on", "Date posted", "Published"]);
+    if (posted) fields["agentnet:datePosted"] = posted;
+    const closes = dated($, lines, "validThrough", ["Apply by", "Closing date", "Deadline", "Application deadline"]);
+    if (closes) fields["agentnet:validThrough"] = closes;
+
+    return fields;
+  },
+};
@@ -0,0 +1,131 @@
+// src/inferencer/types/localBusiness.js
+// Local business pages: coordinates and price range. Phone, address and opening hours already come
+// from the DOM stage (extractor/dom.js) for business types.
+//
+//   agentnet:geo         { "@type": "GeoCoordinates", latitude, longitude }, from microdata, geo meta
+//                        tags, data-lat/lng attributes or an embedded/linked map (Google, Apple, OSM)
+//   agentnet:priceRange  "$$" / "€€€" / "$10-25"
+
+const { trimAny, itemprop } = require("./helpers");
+
+const NUM = "(-?\\d{1,3}\\.\\d{3,})";
+// Coordinates inside map URLs, most specific first
+const MAP_URL_PATTERNS = [
+  new RegExp(`!3d${NUM}!4d${NUM}`), // Google embed
+  new RegExp(`@${NUM},${NUM}`), // Google place links
+  new RegExp(`[?&](?:q|ll|center|daddr|destination|query)=${NUM}(?:,|%2C)\\s*${NUM}`, "i"),
+  new RegExp(`mlat=${NUM}&mlon=${NUM}`), // OpenStreetMap marker
+  new RegExp(`#map=\\d+/${NUM}/${NUM}`), // OpenStreetMap view
+];
+const MAP_LINKS = [
+  'iframe[src*="google.com/maps"]',
+  'iframe[src*="openstreetmap.org"]',
+  'a[href*="google.com/maps"]',
+  'a[href*="maps.google."]',
+  'a[href*="maps.apple.com"]',
+  'a[href*="openstreetmap.org"]',
+];
+const DATA_ATTRS = [
+  ["data-lat", "data-lng"],
+  ["data-lat", "data-lon"],
+  ["data-latitude", "data-longitude"],
+];
+
+const PRICE_SYMBOLS_RE = /^(\${1,4}|€{1,4}|£{1,4}|¥{1,4})$/;
+// "Price range: $$", "Price level: €€€", "Price range: $10-25"
+const PRICE_RANGE_LABEL_RE =
+  /\bprice\s*(?:range|level)\s*:?\s*((\${1,4}|€{1,4}|£{1,4}|¥{1,4})(?![\d\w])|[$€£¥]\s?\d+\s*[-–]\s*[$€£¥]?\s?\d+)/i;
+
+function geoValue(lat, lng) {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180 || (latitude === 0 && longitude === 0)) return null;
+  return {
+    "@type": "GeoCoordinates",
+    latitude: Number(latitude.toFixed(6)),
+    longitude: Number(longitude.toFixed(6)),
+  };
+}
+
+function geo($) {
+  const lat = itemprop($, "latitude");
+  const lng = itemprop($, "longitude");
+  const fromProps = lat && lng && geoValue(lat.value, lng.value);
+  if (fromProps) return { value: fromProps, confidence: 0.9, method: "itemprop", selector: lat.selector };
+
+  const metaContent = (name) => $(`meta[name="${name}"], meta[property="${name}"]`).attr("content") || "";
+  const metaPairs = [
+    ["place:location:latitude", "place:location:longitude"],
+    ["og:latitude", "og:longitude"],
+  ];
+  for (const [a, b] of metaPairs) {
+    const value = geoValue(metaContent(a), metaContent(b));
+    if (value) return { value, confidence: 0.9, method: "geo-meta", selector: `meta[property="${a}"]` };
+  }
+  for (const name of ["geo.position", "ICBM"]) {
+    const [a, b] = metaContent(name).split(/\s*[;,]\s*/);
+    const value = b && geoValue(a, b);
+    if (value) return { value, confidence: 0.85, method: "geo-meta", selector: `meta[name="${name}"]` };
+  }
+
+  for (const [a, b] of DATA_ATTRS) {
+    const el = $(`[${a}][${b}]`).first();
+    const value = el.length && geoValue(el.attr(a), el.attr(b));
+    if (value) return { value, confidence: 0.75, method: "data-attributes", selector: `[${a}][${b}]` };
+  }
+
+  for (const selector of MAP_LINKS) {
+    for (const el of $(selector).toArray()) {
+      const src = decodeURIComponent($(el).attr("src") || $(el).attr("href") || "");
+      for (const re of MAP_URL_PATTERNS) {
+        const m = src.match(re);
+        const value = m && geoValue(m[1], m[2]);
+        if (value) return { value, confidence: 0.7, method: "map-url", selector };
+      }
+    }
+  }
+  return null;
+}
+
+function priceRange($, text) {
+  const asserted = itemprop($, "priceRange");
+  if (asserted) return { value: asserted.value, confidence: 0.9, method: "itemprop", selector: asserted.selector };
+
+  const label = text.match(PRICE_RANGE_LABEL_RE);
+  if (label) {
+    const value = label[1].replace(/\s*[-–]\s*/, "-");
+    return { value, confidence: 0.75, method: "price-range-label", snippet: label[0] };
+  }
+
+  for (const el of $(
+    '[class*="price-range" i], [class*="pricerange" i], [class*="price-level" i], [class*="price" i]'
+  ).toArray()) {
+    const value = trimAny($(el).text());
+    if (PRICE_SYMBOLS_RE.test(value)) return { value, confidence: 0.65, method: "price-symbols", snippet: value };
+  }
+  return null;
+}
+
+module.exports = {
+  name: "local-business",
+  appliesTo: [
+    "LocalBusiness",
+    "Restaurant",
+    "Store",
+    "FoodEstablishment",
+    "CafeOrCoffeeShop",
+    "Cafe",
+    "Bar",
+    "Bakery",
+    "Hotel",
+  ],
+  infer($, { text }) {
+    const fields = {};
+    const g = geo($);
+    if (g) fields["agentnet:geo"] = g;
+    const p = priceRange($, text);
+    if (p) fields["agentnet:priceRange"] = p;
+    return fields;
+  },
+};
@@ -0,0 +1,103 @@
+// src/inferencer/types/recipe.js
+// Recipe pages: ingredients, steps, times and yield.
+//
+//   agentnet:recipeIngredient              ["2 cups flour", ...]
+//   agentnet:recipeInstructions            [{ "@type": "HowToStep", text }, ...]
+//   agentnet:prepTime / cookTime / totalTime  ISO 8601 durations ("PT1H20M")
+//   agentnet:recipeYield                   "4" / "12 cookies"
+
+const { parseDuration } = require("../../extractor/dates");
+const { trimAny, itemprop, itempropAll, headedList } = require("./helpers");
+
+const MAX_ITEMS = 100;
+
+const INGREDIENTS_HEADING = /^(ingredients?|zutaten|ingrédients|ingredientes|ingredienti|ingrediënten)\s*:?$/i;
+const STEPS_HEADING =
+  /^(instructions|directions|method|steps|preparation|how to make( it)?|zubereitung|préparation|preparación|procedimento|bereiding)\s*:?$/i;
+
+// "Prep Time: 15 mins", "Cook time 1 hr 20 min", "Total: 1 hour 35 minutes"
+const DURATION =
+  "(\\d+(?:[.,]\\d+)?\\s*(?:days?|hours?|hrs?|h|minutes?|mins?|m)\\b\\.?(?:\\s*(?:and\\s*)?\\d+(?:[.,]\\d+)?\\s*(?:hours?|hrs?|h|minutes?|mins?|m)\\b\\.?)*)";
+const TIME_LABELS = {
+  "agentnet:prepTime": "prep(?:aration)?(?:\\s*time)?",
+  "agentnet:cookTime": "cook(?:ing)?(?:\\s*time)?",
+  "agentnet:totalTime": "total(?:\\s*time)?|ready in",
+};
+
+const SERVES_RE = /\b(?:serves|servings|portions|yield)\s*:?\s*(\d+(?:\s*[-–]\s*\d+)?)\b/i;
+const MAKES_RE = /\b[Mm]akes\s*:?\s*(?:about\s+)?(\d+(?:\s*[-–]\s*\d+)?(?:\s+[a-z]+)?)\b/;
+
+function ingredients($) {
+  const asserted = itempropAll($, "recipeIngredient") || itempropAll($, "ingredients");
+  if (asserted) return { ...asserted, confidence: 0.9, method: "itemprop" };
+  const listed = headedList($, {
+    headingRe: INGREDIENTS_HEADING,
+    containerSelector: '[class*="ingredient" i]',
+  });
+  return listed && { ...listed, confidence: listed.from === "container" ? 0.8 : 0.7, method: "ingredient-list" };
+}
+
+function instructions($) {
+  const steps = $('[itemprop~="recipeInstructions"]')
+    .toArray()
+    .flatMap((el) => ($(el).find("li").length ? $(el).find("li").toArray() : [el]))
+    .map((el) => trimAny($(el).text()))
+    .filter(Boolean);
+  if (steps.length) {
+    return { value: steps, selector: '[itemprop~="recipeInstructions"]', confidence: 0.9, method: "itemprop" };
+  }
+
+  const listed = headedList($, {
+    headingRe: STEPS_HEADING,
+    containerSelector: '[class*="instruction" i], [class*="direction" i], [class*="method" i]',
+  });
+  return listed && { ...listed, confidence: listed.from === "container" ? 0.75 : 0.7, method: "step-list" };
+}
+
+function duration($, text, key) {
+  const prop = key.replace("agentnet:", "");
+  const asserted = itemprop($, prop);
+  const iso = asserted && parseDuration(asserted.value);
+  if (iso) return { value: iso, confidence: 0.85, method: "itemprop", selector: asserted.selector };
+
+  const m = text.match(new RegExp(`\\b(?:${TIME_LABELS[key]})\\s*:?\\s*${DURATION}`, "i"));
+  const parsed = m && parseDuration(m[1]);
+  return parsed ? { value: parsed, confidence: 0.7, method: "time-label", snippet: m[0] } : null;
+}
+
+function yields($, text) {
+  const asserted = itemprop($, "recipeYield");
+  if (asserted) return { value: asserted.value, confidence: 0.85, method: "itemprop", selector: asserted.selector };
+  const m = text.match(SERVES_RE) || text.match(MAKES_RE);
+  if (!m) return null;
+  return { value: m[1].replace(/\s*[-–]\s*/, "-"), confidence: 0.65, method: "yield-label", snippet: m[0] };
+}
+
+module.exports = {
+  name: "recipe",
+  appliesTo: ["Recipe"],
+  infer($, { text }) {
+    const fields = {};
+
+    const ingr = ingredients($);
+    if (ingr) fields["agentnet:recipeIngredient"] = { ...ingr, value: ingr.value.slice(0, MAX_ITEMS) };
+
+    const steps = instructions($);
+    if (steps) {
+      fields["agentnet:recipeInstructions"] = {
+        ...steps,
+        value: steps.value.slice(0, MAX_ITEMS).map((t) => ({ "@type": "HowToStep", text: t })),
+      };
+    }
+
+    for (const key of Object.keys(TIME_LABELS)) {
+      const d = duration($, text, key);
+      if (d) fields[key] = d;
+    }
+
+    const y = yields($, text);
+    if (y) fields["agentnet:recipeYield"] = y;
+
+    return fields;
+  },
+};
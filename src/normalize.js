@@ -21,6 +21,19 @@ function trimAny(s) {
   return (s || '').replace(/\s+/g, ' ').trim();
 }
 
+// Normalize HTML for change detection: drop comments, per-request tokens
+// (nonces, CSRF metas) and whitespace differences
+function normalizeHtml(html) {
+  return (html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\s(?:nonce|data-nonce)=(?:"[^"]*"|'[^']*')/gi, '')
+    .replace(/<meta[^>]+name=["'](?:csrf-token|csrf-param|_token)["'][^>]*>/gi, '')
+    .replace(/<input[^>]+name=["'](?:authenticity_token|csrfmiddlewaretoken|_token|form_key)["'][^>]*>/gi, '')
+    .replace(/>\s+</g, '><')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 // Generate deterministic SHA-256 fingerprint for object
 function fp(obj) {
   const bytes = new TextEncoder().encode(JSON.stringify(obj));
@@ -32,5 +45,6 @@ module.exports = {
   originOf,
   absolute,
   trimAny,
+  normalizeHtml,
   fp,
 };
@@ -6,9 +6,11 @@ const Redis = require("ioredis");
 const REDIS_PORT = parseInt(process.env.REDIS_PORT, 10) || 6379;
 const REDIS_HOST = process.env.REDIS_HOST || "127.0.0.1";
 
+// Shared by modules that open their own connection with different retry behavior (hostLimiter.js)
+const redisOptions = { host: REDIS_HOST, port: REDIS_PORT };
+
 const connection = new Redis({
-  host: REDIS_HOST,
-  port: REDIS_PORT,
+  ...redisOptions,
   maxRetriesPerRequest: null, // ✅ required for BullMQ v5
   enableReadyCheck: false,    // ✅ recommended with BullMQ v5
 });
@@ -18,4 +20,4 @@ const queue = new Queue(queueName, { connection });
 
 console.log("🧩 Queue initialized:", queueName);
 
-module.exports = { connection, queueName, queue };
+module.exports = { connection, redisOptions, queueName, queue };
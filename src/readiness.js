@@ -0,0 +1,146 @@
+// src/readiness.js
+// Page-readiness strategies: decide when a rendered page is worth capturing.
+//
+// Config (env defaults, per-seed override via job.data.readiness):
+//   { strategy: "quiescence", timeoutMs: 5000, quietMs: 500, selector: null, fixedMs: 800 }
+//
+// Strategies:
+// - "fixed":       wait fixedMs (the old hard-coded 800 ms behavior)
+// - "networkidle": wait for no network activity for 500 ms, capped at timeoutMs
+// - "jsonld":      wait for script[type=application/ld+json] to be attached, capped at timeoutMs
+// - "selector":    wait for a custom CSS selector to be attached, capped at timeoutMs
+// - "quiescence":  wait until the DOM stops mutating for quietMs, capped at timeoutMs
+//
+// A strategy that hits its cap never fails the page; it is reported as timedOut.
+
+const READINESS_STRATEGIES = ["fixed", "networkidle", "jsonld", "selector", "quiescence"];
+
+const READINESS_STRATEGY = (process.env.READINESS_STRATEGY || "quiescence").toLowerCase();
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS || 5000, 10);
+const READINESS_QUIET_MS = parseInt(process.env.READINESS_QUIET_MS || 500, 10);
+const READINESS_FIXED_MS = parseInt(process.env.READINESS_FIXED_MS || 800, 10);
+const READINESS_SELECTOR = process.env.READINESS_SELECTOR || null;
+
+const JSONLD_SELECTOR = 'script[type="application/ld+json"]';
+
+/**
+ * Merge env defaults with a per-seed override.
+ */
+function resolveReadiness(override = {}) {
+  const o = override && typeof override === "object" ? override : {};
+  let strategy = String(o.strategy || READINESS_STRATEGY).toLowerCase();
+  const selector = o.selector || READINESS_SELECTOR;
+
+  if (!READINESS_STRATEGIES.includes(strategy)) {
+    console.warn(`⚠️ Unknown readiness strategy '${strategy}', using 'quiescence'`);
+    strategy = "quiescence";
+  }
+  if (strategy === "selector" && !selector) {
+    console.warn("⚠️ Readiness strategy 'selector' needs a selector; using 'quiescence'");
+    strategy = "quiescence";
+  }
+
+  return {
+    strategy,
+    timeoutMs: Number(o.timeoutMs ?? READINESS_TIMEOUT_MS),
+    quietMs: Number(o.quietMs ?? READINESS_QUIET_MS),
+    fixedMs: Number(o.fixedMs ?? READINESS_FIXED_MS),
+    selector: strategy === "selector" ? selector : null,
+  };
+}
+
+function isTimeout(e) {
+  return e && (e.name === "TimeoutError" || /Timeout .*exceeded/i.test(e.message || ""));
+}
+
+async function waitForAttached(page, selector, timeoutMs) {
+  try {
+    await page.waitForSelector(selector, { state: "attached", timeout: timeoutMs });
+    return false;
+  } catch (e) {
+    if (isTimeout(e)) return true;
+    throw e;
+  }
+}
+
+async function waitForQuiescence(page, { quietMs, timeoutMs }) {
+  return page.evaluate(
+    ({ quietMs, timeoutMs }) =>
+      new Promise((resolve) => {
+        let quietTimer = null;
+        let capTimer = null;
+        const observer = new MutationObserver(() => {
+          clearTimeout(quietTimer);
+          quietTimer = setTimeout(() => done(false), quietMs);
+        });
+        function done(timedOut) {
+          observer.disconnect();
+          clearTimeout(quietTimer);
+          clearTimeout(capTimer);
+          resolve(timedOut);
+        }
+        observer.observe(document.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          characterData: true,
+        });
+        quietTimer = setTimeout(() => done(false), quietMs);
+        capTimer = setTimeout(() => done(true), timeoutMs);
+      }),
+    { quietMs, timeoutMs }
+  );
+}
+
+/**
+ * Wait until the page is ready according to the configured strategy.
+ *
+ * @param {import("playwright").Page} page
+ * @param {object} cfg from resolveReadiness()
+ * @returns {Promise<{ strategy: string, waitedMs: number, timedOut: boolean, selector?: string }>}
+ */
+async function waitForReady(page, cfg = resolveReadiness()) {
+  const t0 = Date.now();
+  let timedOut = false;
+
+  switch (cfg.strategy) {
+    case "fixed":
+      await page.waitForTimeout(cfg.fixedMs);
+      break;
+
+    case "networkidle":
+      try {
+        await page.waitForLoadState("networkidle", { timeout: cfg.timeoutMs });
+      } catch (e) {
+        if (!isTimeout(e)) throw e;
+        timedOut = true;
+      }
+      break;
+
+    case "jsonld":
+      timedOut = await waitForAttached(page, JSONLD_SELECTOR, cfg.timeoutMs);
+      break;
+
+    case "selector":
+      timedOut = await waitForAttached(page, cfg.selector, cfg.timeoutMs);
+      break;
+
+    case "quiescence":
+    default:
+      timedOut = await waitForQuiescence(page, cfg);
+      break;
+  }
+
+  return {
+    strategy: cfg.strategy,
+    waitedMs: Date.now() - t0,
+    timedOut,
+    ...(cfg.selector ? { selector: cfg.selector } : {}),
+  };
+}
+
+module.exports = {
+  READINESS_STRATEGIES,
+  resolveReadiness,
+  waitForReady,
+};
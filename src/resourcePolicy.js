@@ -0,0 +1,195 @@
+// src/resourcePolicy.js
+// Playwright request interception: block heavy resource types and third-party trackers.
+//
+// Defaults come from env; a job can override any field via job.data.resourcePolicy:
+//   {
+//     blockTypes: ["image", "media", "font"],   // Playwright resourceType()s to abort
+//     blockThirdParty: "trackers",               // "none" | "trackers" | "all"
+//     blockDomains: ["widgets.example.net"],     // always blocked (suffix match)
+//     allowDomains: ["cdn.shopify.com"]          // never blocked (suffix match, wins over the rest)
+//   }
+//
+// The main document is never blocked. Blocked requests are never downloaded, so
+// bytes saved are an estimate based on typical transfer sizes per resource type.
+
+const BLOCK_RESOURCE_TYPES = (process.env.BLOCK_RESOURCE_TYPES ?? "image,media,font")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const BLOCK_THIRD_PARTY = (process.env.BLOCK_THIRD_PARTY || "trackers").toLowerCase();
+const BLOCK_DOMAINS = (process.env.BLOCK_DOMAINS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+const THIRD_PARTY_MODES = ["none", "trackers", "all"];
+
+// Ads, analytics and session-replay hosts (suffix match)
+const TRACKER_DOMAINS = [
+  "google-analytics.com",
+  "googletagmanager.com",
+  "googleadservices.com",
+  "googlesyndication.com",
+  "doubleclick.net",
+  "adservice.google.com",
+  "connect.facebook.net",
+  "facebook.com",
+  "analytics.tiktok.com",
+  "snap.licdn.com",
+  "bat.bing.com",
+  "clarity.ms",
+  "hotjar.com",
+  "fullstory.com",
+  "mouseflow.com",
+  "segment.com",
+  "segment.io",
+  "mixpanel.com",
+  "amplitude.com",
+  "heap.io",
+  "heapanalytics.com",
+  "newrelic.com",
+  "nr-data.net",
+  "criteo.com",
+  "criteo.net",
+  "taboola.com",
+  "outbrain.com",
+  "adnxs.com",
+  "quantserve.com",
+  "scorecardresearch.com",
+  "klaviyo.com",
+  "optimizely.com",
+];
+
+// Rough median transfer sizes (bytes) used for the bytes-saved estimate
+const TYPICAL_BYTES = {
+  image: 60 * 1024,
+  media: 500 * 1024,
+  font: 40 * 1024,
+  script: 30 * 1024,
+  stylesheet: 20 * 1024,
+  xhr: 5 * 1024,
+  fetch: 5 * 1024,
+  other: 10 * 1024,
+};
+
+// Two-label public suffixes we see in seeds; enough to tell first- from third-party
+const MULTI_PART_SUFFIXES = [
+  "co.uk",
+  "org.uk",
+  "ac.uk",
+  "com.au",
+  "net.au",
+  "co.nz",
+  "co.jp",
+  "com.br",
+  "co.in",
+  "com.sg",
+];
+
+function siteOf(host) {
+  const labels = String(host || "").toLowerCase().replace(/\.$/, "").split(".");
+  const lastTwo = labels.slice(-2).join(".");
+  const n = MULTI_PART_SUFFIXES.includes(lastTwo) ? 3 : 2;
+  return labels.slice(-n).join(".");
+}
+
+function matchesDomain(host, domains) {
+  const h = String(host || "").toLowerCase();
+  return domains.some((d) => h === d || h.endsWith(`.${d}`));
+}
+
+/**
+ * Merge env defaults with a per-job override.
+ */
+function resolveResourcePolicy(override = {}) {
+  const o = override && typeof override === "object" ? override : {};
+  const mode = String(o.blockThirdParty ?? BLOCK_THIRD_PARTY).toLowerCase();
+
+  return {
+    blockTypes: Array.isArray(o.blockTypes) ? o.blockTypes.map(String) : BLOCK_RESOURCE_TYPES,
+    blockThirdParty: THIRD_PARTY_MODES.includes(mode) ? mode : "trackers",
+    blockDomains: [...BLOCK_DOMAINS, ...(Array.isArray(o.blockDomains) ? o.blockDomains : [])].map((d) =>
+      String(d).toLowerCase()
+    ),
+    allowDomains: (Array.isArray(o.allowDomains) ? o.allowDomains : []).map((d) => String(d).toLowerCase()),
+  };
+}
+
+/**
+ * Decide whether a request should be blocked.
+ *
+ * @returns {string|null} block reason, or null to let it through
+ */
+function blockReason(policy, { url, resourceType, pageSite }) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  if (url.startsWith("data:")) return null;
+
+  if (matchesDomain(host, policy.allowDomains)) return null;
+  if (matchesDomain(host, policy.blockDomains)) return "domain";
+
+  if (policy.blockTypes.includes(resourceType)) return "type";
+
+  const thirdParty = siteOf(host) !== pageSite;
+  if (thirdParty && policy.blockThirdParty === "all") return "third-party";
+  if (thirdParty && policy.blockThirdParty === "trackers" && matchesDomain(host, TRACKER_DOMAINS)) {
+    return "tracker";
+  }
+  return null;
+}
+
+/**
+ * Install the routing policy on a page. The returned stats object is filled in as requests flow.
+ *
+ * @param {import("playwright").Page} page
+ * @param {object} policy from resolveResourcePolicy()
+ * @param {string} pageUrl
+ */
+async function applyResourcePolicy(page, policy, pageUrl) {
+  const pageSite = siteOf(new URL(pageUrl).hostname);
+  const stats = {
+    allowed: 0,
+    blocked: 0,
+    blockedByType: {},
+    blockedByReason: {},
+    estimatedBytesSaved: 0,
+  };
+
+  await page.route("**/*", async (route) => {
+    const req = route.request();
+    const resourceType = req.resourceType();
+
+    // Never block the top-level document (or a redirect of it)
+    const isMainDocument = req.isNavigationRequest() && req.frame() === page.mainFrame();
+    const reason = isMainDocument ? null : blockReason(policy, { url: req.url(), resourceType, pageSite });
+
+    try {
+      if (!reason) {
+        stats.allowed += 1;
+        await route.continue();
+        return;
+      }
+
+      stats.blocked += 1;
+      stats.blockedByType[resourceType] = (stats.blockedByType[resourceType] || 0) + 1;
+      stats.blockedByReason[reason] = (stats.blockedByReason[reason] || 0) + 1;
+      stats.estimatedBytesSaved += TYPICAL_BYTES[resourceType] ?? TYPICAL_BYTES.other;
+      await route.abort("blockedbyclient");
+    } catch {
+      // Page closed while the request was in flight
+    }
+  });
+
+  return stats;
+}
+
+module.exports = {
+  resolveResourcePolicy,
+  applyResourcePolicy,
+  blockReason,
+  siteOf,
+};
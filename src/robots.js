@@ -1,5 +1,277 @@
 // src/robots.js
-// For Instabuild sites we can default to allowed; plug real parser later if needed.
-export async function isAllowed(/* url, userAgent */) {
-  return true;
+// robots.txt fetching, caching and matching (RFC 9309).
+//
+// Usage:
+//   const robots = require("./robots");
+//   if (!(await robots.isAllowed(url, UA))) { ...skip... }
+//   const delayMs = await robots.getCrawlDelay(url, UA);
+//
+// Policy:
+// - 2xx: parse and honor the group matching our user-agent (fallback "*")
+// - 4xx: no robots.txt -> everything allowed
+// - 5xx / network error: assume complete disallow (retried after a short TTL)
+
+const ROBOTS_TIMEOUT_MS = parseInt(process.env.ROBOTS_TIMEOUT_MS || 10000, 10);
+const ROBOTS_CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS || 60 * 60 * 1000, 10);
+const ROBOTS_ERROR_TTL_MS = parseInt(process.env.ROBOTS_ERROR_TTL_MS || 5 * 60 * 1000, 10);
+const ROBOTS_MAX_BYTES = 500 * 1024; // RFC 9309: parse at least the first 500 KiB
+
+// origin -> { fetchedAt, ttl, robots }
+const cache = new Map();
+// origin -> Promise (dedupe concurrent fetches)
+const inflight = new Map();
+
+// ------------------------------
+// Parsing
+// ------------------------------
+
+/**
+ * Parse robots.txt content into groups.
+ *
+ * @param {string} txt
+ * @returns {{
+ *   groups: Array<{ agents: string[], rules: Array<{ allow: boolean, pattern: string }>, crawlDelay: number|null }>,
+ *   sitemaps: string[],
+ * }}
+ */
+function parseRobots(txt) {
+  const groups = [];
+  const sitemaps = [];
+
+  let current = null;
+  let lastWasAgent = false;
+
+  const lines = String(txt || "").slice(0, ROBOTS_MAX_BYTES).split(/\r\n|\r|\n/);
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    // Rules outside of any group are ignored
+    if (!current) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // Empty "Disallow:" means allow everything; it carries no rule
+      if (!value) continue;
+      current.rules.push({ allow: key === "allow", pattern: value });
+    } else if (key === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n >= 0) current.crawlDelay = n;
+    }
+  }
+
+  return { groups, sitemaps };
 }
+
+/**
+ * Product token of a user-agent string ("AgentNet-Capsulizer/1.0 (+...)" -> "agentnet-capsulizer").
+ */
+function productToken(userAgent) {
+  return String(userAgent || "")
+    .split(/[\s/]/)[0]
+    .toLowerCase();
+}
+
+/**
+ * Pick the group that applies to our user-agent.
+ * A group applies when one of its agents equals our product token (case-insensitively, RFC 9309
+ * 2.2.1); "*" is the fallback. Multiple groups for the same agent are merged.
+ */
+function selectGroup(groups, userAgent) {
+  const token = productToken(userAgent);
+
+  let matched = groups.filter((g) => g.agents.includes(token));
+  if (!matched.length) matched = groups.filter((g) => g.agents.includes("*"));
+  if (!matched.length) return null;
+
+  const delays = matched.map((g) => g.crawlDelay).filter((d) => d != null);
+
+  return {
+    rules: matched.flatMap((g) => g.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+}
+
+// ------------------------------
+// Matching
+// ------------------------------
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = body
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}${anchored ? "$" : ""}`);
+}
+
+function normalizePathForMatch(s) {
+  // Decode percent-encodings so "/caf%C3%A9" and "/café" compare equal
+  try {
+    return decodeURI(s);
+  } catch {
+    return s;
+  }
+}
+
+/**
+ * Decide whether a path (+query) is allowed by a set of rules.
+ * Longest matching pattern wins; on a tie, Allow wins.
+ *
+ * @returns {{ allowed: boolean, rule: { allow: boolean, pattern: string }|null }}
+ */
+function matchRules(rules, pathWithQuery) {
+  // /robots.txt itself is always allowed
+  if (pathWithQuery === "/robots.txt") return { allowed: true, rule: null };
+
+  const target = normalizePathForMatch(pathWithQuery);
+
+  let best = null;
+  for (const rule of rules || []) {
+    if (!patternToRegex(normalizePathForMatch(rule.pattern)).test(target)) continue;
+
+    const len = rule.pattern.length;
+    if (!best || len > best.pattern.length || (len === best.pattern.length && rule.allow && !best.allow)) {
+      best = rule;
+    }
+  }
+
+  return { allowed: best ? best.allow : true, rule: best };
+}
+
+// ------------------------------
+// Fetch + cache
+// ------------------------------
+async function fetchRobots(origin, userAgent) {
+  const robotsUrl = `${origin}/robots.txt`;
+
+  if (typeof fetch !== "function") {
+    throw new Error("Global fetch() not available. Use Node 18+ or polyfill fetch.");
+  }
+
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), ROBOTS_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(robotsUrl, {
+      headers: { "User-Agent": userAgent, Accept: "text/plain,*/*;q=0.5" },
+      redirect: "follow",
+      signal: ac.signal,
+    });
+
+    if (res.status >= 200 && res.status < 300) {
+      const body = await res.text();
+      return { status: res.status, mode: "parsed", ttl: ROBOTS_CACHE_TTL_MS, ...parseRobots(body) };
+    }
+
+    if (res.status >= 400 && res.status < 500) {
+      return { status: res.status, mode: "allow-all", ttl: ROBOTS_CACHE_TTL_MS, groups: [], sitemaps: [] };
+    }
+
+    return { status: res.status, mode: "disallow-all", ttl: ROBOTS_ERROR_TTL_MS, groups: [], sitemaps: [] };
+  } catch (e) {
+    console.warn(`⚠️ robots.txt unreachable for ${origin}: ${e.message}`);
+    return { status: null, mode: "disallow-all", ttl: ROBOTS_ERROR_TTL_MS, groups: [], sitemaps: [], error: e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Get (cached) robots.txt data for the origin of `url`.
+ */
+async function getRobots(url, userAgent) {
+  const origin = new URL(url).origin;
+
+  const hit = cache.get(origin);
+  if (hit && Date.now() - hit.fetchedAt < hit.robots.ttl) return hit.robots;
+
+  if (inflight.has(origin)) return inflight.get(origin);
+
+  const p = fetchRobots(origin, userAgent)
+    .then((robots) => {
+      cache.set(origin, { fetchedAt: Date.now(), robots });
+      return robots;
+    })
+    .finally(() => inflight.delete(origin));
+
+  inflight.set(origin, p);
+  return p;
+}
+
+/**
+ * Check a URL against robots.txt.
+ *
+ * @param {string} url
+ * @param {string} userAgent
+ * @returns {Promise<{ allowed: boolean, reason: string|null, rule: object|null, crawlDelayMs: number|null }>}
+ */
+async function checkUrl(url, userAgent) {
+  const robots = await getRobots(url, userAgent);
+
+  if (robots.mode === "disallow-all") {
+    return { allowed: false, reason: `robots-unreachable(${robots.status ?? "network"})`, rule: null, crawlDelayMs: null };
+  }
+
+  const group = selectGroup(robots.groups, userAgent);
+  if (!group) return { allowed: true, reason: null, rule: null, crawlDelayMs: null };
+
+  const u = new URL(url);
+  const { allowed, rule } = matchRules(group.rules, `${u.pathname}${u.search}`);
+  const crawlDelayMs = group.crawlDelay != null ? Math.round(group.crawlDelay * 1000) : null;
+
+  return { allowed, reason: allowed ? null : `robots-disallow(${rule.pattern})`, rule, crawlDelayMs };
+}
+
+async function isAllowed(url, userAgent) {
+  return (await checkUrl(url, userAgent)).allowed;
+}
+
+async function getCrawlDelay(url, userAgent) {
+  return (await checkUrl(url, userAgent)).crawlDelayMs;
+}
+
+async function getSitemaps(url, userAgent) {
+  const robots = await getRobots(url, userAgent);
+  return robots.sitemaps || [];
+}
+
+function clearRobotsCache() {
+  cache.clear();
+}
+
+module.exports = {
+  parseRobots,
+  selectGroup,
+  matchRules,
+  getRobots,
+  checkUrl,
+  isAllowed,
+  getCrawlDelay,
+  getSitemaps,
+  clearRobotsCache,
+};
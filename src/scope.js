@@ -0,0 +1,125 @@
+// src/scope.js
+// Per-seed crawl scope rules (passed as job.data.scope).
+//
+// Shape (all optional):
+//   {
+//     include: ["/products/**", "re:^/blog/\\d{4}/"],    // if set, a URL must match one
+//     exclude: ["/cart*", "/account/**", "/search?**"],  // a match rejects the URL
+//     allowParams: ["page", "variant"],                  // keep only these query params
+//     honorNofollow: true,                               // skip rel=nofollow links / meta robots nofollow
+//     canonical: true                                    // collapse pages onto <link rel=canonical>
+//   }
+//
+// Patterns are matched (case-insensitively) against path + query ("/shop/item?color=red").
+// Globs: "*" = any chars except "/", "**" = anything, everything else literal.
+// Regexes: "re:<source>" (unanchored unless the source anchors itself).
+
+const DEFAULT_SCOPE = {
+  include: [],
+  exclude: [],
+  allowParams: null,
+  honorNofollow: true,
+  canonical: true,
+};
+
+function globToRegex(glob) {
+  const re = glob
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((lit) => lit.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*")
+    )
+    .join(".*");
+  return new RegExp(`^${re}$`, "i");
+}
+
+/**
+ * Compile one pattern into a RegExp ("re:" prefix = regex, otherwise glob).
+ */
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const p = String(pattern);
+  return p.startsWith("re:") ? new RegExp(p.slice(3), "i") : globToRegex(p);
+}
+
+function asList(x) {
+  if (x == null) return [];
+  return Array.isArray(x) ? x : [x];
+}
+
+/**
+ * Build a scope from job data. Invalid patterns are dropped with a warning.
+ *
+ * @param {object} [raw]
+ */
+function compileScope(raw = {}) {
+  const cfg = { ...DEFAULT_SCOPE, ...(raw && typeof raw === "object" ? raw : {}) };
+
+  const compileAll = (list, kind) =>
+    asList(list)
+      .map((p) => {
+        try {
+          return { source: String(p), re: compilePattern(p) };
+        } catch (e) {
+          console.warn(`⚠️ Invalid ${kind} scope pattern '${p}' ignored: ${e.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+  const include = compileAll(cfg.include, "include");
+  const exclude = compileAll(cfg.exclude, "exclude");
+  const allowParams = cfg.allowParams ? new Set(asList(cfg.allowParams).map(String)) : null;
+
+  return {
+    honorNofollow: cfg.honorNofollow !== false,
+    canonical: cfg.canonical !== false,
+    allowParams,
+
+    /**
+     * @returns {{ allowed: boolean, reason: string|null }}
+     */
+    check(url) {
+      const u = new URL(url);
+      const target = `${u.pathname}${u.search}`;
+
+      const excluded = exclude.find((p) => p.re.test(target));
+      if (excluded) return { allowed: false, reason: `exclude(${excluded.source})` };
+
+      if (include.length && !include.some((p) => p.re.test(target))) {
+        return { allowed: false, reason: "not-included" };
+      }
+      return { allowed: true, reason: null };
+    },
+
+    /**
+     * Drop query params outside the allowlist (no-op without one).
+     */
+    filterParams(url) {
+      if (!allowParams) return url;
+      const u = new URL(url);
+      for (const key of [...u.searchParams.keys()]) {
+        if (!allowParams.has(key)) u.searchParams.delete(key);
+      }
+      return u.toString();
+    },
+
+    // Plain-JSON view for manifests
+    describe() {
+      return {
+        include: include.map((p) => p.source),
+        exclude: exclude.map((p) => p.source),
+        allowParams: allowParams ? [...allowParams] : null,
+        honorNofollow: cfg.honorNofollow !== false,
+        canonical: cfg.canonical !== false,
+      };
+    },
+  };
+}
+
+module.exports = {
+  compileScope,
+  compilePattern,
+};
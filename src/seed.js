@@ -20,18 +20,27 @@ const q = new Queue(queueName, { connection });
 // Path to the seed CSV file
 const seedPath = path.resolve(__dirname, '../seeds/instabuild-seed.csv');
 const csvData = fs.readFileSync(seedPath, 'utf-8');
-const records = parse(csvData, { columns: false, skip_empty_lines: true });
+const records = parse(csvData, { columns: false, skip_empty_lines: true, relax_column_count: true });
 
 (async () => {
   console.log(`📥 Seeding ${records.length} jobs from ${seedPath} ...`);
 
   for (const row of records) {
-    // since your CSV has only a URL column
+    // column 1: URL; optional column 2: crawl scope rules as JSON (see src/scope.js)
     const url = row[0]?.trim();
     if (!url) continue;
 
+    let scope;
+    if (row[1]?.trim()) {
+      try {
+        scope = JSON.parse(row[1]);
+      } catch (e) {
+        console.warn(`⚠️ Ignoring invalid scope JSON for ${url}: ${e.message}`);
+      }
+    }
+
     const owner_slug = new URL(url).hostname.replace(/^www\./, '').replace(/\./g, '-');
-    await q.add('capsule', { owner_slug, url });
+    await q.add('capsule', { owner_slug, url, ...(scope ? { scope } : {}) });
     console.log(`➕ Enqueued ${url}`);
   }
 
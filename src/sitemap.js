@@ -0,0 +1,233 @@
+// src/sitemap.js
+// Sitemap discovery for multi-page crawls.
+//
+// Usage:
+//   const { discoverSitemapUrls } = require("./sitemap");
+//   const entries = await discoverSitemapUrls(baseUrl, { userAgent: UA, limit: 200 });
+//   // -> [{ url, lastmod, priority, sitemap }, ...] ordered by priority, then lastmod
+//
+// Sources: "Sitemap:" lines in robots.txt + /sitemap.xml.
+// Handles <sitemapindex> (nested), <urlset>, and gzipped sitemaps (.xml.gz or gzip bytes).
+// Every sitemap fetch takes a per-host slot (hostLimiter.js), honoring robots.txt Crawl-delay.
+
+const cheerio = require("cheerio");
+const zlib = require("zlib");
+
+const robots = require("./robots");
+const { acquireHostSlot } = require("./hostLimiter");
+const { readBody } = require("./fetcher");
+
+const SITEMAP_TIMEOUT_MS = parseInt(process.env.SITEMAP_TIMEOUT_MS || 15000, 10);
+const SITEMAP_MAX_FILES = parseInt(process.env.SITEMAP_MAX_FILES || 20, 10);
+const SITEMAP_MAX_INDEX_DEPTH = parseInt(process.env.SITEMAP_MAX_INDEX_DEPTH || 3, 10);
+const SITEMAP_MAX_BYTES = parseInt(process.env.SITEMAP_MAX_BYTES || 50 * 1024 * 1024, 10); // sitemaps.org limit
+
+// ------------------------------
+// Fetch (+ gunzip)
+// ------------------------------
+function isGzip(buf) {
+  return buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+}
+
+async function fetchSitemapXml(sitemapUrl, userAgent) {
+  if (typeof fetch !== "function") {
+    throw new Error("Global fetch() not available. Use Node 18+ or polyfill fetch.");
+  }
+
+  const ac = new AbortController();
+  const timer = setTimeout(() => ac.abort(), SITEMAP_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(sitemapUrl, {
+      headers: { "User-Agent": userAgent, Accept: "application/xml,text/xml,*/*;q=0.5" },
+      redirect: "follow",
+      signal: ac.signal,
+    });
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      err.retryAfter = res.headers.get("retry-after");
+      throw err;
+    }
+
+    // Read at most 50MB, compressed or not; fetch() already decodes Content-Encoding: gzip,
+    // .xml.gz files arrive still compressed and are capped again when inflated
+    let buf = await readBody(res, SITEMAP_MAX_BYTES);
+    if (isGzip(buf)) buf = zlib.gunzipSync(buf, { maxOutputLength: SITEMAP_MAX_BYTES });
+
+    return buf.toString("utf8");
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * fetchSitemapXml inside a host slot, so sitemap fetches share the page fetches' politeness budget.
+ */
+async function fetchSitemapPolitely(sitemapUrl, userAgent) {
+  let crawlDelayMs = null;
+  try {
+    crawlDelayMs = await robots.getCrawlDelay(sitemapUrl, userAgent);
+  } catch {
+    // no robots.txt delay; the host default still applies
+  }
+
+  const lease = await acquireHostSlot(sitemapUrl, { minDelayMs: crawlDelayMs });
+  let status = 200;
+  let retryAfter = null;
+  try {
+    return await fetchSitemapXml(sitemapUrl, userAgent);
+  } catch (e) {
+    status = e.status ?? null;
+    retryAfter = e.retryAfter ?? null;
+    throw e;
+  } finally {
+    await lease.release({ status, retryAfter });
+  }
+}
+
+// ------------------------------
+// Parse
+// ------------------------------
+
+/**
+ * Parse sitemap XML.
+ *
+ * @param {string} xml
+ * @returns {{ kind: "index"|"urlset"|"unknown", sitemaps: string[], urls: Array<{ url: string, lastmod: string|null, priority: number|null }> }}
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml || "", { xmlMode: true });
+
+  // Namespaced documents (<ns:urlset>) are rare; match local names only
+  const children = (el, name) => $(el).children().filter((_, c) => c.name.split(":").pop() === name);
+  const text = (el, name) => children(el, name).first().text().trim() || null;
+
+  const root = $.root().children().first();
+  const rootName = root.length ? root[0].name.split(":").pop() : "";
+
+  if (rootName === "sitemapindex") {
+    const sitemaps = children(root, "sitemap")
+      .toArray()
+      .map((el) => text(el, "loc"))
+      .filter(Boolean);
+    return { kind: "index", sitemaps, urls: [] };
+  }
+
+  if (rootName === "urlset") {
+    const urls = children(root, "url")
+      .toArray()
+      .map((el) => {
+        const priority = text(el, "priority");
+        return {
+          url: text(el, "loc"),
+          lastmod: text(el, "lastmod"),
+          priority: priority != null && Number.isFinite(Number(priority)) ? Number(priority) : null,
+        };
+      })
+      .filter((e) => e.url);
+    return { kind: "urlset", sitemaps: [], urls };
+  }
+
+  return { kind: "unknown", sitemaps: [], urls: [] };
+}
+
+// ------------------------------
+// Ordering
+// ------------------------------
+function lastmodTime(s) {
+  const t = s ? Date.parse(s) : NaN;
+  return Number.isFinite(t) ? t : 0;
+}
+
+/**
+ * Higher <priority> first (default 0.5 per sitemaps.org), then newest <lastmod>, then URL.
+ */
+function compareEntries(a, b) {
+  const pa = a.priority ?? 0.5;
+  const pb = b.priority ?? 0.5;
+  if (pa !== pb) return pb - pa;
+
+  const la = lastmodTime(a.lastmod);
+  const lb = lastmodTime(b.lastmod);
+  if (la !== lb) return lb - la;
+
+  return a.url.localeCompare(b.url);
+}
+
+// ------------------------------
+// Discovery
+// ------------------------------
+
+/**
+ * Discover same-origin page URLs from a site's sitemaps.
+ *
+ * @param {string} baseUrl
+ * @param {object} [opts]
+ * @param {string} [opts.userAgent]
+ * @param {number} [opts.limit] max entries returned
+ * @returns {Promise<Array<{ url: string, lastmod: string|null, priority: number|null, sitemap: string }>>}
+ */
+async function discoverSitemapUrls(baseUrl, opts = {}) {
+  const origin = new URL(baseUrl).origin;
+  const userAgent = opts.userAgent || "";
+  const limit = opts.limit ?? Infinity;
+
+  let declared = [];
+  try {
+    declared = await robots.getSitemaps(baseUrl, userAgent);
+  } catch (e) {
+    console.warn(`⚠️ Could not read sitemaps from robots.txt for ${origin}: ${e.message}`);
+  }
+
+  const queue = [...declared, `${origin}/sitemap.xml`].map((loc) => ({ loc, depth: 0 }));
+  const seenSitemaps = new Set();
+  const byUrl = new Map();
+  let fetched = 0;
+
+  while (queue.length && fetched < SITEMAP_MAX_FILES) {
+    const { loc, depth } = queue.shift();
+
+    let sitemapUrl;
+    try {
+      sitemapUrl = new URL(loc, origin).toString();
+    } catch {
+      continue;
+    }
+    if (seenSitemaps.has(sitemapUrl)) continue;
+    seenSitemaps.add(sitemapUrl);
+
+    let parsed;
+    try {
+      fetched += 1;
+      parsed = parseSitemap(await fetchSitemapPolitely(sitemapUrl, userAgent));
+    } catch (e) {
+      console.warn(`⚠️ Sitemap fetch/parse failed for ${sitemapUrl}: ${e.message}`);
+      continue;
+    }
+
+    if (parsed.kind === "index" && depth < SITEMAP_MAX_INDEX_DEPTH) {
+      for (const child of parsed.sitemaps) queue.push({ loc: child, depth: depth + 1 });
+    }
+
+    for (const entry of parsed.urls) {
+      let abs;
+      try {
+        abs = new URL(entry.url, sitemapUrl);
+      } catch {
+        continue;
+      }
+      if (abs.origin !== origin) continue;
+
+      const key = abs.toString();
+      if (!byUrl.has(key)) byUrl.set(key, { ...entry, url: key, sitemap: sitemapUrl });
+    }
+  }
+
+  return [...byUrl.values()].sort(compareEntries).slice(0, limit);
+}
+
+module.exports = {
+  parseSitemap,
+  discoverSitemapUrls,
+};
@@ -0,0 +1,91 @@
+// src/tools/frontier.js
+// Inspect the persisted crawl frontier of live (or recently finished) runs.
+//
+// Usage:
+//   node src/tools/frontier.js                 # list active runs
+//   node src/tools/frontier.js <runId>         # show one run's frontier
+//   node src/tools/frontier.js --job <jobId>   # look up the run by BullMQ job id
+//   node src/tools/frontier.js <runId> --limit 50 --json
+
+require("dotenv").config();
+
+const { connection, queue } = require("../queue");
+const { inspectFrontier, listActiveRuns, runIdForJob } = require("../frontier");
+
+const args = process.argv.slice(2);
+
+function argValue(flag) {
+  const i = args.indexOf(flag);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+const asJson = args.includes("--json");
+const limit = parseInt(argValue("--limit") || 20, 10);
+const jobId = argValue("--job");
+const runIdArg = args.find((a, i) => !a.startsWith("--") && !["--job", "--limit"].includes(args[i - 1]));
+
+function printRun(view) {
+  console.log(`\n🧭 Frontier ${view.runId}`);
+  console.log("──────────────────────────");
+  console.log(`Job:        ${view.jobId || "-"}`);
+  console.log(`Base URL:   ${view.baseUrl || "-"}`);
+  console.log(`Status:     ${view.status || "-"}`);
+  console.log(`Updated:    ${view.updatedAt || "-"}`);
+  console.log(`In flight:  ${view.current ? `${view.current.url} (depth ${view.current.depth})` : "-"}`);
+  console.log(`Queued:     ${view.queued}`);
+  console.log(`Deferred:   ${view.deferred} (rate limited, retried later)`);
+  console.log(`Visited:    ${view.visited}`);
+  console.log(`Seen:       ${view.seen}`);
+  if (view.stats) {
+    console.log(`Pages:      ${view.stats.pages ?? 0} (errors: ${view.stats.errors ?? 0})`);
+  }
+  console.log("──────────────────────────");
+
+  if (view.head.length) {
+    console.log(`Next ${view.head.length} URL(s):`);
+    for (const item of view.head) console.log(`  [d${item.depth}] ${item.url}`);
+  }
+  console.log("");
+}
+
+(async () => {
+  try {
+    const runId = jobId ? await runIdForJob(jobId) : runIdArg;
+
+    if (jobId && !runId) {
+      console.error(`❌ No frontier found for job ${jobId}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!runId) {
+      const runs = await listActiveRuns();
+      if (asJson) {
+        console.log(JSON.stringify(runs, null, 2));
+      } else if (!runs.length) {
+        console.log("No active runs.");
+      } else {
+        console.log(`🧭 ${runs.length} active run(s):`);
+        for (const id of runs) {
+          const view = await inspectFrontier(id, { limit: 0 });
+          if (!view) continue;
+          console.log(`  ${id}  queued=${view.queued} visited=${view.visited}  ${view.baseUrl || ""}`);
+        }
+      }
+      return;
+    }
+
+    const view = await inspectFrontier(runId, { limit });
+    if (!view) {
+      console.error(`❌ No frontier found for run ${runId}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (asJson) console.log(JSON.stringify(view, null, 2));
+    else printRun(view);
+  } finally {
+    await queue.close();
+    await connection.quit();
+  }
+})();
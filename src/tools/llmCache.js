@@ -0,0 +1,173 @@
+// src/tools/llmCache.js
+// Inspect, warm or purge the LLM response cache (inferencer/llmCache.js; backend from LLM_CACHE).
+//
+// Usage:
+//   node src/tools/llmCache.js stats [--json]
+//   node src/tools/llmCache.js warm <url> [<url> ...] [--file urls.txt] [--strategy http|auto|browser]
+//                                  [--model gpt-4o-mini] [--base-url https://llm.example/v1]
+//   node src/tools/llmCache.js purge --all
+//   node src/tools/llmCache.js purge [--model gpt-4o-mini] [--prompt-version enrich-v1] [--older-than-days 30]
+//
+// "warm" fetches each page and runs inference with the LLM enabled, so later runs (including
+// CG_DETERMINISTIC=true replays) find the response cached. Pages already cached are not re-sent.
+// The fetch strategy defaults to the worker's (FETCH_STRATEGY, else "auto") so the warmed HTML is the
+// HTML a crawl sees; pass the seed's --strategy / --model / --base-url when its job data overrides them.
+// Warming sees only the page itself, not the seed's asserted markup, so the prompt's seed capsule
+// can differ from a crawl's; the cache key (model, prompt version, text/HTML) is the same.
+
+require("dotenv").config();
+
+const fs = require("fs-extra");
+const { openLLMCache, withCache, resolveLLMCacheBackend } = require("../inferencer/llmCache");
+const { resolveLLMConfig, createProvider, llmUnavailableReason } = require("../inferencer/llm");
+
+const UA = process.env.USER_AGENT || "AgentNet-Capsulizer/1.0 (+https://agentnet.ai)";
+
+const args = process.argv.slice(2);
+const VALUE_FLAGS = [
+  "--file",
+  "--strategy",
+  "--model",
+  "--base-url",
+  "--prompt-version",
+  "--older-than-days",
+  "--backend",
+];
+
+function argValue(flag) {
+  const i = args.indexOf(flag);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+const command = args[0];
+const positional = args.slice(1).filter((a, i, rest) => !a.startsWith("--") && !VALUE_FLAGS.includes(rest[i - 1]));
+const asJson = args.includes("--json");
+
+async function stats(cache) {
+  const byModel = {};
+  let entries = 0;
+  let tokens = 0;
+  let oldest = null;
+  let newest = null;
+  for await (const e of cache.entries()) {
+    entries += 1;
+    tokens += e.usage?.totalTokens || 0;
+    const m = `${e.model || "?"} / ${e.promptVersion || "?"}`;
+    byModel[m] = (byModel[m] || 0) + 1;
+    if (!oldest || e.createdAt < oldest) oldest = e.createdAt;
+    if (!newest || e.createdAt > newest) newest = e.createdAt;
+  }
+  const view = { backend: cache.backend, location: cache.location, entries, tokens, byModel, oldest, newest };
+
+  if (asJson) return console.log(JSON.stringify(view, null, 2));
+  console.log(`\n🗄️  LLM cache (${view.backend}: ${view.location})`);
+  console.log("──────────────────────────");
+  console.log(`Entries:    ${entries}`);
+  console.log(`Tokens:     ${tokens} (saved per full replay)`);
+  console.log(`Oldest:     ${oldest || "-"}`);
+  console.log(`Newest:     ${newest || "-"}`);
+  for (const [m, n] of Object.entries(byModel)) console.log(`  ${m}: ${n}`);
+  console.log("──────────────────────────\n");
+}
+
+async function purge(cache) {
+  const model = argValue("--model");
+  const promptVersion = argValue("--prompt-version");
+  const olderThanDays = argValue("--older-than-days");
+  if (!args.includes("--all") && !model && !promptVersion && !olderThanDays) {
+    console.error("❌ purge needs --all or a filter (--model, --prompt-version, --older-than-days)");
+    process.exitCode = 1;
+    return;
+  }
+  const cutoff = olderThanDays ? new Date(Date.now() - Number(olderThanDays) * 86400000).toISOString() : null;
+
+  let purged = 0;
+  for await (const e of cache.entries()) {
+    if (model && e.model !== model) continue;
+    if (promptVersion && e.promptVersion !== promptVersion) continue;
+    if (cutoff && e.createdAt >= cutoff) continue;
+    await cache.delete(e.key);
+    purged += 1;
+  }
+  console.log(`🧹 Purged ${purged} cached response(s) from ${cache.backend}`);
+}
+
+async function warm(cache) {
+  // Heavy modules only for this command: stats/purge stay cheap
+  const { fetchPage, resolveStrategy } = require("../fetcher");
+  const { acquireContext, closePool } = require("../browserPool");
+  const { inferCapsule } = require("../inferencer");
+
+  const config = resolveLLMConfig({ model: argValue("--model"), baseUrl: argValue("--base-url") });
+  const unavailable = llmUnavailableReason(config);
+  if (unavailable) {
+    console.error(`❌ Cannot warm the cache: ${unavailable}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const file = argValue("--file");
+  const fromFile = file ? (await fs.readFile(file, "utf8")).split(/\r?\n/).map((l) => l.trim()) : [];
+  const urls = [...positional, ...fromFile].filter((u) => /^https?:\/\//i.test(u));
+  if (!urls.length) {
+    console.error("❌ warm needs at least one http(s) URL (arguments or --file)");
+    process.exitCode = 1;
+    return;
+  }
+
+  const strategy = resolveStrategy(argValue("--strategy"));
+  const provider = withCache(createProvider(config), cache);
+  let lease = null;
+  const getContext = async () => {
+    if (!lease) lease = await acquireContext({ userAgent: UA });
+    return lease.context;
+  };
+
+  try {
+    for (const url of urls) {
+      try {
+        const page = await fetchPage(url, { strategy, userAgent: UA, getContext });
+        const { llm } = await inferCapsule({
+          url: page.finalUrl || url,
+          html: page.html || "",
+          text: page.text || "",
+          options: { enableLLM: true, llmProvider: provider },
+        });
+        const state = llm.status !== "ok" ? `${llm.status}: ${llm.reason}` : llm.cached ? "already cached" : "cached";
+        console.log(`  ${state.padEnd(16)} ${url}`);
+      } catch (e) {
+        console.warn(`  failed           ${url}: ${e.message}`);
+      }
+    }
+  } finally {
+    if (lease) await lease.release();
+    await closePool();
+  }
+
+  const s = cache.stats();
+  const u = provider.usage();
+  console.log(`🔥 Warmed ${s.writes} new, ${s.hits} already cached, ${u.totalTokens} tokens spent`);
+}
+
+(async () => {
+  const COMMANDS = { stats, warm, purge };
+  if (!COMMANDS[command]) {
+    console.error("Usage: node src/tools/llmCache.js <stats|warm|purge> [options]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const backend = resolveLLMCacheBackend(argValue("--backend"));
+  const cache = openLLMCache({ backend });
+  if (!cache) {
+    console.error("❌ LLM cache is off; set LLM_CACHE=disk|redis (or pass --backend)");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await COMMANDS[command](cache);
+  } finally {
+    await cache.close();
+  }
+})();
@@ -2,7 +2,6 @@
 require("dotenv").config();
 
 const { Worker } = require("bullmq");
-const { chromium } = require("playwright");
 const fs = require("fs-extra");
 const crypto = require("crypto");
 const path = require("path");
@@ -12,13 +11,34 @@ const addFormats = require("ajv-formats");
 
 const { checkProtocol } = require("./utils/checkProtocol");
 const { connection, queueName } = require("./queue");
-const { upsertNode, insertCapsule, pool } = require("./db");
-const { fp } = require("./normalize");
-const { inferCapsule } = require("./inferencer");
+const { upsertNode, insertCapsule, getPageState, upsertPageState, touchPageState, pool } = require("./db");
+const { fp, normalizeHtml } = require("./normalize");
+const { stableSortJsonLd, stableFingerprintView } = require("./fingerprint");
+const { inferCapsule, LLM_PROMPT_VERSION } = require("./inferencer");
 const { classifyNodeType } = require("./utils/classifyNodeType");
+const robots = require("./robots");
+const { discoverSitemapUrls } = require("./sitemap");
+const { fetchPage, resolveStrategy } = require("./fetcher");
+const { acquireHostSlot, BACKOFF_STATUSES } = require("./hostLimiter");
+const { openFrontier } = require("./frontier");
+const { acquireContext, closePool, poolHealth } = require("./browserPool");
+const { compileScope } = require("./scope");
+const { resolveResourcePolicy } = require("./resourcePolicy");
+const { resolveReadiness } = require("./readiness");
+const { resolveLLMConfig, createProvider, llmUnavailableReason } = require("./inferencer/llm");
+const { openLLMCache, withCache, resolveLLMCacheBackend } = require("./inferencer/llmCache");
+const { loadRulePacks, resolveRulePack } = require("./inferencer/rulePacks");
 
 // ✅ JSON-LD extractor (must export { extractJsonLd })
 const { extractJsonLd } = require("./extractor/jsonld");
+const { extractMicrodata } = require("./extractor/microdata");
+const { extractRdfa } = require("./extractor/rdfa");
+const { extractMetaTags } = require("./extractor/meta");
+const { normalizeBlocks } = require("./extractor/graph");
+const { runDomExtractors } = require("./extractor/dom");
+const { detectLocale } = require("./extractor/locale");
+const { tinyPriceThreshold } = require("./extractor/money");
+const { parseHTML } = require("./extractor/html-utils");
 
 // ------------------------------
 // Config
@@ -28,12 +48,18 @@ const UA = process.env.USER_AGENT || "AgentNet-Capsulizer/1.0 (+https://agentnet
 const PER_HOST_DELAY = parseInt(process.env.PER_HOST_DELAY_MS || 500, 10);
 const MAX_DEPTH = parseInt(process.env.MAX_DEPTH || 10, 10);
 const MAX_PAGES_PER_SITE = parseInt(process.env.MAX_PAGES_PER_SITE || 10, 10);
+// A page answered with 429/503 goes back to the frontier (after Retry-After) at most this many times
+const MAX_RATE_LIMIT_RETRIES = parseInt(process.env.MAX_RATE_LIMIT_RETRIES || 3, 10);
 
 const LOG_PATH = "./crawler.log";
 const SNAPSHOT_DIR = "./snapshots";
 const RUNS_DIR = "./runs";
 
 // Optional flags (safe defaults)
+const RESPECT_ROBOTS = (process.env.RESPECT_ROBOTS ?? "true").toLowerCase() === "true";
+const ENABLE_SITEMAPS = (process.env.ENABLE_SITEMAPS ?? "true").toLowerCase() === "true";
+const SITEMAP_MAX_URLS = parseInt(process.env.SITEMAP_MAX_URLS || 500, 10);
+const CONDITIONAL_FETCH = (process.env.CONDITIONAL_FETCH ?? "true").toLowerCase() === "true";
 const ENABLE_LLM = (process.env.ENABLE_LLM ?? "true").toLowerCase() === "true";
 const WRITE_SNAPSHOTS = (process.env.WRITE_SNAPSHOTS ?? "true").toLowerCase() === "true";
 
@@ -49,8 +75,11 @@ const CG_VERSION = process.env.CG_VERSION || "cg-0.5-determinism-ajv-output";
 // Envelope schema validation gate
 const VALIDATE_ENVELOPE = (process.env.VALIDATE_ENVELOPE ?? "true").toLowerCase() === "true";
 
-// Determinism: disable LLM
-const EFFECTIVE_ENABLE_LLM = CG_DETERMINISTIC ? false : ENABLE_LLM;
+// LLM response cache (off | disk | redis); see inferencer/llmCache.js
+const LLM_CACHE_BACKEND = resolveLLMCacheBackend();
+
+// Determinism: the LLM only runs as a replay of cached responses, and not at all without a cache
+const EFFECTIVE_ENABLE_LLM = CG_DETERMINISTIC ? ENABLE_LLM && LLM_CACHE_BACKEND !== "off" : ENABLE_LLM;
 
 // ------------------------------
 // AJV schema validator (SYNC init - CommonJS safe)
@@ -103,16 +132,16 @@ if (VALIDATE_ENVELOPE) {
 }
 
 // ------------------------------
-// Polite throttle per host
+// Page-type rule packs (rules/type-packs/*.json), selectable per seed via job.data.rulePack
+// ------------------------------
+const loadedRulePacks = loadRulePacks();
+console.log(`✅ Rule packs loaded: ${loadedRulePacks.join(", ") || "(none)"}`);
+
+// ------------------------------
+// Polite throttle per host (cluster-wide, Redis-backed)
 // ------------------------------
-const lastHit = new Map();
-async function hostThrottle(url) {
-  const host = new URL(url).host;
-  const now = Date.now();
-  const last = lastHit.get(host) || 0;
-  const wait = Math.max(0, PER_HOST_DELAY - (now - last));
-  if (wait) await new Promise((r) => setTimeout(r, wait));
-  lastHit.set(host, Date.now());
+async function hostThrottle(url, minDelayMs = 0) {
+  return acquireHostSlot(url, { minDelayMs });
 }
 
 // ------------------------------
@@ -126,7 +155,7 @@ async function appendLog(entry) {
 // ------------------------------
 // URL normalization
 // ------------------------------
-function normalizeUrl(raw) {
+function normalizeUrl(raw, scope = null) {
   const u = new URL(raw);
   u.hash = "";
 
@@ -136,16 +165,19 @@ function normalizeUrl(raw) {
       u.searchParams.delete(key);
     }
   }
-  return u.toString();
+  // Per-seed query-param allowlist (scope.allowParams)
+  return scope ? scope.filterParams(u.toString()) : u.toString();
 }
 
 // ------------------------------
 // Snapshot naming (avoid ENAMETOOLONG)
 // ------------------------------
-function snapshotName(url) {
+// Named by content hash, not URL: a recrawl that changes the page writes a new file instead of
+// overwriting the one earlier capsules' evidence points at.
+function snapshotName(url, html) {
   const u = new URL(url);
   const base = `${u.host}${u.pathname}`.replace(/[^a-zA-Z0-9/_-]/g, "_");
-  const hash = crypto.createHash("sha256").update(url).digest("hex").slice(0, 16);
+  const hash = crypto.createHash("sha256").update(html).digest("hex").slice(0, 16);
   const safeBase = base.replace(/\//g, "_").slice(0, 120);
   return `${safeBase}__${hash}.html`;
 }
@@ -162,23 +194,6 @@ function makeRunId() {
 // ------------------------------
 // Deterministic helpers
 // ------------------------------
-function stableSortJsonLd(value) {
-  if (Array.isArray(value)) {
-    return value
-      .map(stableSortJsonLd)
-      .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
-  }
-  if (value && typeof value === "object") {
-    return Object.keys(value)
-      .sort()
-      .reduce((acc, k) => {
-        acc[k] = stableSortJsonLd(value[k]);
-        return acc;
-      }, {});
-  }
-  return value;
-}
-
 function selectPrimaryIndexDeterministic(blocks) {
   // blocks: [{ json, provenance }, ...]
   if (!Array.isArray(blocks) || blocks.length === 0) return { index: null, type: null };
@@ -192,47 +207,25 @@ function selectPrimaryIndexDeterministic(blocks) {
   scored.sort((a, b) => a.s.localeCompare(b.s));
   const pick = scored[0];
 
+  // @type is already compacted to a bare schema.org term by normalizeBlocks()
   const type = Array.isArray(pick.t) ? pick.t[0] : pick.t;
-  const cleanedType = typeof type === "string" ? type.replace(/^schema:/, "") : type;
 
-  return { index: pick.i, type: cleanedType || null };
+  return { index: pick.i, type: type || null };
 }
 
-function stableFingerprintView(envelope) {
-  const e = JSON.parse(JSON.stringify(envelope || {}));
-
-  // Volatile envelope fields
-  delete e["agentnet:captureDate"];
-  delete e["agentnet:cgRunId"];
-  delete e["agentnet:cgManifestPath"]; // varies per run
-
-  // Volatile provenance timestamps
-  const prov = e?.["agentnet:asserted"]?.provenance;
-  if (prov && typeof prov === "object") {
-    delete prov.capturedAt;
-  }
-
-  // Canonicalize asserted array/object
-  const asserted = e?.["agentnet:asserted"]?.json;
-  if (Array.isArray(asserted)) {
-    const keyed = asserted.map((obj) => stableSortJsonLd(obj));
-    keyed.sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
-    e["agentnet:asserted"].json = keyed;
-  } else if (asserted && typeof asserted === "object") {
-    e["agentnet:asserted"].json = stableSortJsonLd(asserted);
-  }
-
-  // Canonicalize content (helps reduce fingerprint jitter)
-  if (e["agentnet:content"] && typeof e["agentnet:content"] === "object") {
-    e["agentnet:content"] = stableSortJsonLd(e["agentnet:content"]);
-  }
-
-  return e;
+/**
+ * Everything besides the page itself that shapes its capsule. A recrawl only skips an unchanged
+ * page when this matches too, so upgrades (CG_VERSION, rule pack, LLM prompt/model) re-run inference.
+ */
+function pipelineVersion({ rulePack, llmConfig, llmProvider }) {
+  const llm = EFFECTIVE_ENABLE_LLM ? `llm:${llmProvider?.model || llmConfig?.model}/${LLM_PROMPT_VERSION}` : "llm:off";
+  return [CG_VERSION, `rules:${rulePack.name}@${rulePack.version}`, llm].join(" ");
 }
 
 // ------------------------------
 // Required tiny price guardrail
 // ------------------------------
+// The floor is about USD 5 in the price's own currency (JPY 700, INR 400, SEK 50; see extractor/money.js)
 function guardTinyPrice(content, report) {
   const p = content?.["agentnet:price"];
   if (p == null) return;
@@ -240,12 +233,15 @@ function guardTinyPrice(content, report) {
   const n = typeof p === "string" ? Number(p) : Number(p);
   if (!Number.isFinite(n)) return;
 
-  if (n > 0 && n < 5) {
+  const currency = content["agentnet:priceCurrency"] || null;
+  const threshold = tinyPriceThreshold(currency);
+  if (n > 0 && n < threshold) {
     delete content["agentnet:price"];
     report.priceGuardrail = {
       dropped: true,
       reason: "tiny_price",
-      threshold: 5,
+      threshold,
+      currency,
       observed: n,
     };
   }
@@ -263,11 +259,26 @@ function buildEnvelope({
   assertedProvenance,
   jsonldRawScriptCount,
   jsonldParseErrors,
+  jsonldRepairedScripts,
   enrichedContent,
   inferredMeta,
   structuredMarkup,
+  structuredSyntaxes,
+  microdataItemCount,
+  rdfaResourceCount,
+  metaTagFields,
+  domEvidenceFields,
+  pageCountry,
+  locale,
+  assertedGraph,
   assertedPrimaryIndex,
   assertedPrimaryType,
+  fetchReport,
+  resourceReport,
+  readinessReport,
+  llmReport,
+  typeDetection,
+  typeModules,
 }) {
   return {
     "@context": "https://agentnet.ai/context",
@@ -290,8 +301,17 @@ function buildEnvelope({
 
     "agentnet:report": {
       structuredMarkup,
+      structuredSyntaxes: structuredSyntaxes || [],
       jsonldRawScriptCount: jsonldRawScriptCount || 0,
       jsonldParseErrors: jsonldParseErrors || 0,
+      jsonldRepairedScripts: jsonldRepairedScripts || 0,
+      microdataItemCount: microdataItemCount || 0,
+      rdfaResourceCount: rdfaResourceCount || 0,
+      metaTagFields: metaTagFields || [],
+      domEvidenceFields: domEvidenceFields || [],
+      pageCountry: pageCountry || null,
+      locale: locale || null,
+      assertedGraph: assertedGraph || null,
       singlePageMode: SINGLE_PAGE,
 
       assertedPrimaryIndex: assertedPrimaryIndex ?? null,
@@ -299,20 +319,66 @@ function buildEnvelope({
 
       deterministic: CG_DETERMINISTIC,
       llmEnabled: EFFECTIVE_ENABLE_LLM,
+      llm: llmReport || null,
+      typeDetection: typeDetection || null,
+      typeModules: typeModules || null,
+
+      fetchStrategy: fetchReport || null,
+      resourceBlocking: resourceReport || null,
+      readiness: readinessReport || null,
 
       // if validation fails, we add schemaErrors here
     },
   };
 }
 
+// ------------------------------
+// Same-origin link discovery
+// ------------------------------
+async function enqueueLinks(frontier, links, { origin, depth, scope, siteStats }) {
+  const discovered = [];
+  for (const link of links || []) {
+    let normLink;
+    try {
+      normLink = normalizeUrl(link, scope);
+    } catch {
+      continue;
+    }
+    try {
+      if (new URL(normLink).origin !== origin) continue;
+    } catch {
+      continue;
+    }
+    if (!scope.check(normLink).allowed) {
+      siteStats.scopeRejected += 1;
+      continue;
+    }
+    discovered.push({ url: normLink, depth: depth + 1 });
+  }
+  await frontier.push(discovered);
+}
+
 // ------------------------------
 // Crawl
 // ------------------------------
-async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
+async function crawlSite({
+  baseUrl,
+  getContext,
+  fetchStrategy,
+  frontier,
+  scope = compileScope(),
+  resourcePolicy = resolveResourcePolicy(),
+  readiness = resolveReadiness(),
+  llmConfig = resolveLLMConfig(),
+  llmProvider = null,
+  rulePack = resolveRulePack(),
+  nodeId,
+  cgRunId,
+  manifestPath,
+  forceRefetch = false,
+}) {
   const origin = new URL(baseUrl).origin;
-
-  const visited = new Set();
-  const q = [{ url: normalizeUrl(baseUrl), depth: 0 }];
+  const pipeline = pipelineVersion({ rulePack, llmConfig, llmProvider });
 
   const siteStats = {
     site: origin,
@@ -323,26 +389,82 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
     schemaErrors: 0,
     rejected: 0,
     inserted: 0,
+    robotsSkipped: 0,
+    skipped: [],
+    sitemapUrls: 0,
+    fetchStrategy,
+    fetchedHttp: 0,
+    fetchedBrowser: 0,
+    escalations: 0,
+    throttled: 0,
+    throttledMs: 0,
+    unchanged: 0,
+    scopeRejected: 0,
+    canonicalDuplicates: 0,
+    blockedRequests: 0,
+    estimatedBytesSaved: 0,
+    readinessWaitMs: 0,
+    readinessTimeouts: 0,
+    llmCalls: 0,
+    llmFailures: 0,
+    llmTokens: 0,
+    receipts: [],
     start: new Date().toISOString(),
     singlePageMode: SINGLE_PAGE,
     deterministic: CG_DETERMINISTIC,
   };
 
-  const allCapsulesForClassifier = [];
+  if (frontier.resumed && frontier.savedStats) {
+    Object.assign(siteStats, frontier.savedStats, { fetchStrategy });
+    console.log(`♻️  Resuming ${cgRunId}: ${await frontier.size()} URLs left in frontier`);
+  }
 
   if (WRITE_SNAPSHOTS) await fs.ensureDir(SNAPSHOT_DIR);
 
   const pageLimit = SINGLE_PAGE ? 1 : MAX_PAGES_PER_SITE;
 
-  while (q.length && visited.size < pageLimit) {
-    const item = q.shift();
+  if (!frontier.resumed) {
+    // The seed itself is always crawled; scope rules apply to discovered URLs
+    await frontier.push([{ url: normalizeUrl(baseUrl, scope), depth: 0 }]);
+
+    // Seed the BFS queue from sitemaps (already ordered by <priority>, then <lastmod>).
+    // Sitemap URLs count as one hop from the seed, so MAX_DEPTH still applies.
+    if (!SINGLE_PAGE && ENABLE_SITEMAPS && MAX_DEPTH >= 1) {
+      try {
+        const entries = await discoverSitemapUrls(baseUrl, { userAgent: UA, limit: SITEMAP_MAX_URLS });
+        const items = [];
+        for (const entry of entries) {
+          let normLink;
+          try {
+            normLink = normalizeUrl(entry.url, scope);
+          } catch {
+            continue;
+          }
+          if (new URL(normLink).origin !== origin) continue;
+          if (!scope.check(normLink).allowed) {
+            siteStats.scopeRejected += 1;
+            continue;
+          }
+          items.push({ url: normLink, depth: 1 });
+        }
+        siteStats.sitemapUrls = await frontier.push(items);
+        if (siteStats.sitemapUrls) console.log(`🗺️  ${siteStats.sitemapUrls} sitemap URLs queued for ${origin}`);
+      } catch (e) {
+        console.warn(`⚠️ Sitemap discovery failed for ${origin}: ${e.message}`);
+      }
+    }
+  }
+
+  // robots-skipped URLs stay visited (no re-checks) but don't consume the page budget
+  while ((await frontier.visitedCount()) - siteStats.robotsSkipped < pageLimit) {
+    await frontier.checkpoint(siteStats);
+    const item = await frontier.pop();
     if (!item) break;
 
-    const url = normalizeUrl(item.url);
+    const url = normalizeUrl(item.url, scope);
     const depth = item.depth;
 
-    if (visited.has(url) || depth > MAX_DEPTH) continue;
-    visited.add(url);
+    if (depth > MAX_DEPTH) continue;
 
     try {
       checkProtocol(url);
@@ -350,38 +472,174 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
       console.warn(`⚠️ Protocol check warning for ${url}: ${e.message}`);
     }
 
-    await hostThrottle(url);
+    // robots.txt gate (+ Crawl-delay feeds the host throttle)
+    let crawlDelayMs = null;
+    if (RESPECT_ROBOTS) {
+      try {
+        const verdict = await robots.checkUrl(url, UA);
+        if (!verdict.allowed) {
+          console.log(`🚫 Skipping ${url}: ${verdict.reason}`);
+          siteStats.robotsSkipped += 1;
+          siteStats.skipped.push({ url, reason: verdict.reason });
+          continue;
+        }
+        crawlDelayMs = verdict.crawlDelayMs;
+      } catch (e) {
+        console.warn(`⚠️ robots.txt check failed for ${url}: ${e.message}`);
+      }
+    }
 
-    const page = await ctx.newPage();
     try {
-      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30000 });
-      await page.waitForTimeout(800);
+      // Recrawl state from the last successful capture of this URL, usable only when the same
+      // pipeline produced it (otherwise the page is re-fetched in full and re-inferred)
+      const lastState = CONDITIONAL_FETCH && !forceRefetch ? await getPageState(nodeId, url) : null;
+      const pageState = lastState?.pipeline_version === pipeline ? lastState : null;
+
+      const lease = await hostThrottle(url, crawlDelayMs);
+      siteStats.throttledMs += lease.waitedMs;
+
+      let fetched = null;
+      let fetchErr = null;
+      let backoffMs = 0;
+      try {
+        fetched = await fetchPage(url, {
+          strategy: fetchStrategy,
+          userAgent: UA,
+          getContext,
+          collectLinks: !SINGLE_PAGE && depth < MAX_DEPTH,
+          honorNofollow: scope.honorNofollow,
+          resourcePolicy,
+          readiness,
+          conditional: pageState?.fingerprint
+            ? { etag: pageState.etag, lastModified: pageState.last_modified }
+            : null,
+        });
+      } catch (e) {
+        fetchErr = e;
+      } finally {
+        backoffMs = await lease.release({
+          status: fetched ? fetched.status : fetchErr?.status ?? null,
+          retryAfter: fetched ? fetched.headers?.["retry-after"] : fetchErr?.retryAfter ?? null,
+        });
+      }
+
+      const fetchStatus = fetched ? fetched.status : fetchErr?.status;
+      if (BACKOFF_STATUSES.includes(fetchStatus)) {
+        siteStats.throttled += 1;
+        const attempts = (item.attempts || 0) + 1;
+        if (attempts > MAX_RATE_LIMIT_RETRIES) {
+          throw new Error(`HTTP ${fetchStatus} (host is rate limiting; gave up after ${attempts - 1} retries)`);
+        }
+        // backoffMs already covers Retry-After (hostLimiter.js)
+        await frontier.defer({ url: item.url, depth, attempts }, backoffMs);
+        console.log(`🐢 ${url} returned ${fetchStatus}; retrying in ${Math.round(backoffMs / 1000)}s`);
+        continue;
+      }
+      if (fetchErr) throw fetchErr;
 
       const harvestedAt = new Date().toISOString();
-      const html = await page.content();
-      const text = await page.evaluate(() => document.body?.innerText || "");
+      const { html, text } = fetched;
+
+      if (fetched.fetch.used === "http") siteStats.fetchedHttp += 1;
+      else siteStats.fetchedBrowser += 1;
+      if (fetched.fetch.escalated) siteStats.escalations += 1;
+      if (fetched.resources) {
+        siteStats.blockedRequests += fetched.resources.blocked;
+        siteStats.estimatedBytesSaved += fetched.resources.estimatedBytesSaved;
+      }
+      if (fetched.readiness) {
+        siteStats.readinessWaitMs += fetched.readiness.waitedMs;
+        if (fetched.readiness.timedOut) siteStats.readinessTimeouts += 1;
+      }
+
+      const validators = {
+        etag: fetched.headers?.etag || null,
+        lastModified: fetched.headers?.["last-modified"] || null,
+      };
 
-      // Extract asserted JSON-LD
-      const jsonld = extractJsonLd(html, url, { capturedAt: harvestedAt });
+      // Unchanged-page short-circuit: 304, or same normalized HTML as last capture
+      const contentHash = fetched.notModified ? pageState.content_hash : fp(normalizeHtml(html));
+      if (pageState?.fingerprint && (fetched.notModified || contentHash === pageState.content_hash)) {
+        await touchPageState(nodeId, url, { ...validators, checkedAt: harvestedAt });
+
+        siteStats.pages += 1;
+        siteStats.unchanged += 1;
+        siteStats.receipts.push({
+          url,
+          finishedAt: new Date().toISOString(),
+          insertedStatus: "unchanged",
+          fingerprint: pageState.fingerprint,
+          reason: fetched.notModified ? "not-modified" : "content-hash",
+        });
+        console.log(`⏭️  Unchanged since last capture: ${url} (${fetched.notModified ? "304" : "same content hash"})`);
+
+        if (!SINGLE_PAGE && depth < MAX_DEPTH) {
+          const links = fetched.notModified ? pageState.outlinks : fetched.links;
+          await enqueueLinks(frontier, links, { origin, depth, scope, siteStats });
+        }
+        continue;
+      }
+
+      // Collapse onto <link rel=canonical> (same origin only): the first variant seen wins
+      let sourceUrl = url;
+      if (scope.canonical && fetched.canonical) {
+        let canon = null;
+        try {
+          canon = normalizeUrl(fetched.canonical, scope);
+        } catch {
+          canon = null;
+        }
+        if (canon && canon !== url && new URL(canon).origin === origin) {
+          if (!(await frontier.markSeen(canon))) {
+            console.log(`🔗 Skipping ${url}: duplicate of canonical ${canon}`);
+            siteStats.canonicalDuplicates += 1;
+            siteStats.skipped.push({ url, reason: `canonical-duplicate(${canon})` });
+            if (!SINGLE_PAGE && depth < MAX_DEPTH) {
+              await enqueueLinks(frontier, fetched.links, { origin, depth, scope, siteStats });
+            }
+            continue;
+          }
+          sourceUrl = canon;
+        }
+      }
+
+      // Extract asserted structured data (JSON-LD, microdata, RDFa)
+      // (@graph is unwrapped by normalizeBlocks, which keeps the wrapper's @context)
+      const jsonld = extractJsonLd(html, sourceUrl, { capturedAt: harvestedAt, flattenGraph: false });
       const rawCount = Number(jsonld?.rawCount || 0);
-      const blocksRaw = Array.isArray(jsonld?.blocks) ? jsonld.blocks : [];
       const parseErrors = Array.isArray(jsonld?.parseErrors) ? jsonld.parseErrors : [];
-      const found = Boolean(jsonld?.found);
+      const repairedScripts = Array.isArray(jsonld?.repaired) ? jsonld.repaired : [];
 
-      if (rawCount > 0 && !found) {
+      if (rawCount > 0 && !jsonld?.found) {
         console.warn(`⚠️ JSON-LD scripts present but unparsable on ${url}:`, parseErrors);
       }
 
+      const microdata = extractMicrodata(html, sourceUrl, { capturedAt: harvestedAt });
+      const rdfa = extractRdfa(html, sourceUrl, { capturedAt: harvestedAt });
+
+      const syntaxes = [
+        ["jsonld", jsonld],
+        ["microdata", microdata],
+        ["rdfa", rdfa],
+      ].filter(([, res]) => res?.found);
+      const structuredSyntaxes = syntaxes.map(([name]) => name);
+
+      // One entity graph: compact to schema.org terms, merge by @id, inline references
+      const graph = normalizeBlocks(
+        syntaxes.flatMap(([, res]) => (Array.isArray(res.blocks) ? res.blocks : []))
+      );
+      const blocksRaw = graph.blocks;
+
       // Build single asserted-array
       let assertedJson = null;
       let assertedProvenance = null;
       let assertedPrimaryIndex = null;
       let assertedPrimaryType = null;
 
-      if (found && blocksRaw.length > 0) {
+      if (blocksRaw.length > 0) {
         const blocks = blocksRaw.map((b) => {
           if (b && typeof b === "object" && "json" in b) return b;
-          return { json: b, provenance: { evidenceType: "jsonld-script", url, capturedAt: harvestedAt } };
+          return { json: b, provenance: { evidenceType: "jsonld-script", url: sourceUrl, capturedAt: harvestedAt } };
         });
 
         const cleanedBlocks = blocks.map((b) => ({
@@ -389,10 +647,13 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
           provenance: b.provenance || null,
         }));
 
+        const evidenceTypes = [...new Set(cleanedBlocks.map((b) => b.provenance?.evidenceType).filter(Boolean))];
+
         assertedJson = cleanedBlocks.map((b) => b.json);
         assertedProvenance = {
-          evidenceType: "jsonld-script",
-          url,
+          evidenceType: evidenceTypes.length === 1 ? evidenceTypes[0] : "mixed",
+          ...(evidenceTypes.length > 1 ? { evidenceTypes } : {}),
+          url: sourceUrl,
           capturedAt: harvestedAt,
         };
 
@@ -401,6 +662,18 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
         assertedPrimaryType = primary.type;
       }
 
+      // OpenGraph / Twitter / product: / article: evidence
+      const metaTags = extractMetaTags(html, sourceUrl, { capturedAt: harvestedAt });
+      // Registered DOM extractors (logo, social links, contact details, hours)
+      const domEvidence = runDomExtractors(html, sourceUrl, { capturedAt: harvestedAt });
+      if (domEvidence.errors.length) {
+        console.warn(`⚠️ DOM extractor errors on ${url}:`, domEvidence.errors);
+      }
+      // Page language/locale: stored on the capsule, and read by price parsing
+      const locale = detectLocale(parseHTML(html), sourceUrl, { text });
+
+      const snapshotPath = WRITE_SNAPSHOTS ? `${SNAPSHOT_DIR}/${snapshotName(url, html)}` : null;
+
       const primaryAssertedObject =
         Array.isArray(assertedJson) && assertedJson.length > 0
           ? assertedJson[assertedPrimaryIndex ?? 0] || assertedJson[0]
@@ -409,18 +682,51 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
       // Inference
       let enrichedContent;
       let inferredMeta;
+      let llmReport = null;
+      let typeDetection = null;
+      let typeModules = null;
 
       try {
         const out = await inferCapsule({
-          url,
+          url: sourceUrl,
           html,
           text,
           extractedCapsule:
             primaryAssertedObject && typeof primaryAssertedObject === "object" ? primaryAssertedObject : {},
-          options: { enableLLM: EFFECTIVE_ENABLE_LLM },
+          assertedBlocks: assertedJson,
+          metaTags,
+          domEvidence,
+          locale,
+          capturedAt: harvestedAt,
+          options: {
+            enableLLM: EFFECTIVE_ENABLE_LLM,
+            // One provider per job: model/base URL from env or job.data.llm, usage summed in the manifest
+            llmProvider,
+            llm: llmConfig,
+            rulePack,
+            // Evidence points at the snapshot this page is written to below
+            snapshot: snapshotPath,
+          },
         });
         enrichedContent = out.capsule;
         inferredMeta = out.inferred;
+        llmReport = out.llm;
+        typeDetection = {
+          rulePack: out.typeGuess.pack,
+          type: out.typeGuess.type,
+          confidence: Number(out.typeGuess.confidence.toFixed(2)),
+          scores: out.typeGuess.scores,
+          matched: out.typeGuess.matched,
+        };
+        typeModules = out.typeModules;
+        if (typeModules.errors.length) {
+          console.warn(`⚠️ Type module errors on ${url}:`, typeModules.errors);
+        }
+        if (llmReport?.calls) {
+          siteStats.llmCalls += llmReport.calls;
+          siteStats.llmTokens += llmReport.totalTokens;
+          if (llmReport.status === "failed") siteStats.llmFailures += 1;
+        }
       } catch (infErr) {
         console.warn(`⚠️ Inference failed on ${url}: ${infErr.message}`);
         siteStats.errors += 1;
@@ -438,7 +744,7 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
 
       // Envelope
       const envelope = buildEnvelope({
-        url,
+        url: sourceUrl,
         harvestedAt,
         cgRunId,
         manifestPath,
@@ -446,11 +752,32 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
         assertedProvenance,
         jsonldRawScriptCount: rawCount,
         jsonldParseErrors: parseErrors.length,
+        jsonldRepairedScripts: repairedScripts.length,
         enrichedContent,
         inferredMeta,
-        structuredMarkup: found ? "jsonld" : "none",
+        structuredMarkup:
+          structuredSyntaxes.length > 1 ? "mixed" : structuredSyntaxes[0] || "none",
+        structuredSyntaxes,
+        microdataItemCount: microdata.blocks.length,
+        rdfaResourceCount: rdfa.blocks.length,
+        metaTagFields: Object.keys(metaTags.fields),
+        domEvidenceFields: Object.keys(domEvidence.fields),
+        pageCountry: domEvidence.country,
+        locale: {
+          locale: locale.locale,
+          language: locale.language,
+          confidence: locale.confidence,
+          signals: locale.signals.language,
+        },
+        assertedGraph: graph.stats,
         assertedPrimaryIndex,
         assertedPrimaryType,
+        fetchReport: fetched.fetch,
+        resourceReport: fetched.resources,
+        readinessReport: fetched.readiness,
+        llmReport,
+        typeDetection,
+        typeModules,
       });
 
       // price guardrail
@@ -471,6 +798,22 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
       }
 
       await insertCapsule(nodeId, envelope, fingerprint, harvestedAt, status);
+      await upsertPageState(nodeId, url, {
+        ...validators,
+        contentHash,
+        fingerprint,
+        pipelineVersion: pipeline,
+        outlinks: fetched.links?.length ? fetched.links : null,
+        fetchedAt: harvestedAt,
+      });
+
+      siteStats.receipts.push({
+        url,
+        finishedAt: new Date().toISOString(),
+        insertedStatus: status,
+        fingerprint,
+        ...(sourceUrl !== url ? { canonical: sourceUrl } : {}),
+      });
 
       siteStats.capsules += 1;
       siteStats.pages += 1;
@@ -480,12 +823,9 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
 
       if (inferredMeta && Object.keys(inferredMeta).length) siteStats.inferred += 1;
 
-      allCapsulesForClassifier.push({ "agentnet:content": envelope["agentnet:content"] });
+      await frontier.recordCapsule(envelope["agentnet:content"]);
 
-      if (WRITE_SNAPSHOTS) {
-        const name = snapshotName(url);
-        await fs.writeFile(`${SNAPSHOT_DIR}/${name}`, html);
-      }
+      if (snapshotPath) await fs.writeFile(snapshotPath, html);
 
       console.log(
         `✅ 1 capsule processed for ${url} (JSON-LD scripts: ${rawCount}, parsed objects: ${blocksRaw.length})`
@@ -493,36 +833,29 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
 
       // Discover same-origin links (disabled in SINGLE_PAGE mode)
       if (!SINGLE_PAGE && depth < MAX_DEPTH) {
-        const links = await page.$$eval("a[href]", (as) => as.map((a) => a.href).filter(Boolean));
-        for (const link of links) {
-          let normLink;
-          try {
-            normLink = normalizeUrl(link);
-          } catch {
-            continue;
-          }
-          try {
-            if (new URL(normLink).origin !== origin) continue;
-          } catch {
-            continue;
-          }
-          if (!visited.has(normLink)) q.push({ url: normLink, depth: depth + 1 });
-        }
+        await enqueueLinks(frontier, fetched.links, { origin, depth, scope, siteStats });
       }
     } catch (e) {
       console.error(`❌ Error crawling ${url}: ${e.message}`);
       siteStats.errors += 1;
-    } finally {
-      await page.close();
     }
   }
 
-  // Classify node type
+  await frontier.checkpoint(siteStats);
+
+  // Classify node type (keep the stored category when every page was unchanged)
   try {
-    const category = classifyNodeType(allCapsulesForClassifier);
-    await pool.query(`UPDATE nodes SET node_category=? WHERE id=?`, [category, nodeId]);
-    console.log(`🏷️  Node ${origin} classified as '${category}'`);
-    siteStats.nodeCategory = category;
+    const allCapsulesForClassifier = (await frontier.capsules()).map((content) => ({ "agentnet:content": content }));
+    if (allCapsulesForClassifier.length) {
+      const category = classifyNodeType(allCapsulesForClassifier);
+      await pool.query(`UPDATE nodes SET node_category=? WHERE id=?`, [category, nodeId]);
+      console.log(`🏷️  Node ${origin} classified as '${category}'`);
+      siteStats.nodeCategory = category;
+    } else {
+      const [rows] = await pool.query(`SELECT node_category FROM nodes WHERE id=?`, [nodeId]);
+      siteStats.nodeCategory = rows[0]?.node_category || null;
+      console.log(`🏷️  Node ${origin} unchanged; keeping category '${siteStats.nodeCategory}'`);
+    }
   } catch (err) {
     console.warn(`⚠️ Node classification failed for ${origin}: ${err.message}`);
     siteStats.nodeCategory = null;
@@ -530,7 +863,10 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
 
   siteStats.end = new Date().toISOString();
   await appendLog(siteStats);
-  console.log(`🌐 Crawl complete for ${origin}: ${visited.size} pages processed.`);
+  const processed = (await frontier.visitedCount()) - siteStats.robotsSkipped;
+  console.log(
+    `🌐 Crawl complete for ${origin}: ${processed} pages processed, ${siteStats.robotsSkipped} skipped by robots.txt.`
+  );
 
   return siteStats;
 }
@@ -538,7 +874,18 @@ async function crawlSite({ baseUrl, ctx, nodeId, cgRunId, manifestPath }) {
 // ------------------------------
 // Run manifest writer (Audit Receipt)
 // ------------------------------
-async function writeRunManifest({ runId, startedAt, finishedAt, seed, settings, node, summary, capsules, errors }) {
+async function writeRunManifest({
+  runId,
+  startedAt,
+  finishedAt,
+  seed,
+  settings,
+  node,
+  summary,
+  capsules,
+  skipped,
+  errors,
+}) {
   await fs.ensureDir(RUNS_DIR);
   const manifestPath = `${RUNS_DIR}/${runId}.json`;
 
@@ -553,6 +900,7 @@ async function writeRunManifest({ runId, startedAt, finishedAt, seed, settings,
     node,
     summary,
     capsules,
+    skipped: skipped || [],
     errors: errors || [],
     manifestPath,
     nodeCategory: node?.nodeCategory || null,
@@ -572,16 +920,48 @@ async function writeRunManifest({ runId, startedAt, finishedAt, seed, settings,
 // ------------------------------
 // BullMQ Worker
 // ------------------------------
-new Worker(
+const worker = new Worker(
   queueName,
   async (job) => {
     const { url, owner_slug } = job.data;
-
-    const runId = makeRunId();
+    const scope = compileScope(job.data.scope);
+    const resourcePolicy = resolveResourcePolicy(job.data.resourcePolicy);
+    const readiness = resolveReadiness(job.data.readiness);
+    const llmConfig = resolveLLMConfig(job.data.llm);
+    const rulePack = resolveRulePack(job.data.rulePack);
+    // Deterministic runs replay the cache only (EFFECTIVE_ENABLE_LLM requires one), so no key is needed
+    const llmUnavailable = EFFECTIVE_ENABLE_LLM
+      ? llmUnavailableReason(llmConfig, { replayOnly: CG_DETERMINISTIC })
+      : "disabled";
+    // One cache per job, so its hit/miss counters describe this run
+    const llmCache = llmUnavailable ? null : openLLMCache({ backend: LLM_CACHE_BACKEND });
+    const llmProvider = llmUnavailable
+      ? null
+      : withCache(createProvider(llmConfig), llmCache, { replayOnly: CG_DETERMINISTIC });
+    if (EFFECTIVE_ENABLE_LLM && llmUnavailable) console.warn(`⚠️ LLM enrichment off for ${url}: ${llmUnavailable}`);
+
+    // Retries of the same job resume the persisted frontier (and keep the same runId)
+    const frontier = await openFrontier({ jobId: job.id, baseUrl: url, makeRunId });
+    const runId = frontier.runId;
     const startedAt = new Date().toISOString();
 
-    const browser = await chromium.launch({ headless: true });
-    const ctx = await browser.newContext({ userAgent: UA });
+    // A pooled context is taken lazily: "http"/"auto" jobs may never need a browser
+    const fetchStrategy = resolveStrategy(job.data.fetchStrategy);
+    let lease = null;
+    const getContext = async () => {
+      // A dead lease (browser crash, closed context) is swapped out: it costs one page, not the job
+      if (lease && !lease.isAlive()) {
+        console.warn(`⚠️ Browser context lost (browser ${lease.browserId}); acquiring a new one`);
+        await lease.release();
+        lease = null;
+      }
+      if (!lease) lease = await acquireContext({ userAgent: UA });
+      return lease.context;
+    };
+    const releaseContext = async () => {
+      if (lease) await lease.release();
+      lease = null;
+    };
 
     const settings = {
       SINGLE_PAGE,
@@ -594,11 +974,25 @@ new Worker(
       VALIDATE_ENVELOPE: Boolean(validateEnvelope),
       SCHEMA_LOADED: envelopeSchemaLoaded,
       WRITE_SNAPSHOTS,
+      RESPECT_ROBOTS,
+      CONDITIONAL_FETCH,
+      ENABLE_SITEMAPS,
+      SITEMAP_MAX_URLS,
       USER_AGENT: UA,
       CONCURRENCY,
+      BROWSER_POOL_SIZE: parseInt(process.env.BROWSER_POOL_SIZE || 2, 10),
+      BROWSER_MAX_PAGES: parseInt(process.env.BROWSER_MAX_PAGES || 200, 10),
+      HOST_MAX_CONCURRENCY: parseInt(process.env.HOST_MAX_CONCURRENCY || 1, 10),
+      FETCH_STRATEGY: fetchStrategy,
+      RESOURCE_POLICY: resourcePolicy,
+      READINESS: readiness,
+      LLM: { ...llmConfig, unavailable: llmUnavailable },
+      LLM_CACHE: LLM_CACHE_BACKEND,
+      RULE_PACK: `${rulePack.name}@${rulePack.version}`,
+      LLM_REPLAY_ONLY: CG_DETERMINISTIC && EFFECTIVE_ENABLE_LLM,
     };
 
-    const seed = { owner_slug, url };
+    const seed = { owner_slug, url, scope: scope.describe() };
     const capsuleReceipts = [];
     const errors = [];
 
@@ -610,19 +1004,25 @@ new Worker(
 
       const stats = await crawlSite({
         baseUrl: url,
-        ctx,
+        getContext,
+        fetchStrategy,
+        frontier,
+        scope,
+        resourcePolicy,
+        readiness,
+        llmConfig,
+        llmProvider,
+        rulePack,
         nodeId,
         cgRunId: runId,
         manifestPath,
+        forceRefetch: Boolean(job.data.force),
       });
 
-      await browser.close();
+      await releaseContext();
+      await frontier.finish("done");
 
-      capsuleReceipts.push({
-        url,
-        finishedAt: stats.end || new Date().toISOString(),
-        insertedStatus: "see-db",
-      });
+      capsuleReceipts.push(...(stats.receipts || []));
 
       const finishedAt = new Date().toISOString();
 
@@ -634,6 +1034,25 @@ new Worker(
         inserted: stats.inserted,
         rejected: stats.rejected,
         schemaErrors: stats.schemaErrors,
+        robotsSkipped: stats.robotsSkipped,
+        sitemapUrls: stats.sitemapUrls,
+        fetchedHttp: stats.fetchedHttp,
+        fetchedBrowser: stats.fetchedBrowser,
+        escalations: stats.escalations,
+        throttled: stats.throttled,
+        resumed: frontier.resumed,
+        unchanged: stats.unchanged,
+        scopeRejected: stats.scopeRejected,
+        canonicalDuplicates: stats.canonicalDuplicates,
+        blockedRequests: stats.blockedRequests,
+        estimatedBytesSaved: stats.estimatedBytesSaved,
+        readinessWaitMs: stats.readinessWaitMs,
+        readinessTimeouts: stats.readinessTimeouts,
+        llmCalls: stats.llmCalls,
+        llmFailures: stats.llmFailures,
+        llmTokens: stats.llmTokens,
+        llm: llmProvider ? llmProvider.usage() : null,
+        llmCache: llmCache ? llmCache.stats() : null,
       };
 
       const node = { nodeId, nodeCategory: stats.nodeCategory || null };
@@ -647,17 +1066,23 @@ new Worker(
         node,
         summary,
         capsules: capsuleReceipts,
+        skipped: stats.skipped,
         errors,
       });
 
       console.log(`🏁 ${stats.pages} pages / ${stats.capsules} capsules (${stats.inferred} inferred) for ${url}`);
       console.log(`🧾 Run manifest written: ${written}`);
+      if (stats.fetchedBrowser) console.log(`🧪 Browser pool: ${JSON.stringify(poolHealth())}`);
 
       return { ok: true, runId, manifestPath: written };
     } catch (e) {
-      await browser.close();
+      await releaseContext();
       console.error(`💥 Fatal error on ${url}: ${e.message}`);
 
+      // Keep the frontier for the next attempt; close it out when BullMQ won't retry
+      const finalAttempt = job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+      if (finalAttempt) await frontier.finish("failed").catch(() => {});
+
       errors.push({ site: url, error: e.message, time: new Date().toISOString() });
 
       await appendLog({ site: url, error: e.message, time: new Date().toISOString() });
@@ -667,3 +1092,19 @@ new Worker(
   },
   { connection, concurrency: CONCURRENCY }
 );
+
+// ------------------------------
+// Graceful shutdown (drain jobs, then close pooled browsers)
+// ------------------------------
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} received, shutting down worker...`);
+  try {
+    await worker.close();
+  } finally {
+    await closePool();
+    process.exit(0);
+  }
+}
+
+process.once("SIGINT", () => shutdown("SIGINT"));
+process.once("SIGTERM", () => shutdown("SIGTERM"));
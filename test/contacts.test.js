@@ -0,0 +1,112 @@
+// test/contacts.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizePhone, findPhones } = require("../src/extractor/phone");
+const { parseAddress } = require("../src/extractor/address");
+
+// ------------------------------
+// Phones
+// ------------------------------
+test("national numbers normalize to E.164 in the page's country", () => {
+  assert.deepEqual(normalizePhone("030 1234567", { country: "DE" }), {
+    e164: "+49301234567",
+    country: "DE",
+    national: "301234567",
+  });
+  assert.equal(normalizePhone("020 7946 0958", { country: "GB" }).e164, "+442079460958");
+  assert.equal(normalizePhone("(02) 9374 4000", { country: "AU" }).e164, "+61293744000");
+  assert.equal(normalizePhone("1 (415) 555-0132", { country: "US" }).e164, "+14155550132");
+});
+
+test("international numbers carry their own country", () => {
+  assert.deepEqual(normalizePhone("+44 (0)20 7946 0958"), {
+    e164: "+442079460958",
+    country: "GB",
+    national: "2079460958",
+  });
+  assert.equal(normalizePhone("0049 30 1234567").country, "DE");
+  assert.equal(normalizePhone("tel:+61293744000").country, "AU");
+  assert.equal(normalizePhone("+1 415 555 0132 ext. 12").e164, "+14155550132");
+  // No country signal: only a well-formed NANP number is guessed
+  assert.equal(normalizePhone("(415) 555-0132").country, "US");
+  assert.equal(normalizePhone("030 1234567"), null);
+});
+
+test("dates, times, prices and invalid numbers are not phones", () => {
+  for (const raw of ["2024-01-31", "31.01.2024", "01/31/2024", "9.00 - 17.00", "1.299,00", "1998-2024", "0000000"]) {
+    assert.equal(normalizePhone(raw, { country: "DE" }), null, raw);
+  }
+  // NANP area codes and exchanges never start with 0/1
+  assert.equal(normalizePhone("(015) 555-0132", { country: "US" }), null);
+});
+
+test("findPhones skips order/SKU numbers and bare digit runs without a phone word", () => {
+  const text = "Order #20231104 · SKU 4915112345678 · Tel: (02) 9374 4000 · Ref 0293744001 · Call 0293744002";
+  assert.deepEqual(
+    findPhones(text, { country: "AU" }).map((p) => [p.e164, p.raw]),
+    [
+      ["+61293744000", "(02) 9374 4000"],
+      ["+61293744002", "0293744002"],
+    ]
+  );
+
+  const [phone] = findPhones("Tel: (02) 9374 4000", { country: "AU" });
+  assert.equal("Tel: (02) 9374 4000".slice(phone.index, phone.index + phone.raw.length), phone.raw);
+});
+
+// ------------------------------
+// Addresses
+// ------------------------------
+test("postcode-first European formats, with the country from the text or a prefix", () => {
+  assert.deepEqual(parseAddress("Friedrichstraße 123\n10117 Berlin\nDeutschland"), {
+    value: {
+      "@type": "PostalAddress",
+      streetAddress: "Friedrichstraße 123",
+      postalCode: "10117",
+      addressLocality: "Berlin",
+      addressCountry: "DE",
+    },
+    format: "postcode-city",
+  });
+  assert.equal(parseAddress("Bahnhofstrasse 1, CH-8001 Zürich").value.addressCountry, "CH");
+  assert.equal(parseAddress("Damrak 1, 1012 LG Amsterdam").value.addressCountry, "NL");
+  assert.equal(parseAddress("Drottninggatan 5, 111 51 Stockholm").value.postalCode, "111 51");
+  assert.equal(parseAddress("ul. Marszałkowska 10, 00-590 Warszawa").value.addressCountry, "PL");
+});
+
+test("ambiguous postcodes take the page country, or none", () => {
+  assert.equal(parseAddress("Via Roma 1, 00184 Roma", { country: "IT" }).value.addressCountry, "IT");
+  const unsure = parseAddress("Via Roma 1, 00184 Roma").value;
+  assert.equal(unsure.postalCode, "00184");
+  assert.equal(unsure.addressCountry, undefined);
+});
+
+test("English-speaking and APAC formats", () => {
+  assert.deepEqual(parseAddress("10 Downing St, London SW1A 2AA"), {
+    value: {
+      "@type": "PostalAddress",
+      streetAddress: "10 Downing St",
+      addressLocality: "London",
+      postalCode: "SW1A 2AA",
+      addressCountry: "GB",
+    },
+    format: "gb",
+  });
+  assert.deepEqual(parseAddress("1 George St, Sydney NSW 2000", { country: "AU" }).value, {
+    "@type": "PostalAddress",
+    streetAddress: "1 George St",
+    addressLocality: "Sydney",
+    addressRegion: "NSW",
+    postalCode: "2000",
+    addressCountry: "AU",
+  });
+  assert.equal(parseAddress("100 Main St, Springfield, IL 62701").value.addressRegion, "IL");
+  assert.equal(parseAddress("290 Bremner Blvd, Toronto, ON M5V 3L9").value.addressCountry, "CA");
+  assert.equal(parseAddress("1 Raffles Place, Singapore 048616").value.addressCountry, "SG");
+  assert.equal(parseAddress("〒100-0005 東京都千代田区丸の内1-1").value.postalCode, "100-0005");
+});
+
+test("footers need a street line, so a copyright year is not an address", () => {
+  assert.equal(parseAddress("© 2024 Acme", { requireStreet: true }), null);
+});
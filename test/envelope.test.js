@@ -0,0 +1,60 @@
+// test/envelope.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+const { inferCapsule } = require("../src/inferencer");
+const { extractMetaTags } = require("../src/extractor/meta");
+
+// Same validator options as the worker (VALIDATE_ENVELOPE)
+const ajv = new Ajv({ allErrors: true, strict: false, allowUnionTypes: true });
+addFormats(ajv);
+const validateEnvelope = ajv.compile(require(path.resolve(__dirname, "../schemas/cg-envelope.schema.json")));
+
+const URL_ = "https://shop.example/about";
+const HTML = `<!doctype html>
+<html><head>
+  <title>About us | Example Shop</title>
+  <meta property="og:locale" content="en_US">
+  <meta property="og:title" content="About Example Shop">
+</head><body>
+  <h1>About us</h1>
+  <p>We are a small family business and we have been selling handmade goods to our neighbours for years.</p>
+</body></html>`;
+
+function envelopeFor(capsule, inferred) {
+  return {
+    "@context": "https://agentnet.ai/context",
+    "@type": "agentnet:Capsule",
+    "agentnet:cgVersion": "test",
+    "agentnet:cgRunId": "test-run",
+    "agentnet:source": URL_,
+    "agentnet:captureDate": "2026-01-01T00:00:00.000Z",
+    "agentnet:asserted": null,
+    "agentnet:content": capsule,
+    "agentnet:inferred": inferred,
+    "agentnet:report": { structuredMarkup: "none" },
+  };
+}
+
+test("og:locale is mapped to a BCP 47 tag", () => {
+  const meta = extractMetaTags(HTML, URL_);
+  assert.equal(meta.fields["agentnet:inLanguage"].value, "en-US");
+});
+
+test("an envelope for a page with og:locale validates against the schema", async () => {
+  const out = await inferCapsule({
+    url: URL_,
+    html: HTML,
+    text: "About us. We are a small family business and we have been selling handmade goods to our neighbours.",
+    options: { enableLLM: false },
+  });
+  assert.equal(out.capsule["agentnet:inLanguage"], "en-US");
+
+  const envelope = envelopeFor(out.capsule, out.inferred);
+  const valid = validateEnvelope(envelope);
+  assert.ok(valid, JSON.stringify(validateEnvelope.errors, null, 2));
+});
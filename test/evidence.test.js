@@ -0,0 +1,76 @@
+// test/evidence.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+
+const { attachEvidence, xpathOf } = require("../src/inferencer/evidence");
+const { inferCapsule } = require("../src/inferencer");
+
+const SNAPSHOT = "./snapshots/example.com_page__0123456789abcdef.html";
+
+// inferCapsule works on the visible text with whitespace collapsed; offsets index that string
+const normalized = (text) => text.replace(/\s+/g, " ").trim();
+
+async function infer(url, html, text) {
+  const out = await inferCapsule({ url, html, text, options: { enableLLM: false, snapshot: SNAPSHOT } });
+  return { capsule: out.capsule, evidence: (key) => out.capsule["agentnet:inferred"][key].evidence };
+}
+
+test("a normalized (E.164) phone points back at the number as written and at its element", async () => {
+  const html = `<html lang="en-US"><head><title>Contact | Corner Bistro</title></head><body>
+    <main><h1>Contact us</h1><p>Corner Bistro is a family restaurant.</p></main>
+    <footer><p>Call us: <a href="tel:+14155550132">(415) 555-0132</a></p>
+    <address>100 Main St, Springfield, IL 62701</address></footer></body></html>`;
+  const text = [
+    "Contact us",
+    "Corner Bistro is a family restaurant.",
+    "Call us: (415) 555-0132",
+    "100 Main St, Springfield, IL 62701",
+  ].join("\n");
+  const { capsule, evidence } = await infer("https://bistro.example/contact", html, text);
+
+  assert.equal(capsule["agentnet:telephone"], "+14155550132");
+  const ev = evidence("agentnet:telephone");
+  assert.equal(ev.snippet, "(415) 555-0132");
+  assert.equal(normalized(text).slice(ev.start, ev.end), ev.snippet);
+  assert.equal(ev.xpath, "/html/body[1]/footer[1]/p[1]/a[1]");
+  assert.equal(ev.snapshot, SNAPSHOT);
+
+  const $ = cheerio.load(html);
+  assert.equal($(ev.selector).first().text(), "(415) 555-0132");
+
+  const address = evidence("agentnet:address");
+  assert.equal(normalized(text).slice(address.start, address.end), "100 Main St");
+  assert.equal(address.xpath, "/html/body[1]/footer[1]/address[1]");
+});
+
+test("a price points at the amount as written, not the normalized value", async () => {
+  const html = `<html><head><title>Acme Mug</title><meta property="og:type" content="product"></head><body>
+    <main><h1>Acme Mug</h1><p>Stoneware mug.</p><div class="buy"><span class="price">$1,299.00</span>
+    <button>Add to cart</button></div></main></body></html>`;
+  const text = "Acme Mug\nStoneware mug.\n$1,299.00\nAdd to cart";
+  const { capsule, evidence } = await infer("https://shop.example/p/mug", html, text);
+
+  assert.equal(capsule["agentnet:price"], "1299.00");
+  const ev = evidence("agentnet:price");
+  assert.equal(ev.snippet, "$1,299.00");
+  assert.equal(normalized(text).slice(ev.start, ev.end), ev.snippet);
+  assert.equal(ev.xpath, "/html/body[1]/main[1]/div[1]/span[1]");
+});
+
+test("evidence the page can't back up is dropped; classifications are never searched for", () => {
+  const $ = cheerio.load("<html><body><p>Opening soon</p></body></html>");
+  const inferred = {
+    "@type": "agentnet:Organization",
+    "agentnet:description": "Not on the page",
+    "agentnet:inferred": {
+      "@type": { confidence: 0.7 },
+      "agentnet:description": { confidence: 0.4, evidence: { snippet: "missing" } },
+    },
+  };
+  attachEvidence(inferred, { $, text: "Opening soon" });
+  assert.equal(inferred["agentnet:inferred"]["@type"].evidence, undefined);
+  assert.equal(inferred["agentnet:inferred"]["agentnet:description"].evidence, undefined);
+
+  assert.equal(xpathOf($, $("p").get(0)), "/html/body[1]/p[1]");
+});
@@ -0,0 +1,114 @@
+// test/fetcher.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.HTTP_MAX_BYTES = String(64 * 1024);
+const { fetchPage } = require("../src/fetcher");
+
+const ARTICLE = `<html><head><title>Static page</title></head>
+<body><p>${"Plain server-rendered text. ".repeat(20)}</p></body></html>`;
+const SHELL = '<html><head><title>App</title></head><body><div id="root"></div></body></html>';
+
+// path -> (req, res) handler
+const routes = {
+  "/article": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end(ARTICLE),
+  "/shell": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end(SHELL),
+  "/gone": (req, res) => res.writeHead(410, { "content-type": "text/html" }).end(ARTICLE),
+  "/missing": (req, res) => res.writeHead(404, { "content-type": "text/html" }).end(ARTICLE),
+  "/blocked": (req, res) => res.writeHead(403, { "content-type": "text/html" }).end("Forbidden"),
+  "/busy": (req, res) => res.writeHead(429, { "retry-after": "30" }).end(),
+  // Chunked, no content-length, never ends on its own
+  "/endless": (req, res) => {
+    res.writeHead(200, { "content-type": "text/html" });
+    const chunk = Buffer.alloc(16 * 1024, "a");
+    const timer = setInterval(() => res.write(chunk), 1);
+    res.on("close", () => clearInterval(timer));
+  },
+};
+
+let server;
+let base;
+
+test.before(async () => {
+  server = http.createServer((req, res) => (routes[req.url] || routes["/missing"])(req, res));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+// A browser context stand-in: one page that "renders" the given status and HTML
+function fakeBrowser(status, html) {
+  const calls = { contexts: 0 };
+  const getContext = async () => {
+    calls.contexts += 1;
+    return {
+      newPage: async () => ({
+        goto: async () => ({ status: () => status, allHeaders: async () => ({}) }),
+        waitForTimeout: async () => {},
+        content: async () => html,
+        evaluate: async () => "",
+        url: () => "http://example.test/",
+        close: async () => {},
+      }),
+    };
+  };
+  return { getContext, calls };
+}
+
+const readiness = { strategy: "fixed", fixedMs: 0 };
+
+test("auto: static HTML is served without a browser", async () => {
+  const browser = fakeBrowser(200, ARTICLE);
+  const res = await fetchPage(`${base}/article`, { strategy: "auto", userAgent: "t", ...browser, readiness });
+  assert.equal(res.fetch.used, "http");
+  assert.equal(browser.calls.contexts, 0);
+});
+
+test("auto: a JS shell escalates to the browser", async () => {
+  const browser = fakeBrowser(200, ARTICLE);
+  const res = await fetchPage(`${base}/shell`, { strategy: "auto", userAgent: "t", ...browser, readiness });
+  assert.equal(res.fetch.used, "browser");
+  assert.equal(res.fetch.reason, "empty-body");
+});
+
+test("auto: 404 and 410 fail without escalating", async () => {
+  for (const path of ["/missing", "/gone"]) {
+    const browser = fakeBrowser(200, ARTICLE);
+    await assert.rejects(
+      fetchPage(`${base}${path}`, { strategy: "auto", userAgent: "t", ...browser, readiness }),
+      (e) => e.status === (path === "/gone" ? 410 : 404)
+    );
+    assert.equal(browser.calls.contexts, 0);
+  }
+});
+
+test("auto: 429 fails with its Retry-After", async () => {
+  await assert.rejects(
+    fetchPage(`${base}/busy`, { strategy: "auto", userAgent: "t", ...fakeBrowser(200, ARTICLE), readiness }),
+    (e) => e.status === 429 && e.retryAfter === "30"
+  );
+});
+
+test("auto: 403 escalates, and an error status from the browser fails the fetch", async () => {
+  const ok = fakeBrowser(200, ARTICLE);
+  const res = await fetchPage(`${base}/blocked`, { strategy: "auto", userAgent: "t", ...ok, readiness });
+  assert.equal(res.fetch.reason, "http-status(403)");
+
+  await assert.rejects(
+    fetchPage(`${base}/blocked`, { strategy: "auto", userAgent: "t", ...fakeBrowser(403, "Denied"), readiness }),
+    (e) => e.status === 403
+  );
+});
+
+test("browser: a 404 render is rejected", async () => {
+  await assert.rejects(
+    fetchPage(`${base}/article`, { strategy: "browser", userAgent: "t", ...fakeBrowser(404, ARTICLE), readiness }),
+    (e) => e.status === 404
+  );
+});
+
+test("http: reading stops once the body passes HTTP_MAX_BYTES", async () => {
+  await assert.rejects(fetchPage(`${base}/endless`, { strategy: "http", userAgent: "t" }), /exceeds 65536 bytes/);
+});
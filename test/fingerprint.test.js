@@ -0,0 +1,90 @@
+// test/fingerprint.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fp } = require("../src/normalize");
+const { stableFingerprintView } = require("../src/fingerprint");
+
+function envelope({ runId, capturedAt, durationMs, waitedMs, llm, resourceBlocking = null }) {
+  return {
+    "@type": "agentnet:Capsule",
+    "agentnet:cgVersion": "cg-test",
+    "agentnet:cgRunId": runId,
+    "agentnet:cgManifestPath": `runs/${runId}.json`,
+    "agentnet:source": "https://shop.example/p/1",
+    "agentnet:captureDate": capturedAt,
+    "agentnet:asserted": {
+      json: [{ "@type": "Product", name: "Mug", sku: "M-1" }, { "@type": "Organization", name: "Shop" }],
+      provenance: { evidenceType: "jsonld-script", capturedAt },
+    },
+    "agentnet:content": { "agentnet:name": "Mug", "@type": "agentnet:Product" },
+    "agentnet:report": {
+      deterministic: true,
+      fetchStrategy: { requested: "auto", used: "http", escalated: false, durationMs },
+      readiness: { strategy: "quiescence", waitedMs, timedOut: false },
+      resourceBlocking,
+      llm: { provider: "openai", model: "gpt-4o-mini", status: "ok", fields: ["agentnet:description"], ...llm },
+    },
+  };
+}
+
+test("run identity, timings and LLM accounting do not change the fingerprint", () => {
+  const a = envelope({
+    runId: "run_a",
+    capturedAt: "2026-01-01T00:00:00.000Z",
+    durationMs: 412,
+    waitedMs: 530,
+    llm: { cached: false, calls: 1, attempts: 2, retries: 1, totalTokens: 900, durationMs: 2100 },
+  });
+  const b = envelope({
+    runId: "run_b",
+    capturedAt: "2026-02-01T00:00:00.000Z",
+    durationMs: 97,
+    waitedMs: 501,
+    llm: { cached: true, calls: 1, attempts: 0, retries: 0, totalTokens: 0, durationMs: 0 },
+  });
+  assert.equal(fp(stableFingerprintView(a)), fp(stableFingerprintView(b)));
+});
+
+test("resource-blocking counts do not change the fingerprint", () => {
+  const base = { runId: "r", capturedAt: "t", durationMs: 1, waitedMs: 1, llm: {} };
+  const a = envelope({
+    ...base,
+    resourceBlocking: {
+      allowed: 41,
+      blocked: 12,
+      blockedByType: { image: 9, font: 3 },
+      blockedByReason: { "third-party": 7, type: 5 },
+      estimatedBytesSaved: 880000,
+    },
+  });
+  const b = envelope({
+    ...base,
+    resourceBlocking: {
+      allowed: 38,
+      blocked: 15,
+      blockedByType: { image: 9, font: 3, script: 3 },
+      blockedByReason: { "third-party": 10, type: 5 },
+      estimatedBytesSaved: 910000,
+    },
+  });
+  assert.equal(fp(stableFingerprintView(a)), fp(stableFingerprintView(b)));
+});
+
+test("asserted block order does not change the fingerprint, content does", () => {
+  const base = { runId: "r", capturedAt: "t", durationMs: 1, waitedMs: 1, llm: {} };
+  const a = envelope(base);
+  const b = envelope(base);
+  b["agentnet:asserted"].json.reverse();
+  assert.equal(fp(stableFingerprintView(a)), fp(stableFingerprintView(b)));
+
+  b["agentnet:content"]["agentnet:name"] = "Big mug";
+  assert.notEqual(fp(stableFingerprintView(a)), fp(stableFingerprintView(b)));
+});
+
+test("the stored envelope keeps its volatile fields", () => {
+  const e = envelope({ runId: "r", capturedAt: "t", durationMs: 5, waitedMs: 6, llm: { calls: 1 } });
+  stableFingerprintView(e);
+  assert.equal(e["agentnet:report"].fetchStrategy.durationMs, 5);
+  assert.equal(e["agentnet:report"].llm.calls, 1);
+});
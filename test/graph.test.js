@@ -0,0 +1,61 @@
+// test/graph.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeBlocks } = require("../src/extractor/graph");
+
+const block = (json) => ({
+  json,
+  provenance: { evidenceType: "jsonld-script", sourceUrl: "https://shop.example/p/1" },
+});
+
+test("schema.org terms compact to bare terms however they are written", () => {
+  const { blocks, stats } = normalizeBlocks([
+    block({
+      "@context": { s: "http://schema.org/" },
+      "@type": "s:Product",
+      "s:name": "Mug",
+      "http://schema.org/sku": "M-1",
+      offers: { "@type": "https://schema.org/Offer", availability: "http://schema.org/InStock" },
+    }),
+  ]);
+  const json = blocks[0].json;
+  assert.equal(json["@type"], "Product");
+  assert.equal(json.name, "Mug");
+  assert.equal(json.sku, "M-1");
+  assert.equal(json.offers["@type"], "Offer");
+  assert.equal(json.offers.availability, "https://schema.org/InStock");
+  assert.deepEqual(stats.unresolvedTerms, []);
+});
+
+test("terms outside the bundled context are kept as written and reported", () => {
+  const { blocks, stats } = normalizeBlocks([
+    block({
+      "@context": ["https://schema.org", "https://ref.gs1.org/voc/context.jsonld"],
+      "@type": ["Product", "gs1:Product"],
+      name: "Mug",
+      "gs1:gtin": "00012345600012",
+    }),
+  ]);
+  assert.equal(blocks[0].json["gs1:gtin"], "00012345600012");
+  assert.deepEqual(stats.unresolvedTerms, ["gs1:Product", "gs1:gtin"]);
+  assert.deepEqual(stats.unfetchedContexts, ["https://ref.gs1.org/voc/context.jsonld"]);
+});
+
+test("entities sharing an @id merge and references are inlined", () => {
+  const { blocks, stats } = normalizeBlocks([
+    block({
+      "@context": "https://schema.org",
+      "@graph": [
+        { "@type": "Product", "@id": "#p", name: "Mug", brand: { "@id": "#b" } },
+        { "@type": "Brand", "@id": "#b", name: "Acme" },
+      ],
+    }),
+    block({ "@context": "https://schema.org", "@type": "Product", "@id": "#p", sku: "M-1" }),
+  ]);
+  const product = blocks.find((b) => b.json["@type"] === "Product").json;
+  assert.equal(product["@id"], "https://shop.example/p/1#p");
+  assert.equal(product.sku, "M-1");
+  assert.equal(product.brand.name, "Acme");
+  assert.equal(stats.inlinedReferences, 1);
+});
@@ -0,0 +1,61 @@
+// test/grounding.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { groundLLMFields } = require("../src/inferencer/grounding");
+const { inferCapsule } = require("../src/inferencer");
+const { resolveLLMConfig, createProvider } = require("../src/inferencer/llm");
+
+const TEXT = "Acme Kaffeemühle, Artikel XAB-123. Statt 24,99 € jetzt 19,99 €. 12 Stück im Karton. Modell A1.";
+const DE = { text: TEXT, html: "", locale: "de-DE", country: "DE" };
+
+const reasons = (res) => Object.fromEntries(res.rejected.map((r) => [r.field, r.reason]));
+
+test("a price grounds only on a currency-marked amount, read in the page locale", () => {
+  const res = groundLLMFields({ price: "19.99" }, DE);
+  assert.deepEqual(res.accepted["agentnet:price"], { match: "normalized", snippet: "19,99 €", value: "19.99" });
+
+  // "12" is on the page, but as a quantity
+  assert.equal(reasons(groundLLMFields({ price: "12" }, DE))["agentnet:price"], "not-found");
+});
+
+test("a SKU must appear as a whole token of at least three characters", () => {
+  assert.equal(groundLLMFields({ sku: "XAB-123" }, DE).accepted["agentnet:sku"].snippet, "XAB-123");
+  assert.equal(groundLLMFields({ sku: "xab-123" }, DE).accepted["agentnet:sku"].snippet, "XAB-123");
+
+  for (const sku of ["AB-12", "XAB-12", "A1"]) {
+    assert.equal(reasons(groundLLMFields({ sku }, DE))["agentnet:sku"], "not-found", sku);
+  }
+});
+
+test("fields outside the whitelist or of the wrong type are rejected", () => {
+  const res = groundLLMFields({ mpn: "XAB-123", name: 42 }, DE);
+  assert.deepEqual(reasons(res), {
+    "agentnet:mpn": "not-whitelisted",
+    "agentnet:name": "type-mismatch: expected string",
+  });
+});
+
+test("LLM prices are held to the same guardrail as heuristic prices", async () => {
+  const saved = process.env.LLM_MOCK_RESPONSE;
+  process.env.LLM_MOCK_RESPONSE = JSON.stringify({ price: "12.50", priceCurrency: "USD" });
+  try {
+    const html = `<html><head><title>About us | Corner Bistro</title></head><body>
+      <h1>About us</h1><p>Family-run since 1998. Lunch special $12.50 on weekdays.</p></body></html>`;
+    const out = await inferCapsule({
+      url: "https://bistro.example/about",
+      html,
+      text: "About us. Family-run since 1998. Lunch special $12.50 on weekdays.",
+      options: { enableLLM: true, llmProvider: createProvider(resolveLLMConfig({ provider: "mock" })) },
+    });
+
+    assert.equal(out.capsule["agentnet:price"], undefined);
+    assert.equal(out.capsule["agentnet:priceCurrency"], undefined);
+    const rejected = Object.fromEntries(out.llm.grounding.rejected.map((r) => [r.field, r.reason]));
+    assert.equal(rejected["agentnet:price"], "price-guardrail");
+    assert.equal(rejected["agentnet:priceCurrency"], "price-guardrail");
+  } finally {
+    if (saved === undefined) delete process.env.LLM_MOCK_RESPONSE;
+    else process.env.LLM_MOCK_RESPONSE = saved;
+  }
+});
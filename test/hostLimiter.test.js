@@ -0,0 +1,75 @@
+// test/hostLimiter.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// No Redis here: the Lua scripts run on ioredis-mock, and queue.js (BullMQ) is never loaded
+require.cache[require.resolve("ioredis")] = { exports: require("ioredis-mock"), loaded: true };
+require.cache[require.resolve("../src/queue")] = { exports: { redisOptions: {} }, loaded: true };
+process.env.PER_HOST_DELAY_MS = "150";
+process.env.HOST_BACKOFF_BASE_MS = "200";
+process.env.HOST_BACKOFF_MAX_MS = "1500";
+process.env.HOST_LIMITS = JSON.stringify({ "wide.example": { delayMs: 0, maxConcurrent: 2 } });
+
+const { acquireHostSlot, limitsFor, parseRetryAfter } = require("../src/hostLimiter");
+
+test("overrides apply to the host and its subdomains", () => {
+  assert.deepEqual(limitsFor("shop.wide.example"), { delayMs: 0, maxConcurrent: 2 });
+  assert.deepEqual(limitsFor("narrow.example"), { delayMs: 150, maxConcurrent: 1 });
+});
+
+test("Retry-After is read as seconds or as an HTTP date", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter(null), 0);
+  const ms = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+  assert.ok(ms > 8000 && ms <= 10000, String(ms));
+});
+
+test("pages on one host start at least delayMs apart", async () => {
+  const first = await acquireHostSlot("https://delay.example/a");
+  await first.release({ status: 200 });
+
+  const t0 = Date.now();
+  const second = await acquireHostSlot("https://delay.example/b");
+  assert.ok(Date.now() - t0 >= 100, `waited ${Date.now() - t0}ms`);
+  await second.release({ status: 200 });
+});
+
+test("maxConcurrent caps the leases held at once", async () => {
+  const a = await acquireHostSlot("https://wide.example/1");
+  const b = await acquireHostSlot("https://wide.example/2");
+
+  let third = null;
+  const pending = acquireHostSlot("https://wide.example/3").then((lease) => (third = lease));
+  await new Promise((r) => setTimeout(r, 100));
+  assert.equal(third, null);
+
+  await a.release({ status: 200 });
+  await pending;
+  assert.ok(third);
+  await Promise.all([b.release({ status: 200 }), third.release({ status: 200 })]);
+});
+
+test("429/503 back off (honoring Retry-After), and successes decay the backoff", async () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const limited = await acquireHostSlot("https://busy.example/a");
+    assert.equal(await limited.release({ status: 429, retryAfter: "1" }), 1000);
+
+    const t0 = Date.now();
+    const next = await acquireHostSlot("https://busy.example/b");
+    assert.ok(Date.now() - t0 >= 800, `waited ${Date.now() - t0}ms`);
+    // Doubling is capped at HOST_BACKOFF_MAX_MS
+    assert.equal(await next.release({ status: 503 }), 1500);
+  } finally {
+    console.warn = warn;
+  }
+
+  const ok = await acquireHostSlot("https://busy.example/c");
+  assert.equal(await ok.release({ status: 200 }), 750);
+  const ok2 = await acquireHostSlot("https://busy.example/d");
+  assert.equal(await ok2.release({ status: 200 }), 375);
+  const ok3 = await acquireHostSlot("https://busy.example/e");
+  // Below the base the backoff is cleared
+  assert.equal(await ok3.release({ status: 200 }), 0);
+});
@@ -0,0 +1,72 @@
+// test/hours.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseOpeningHours, toOpeningHoursStrings } = require("../src/extractor/hours");
+const { parseHTML, guessHours } = require("../src/extractor/html-utils");
+const { inferCapsule } = require("../src/inferencer");
+
+const REF = { referenceDate: "2026-01-01" };
+const summary = (specs) => specs.map((s) => `${(s.dayOfWeek || [s.validFrom]).join(",")} ${s.opens}-${s.closes}`);
+
+test("closed days stay in the specs but are left out of the openingHours strings", () => {
+  const res = parseOpeningHours(["Mon-Fri 9am-5pm", "Sat 10:00–14:00", "Sun: Closed"], REF);
+  assert.deepEqual(res.openingHours, ["Mo-Fr 09:00-17:00", "Sa 10:00-14:00"]);
+  assert.ok(summary(res.specs).includes("Sunday 00:00-00:00"));
+  assert.deepEqual(toOpeningHoursStrings([{ dayOfWeek: ["Sunday"], opens: "00:00", closes: "00:00" }]), []);
+});
+
+test("German day codes, 'Uhr' times and 'geschlossen'", () => {
+  const res = parseOpeningHours(["Mo.-Fr. 9-18 Uhr", "Sa 9.30-13 Uhr", "So geschlossen"], REF);
+  assert.deepEqual(res.openingHours, ["Mo-Fr 09:00-18:00", "Sa 09:30-13:00"]);
+  assert.ok(summary(res.specs).includes("Sunday 00:00-00:00"));
+  assert.deepEqual(res.unparsed, []);
+});
+
+test("German, French and Spanish day names", () => {
+  const de = parseOpeningHours(["Montag bis Freitag 08:00 - 17:00", "Samstag, Sonntag: Ruhetag"], REF);
+  assert.deepEqual(de.openingHours, ["Mo-Fr 08:00-17:00"]);
+
+  const fr = parseOpeningHours(["Lundi au vendredi : 9h-18h", "Samedi 10h à 13h", "Dimanche : fermé"], REF);
+  assert.deepEqual(fr.openingHours, ["Mo-Fr 09:00-18:00", "Sa 10:00-13:00"]);
+
+  const es = parseOpeningHours(["Lunes a viernes 9:00 a 14:00", "Martes 17-20", "Sábado y domingo: cerrado"], REF);
+  assert.deepEqual(es.openingHours, ["Mo-Fr 09:00-14:00", "Tu 17:00-20:00"]);
+  // "Martes 17-20" is a weekday, not a dated holiday in March
+  assert.deepEqual(es.holidays, []);
+});
+
+test("day names only match whole words", () => {
+  const res = parseOpeningHours(["Sunny terrace 9-5", "Visit our venue 10-4"], REF);
+  assert.deepEqual(res.specs, []);
+  assert.equal(res.confidence, 0);
+});
+
+test("guessHours picks localized hours lines out of a page", () => {
+  const $ = parseHTML(`<html><body>
+    <h2>Öffnungszeiten</h2>
+    <p>Mo.-Fr. 9-18 Uhr</p>
+    <p>So geschlossen</p>
+  </body></html>`);
+  const ev = guessHours($);
+  assert.deepEqual(ev.value, ["Mo.-Fr. 9-18 Uhr", "So geschlossen"]);
+});
+
+test("holiday dates follow the capture date, not the day the code runs", async () => {
+  const html = `<html><head><title>Corner Bistro</title></head><body><h1>Corner Bistro</h1>
+    <h2>Opening hours</h2><p>Mon-Fri 9am-5pm</p><p>Dec 25: Closed</p></body></html>`;
+  const text = "Corner Bistro Opening hours Mon-Fri 9am-5pm Dec 25: Closed";
+  const holidayIn = async (capturedAt) => {
+    const out = await inferCapsule({
+      url: "https://bistro.example/",
+      html,
+      text,
+      capturedAt,
+      options: { enableLLM: false },
+    });
+    return out.capsule["agentnet:openingHoursSpecification"].find((s) => s.validFrom).validFrom;
+  };
+
+  assert.equal(await holidayIn("2024-03-01T10:00:00.000Z"), "2024-12-25");
+  assert.equal(await holidayIn("2030-12-26T10:00:00.000Z"), "2031-12-25");
+});
@@ -0,0 +1,96 @@
+// test/llm.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+delete process.env.LLM_BASE_URL;
+process.env.LLM_API_KEYS = JSON.stringify({ "llm.internal.example": "sk-internal" });
+
+const { resolveLLMConfig, createProvider, apiKeyFor, llmUnavailableReason } = require("../src/inferencer/llm");
+
+const MESSAGES = [
+  { role: "system", content: "Return JSON." },
+  { role: "user", content: "Page text: Acme widget, $19.99" },
+];
+const mockConfig = (o = {}) => resolveLLMConfig({ provider: "mock", timeoutMs: 20, maxRetries: 2, ...o });
+
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  const restore = () => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  };
+  return Promise.resolve().then(fn).finally(restore);
+}
+
+test("token usage is counted per call and summed on the provider", () =>
+  withEnv({ LLM_MOCK_RESPONSE: '{"agentnet:name":"Acme widget"}', LLM_MOCK_FAILURES: "" }, async () => {
+    const provider = createProvider(mockConfig());
+    const promptTokens = Math.ceil("Return JSON.".length / 4) + Math.ceil(MESSAGES[1].content.length / 4);
+    const completionTokens = Math.ceil('{"agentnet:name":"Acme widget"}'.length / 4);
+
+    const first = await provider.complete({ messages: MESSAGES });
+    assert.deepEqual(first.usage, { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens });
+    assert.equal(first.attempts, 1);
+    await provider.complete({ messages: MESSAGES });
+
+    const totals = provider.usage();
+    assert.equal(totals.calls, 2);
+    assert.equal(totals.attempts, 2);
+    assert.equal(totals.promptTokens, 2 * promptTokens);
+    assert.equal(totals.completionTokens, 2 * completionTokens);
+    assert.equal(totals.totalTokens, 2 * (promptTokens + completionTokens));
+  }));
+
+test("429 and 5xx are retried until an attempt succeeds", () =>
+  withEnv({ LLM_MOCK_RESPONSE: "{}", LLM_MOCK_FAILURES: "503,429" }, async () => {
+    const provider = createProvider(mockConfig());
+    const out = await provider.complete({ messages: MESSAGES });
+    assert.equal(out.content, "{}");
+    assert.equal(out.attempts, 3);
+
+    const totals = provider.usage();
+    assert.deepEqual([totals.calls, totals.attempts, totals.retries, totals.failures], [1, 3, 2, 0]);
+  }));
+
+test("other 4xx fail at once", () =>
+  withEnv({ LLM_MOCK_FAILURES: "400" }, async () => {
+    const provider = createProvider(mockConfig());
+    await assert.rejects(provider.complete({ messages: MESSAGES }), (e) => e.status === 400);
+    const totals = provider.usage();
+    assert.deepEqual([totals.attempts, totals.retries, totals.failures], [1, 0, 1]);
+    assert.equal(totals.totalTokens, 0);
+  }));
+
+test("timeouts are retried, then fail once maxRetries is used up", () =>
+  withEnv({ LLM_MOCK_FAILURES: "timeout,timeout,timeout" }, async () => {
+    const provider = createProvider(mockConfig({ maxRetries: 2 }));
+    await assert.rejects(provider.complete({ messages: MESSAGES }), /timed out after 20 ms/);
+    const totals = provider.usage();
+    assert.deepEqual([totals.attempts, totals.retries, totals.failures], [3, 2, 1]);
+  }));
+
+test("API keys only go to the host they were configured for", () =>
+  withEnv({ OPENAI_API_KEY: "sk-openai", LLM_API_KEY: "" }, () => {
+    const openai = resolveLLMConfig({ provider: "openai", model: "gpt-4o-mini" });
+    assert.equal(apiKeyFor(openai), "sk-openai");
+
+    // A per-seed base URL gets no key unless one is configured for its host
+    const other = resolveLLMConfig({ provider: "openai", model: "m", baseUrl: "https://llm.elsewhere.example/v1" });
+    assert.equal(apiKeyFor(other), null);
+    assert.equal(llmUnavailableReason(other), null);
+
+    const internal = resolveLLMConfig({ provider: "openai", model: "m", baseUrl: "https://llm.internal.example/v1" });
+    assert.equal(apiKeyFor(internal), "sk-internal");
+  }));
+
+test("LLM_API_KEY goes to the env-configured endpoint (api.openai.com by default) only", () =>
+  withEnv({ OPENAI_API_KEY: "", LLM_API_KEY: "sk-llm" }, () => {
+    const openai = resolveLLMConfig({ provider: "openai", model: "gpt-4o-mini" });
+    assert.equal(apiKeyFor(openai), "sk-llm");
+
+    const other = resolveLLMConfig({ provider: "openai", model: "m", baseUrl: "https://llm.elsewhere.example/v1" });
+    assert.equal(apiKeyFor(other), null);
+  }));
@@ -0,0 +1,96 @@
+// test/llmCache.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// A CI job replaying the cache has no API secrets
+delete process.env.OPENAI_API_KEY;
+delete process.env.LLM_API_KEY;
+delete process.env.LLM_BASE_URL;
+
+const { openLLMCache, withCache, llmCacheKey } = require("../src/inferencer/llmCache");
+const { resolveLLMConfig, createProvider, llmUnavailableReason } = require("../src/inferencer/llm");
+
+const MESSAGES = [{ role: "user", content: "Page text: Acme widget" }];
+const KEY_INPUT = { model: "mock", promptVersion: "v1", text: "Acme widget", html: "<p>Acme widget</p>" };
+
+let dir;
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "llm-cache-test-"));
+});
+test.after(() => fs.remove(dir));
+
+test("cache keys depend on model, prompt version and the truncated page", () => {
+  const key = llmCacheKey(KEY_INPUT);
+  assert.equal(llmCacheKey({ ...KEY_INPUT }), key);
+  assert.notEqual(llmCacheKey({ ...KEY_INPUT, model: "other" }), key);
+  assert.notEqual(llmCacheKey({ ...KEY_INPUT, promptVersion: "v2" }), key);
+  assert.notEqual(llmCacheKey({ ...KEY_INPUT, text: "Acme gadget" }), key);
+
+  // Only the first 6000 characters reach the prompt, so only they count
+  const long = "x".repeat(6000);
+  assert.equal(llmCacheKey({ ...KEY_INPUT, text: `${long}a` }), llmCacheKey({ ...KEY_INPUT, text: `${long}b` }));
+});
+
+test("LLM_CACHE=off opens no cache and leaves the provider unwrapped", () => {
+  const provider = createProvider(resolveLLMConfig({ provider: "mock" }));
+  assert.equal(openLLMCache({ backend: "off" }), null);
+  assert.equal(withCache(provider, null), provider);
+});
+
+test("a miss calls the provider and writes the entry; the replay is a hit that costs no tokens", async () => {
+  const cache = openLLMCache({ backend: "disk", dir: path.join(dir, "replay") });
+  const inner = createProvider(resolveLLMConfig({ provider: "mock" }));
+  const provider = withCache(inner, cache);
+  const cacheKey = llmCacheKey(KEY_INPUT);
+
+  const first = await provider.complete({ messages: MESSAGES, cacheKey });
+  assert.equal(first.cached, false);
+  assert.ok(await fs.pathExists(path.join(dir, "replay", `${cacheKey}.json`)));
+
+  const second = await provider.complete({ messages: MESSAGES, cacheKey });
+  assert.equal(second.cached, true);
+  assert.equal(second.content, first.content);
+  assert.deepEqual(second.usage, first.usage);
+
+  assert.equal(inner.usage().calls, 1);
+  assert.deepEqual(cache.stats(), { backend: "disk", hits: 1, misses: 1, writes: 1, errors: 0 });
+});
+
+test("replay-only mode fails a miss with cacheMiss and never calls the provider", async () => {
+  const cache = openLLMCache({ backend: "disk", dir: path.join(dir, "replay-only") });
+  const inner = createProvider(resolveLLMConfig({ provider: "mock" }));
+  const provider = withCache(inner, cache, { replayOnly: true });
+
+  await assert.rejects(provider.complete({ messages: MESSAGES, cacheKey: llmCacheKey(KEY_INPUT) }), (e) => e.cacheMiss);
+  assert.equal(inner.usage().calls, 0);
+  assert.equal(cache.stats().misses, 1);
+});
+
+test("calls without a cacheKey bypass the cache", async () => {
+  const cache = openLLMCache({ backend: "disk", dir: path.join(dir, "bypass") });
+  const inner = createProvider(resolveLLMConfig({ provider: "mock" }));
+  const out = await withCache(inner, cache).complete({ messages: MESSAGES });
+
+  assert.equal(out.cached, undefined);
+  assert.equal(inner.usage().calls, 1);
+  assert.deepEqual(cache.stats(), { backend: "disk", hits: 0, misses: 0, writes: 0, errors: 0 });
+});
+
+test("replay-only mode needs no API key: hits are served without touching the endpoint", async () => {
+  const config = resolveLLMConfig({ provider: "openai", model: "gpt-4o-mini" });
+  assert.match(llmUnavailableReason(config), /missing LLM_API_KEY/);
+  assert.equal(llmUnavailableReason(config, { replayOnly: true }), null);
+
+  const cache = openLLMCache({ backend: "disk", dir: path.join(dir, "keyless") });
+  const cacheKey = llmCacheKey({ ...KEY_INPUT, model: config.model });
+  await cache.set(cacheKey, { key: cacheKey, content: "{}", usage: { promptTokens: 3, completionTokens: 1 } });
+
+  const inner = createProvider(config);
+  const out = await withCache(inner, cache, { replayOnly: true }).complete({ messages: MESSAGES, cacheKey });
+  assert.equal(out.cached, true);
+  assert.equal(out.content, "{}");
+  assert.equal(inner.usage().calls, 0);
+});
@@ -0,0 +1,48 @@
+// test/locale.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+
+const { detectLocale, detectCountry, detectTextLanguage, parseTag } = require("../src/extractor/locale");
+
+const GERMAN =
+  "Wir sind ein Familienbetrieb und die Werkstatt ist nicht nur für Kunden aus der Region da. " +
+  "Unsere Mitarbeiter kümmern sich mit viel Erfahrung um Ihre Anliegen, auch wenn es eine Reparatur ist, " +
+  "die andere nicht mehr machen. Wir freuen uns auf den Besuch von Ihnen und Ihrer Familie.";
+
+test("parseTag reads BCP 47 and underscore tags", () => {
+  assert.deepEqual(parseTag("en_GB"), { language: "en", region: "GB" });
+  assert.deepEqual(parseTag("zh-Hant-TW"), { language: "zh", region: "TW" });
+  assert.deepEqual(parseTag("de"), { language: "de", region: null });
+  assert.deepEqual(parseTag(""), { language: null, region: null });
+});
+
+test("the country comes from og:locale, html lang, the page's own hreflang and the ccTLD", () => {
+  const $ = cheerio.load(`<html lang="de"><head>
+    <link rel="alternate" hreflang="de-AT" href="https://shop.example.at/kontakt/">
+    <link rel="alternate" hreflang="de-DE" href="https://shop.example.de/kontakt"></head></html>`);
+  const res = detectCountry($, "https://shop.example.at/kontakt");
+  assert.equal(res.country, "AT");
+  assert.deepEqual(
+    res.signals.map((s) => [s.source, s.country]),
+    [
+      ["hreflang", "AT"],
+      ["tld", "AT"],
+    ]
+  );
+
+  // co.uk is GB; generic ccTLDs (.io) say nothing
+  assert.equal(detectCountry(cheerio.load("<html></html>"), "https://www.example.co.uk/").country, "GB");
+  assert.equal(detectCountry(cheerio.load("<html></html>"), "https://example.io/").country, null);
+});
+
+test("the visible text outvotes an English template default", () => {
+  const $ = cheerio.load('<html lang="en"><body></body></html>');
+  const res = detectLocale($, "https://werkstatt.example.de/", { text: GERMAN });
+  assert.equal(res.language, "de");
+  assert.equal(res.locale, "de-DE");
+
+  assert.equal(detectTextLanguage(GERMAN).language, "de");
+  assert.equal(detectTextLanguage("東京の店舗はこちらです。営業時間をご確認ください。").language, "ja");
+  assert.equal(detectTextLanguage("too short"), null);
+});
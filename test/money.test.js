@@ -0,0 +1,55 @@
+// test/money.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseMoney, parseAmount, findPrice, findPrices, resolveCurrency } = require("../src/extractor/money");
+
+test("decimal marks are read from the amount, in any grouping style", () => {
+  assert.deepEqual(parseMoney("1.299,00 €"), { price: "1299.00", priceCurrency: "EUR", raw: "1.299,00 €" });
+  assert.deepEqual(parseMoney("$1,299.00"), { price: "1299.00", priceCurrency: "USD", raw: "$1,299.00" });
+  assert.deepEqual(parseMoney("1’299.50 CHF"), { price: "1299.50", priceCurrency: "CHF", raw: "1’299.50 CHF" });
+  assert.deepEqual(findPrice("Now only ₹1,29,999 incl. GST"), {
+    price: "129999.00",
+    priceCurrency: "INR",
+    raw: "₹1,29,999",
+  });
+  assert.equal(parseAmount("1 299"), 1299);
+});
+
+test("dash endings and three-decimal currencies", () => {
+  assert.deepEqual(parseMoney("CHF 45.–"), { price: "45.00", priceCurrency: "CHF", raw: "CHF 45.–" });
+  assert.deepEqual(parseMoney("kr 1 299:-", { country: "SE" }), {
+    price: "1299.00",
+    priceCurrency: "SEK",
+    raw: "kr 1 299:-",
+  });
+  assert.equal(parseMoney("KWD 1.250").price, "1.25");
+  assert.equal(parseMoney("EUR 1.250").price, "1250.00");
+});
+
+test("shared symbols resolve by the page locale, or not at all", () => {
+  assert.equal(parseMoney("$24.99", { locale: "en-CA" }).priceCurrency, "CAD");
+  assert.equal(parseMoney("¥1,200", { locale: "zh-CN" }).priceCurrency, "CNY");
+  assert.equal(parseMoney("1 299 kr", { locale: "nb-NO" }).priceCurrency, "NOK");
+  assert.equal(resolveCurrency("kr"), null);
+  // "R 199" is only rand on South African pages
+  assert.equal(findPrice("R 199", { country: "US" }), null);
+  assert.equal(findPrice("R 199", { country: "ZA" }).priceCurrency, "ZAR");
+});
+
+test("the snippet covers exactly the parsed amount", () => {
+  assert.deepEqual(findPrice("$10 200 items"), { price: "10.00", priceCurrency: "USD", raw: "$10" });
+  assert.deepEqual(
+    findPrices("Was $24.99, now $19.99").map((p) => [p.price, p.raw]),
+    [
+      ["24.99", "$24.99"],
+      ["19.99", "$19.99"],
+    ]
+  );
+});
+
+test("free-text search needs a currency; known price elements may be bare", () => {
+  assert.equal(findPrice("12 items in the box"), null);
+  assert.deepEqual(parseMoney("19.99"), { price: "19.99", priceCurrency: null, raw: "19.99" });
+  assert.equal(parseMoney("19.99", { requireCurrency: true }), null);
+});
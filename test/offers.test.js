@@ -0,0 +1,144 @@
+// test/offers.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { extractOffers } = require("../src/extractor/offers");
+const { inferCapsule } = require("../src/inferencer");
+
+const IN_STOCK = "https://schema.org/InStock";
+const product = (offers, extra = {}) => ({ "@type": "Product", name: "Mug", sku: "M-1", offers, ...extra });
+
+test("an Offer without priceSpecification or priceCurrency still reads", () => {
+  const res = extractOffers({ asserted: [product({ "@type": "Offer", price: "19.99", availability: IN_STOCK })] });
+  assert.equal(res.source, "jsonld");
+  assert.deepEqual(res.offers, [{ sku: "M-1", price: "19.99", availability: "InStock", source: "jsonld" }]);
+
+  // No price at all: availability alone keeps the offer
+  const bare = extractOffers({ asserted: [product({ "@type": "Offer", availability: IN_STOCK })] });
+  assert.equal(bare.availability, "InStock");
+  assert.equal(bare.primary, null);
+});
+
+test("inferCapsule survives a plain asserted Offer", async () => {
+  const asserted = product({ "@type": "Offer", price: "19.99", availability: IN_STOCK });
+  const out = await inferCapsule({
+    url: "https://shop.example/p/mug",
+    html: "<html><body><h1>Mug</h1><button>Add to cart</button></body></html>",
+    text: "Mug Add to cart",
+    assertedBlocks: [asserted],
+    options: { enableLLM: false },
+  });
+  assert.deepEqual(out.capsule["agentnet:offers"], [
+    { sku: "M-1", price: "19.99", availability: "InStock", source: "jsonld" },
+  ]);
+  assert.equal(out.capsule["agentnet:availability"], "InStock");
+});
+
+test("a ListPrice specification gives listPrice and onSale", () => {
+  const res = extractOffers({
+    asserted: [
+      product({
+        "@type": "Offer",
+        price: "15.00",
+        priceCurrency: "EUR",
+        priceSpecification: [
+          { "@type": "UnitPriceSpecification", price: "15.00", priceCurrency: "EUR" },
+          { "@type": "UnitPriceSpecification", price: "20.00", priceType: "https://schema.org/ListPrice" },
+        ],
+      }),
+    ],
+  });
+  assert.equal(res.primary.listPrice, "20.00");
+  assert.equal(res.primary.onSale, true);
+});
+
+test("price and currency fall back to the first priceSpecification", () => {
+  const res = extractOffers({
+    asserted: [product({ "@type": "Offer", priceSpecification: { price: "1.299,00", priceCurrency: "EUR" } })],
+  });
+  assert.equal(res.primary.price, "1299.00");
+  assert.equal(res.primary.priceCurrency, "EUR");
+});
+
+test("AggregateOffer is kept and its inner offers are listed", () => {
+  const res = extractOffers({
+    asserted: [
+      product({
+        "@type": "AggregateOffer",
+        lowPrice: 10,
+        highPrice: "25.5",
+        priceCurrency: "USD",
+        offerCount: "2",
+        offers: [
+          { "@type": "Offer", price: 10, availability: "OutOfStock" },
+          { "@type": "Offer", price: 25.5, availability: IN_STOCK },
+        ],
+      }),
+    ],
+  });
+  assert.deepEqual(res.aggregate, {
+    lowPrice: "10.00",
+    highPrice: "25.50",
+    priceCurrency: "USD",
+    offerCount: 2,
+    source: "jsonld",
+  });
+  assert.equal(res.offers.length, 2);
+  // Headline is the cheapest purchasable offer, and currency is filled from the aggregate
+  assert.equal(res.primary.price, "25.50");
+  assert.equal(res.primary.priceCurrency, "USD");
+  assert.equal(res.availability, "InStock");
+});
+
+test("hasVariant offers carry the variant's sku, size and color", () => {
+  const group = {
+    "@type": "ProductGroup",
+    name: "Tee",
+    hasVariant: [
+      {
+        "@type": "Product",
+        name: "Tee S",
+        sku: "T-S",
+        size: "S",
+        color: "Black",
+        offers: { price: "12", priceCurrency: "GBP" },
+      },
+      {
+        "@type": "Product",
+        name: "Tee M",
+        sku: "T-M",
+        size: { name: "M" },
+        offers: { price: "14", priceCurrency: "GBP" },
+      },
+    ],
+  };
+  const res = extractOffers({ asserted: [group] });
+  assert.deepEqual(
+    res.offers.map((o) => [o.sku, o.name, o.size, o.color]),
+    [
+      ["T-S", "Tee S", "S", "Black"],
+      ["T-M", "Tee M", "M", undefined],
+    ]
+  );
+  assert.deepEqual([res.aggregate.lowPrice, res.aggregate.highPrice], ["12.00", "14.00"]);
+});
+
+test("DOM fallback reads sale and compare-at prices and the variant select in the page locale", () => {
+  const html = `<html><body><main><h1>Kanne</h1>
+    <div class="price"><del>1.499,00 €</del><ins>1.299,00 €</ins></div>
+    <select name="id"><option value="1">Rot</option><option value="2" disabled>Blau - Ausverkauft</option></select>
+    <button>Add to cart</button></main></body></html>`;
+  const res = extractOffers({ html, locale: { locale: "de-DE", country: "DE" } });
+
+  assert.equal(res.source, "dom");
+  assert.deepEqual(
+    res.offers.map((o) => [o.name, o.price, o.listPrice, o.onSale, o.availability, o.variantId]),
+    [
+      ["Rot", "1299.00", "1499.00", true, "InStock", "1"],
+      ["Blau - Ausverkauft", "1299.00", "1499.00", true, "OutOfStock", "2"],
+    ]
+  );
+  assert.equal(res.primary.priceCurrency, "EUR");
+
+  assert.equal(extractOffers({ html, allowDom: false }).source, null);
+});
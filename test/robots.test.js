@@ -0,0 +1,64 @@
+// test/robots.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseRobots, selectGroup, matchRules } = require("../src/robots");
+
+const UA = "AgentNet-Capsulizer/1.0 (+https://agentnet.example/bot)";
+
+test("a group for another agent whose name is a substring of ours does not apply", () => {
+  const { groups } = parseRobots(
+    ["User-agent: agent", "Disallow: /", "", "User-agent: *", "Disallow: /private"].join("\n")
+  );
+  const group = selectGroup(groups, UA);
+  assert.deepEqual(group.rules, [{ allow: false, pattern: "/private" }]);
+});
+
+test("our product token matches case-insensitively and wins over *", () => {
+  const { groups } = parseRobots(
+    [
+      "User-agent: *",
+      "Disallow: /",
+      "",
+      "User-agent: AGENTNET-CAPSULIZER",
+      "Disallow: /cart",
+      "Crawl-delay: 2",
+    ].join("\n")
+  );
+  const group = selectGroup(groups, UA);
+  assert.deepEqual(group.rules, [{ allow: false, pattern: "/cart" }]);
+  assert.equal(group.crawlDelay, 2);
+});
+
+test("groups naming the same agent are merged", () => {
+  const { groups } = parseRobots(
+    ["User-agent: agentnet-capsulizer", "Disallow: /a", "", "User-agent: agentnet-capsulizer", "Disallow: /b"].join(
+      "\n"
+    )
+  );
+  assert.deepEqual(
+    selectGroup(groups, UA).rules.map((r) => r.pattern),
+    ["/a", "/b"]
+  );
+});
+
+test("no matching group and no * group means no restrictions", () => {
+  const { groups } = parseRobots("User-agent: googlebot\nDisallow: /");
+  assert.equal(selectGroup(groups, UA), null);
+});
+
+test("longest matching pattern wins, Allow wins ties, wildcards and $ anchor", () => {
+  const rules = [
+    { allow: false, pattern: "/shop" },
+    { allow: true, pattern: "/shop/public" },
+    { allow: false, pattern: "/*.pdf$" },
+    { allow: true, pattern: "/same" },
+    { allow: false, pattern: "/same" },
+  ];
+  assert.equal(matchRules(rules, "/shop/cart").allowed, false);
+  assert.equal(matchRules(rules, "/shop/public/item").allowed, true);
+  assert.equal(matchRules(rules, "/docs/guide.pdf").allowed, false);
+  assert.equal(matchRules(rules, "/docs/guide.pdf?x=1").allowed, true);
+  assert.equal(matchRules(rules, "/same").allowed, true);
+  assert.equal(matchRules(rules, "/robots.txt").allowed, true);
+});
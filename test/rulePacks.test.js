@@ -0,0 +1,95 @@
+// test/rulePacks.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const cheerio = require("cheerio");
+
+const { loadRulePacks, resolveRulePack, detectPageType } = require("../src/inferencer/rulePacks");
+
+const RETAIL = {
+  name: "retail",
+  version: "2.0.0",
+  minScore: 2,
+  types: [
+    { type: "agentnet:Product", indicators: { "add to cart": 2, price: 1 }, urlPatterns: { "/products?/": 3 } },
+    { type: "agentnet:Offer", indicators: { "add to cart": 2, price: 1 } },
+    {
+      type: "agentnet:Event",
+      indicators: { tickets: 3 },
+      requires: { selectors: ['[itemtype*="schema.org/Event"]'] },
+    },
+  ],
+};
+
+let dir;
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "rule-packs-test-"));
+  await fs.writeJson(path.join(dir, "retail-2.0.0.json"), RETAIL);
+  await fs.writeJson(path.join(dir, "retail-1.0.0.json"), { ...RETAIL, version: "1.0.0" });
+  // Invalid: version pattern, then a selector cheerio can't parse, then a duplicate version
+  await fs.writeJson(path.join(dir, "bad-version.json"), { ...RETAIL, name: "bad", version: "latest" });
+  await fs.writeJson(path.join(dir, "bad-selector.json"), {
+    name: "broken",
+    version: "1.0.0",
+    types: [{ type: "agentnet:Product", selectors: { "[[nope": 1 } }],
+  });
+  await fs.writeJson(path.join(dir, "retail-copy.json"), RETAIL);
+});
+test.after(async () => {
+  await fs.remove(dir);
+  loadRulePacks(); // back to the bundled packs for other tests in this process
+});
+
+const page = (text, url = "https://shop.example/", html = "<html><body></body></html>") => ({
+  text,
+  url,
+  $: cheerio.load(html),
+});
+
+test("the bundled default pack loads, newest version first, and can be pinned", () => {
+  const ids = loadRulePacks();
+  assert.ok(ids.includes("default@1.0.0") && ids.includes("default@1.1.0"));
+  assert.equal(resolveRulePack("default").version, "1.1.0");
+  assert.equal(resolveRulePack("default@1.0.0").version, "1.0.0");
+  // Unknown packs fall back to RULE_PACK
+  assert.equal(resolveRulePack("no-such-pack").name, "default");
+});
+
+test("invalid and duplicate packs are skipped, valid ones still load", () => {
+  const ids = loadRulePacks(dir);
+  assert.deepEqual(ids.sort(), ["retail@1.0.0", "retail@2.0.0"]);
+});
+
+test("scores add indicator occurrences, URL patterns and selectors; ties go to the type listed first", () => {
+  loadRulePacks(dir);
+  const pack = resolveRulePack("retail");
+  const res = detectPageType(pack, page("Add to cart. Price: $20. Add to cart.", "https://shop.example/products/1"));
+
+  assert.equal(res.type, "agentnet:Product");
+  assert.deepEqual(res.scores, { "agentnet:Product": 8, "agentnet:Offer": 5, "agentnet:Event": 0 });
+  assert.deepEqual(res.matched, ["indicator:add to cart", "indicator:price", "url:/products?/"]);
+  assert.deepEqual(res.pack, { name: "retail", version: "2.0.0" });
+
+  // Same score for Product and Offer without the URL hit: Product is listed first
+  assert.equal(detectPageType(pack, page("Add to cart")).type, "agentnet:Product");
+});
+
+test("a type whose requires gate isn't met scores zero", () => {
+  loadRulePacks(dir);
+  const pack = resolveRulePack("retail");
+  const text = "Tickets on sale now. Tickets from the box office.";
+
+  assert.equal(detectPageType(pack, page(text)).scores["agentnet:Event"], 0);
+
+  const html = '<html><body><div itemscope itemtype="https://schema.org/Event"></div></body></html>';
+  assert.equal(detectPageType(pack, page(text, "https://shop.example/", html)).type, "agentnet:Event");
+});
+
+test("below minScore the pack's fallback type wins", () => {
+  loadRulePacks(dir);
+  const res = detectPageType(resolveRulePack("retail"), page("See our price list"));
+  assert.equal(res.type, "agentnet:Thing");
+  assert.deepEqual(res.matched, []);
+});
@@ -0,0 +1,107 @@
+// test/sitemap.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const zlib = require("zlib");
+
+// No Redis here: the host limiter runs on ioredis-mock, and queue.js (BullMQ) is never loaded
+require.cache[require.resolve("ioredis")] = { exports: require("ioredis-mock"), loaded: true };
+require.cache[require.resolve("../src/queue")] = { exports: { redisOptions: {} }, loaded: true };
+process.env.PER_HOST_DELAY_MS = "0";
+process.env.SITEMAP_MAX_BYTES = "4096";
+
+const { parseSitemap, discoverSitemapUrls } = require("../src/sitemap");
+
+const urlset = (entries) =>
+  `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries
+    .map(
+      ([loc, lastmod, priority]) =>
+        `<url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}${
+          priority != null ? `<priority>${priority}</priority>` : ""
+        }</url>`
+    )
+    .join("")}</urlset>`;
+const index = (locs) =>
+  `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs
+    .map((l) => `<sitemap><loc>${l}</loc></sitemap>`)
+    .join("")}</sitemapindex>`;
+
+let server;
+let origin;
+let routes = {};
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const body = routes[req.url];
+    if (body == null) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200).end(body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test("parseSitemap reads urlsets and indexes, by local name", () => {
+  const set = parseSitemap(urlset([["https://a.example/1", "2026-01-02", "0.8"], ["https://a.example/2"]]));
+  assert.equal(set.kind, "urlset");
+  assert.deepEqual(set.urls, [
+    { url: "https://a.example/1", lastmod: "2026-01-02", priority: 0.8 },
+    { url: "https://a.example/2", lastmod: null, priority: null },
+  ]);
+
+  const idx = parseSitemap(
+    "<ns:sitemapindex><ns:sitemap><ns:loc>https://a.example/s.xml</ns:loc></ns:sitemap></ns:sitemapindex>"
+  );
+  assert.deepEqual(idx, { kind: "index", sitemaps: ["https://a.example/s.xml"], urls: [] });
+  assert.equal(parseSitemap("<html></html>").kind, "unknown");
+});
+
+test("robots.txt and /sitemap.xml are read, indexes followed, gzip inflated, other origins dropped", async () => {
+  routes = {
+    "/robots.txt": `User-agent: *\nAllow: /\nSitemap: ${origin}/index.xml\n`,
+    "/index.xml": index([`${origin}/products.xml.gz`, `${origin}/nested.xml`]),
+    "/products.xml.gz": zlib.gzipSync(
+      urlset([
+        [`${origin}/p/old`, "2024-05-01", "0.9"],
+        [`${origin}/p/new`, "2026-05-01", "0.9"],
+        ["http://elsewhere.example/p/1", "2026-05-01", "1.0"],
+      ])
+    ),
+    "/nested.xml": index([`${origin}/articles.xml`]),
+    "/articles.xml": urlset([
+      [`${origin}/a/low`, "2026-06-01", "0.1"],
+      [`${origin}/a/plain`],
+      [`${origin}/p/old`, "2026-06-01", "0.1"],
+    ]),
+    "/sitemap.xml": urlset([[`${origin}/`, null, "1.0"]]),
+  };
+
+  const entries = await discoverSitemapUrls(`${origin}/`, { userAgent: "test-bot" });
+  // Priority first (default 0.5), then newest lastmod; a URL listed twice keeps its first entry
+  assert.deepEqual(
+    entries.map((e) => e.url.slice(origin.length)),
+    ["/", "/p/new", "/p/old", "/a/plain", "/a/low"]
+  );
+  assert.equal(entries.find((e) => e.url.endsWith("/p/old")).sitemap, `${origin}/products.xml.gz`);
+
+  const limited = await discoverSitemapUrls(`${origin}/`, { userAgent: "test-bot", limit: 2 });
+  assert.equal(limited.length, 2);
+});
+
+test("an oversized sitemap is skipped, not buffered", async () => {
+  routes = {
+    "/robots.txt": "User-agent: *\nAllow: /\n",
+    "/sitemap.xml": urlset(Array.from({ length: 200 }, (_, i) => [`${origin}/p/${i}`])),
+  };
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (msg) => warnings.push(msg);
+  try {
+    assert.deepEqual(await discoverSitemapUrls(`${origin}/`, { userAgent: "test-bot" }), []);
+  } finally {
+    console.warn = warn;
+  }
+  assert.ok(warnings.some((w) => /exceeds 4096 bytes/.test(w)));
+});
@@ -0,0 +1,146 @@
+// test/typeModules.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const cheerio = require("cheerio");
+
+const { runTypeModules, registerTypeModule } = require("../src/inferencer/types");
+const { inferCapsule } = require("../src/inferencer");
+const { extractMetaTags } = require("../src/extractor/meta");
+
+// The context inferCapsule hands to the modules
+function ctx(html, lines) {
+  return {
+    $: cheerio.load(html),
+    html,
+    text: lines.join(" "),
+    lines,
+    url: "https://example.com/page",
+    locale: "en-US",
+    country: "US",
+  };
+}
+
+const values = (out) => Object.fromEntries(Object.entries(out.fields).map(([k, f]) => [k, f.value]));
+
+test("event: start date from <time datetime>, venue address and ticket offer", () => {
+  const html = `<html><body><h1>Spring Gala</h1><time datetime="2026-03-14T19:30">Sat, March 14</time>
+    <div class="venue">The Hall, 100 Main St, Springfield, IL 62701</div>
+    <a href="/tickets">Buy tickets</a><p>Tickets $25</p></body></html>`;
+  const lines = [
+    "Spring Gala",
+    "Sat, March 14",
+    "The Hall, 100 Main St, Springfield, IL 62701",
+    "Buy tickets",
+    "Tickets $25",
+  ];
+  const out = runTypeModules(["agentnet:MusicEvent"], ctx(html, lines));
+
+  assert.deepEqual(out.modules, ["event"]);
+  const v = values(out);
+  assert.equal(v["agentnet:startDate"], "2026-03-14T19:30");
+  assert.equal(v["agentnet:location"].address.postalCode, "62701");
+  assert.deepEqual(v["agentnet:offers"], [
+    { url: "https://example.com/tickets", price: "25.00", priceCurrency: "USD", source: "dom" },
+  ]);
+  assert.equal(out.fields["agentnet:startDate"].method, "event-time-element");
+});
+
+test("recipe: ingredient and step lists under their headings, labelled times and yield", () => {
+  const html = `<html><body><h2>Ingredients</h2><ul><li>2 cups flour</li><li>1 egg</li></ul>
+    <h2>Instructions</h2><ol><li>Mix.</li><li>Bake.</li></ol>
+    <p>Prep Time: 15 mins</p><p>Cook time 1 hr 20 min</p><p>Serves 4</p></body></html>`;
+  const lines = [
+    "Ingredients",
+    "2 cups flour",
+    "1 egg",
+    "Instructions",
+    "Mix.",
+    "Bake.",
+    "Prep Time: 15 mins",
+    "Cook time 1 hr 20 min",
+    "Serves 4",
+  ];
+  const v = values(runTypeModules(["agentnet:Recipe"], ctx(html, lines)));
+
+  assert.deepEqual(v["agentnet:recipeIngredient"], ["2 cups flour", "1 egg"]);
+  assert.deepEqual(v["agentnet:recipeInstructions"].map((s) => s.text), ["Mix.", "Bake."]);
+  assert.equal(v["agentnet:prepTime"], "PT15M");
+  assert.equal(v["agentnet:cookTime"], "PT1H20M");
+  assert.equal(v["agentnet:recipeYield"], "4");
+});
+
+test("local business: coordinates from an embedded map and a price range", () => {
+  const html = `<html><body><iframe src="https://www.google.com/maps/embed?pb=!1m18!3d40.7128!4d-74.0060"></iframe>
+    <span class="price-range">$$</span></body></html>`;
+  const v = values(runTypeModules(["agentnet:Restaurant"], ctx(html, ["$$"])));
+
+  assert.deepEqual(v["agentnet:geo"], { "@type": "GeoCoordinates", latitude: 40.7128, longitude: -74.006 });
+  assert.equal(v["agentnet:priceRange"], "$$");
+});
+
+test("job posting: title, remote, salary range and employment type", () => {
+  const html = `<html><body><h1>Senior Backend Engineer</h1><p>Full-time. Fully remote.</p>
+    <p>Salary: $120,000 - $150,000 per year</p></body></html>`;
+  const lines = ["Senior Backend Engineer", "Full-time. Fully remote.", "Salary: $120,000 - $150,000 per year"];
+  const v = values(runTypeModules(["agentnet:JobPosting"], ctx(html, lines)));
+
+  assert.equal(v["agentnet:title"], "Senior Backend Engineer");
+  assert.equal(v["agentnet:jobLocationType"], "TELECOMMUTE");
+  assert.deepEqual(v["agentnet:baseSalary"].value, {
+    "@type": "QuantitativeValue",
+    minValue: 120000,
+    maxValue: 150000,
+    unitText: "YEAR",
+  });
+  assert.deepEqual(v["agentnet:employmentType"], ["FULL_TIME"]);
+});
+
+test("faq: question/answer pairs from <details> accordions", () => {
+  const html = `<html><body>
+    <details><summary>Do you ship abroad?</summary>Yes, to the EU and UK.</details>
+    <details><summary>Can I return items?</summary>Within 30 days.</details></body></html>`;
+  const lines = ["Do you ship abroad?", "Yes, to the EU and UK.", "Can I return items?", "Within 30 days."];
+  const v = values(runTypeModules(["agentnet:FAQPage"], ctx(html, lines)));
+
+  assert.deepEqual(
+    v["agentnet:mainEntity"].map((q) => [q.name, q.acceptedAnswer.text]),
+    [
+      ["Do you ship abroad?", "Yes, to the EU and UK."],
+      ["Can I return items?", "Within 30 days."],
+    ]
+  );
+});
+
+test("modules only run for their types, and a failing module is recorded, not thrown", () => {
+  assert.deepEqual(runTypeModules(["agentnet:Organization"], ctx("<html></html>", [])).modules, []);
+
+  registerTypeModule({
+    name: "broken",
+    appliesTo: ["TestBroken"],
+    infer() {
+      throw new Error("boom");
+    },
+  });
+  const out = runTypeModules(["agentnet:TestBroken"], ctx("<html></html>", []));
+  assert.deepEqual(out.errors, [{ module: "broken", message: "boom" }]);
+  assert.deepEqual(out.fields, {});
+});
+
+test("og:type business.business makes a LocalBusiness capsule, so the local-business module runs", async () => {
+  const html = `<html><head><title>Corner Bistro</title>
+    <meta property="og:type" content="business.business">
+    <meta property="og:title" content="Corner Bistro"></head>
+    <body><h1>Corner Bistro</h1><p>Neighbourhood bistro.</p><span class="price-range">$$</span>
+    <iframe src="https://www.google.com/maps/embed?pb=!1m18!3d40.7128!4d-74.0060"></iframe></body></html>`;
+  assert.equal(extractMetaTags(html, "https://bistro.example/").type.value, "agentnet:LocalBusiness");
+
+  const out = await inferCapsule({
+    url: "https://bistro.example/",
+    html,
+    text: "Corner Bistro Neighbourhood bistro. $$",
+    options: { enableLLM: false },
+  });
+  assert.equal(out.capsule["@type"], "agentnet:LocalBusiness");
+  assert.ok(out.typeModules.modules.includes("local-business"));
+  assert.equal(out.capsule["agentnet:priceRange"], "$$");
+});